@@ -28,6 +28,101 @@ function parseNumber(value, defaultValue) {
   return Number.isFinite(parsed) ? parsed : defaultValue;
 }
 
+// SUB_TOPICS="fleet/+/telemetry=1,devices/#" -- QoS defaults to SUB_QOS.
+function parseSubscriptions(value, defaultQos) {
+  return String(value)
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const separator = part.lastIndexOf('=');
+      if (separator === -1) {
+        return { topic: part, qos: defaultQos };
+      }
+      return {
+        topic: part.slice(0, separator).trim(),
+        qos: parseNumber(part.slice(separator + 1).trim(), Number.NaN)
+      };
+    });
+}
+
+// MQTT_PAYLOAD_FORMAT_TOPICS="fleet/+/telemetry/pb=protobuf,fleet/+/telemetry/cbor=cbor"
+function parseTopicFormats(value) {
+  if (!value) {
+    return [];
+  }
+
+  return String(value)
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const separator = part.lastIndexOf('=');
+      if (separator === -1) {
+        return { filter: part, format: '' };
+      }
+      return {
+        filter: part.slice(0, separator).trim(),
+        format: part.slice(separator + 1).trim().toLowerCase()
+      };
+    })
+    .filter(entry => entry.filter !== '');
+}
+
+// TELEMETRY_ROLLUP_RETENTION_WINDOWS="300=30,3600=365" -- days per rollup window.
+function parseRetentionWindows(value) {
+  if (!value) {
+    return [];
+  }
+
+  return String(value)
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const [windowSeconds, days] = part.split('=').map(entry => parseNumber(entry?.trim(), Number.NaN));
+      return { windowSeconds, days };
+    })
+    .filter(entry => Number.isFinite(entry.windowSeconds) && entry.windowSeconds > 0 && Number.isFinite(entry.days));
+}
+
+// AUTH_API_KEYS="dashboard:3f9a...=read:live|read:history,acme:91be...=read:live@acme"
+// -- `name:key=scopes@fleets`; the name is optional and only used in logs,
+// and keys without `@fleets` may read every fleet.
+function parseApiKeys(value) {
+  if (!value) {
+    return [];
+  }
+
+  return String(value)
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map((part, index) => {
+      const separator = part.lastIndexOf('=');
+      const credential = separator === -1 ? part : part.slice(0, separator);
+      const [scopeList = '', fleetList = ''] = separator === -1 ? [] : part.slice(separator + 1).split('@', 2);
+      const splitPipes = list => list.split('|').map(entry => entry.trim()).filter(Boolean);
+      const nameSeparator = credential.indexOf(':');
+      return {
+        name: nameSeparator === -1 ? `key-${index + 1}` : credential.slice(0, nameSeparator).trim(),
+        key: (nameSeparator === -1 ? credential : credential.slice(nameSeparator + 1)).trim(),
+        scopes: splitPipes(scopeList),
+        fleets: splitPipes(fleetList)
+      };
+    });
+}
+
+function parseList(value) {
+  if (!value) {
+    return [];
+  }
+  return String(value)
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
 function parseWindowList(value) {
   if (!value) {
     return [];
@@ -57,23 +152,114 @@ const config = {
     password: envOrNull('BROKER_PASSWORD'),
     useTls: parseBoolean(process.env.BROKER_TLS, false),
     rejectUnauthorized: parseBoolean(process.env.BROKER_TLS_REJECT_UNAUTHORIZED, true),
-    clientId: envOrNull('BROKER_CLIENT_ID')
+    clientId: envOrNull('BROKER_CLIENT_ID'),
+    protocolVersion: parseNumber(process.env.BROKER_PROTOCOL_VERSION, 5)
+  },
+  subscriptions: parseSubscriptions(
+    process.env.SUB_TOPICS || process.env.SUB_TOPIC || 'fleet/+/telemetry',
+    parseNumber(process.env.SUB_QOS, 0)
+  ),
+  subscriptionShareGroup: envOrNull('SUB_SHARE_GROUP'),
+  metrics: {
+    enabled: parseBoolean(process.env.METRICS_ENABLED, true)
+  },
+  deadLetter: {
+    enabled: parseBoolean(process.env.DEAD_LETTER_ENABLED, true),
+    maxRows: parseNumber(process.env.DEAD_LETTER_MAX_ROWS, 10_000),
+    maxPayloadBytes: parseNumber(process.env.DEAD_LETTER_MAX_PAYLOAD_BYTES, 16 * 1024),
+    topic: envOrNull('DEAD_LETTER_TOPIC'),
+    qos: parseNumber(process.env.DEAD_LETTER_QOS, 0)
+  },
+  fleets: {
+    // 0-based topic level holding the fleet id; -1 puts everything in the default fleet.
+    topicLevel: parseNumber(process.env.FLEET_TOPIC_LEVEL, 1)
+  },
+  ingest: {
+    defaultFormat: (process.env.MQTT_PAYLOAD_FORMAT || 'json').trim().toLowerCase(),
+    topicFormats: parseTopicFormats(process.env.MQTT_PAYLOAD_FORMAT_TOPICS)
+  },
+  gpsFilter: {
+    enabled: parseBoolean(process.env.GPS_FILTER_ENABLED, true),
+    maxSpeedKmh: parseNumber(process.env.GPS_MAX_SPEED_KMH, 300),
+    maxAccelerationMps2: parseNumber(process.env.GPS_MAX_ACCELERATION_MPS2, 40),
+    jitterRadiusMeters: parseNumber(process.env.GPS_JITTER_RADIUS_METERS, 5),
+    maxConsecutiveOutliers: parseNumber(process.env.GPS_MAX_CONSECUTIVE_OUTLIERS, 3),
+    kalman: {
+      enabled: parseBoolean(process.env.GPS_KALMAN_ENABLED, false),
+      accuracyMeters: parseNumber(process.env.GPS_KALMAN_ACCURACY_METERS, 10),
+      processNoiseMps: parseNumber(process.env.GPS_KALMAN_PROCESS_NOISE_MPS, 3)
+    }
   },
-  subscriptionTopic: process.env.SUB_TOPIC || 'fleet/+/telemetry',
   httpPort: parseNumber(process.env.PORT, 8080),
+  http: {
+    maxBodyBytes: parseNumber(process.env.HTTP_MAX_BODY_BYTES, 64 * 1024),
+    corsAllowedOrigins: parseList(process.env.CORS_ALLOWED_ORIGINS || '*')
+  },
+  auth: {
+    enabled: parseBoolean(process.env.AUTH_ENABLED, false),
+    apiKeys: parseApiKeys(process.env.AUTH_API_KEYS),
+    jwt: {
+      secret: envOrNull('AUTH_JWT_SECRET'),
+      algorithms: parseList(process.env.AUTH_JWT_ALGORITHMS || 'HS256'),
+      issuer: envOrNull('AUTH_JWT_ISSUER'),
+      audience: envOrNull('AUTH_JWT_AUDIENCE'),
+      clockToleranceSeconds: parseNumber(process.env.AUTH_JWT_CLOCK_TOLERANCE_SECONDS, 30)
+    }
+  },
   cacheLimit: parseNumber(process.env.VEHICLE_CACHE_SIZE, 1000),
   messageWindowMs: parseNumber(process.env.MESSAGE_RATE_WINDOW_MS, 60_000),
   vehicleTtlMs: parseNumber(process.env.VEHICLE_TTL_MS, 60_000),
+  alerts: {
+    enabled: parseBoolean(process.env.ALERTS_ENABLED, true),
+    sweepIntervalMs: parseNumber(process.env.ALERT_SWEEP_INTERVAL_MS, 15_000),
+    lowFuel: {
+      threshold: parseNumber(process.env.ALERT_LOW_FUEL_PERCENT, 15),
+      clearAbove: parseNumber(process.env.ALERT_LOW_FUEL_CLEAR_PERCENT, 20)
+    },
+    overspeed: {
+      thresholdKmh: parseNumber(process.env.ALERT_OVERSPEED_KMH, 130),
+      clearBelowKmh: parseNumber(process.env.ALERT_OVERSPEED_CLEAR_KMH, 120)
+    },
+    idle: {
+      maxMs: parseNumber(process.env.ALERT_IDLE_MAX_MS, 10 * 60_000)
+    },
+    stale: {
+      afterMs: parseNumber(process.env.ALERT_STALE_AFTER_MS, 30_000)
+    }
+  },
   websocket: {
     path: '/stream',
-    payloadVersion: 1
+    // Used for clients that connect without `?version=`.
+    payloadVersion: parseNumber(process.env.WS_PAYLOAD_VERSION, 1),
+    batchIntervalMs: parseNumber(process.env.WS_BATCH_INTERVAL_MS, 100),
+    perMessageDeflate: parseBoolean(process.env.WS_PERMESSAGE_DEFLATE, true),
+    compressionThresholdBytes: parseNumber(process.env.WS_COMPRESSION_THRESHOLD_BYTES, 1024)
   },
   telemetryDb: {
     path: process.env.TELEMETRY_DB_PATH || path.join(process.cwd(), 'data', 'telemetry.db'),
     rollupWindowSeconds: primaryRollupWindow,
     rollupWindows,
     rollupIntervalMs: parseNumber(process.env.TELEMETRY_ROLLUP_INTERVAL_MS, 60_000),
-    rollupCatchUpWindows: parseNumber(process.env.TELEMETRY_ROLLUP_CATCHUP_WINDOWS, 1)
+    rollupCatchUpWindows: parseNumber(process.env.TELEMETRY_ROLLUP_CATCHUP_WINDOWS, 1),
+    retention: {
+      rawDays: parseNumber(process.env.TELEMETRY_RETENTION_DAYS, 0),
+      rollupDays: parseNumber(process.env.TELEMETRY_ROLLUP_RETENTION_DAYS, 0),
+      rollupWindowDays: parseRetentionWindows(process.env.TELEMETRY_ROLLUP_RETENTION_WINDOWS),
+      batchSize: parseNumber(process.env.TELEMETRY_RETENTION_BATCH_SIZE, 5_000),
+      intervalMs: parseNumber(process.env.TELEMETRY_RETENTION_INTERVAL_MS, 60 * 60_000)
+    }
+  },
+  writeBuffer: {
+    enabled: parseBoolean(process.env.TELEMETRY_WRITE_BUFFER_ENABLED, true),
+    batchSize: parseNumber(process.env.TELEMETRY_WRITE_BATCH_SIZE, 500),
+    flushIntervalMs: parseNumber(process.env.TELEMETRY_WRITE_FLUSH_INTERVAL_MS, 250),
+    maxQueueSize: parseNumber(process.env.TELEMETRY_WRITE_QUEUE_SIZE, 10_000),
+    dropPolicy: process.env.TELEMETRY_WRITE_DROP_POLICY || 'drop_oldest'
+  },
+  trips: {
+    idleEndMs: parseNumber(process.env.TRIP_IDLE_END_MS, 5 * 60_000),
+    maxGapMs: parseNumber(process.env.TRIP_MAX_GAP_MS, 10 * 60_000),
+    minDistanceKm: parseNumber(process.env.TRIP_MIN_DISTANCE_KM, 0)
   },
   grpc: {
     enabled: parseBoolean(process.env.GRPC_ENABLED, true),
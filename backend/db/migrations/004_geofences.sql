@@ -0,0 +1,26 @@
+CREATE TABLE IF NOT EXISTS geofences (
+  geofence_id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  category TEXT,
+  shape TEXT NOT NULL,
+  geometry_json TEXT NOT NULL,
+  created_at DATETIME NOT NULL,
+  updated_at DATETIME NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS geofence_events (
+  event_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  geofence_id TEXT NOT NULL REFERENCES geofences(geofence_id) ON DELETE CASCADE,
+  vehicle_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  recorded_at DATETIME NOT NULL,
+  latitude REAL NOT NULL,
+  longitude REAL NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_geofence_events_geofence_time
+  ON geofence_events(geofence_id, recorded_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_geofence_events_vehicle_time
+  ON geofence_events(vehicle_id, recorded_at DESC);
@@ -0,0 +1,23 @@
+CREATE TABLE IF NOT EXISTS alerts (
+  alert_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  vehicle_id TEXT NOT NULL,
+  rule TEXT NOT NULL,
+  severity TEXT NOT NULL,
+  message TEXT NOT NULL,
+  value REAL,
+  threshold REAL,
+  raised_at DATETIME NOT NULL,
+  cleared_at DATETIME,
+  acknowledged_at DATETIME,
+  acknowledged_by TEXT,
+  created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now'))
+);
+
+-- At most one open alert per vehicle and rule; repeated breaches update nothing
+-- until the alert clears.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alerts_open_vehicle_rule
+  ON alerts(vehicle_id, rule)
+  WHERE cleared_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_alerts_raised_at
+  ON alerts(raised_at DESC);
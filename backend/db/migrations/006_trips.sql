@@ -0,0 +1,33 @@
+CREATE TABLE IF NOT EXISTS trips (
+  trip_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  vehicle_id TEXT NOT NULL,
+  status TEXT NOT NULL,
+  started_at DATETIME NOT NULL,
+  ended_at DATETIME,
+  end_reason TEXT,
+  start_latitude REAL NOT NULL,
+  start_longitude REAL NOT NULL,
+  end_latitude REAL,
+  end_longitude REAL,
+  distance_km REAL NOT NULL DEFAULT 0,
+  max_speed_kmh REAL NOT NULL DEFAULT 0,
+  speed_sum_kmh REAL NOT NULL DEFAULT 0,
+  sample_count INTEGER NOT NULL DEFAULT 0,
+  start_fuel_level REAL,
+  end_fuel_level REAL,
+  fuel_used REAL NOT NULL DEFAULT 0,
+  last_recorded_at DATETIME NOT NULL,
+  idle_since DATETIME,
+  created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now'))
+);
+
+-- A vehicle has at most one trip in progress.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_trips_active_vehicle
+  ON trips(vehicle_id)
+  WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_trips_vehicle_started
+  ON trips(vehicle_id, started_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_trips_started
+  ON trips(started_at DESC);
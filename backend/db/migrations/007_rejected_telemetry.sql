@@ -0,0 +1,16 @@
+CREATE TABLE IF NOT EXISTS rejected_telemetry (
+  rejection_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  topic TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  error TEXT,
+  payload BLOB NOT NULL,
+  payload_format TEXT,
+  payload_size INTEGER NOT NULL,
+  received_at DATETIME NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rejected_telemetry_reason
+  ON rejected_telemetry(reason, rejection_id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_rejected_telemetry_received_at
+  ON rejected_telemetry(received_at DESC);
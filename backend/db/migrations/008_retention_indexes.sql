@@ -0,0 +1,6 @@
+-- Retention deletes walk events and rollups by age.
+CREATE INDEX IF NOT EXISTS idx_events_recorded_at
+  ON telemetry_events(recorded_at);
+
+CREATE INDEX IF NOT EXISTS idx_rollups_bucket_end
+  ON telemetry_rollups(bucket_end);
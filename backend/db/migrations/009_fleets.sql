@@ -0,0 +1,17 @@
+-- Every vehicle belongs to one fleet, taken from the MQTT topic it reports
+-- on. Rows written before fleets existed have no fleet; a vehicle without
+-- one joins the fleet of the next message it sends.
+ALTER TABLE vehicles
+  ADD COLUMN fleet_id TEXT;
+
+ALTER TABLE telemetry_events
+  ADD COLUMN fleet_id TEXT;
+
+ALTER TABLE rejected_telemetry
+  ADD COLUMN fleet_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_vehicles_fleet
+  ON vehicles(fleet_id, vehicle_id);
+
+CREATE INDEX IF NOT EXISTS idx_events_fleet_time
+  ON telemetry_events(fleet_id, recorded_at);
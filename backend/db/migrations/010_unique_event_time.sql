@@ -0,0 +1,23 @@
+-- A vehicle reports at most one event per timestamp; devices replaying
+-- buffered data must not double-count samples. Existing duplicates keep
+-- their oldest row, and distance caches pointing at a dropped duplicate move
+-- to the row that stays.
+UPDATE telemetry_distance_cache
+   SET last_event_id = (
+     SELECT MIN(kept.event_id)
+       FROM telemetry_events AS cached
+       JOIN telemetry_events AS kept
+         ON kept.vehicle_id = cached.vehicle_id AND kept.recorded_at = cached.recorded_at
+      WHERE cached.event_id = telemetry_distance_cache.last_event_id
+   )
+ WHERE last_event_id IN (SELECT event_id FROM telemetry_events);
+
+DELETE FROM telemetry_events
+ WHERE event_id NOT IN (
+   SELECT MIN(event_id)
+     FROM telemetry_events
+    GROUP BY vehicle_id, recorded_at
+ );
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_events_vehicle_recorded
+  ON telemetry_events(vehicle_id, recorded_at);
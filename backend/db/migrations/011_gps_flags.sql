@@ -0,0 +1,5 @@
+-- Fixes flagged by the GPS plausibility filter keep their reported position
+-- for history. `gps_flags` lists the flags (comma-separated); outliers are
+-- also marked in `gps_outlier` so distance bookkeeping can skip them.
+ALTER TABLE telemetry_events ADD COLUMN gps_flags TEXT;
+ALTER TABLE telemetry_events ADD COLUMN gps_outlier INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,9 @@
+-- Optional fields of telemetry schema version 2. Core readings get their own
+-- columns; custom sensor readings are kept as a JSON object.
+ALTER TABLE telemetry_events ADD COLUMN heading_deg REAL;
+ALTER TABLE telemetry_events ADD COLUMN altitude_m REAL;
+ALTER TABLE telemetry_events ADD COLUMN odometer_km REAL;
+ALTER TABLE telemetry_events ADD COLUMN battery_level REAL;
+ALTER TABLE telemetry_events ADD COLUMN cargo_temperature_c REAL;
+ALTER TABLE telemetry_events ADD COLUMN door_state TEXT;
+ALTER TABLE telemetry_events ADD COLUMN sensors_json TEXT;
@@ -0,0 +1,63 @@
+-- Electric vehicles report a battery level instead of a fuel level, so
+-- fuel_level becomes nullable. SQLite cannot relax a NOT NULL constraint in
+-- place, so telemetry_events is rebuilt. Dropping the old table cascades to
+-- telemetry_distance_cache, which is saved first and restored afterwards.
+CREATE TABLE telemetry_events_rebuilt (
+  event_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  vehicle_id TEXT NOT NULL REFERENCES vehicles(vehicle_id) ON DELETE CASCADE,
+  recorded_at DATETIME NOT NULL,
+  ingest_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+  latitude REAL NOT NULL,
+  longitude REAL NOT NULL,
+  speed_kmh REAL NOT NULL,
+  fuel_level REAL,
+  engine_status TEXT NOT NULL,
+  distance_km REAL NOT NULL DEFAULT 0,
+  fleet_id TEXT,
+  gps_flags TEXT,
+  gps_outlier INTEGER NOT NULL DEFAULT 0,
+  heading_deg REAL,
+  altitude_m REAL,
+  odometer_km REAL,
+  battery_level REAL,
+  cargo_temperature_c REAL,
+  door_state TEXT,
+  sensors_json TEXT,
+  charging_status TEXT,
+  -- Battery percentage points used since the vehicle's previous event;
+  -- negative while regenerating, NULL for vehicles without a battery.
+  energy_used_pct REAL
+);
+
+INSERT INTO telemetry_events_rebuilt (
+  event_id, vehicle_id, recorded_at, ingest_at, latitude, longitude, speed_kmh, fuel_level, engine_status,
+  distance_km, fleet_id, gps_flags, gps_outlier, heading_deg, altitude_m, odometer_km, battery_level,
+  cargo_temperature_c, door_state, sensors_json
+)
+SELECT event_id, vehicle_id, recorded_at, ingest_at, latitude, longitude, speed_kmh, fuel_level, engine_status,
+       distance_km, fleet_id, gps_flags, gps_outlier, heading_deg, altitude_m, odometer_km, battery_level,
+       cargo_temperature_c, door_state, sensors_json
+  FROM telemetry_events;
+
+CREATE TEMP TABLE distance_cache_backup AS SELECT * FROM telemetry_distance_cache;
+
+DROP TABLE telemetry_events;
+ALTER TABLE telemetry_events_rebuilt RENAME TO telemetry_events;
+
+INSERT INTO telemetry_distance_cache (vehicle_id, last_event_id, cumulative_km)
+SELECT vehicle_id, last_event_id, cumulative_km FROM distance_cache_backup;
+DROP TABLE distance_cache_backup;
+
+CREATE INDEX IF NOT EXISTS idx_events_vehicle_time
+  ON telemetry_events(vehicle_id, recorded_at DESC);
+CREATE INDEX IF NOT EXISTS idx_events_ingest_time
+  ON telemetry_events(ingest_at);
+CREATE INDEX IF NOT EXISTS idx_events_recorded_at
+  ON telemetry_events(recorded_at);
+CREATE INDEX IF NOT EXISTS idx_events_fleet_time
+  ON telemetry_events(fleet_id, recorded_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_events_vehicle_recorded
+  ON telemetry_events(vehicle_id, recorded_at);
+
+ALTER TABLE telemetry_rollups ADD COLUMN min_battery_level REAL;
+ALTER TABLE telemetry_rollups ADD COLUMN total_energy_used_pct REAL;
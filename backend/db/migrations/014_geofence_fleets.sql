@@ -0,0 +1,8 @@
+-- A geofence either belongs to one fleet and only sees that fleet's
+-- vehicles, or has no fleet and applies to every fleet. Geofences created
+-- before fleets existed have none.
+ALTER TABLE geofences
+  ADD COLUMN fleet_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_geofences_fleet
+  ON geofences(fleet_id, geofence_id);
@@ -0,0 +1,9 @@
+-- Times (epoch seconds) whose rollup buckets late events made stale. Rows
+-- are written with the late event and removed once the buckets have been
+-- recomputed, so restarts and the separate rollup worker see them too.
+-- `marks` changes whenever another late event lands on the same time, so a
+-- recompute only clears the marks it read.
+CREATE TABLE IF NOT EXISTS telemetry_rollup_dirty (
+  epoch INTEGER PRIMARY KEY,
+  marks INTEGER NOT NULL DEFAULT 1
+);
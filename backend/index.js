@@ -7,22 +7,53 @@ const { createMqttService } = require('./services/mqtt-service');
 const { createDatabase } = require('./db');
 const { createTelemetryRepository } = require('./services/telemetry-repository');
 const { createGrpcService } = require('./services/grpc-service');
+const { createGeofenceService } = require('./services/geofence-service');
+const { createVehicleRegistry } = require('./services/vehicle-registry');
+const { createAlertService } = require('./services/alert-service');
+const { createDeadLetterService } = require('./services/dead-letter-service');
+const { createTelemetryWriteBuffer } = require('./services/telemetry-write-buffer');
+const { createMetricsService } = require('./services/metrics-service');
+const { createAuthService } = require('./services/auth-service');
 
 const state = {
   mqttConnected: false,
   totalMessages: 0,
   invalidMessages: 0,
+  staleMessages: 0,
+  gpsFlagged: {},
   messageTimestamps: [],
   grpcStreams: 0
 };
 
+// Gauges read these lazily at scrape time, after everything is wired up.
+const metrics = config.metrics.enabled
+  ? createMetricsService({
+    state,
+    getClientCount: () => (websocketService ? websocketService.clientCount() : 0),
+    getVehicleCount: () => vehicleStore.size(),
+    getWriteBufferMetrics: () => telemetryWriteBuffer?.getMetrics()
+  })
+  : null;
+
 const { db, close: closeDatabase } = createDatabase({ config, logger });
-const telemetryRepository = createTelemetryRepository({ db, logger, config });
+const telemetryRepository = createTelemetryRepository({ db, logger, config, metrics });
 telemetryRepository.startRollupScheduler();
+const telemetryWriteBuffer = config.writeBuffer.enabled
+  ? createTelemetryWriteBuffer({ telemetryRepository, logger, config: config.writeBuffer, metrics })
+  : null;
+const geofenceService = createGeofenceService({ db, logger });
+const vehicleRegistry = createVehicleRegistry({ db, logger });
+const alertService = config.alerts.enabled ? createAlertService({ db, logger, config: config.alerts }) : null;
+const deadLetterService = config.deadLetter.enabled
+  ? createDeadLetterService({ db, logger, config: config.deadLetter })
+  : null;
+
+const authService = config.auth.enabled ? createAuthService({ config: config.auth, logger }) : null;
 
 const vehicleStore = new VehicleStore({
   limit: config.cacheLimit,
   ttlMs: config.vehicleTtlMs,
+  sweepIntervalMs: alertService ? config.alerts.sweepIntervalMs : 0,
   logger
 });
 
@@ -34,6 +65,13 @@ const httpServer = createApiServer({
   state,
   vehicleStore,
   telemetryRepository,
+  telemetryWriteBuffer,
+  geofenceService,
+  vehicleRegistry,
+  alertService,
+  deadLetterService,
+  metrics,
+  authService,
   getClientCount: () => (websocketService ? websocketService.clientCount() : 0)
 });
 
@@ -42,20 +80,49 @@ websocketService = createWebSocketService({
   path: config.websocket.path,
   logger,
   vehicleStore,
-  payloadVersion: config.websocket.payloadVersion
+  vehicleRegistry,
+  payloadVersion: config.websocket.payloadVersion,
+  batchIntervalMs: config.websocket.batchIntervalMs,
+  perMessageDeflate: config.websocket.perMessageDeflate,
+  compressionThresholdBytes: config.websocket.compressionThresholdBytes,
+  authService,
+  allowedOrigins: config.http.corsAllowedOrigins,
+  metrics
+});
+
+vehicleRegistry.setOnChange(vehicleId => {
+  const vehicle = vehicleStore.get(vehicleId);
+  if (vehicle) {
+    websocketService.broadcastUpdate(vehicle);
+  }
 });
 
 vehicleStore.setOnExpire(vehicleId => {
+  alertService?.forgetVehicle(vehicleId);
   websocketService.broadcastRemoval(vehicleId);
 });
 
+if (alertService) {
+  vehicleStore.setOnSweep((vehicles, now) => {
+    for (const event of alertService.evaluateSilence(vehicles, now)) {
+      websocketService.broadcastAlert(event);
+    }
+  });
+}
+
 const mqttService = createMqttService({
   config,
   logger,
   vehicleStore,
+  vehicleRegistry,
   websocketService,
   state,
-  telemetryRepository
+  telemetryRepository,
+  telemetryWriteBuffer,
+  geofenceService,
+  alertService,
+  deadLetterService,
+  metrics
 });
 
 let grpcService = null;
@@ -64,9 +131,11 @@ try {
     config,
     logger,
     vehicleStore,
+    vehicleRegistry,
     telemetryRepository,
     state,
-    getClientCount: () => (websocketService ? websocketService.clientCount() : 0)
+    getClientCount: () => (websocketService ? websocketService.clientCount() : 0),
+    authService
   });
 } catch (err) {
   logger.error({ err }, 'Failed to initialise gRPC service');
@@ -98,6 +167,11 @@ function shutdown() {
   mqttService.disconnect(() => {
     logger.info('MQTT client disconnected');
     telemetryRepository.stopRollupScheduler();
+    if (telemetryWriteBuffer) {
+      const { queueDepth } = telemetryWriteBuffer.getMetrics();
+      telemetryWriteBuffer.close();
+      logger.info({ flushed: queueDepth }, 'Telemetry write buffer flushed');
+    }
 
     const finalize = () => {
       closeDatabase();
@@ -0,0 +1,42 @@
+// Reads credentials from an HTTP request or WebSocket upgrade. Browsers cannot
+// set headers on WebSocket connections, so `/stream` also accepts an
+// `access_token` query parameter.
+function readCredentials(req, url, { allowQueryToken = false } = {}) {
+  return {
+    authorization: req.headers?.authorization ?? null,
+    apiKey: req.headers?.['x-api-key'] ?? null,
+    accessToken: allowQueryToken ? url?.searchParams.get('access_token') ?? null : null
+  };
+}
+
+// Checks that the credentials carry `scope`. Returns the principal, or the
+// HTTP status to answer with: 401 when the caller is unknown, 403 when it
+// lacks the scope.
+function checkAccess(authService, credentials, scope) {
+  const result = authService.authenticate(credentials);
+  if (!result.ok) {
+    return { ok: false, statusCode: 401, error: result.error };
+  }
+  if (!authService.authorize(result.value, scope)) {
+    return { ok: false, statusCode: 403, error: `scope "${scope}" required` };
+  }
+  return { ok: true, value: result.value };
+}
+
+// Works out which fleets a request may read: the fleets it asked for
+// (`requested`, e.g. from `?fleetId=`), narrowed to the principal's. Returns
+// null when neither limits it, or a 403 when it asks for a fleet the
+// principal may not read. `principal` is null when auth is off.
+function resolveFleetScope(principal, requested = []) {
+  const allowed = principal?.fleets ?? null;
+  if (requested.length === 0) {
+    return { ok: true, value: allowed ? Array.from(allowed) : null };
+  }
+  const denied = allowed ? requested.filter(fleetId => !allowed.has(fleetId)) : [];
+  if (denied.length > 0) {
+    return { ok: false, statusCode: 403, error: `fleet "${denied[0]}" not allowed` };
+  }
+  return { ok: true, value: Array.from(new Set(requested)) };
+}
+
+module.exports = { checkAccess, readCredentials, resolveFleetScope };
@@ -0,0 +1,57 @@
+const { createHttpError } = require('./error-handler');
+
+const DEFAULT_LIMIT_BYTES = 64 * 1024;
+
+function readJsonBody(req, { limitBytes = DEFAULT_LIMIT_BYTES } = {}) {
+  const contentType = String(req.headers?.['content-type'] || '').toLowerCase();
+  if (contentType && !contentType.includes('json')) {
+    return Promise.reject(createHttpError(415, 'Content-Type must be application/json'));
+  }
+
+  const declaredLength = Number(req.headers?.['content-length']);
+  if (Number.isFinite(declaredLength) && declaredLength > limitBytes) {
+    return Promise.reject(createHttpError(413, 'Request body too large'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let received = 0;
+    let settled = false;
+
+    const settle = (fn, value) => {
+      if (!settled) {
+        settled = true;
+        fn(value);
+      }
+    };
+
+    req.on('data', chunk => {
+      if (settled) {
+        return;
+      }
+      received += chunk.length;
+      if (received > limitBytes) {
+        settle(reject, createHttpError(413, 'Request body too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (raw.trim() === '') {
+        settle(resolve, undefined);
+        return;
+      }
+      try {
+        settle(resolve, JSON.parse(raw));
+      } catch (err) {
+        settle(reject, createHttpError(400, 'Request body must be valid JSON'));
+      }
+    });
+
+    req.on('error', err => settle(reject, err));
+  });
+}
+
+module.exports = { readJsonBody, DEFAULT_LIMIT_BYTES };
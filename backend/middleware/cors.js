@@ -1,9 +1,23 @@
-function applyCors(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+const DEFAULT_METHODS = ['GET'];
+const ALLOWED_HEADERS = ['Content-Type', 'Authorization', 'X-API-Key'];
+
+// `allowedOrigins` lists exact origins (`https://ops.example.com`) or `*`.
+// A listed origin is echoed back; requests from other origins get no CORS
+// headers, so browsers refuse to hand them the response.
+function applyCors(req, res, { allowedMethods = DEFAULT_METHODS, allowedOrigins = ['*'] } = {}) {
+  const methods = Array.from(new Set([...allowedMethods, 'OPTIONS']));
+  const origin = resolveAllowedOrigin(req.headers?.origin, allowedOrigins);
+  if (origin) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', methods.join(','));
+    res.setHeader('Access-Control-Allow-Headers', ALLOWED_HEADERS.join(','));
+  }
+  if (origin !== '*') {
+    res.setHeader('Vary', 'Origin');
+  }
 
   if ((req.method || 'GET').toUpperCase() === 'OPTIONS') {
+    res.setHeader('Access-Control-Max-Age', '600');
     res.statusCode = 204;
     res.end();
     return true;
@@ -12,4 +26,17 @@ function applyCors(req, res) {
   return false;
 }
 
-module.exports = { applyCors };
+function resolveAllowedOrigin(origin, allowedOrigins) {
+  if (allowedOrigins.includes('*')) {
+    return '*';
+  }
+  return origin && allowedOrigins.includes(origin) ? origin : null;
+}
+
+// Same rule for non-CORS checks such as WebSocket upgrades; requests without
+// an Origin header (non-browser clients) are always allowed.
+function isOriginAllowed(origin, allowedOrigins = ['*']) {
+  return !origin || resolveAllowedOrigin(origin, allowedOrigins) !== null;
+}
+
+module.exports = { applyCors, isOriginAllowed };
@@ -1,4 +1,15 @@
 function handleRequestError(err, req, res, logger) {
+  if (Number.isInteger(err?.statusCode) && err.statusCode < 500) {
+    if (!res.headersSent) {
+      res.statusCode = err.statusCode;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ error: err.message }));
+    } else {
+      res.end();
+    }
+    return;
+  }
+
   logger.error({ err, url: req?.url }, 'Unhandled request error');
   if (!res.headersSent) {
     res.statusCode = 500;
@@ -9,4 +20,10 @@ function handleRequestError(err, req, res, logger) {
   }
 }
 
-module.exports = { handleRequestError };
+function createHttpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = { handleRequestError, createHttpError };
@@ -1,65 +1,173 @@
 const http = require('node:http');
 const { URL } = require('node:url');
 const { applyCors } = require('../middleware/cors');
+const { checkAccess, readCredentials, resolveFleetScope } = require('../middleware/auth');
 const { handleRequestError } = require('../middleware/error-handler');
+const { readJsonBody, DEFAULT_LIMIT_BYTES } = require('../middleware/body-parser');
 const { calculateRate } = require('../utils/message-metrics');
+const { validateGeofence, validateVehicleMetadata } = require('../utils/validation');
+const { pickExtendedTelemetry } = require('../utils/telemetry-schema');
+const { ALERT_STATUSES } = require('../services/alert-service');
+const { REJECTION_REASON_VALUES } = require('../services/dead-letter-service');
+const { OPENMETRICS_CONTENT_TYPE, PROMETHEUS_CONTENT_TYPE, prefersOpenMetrics } = require('../utils/prometheus');
+const { TRIP_STATUSES } = require('../services/telemetry-repository');
+const { SCOPES } = require('../services/auth-service');
+const { DEFAULT_FLEET_ID, isFleetAllowed, isValidFleetId } = require('../utils/fleet');
+const { createRouter } = require('./router');
+
+const BODY_METHODS = new Set(['POST', 'PUT', 'PATCH']);
+
+const PUBLIC = 'public';
+
+// Scope each route requires when auth is enabled. Routes missing here need
+// `admin`, so new endpoints stay closed until they are listed.
+const ROUTE_SCOPES = {
+  'GET /healthz': PUBLIC,
+  'GET /readyz': PUBLIC,
+  'GET /stats': SCOPES.READ_LIVE,
+  'GET /vehicles': SCOPES.READ_LIVE,
+  'GET /vehicles/:id': SCOPES.READ_LIVE,
+  'GET /geofences': SCOPES.READ_LIVE,
+  'GET /geofences/:id': SCOPES.READ_LIVE,
+  'GET /alerts': SCOPES.READ_LIVE,
+  'GET /alerts/:id': SCOPES.READ_LIVE,
+  'GET /telemetry/summary': SCOPES.READ_HISTORY,
+  'GET /telemetry/history': SCOPES.READ_HISTORY,
+  'GET /trips': SCOPES.READ_HISTORY,
+  'GET /trips/:id': SCOPES.READ_HISTORY,
+  'GET /geofence-events': SCOPES.READ_HISTORY
+};
+
+function createApiServer({
+  config,
+  logger,
+  state,
+  vehicleStore,
+  telemetryRepository,
+  telemetryWriteBuffer,
+  geofenceService,
+  vehicleRegistry,
+  alertService,
+  deadLetterService,
+  metrics,
+  authService,
+  getClientCount
+}) {
+  const allowedOrigins = config.http?.corsAllowedOrigins?.length > 0 ? config.http.corsAllowedOrigins : ['*'];
+  const maxBodyBytes = config.http?.maxBodyBytes > 0 ? config.http.maxBodyBytes : DEFAULT_LIMIT_BYTES;
+  const router = createRouter()
+    .get('/healthz', ({ res }) => sendJson(res, { status: 'ok' }))
+    .get('/readyz', ({ res }) => sendJson(res, {
+      status: state.mqttConnected ? 'ready' : 'not_ready'
+    }, state.mqttConnected ? 200 : 503))
+    .get('/stats', ({ res, fleetIds }) => sendJson(res, buildStats({
+      config,
+      state,
+      vehicleStore,
+      fleetIds,
+      getClientCount,
+      telemetryRepository,
+      telemetryWriteBuffer
+    })))
+    .get('/telemetry/summary', ({ res, url, fleetIds }) => handleTelemetrySummary({
+      res,
+      url,
+      fleetIds,
+      config,
+      logger,
+      telemetryRepository
+    }))
+    .get('/telemetry/history', ({ res, url, fleetIds }) => handleTelemetryHistory({
+      res,
+      url,
+      fleetIds,
+      telemetryRepository,
+      config,
+      logger
+    }));
+
+  if (telemetryRepository) {
+    registerTripRoutes(router, { telemetryRepository });
+  }
+
+  if (geofenceService) {
+    registerGeofenceRoutes(router, { geofenceService });
+  }
+
+  if (vehicleRegistry) {
+    registerVehicleRoutes(router, { vehicleRegistry, vehicleStore });
+  }
+
+  if (alertService) {
+    registerAlertRoutes(router, { alertService });
+  }
+
+  if (deadLetterService) {
+    registerDeadLetterRoutes(router, { deadLetterService });
+  }
+
+  if (metrics) {
+    router.get('/metrics', ({ req, res }) => {
+      const openMetrics = prefersOpenMetrics(req.headers.accept);
+      res.statusCode = 200;
+      res.setHeader('Content-Type', openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE);
+      res.end(metrics.render({ openMetrics }));
+    });
+  }
 
-function createApiServer({ config, logger, state, vehicleStore, telemetryRepository, getClientCount }) {
   const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(err => handleRequestError(err, req, res, logger));
+  });
+
+  async function handleRequest(req, res) {
+    const method = (req.method || 'GET').toUpperCase();
+
+    let parsedUrl;
+    let pathname = '/';
     try {
-      if (applyCors(req, res)) {
-        return;
-      }
-
-      const method = (req.method || 'GET').toUpperCase();
-      if (method !== 'GET') {
-        res.statusCode = 405;
-        res.setHeader('Allow', 'GET,OPTIONS');
-        return sendJson(res, { error: 'Method not allowed' });
-      }
-
-      let parsedUrl;
-      let pathname = '/';
-      try {
-        parsedUrl = new URL(req.url || '/', `http://${req.headers.host || 'localhost'}`);
-        pathname = parsedUrl.pathname;
-      } catch (err) {
-        logger.warn({ err, url: req.url }, 'Failed to parse request URL');
-      }
-
-      switch (pathname) {
-        case '/healthz':
-          return sendJson(res, { status: 'ok' });
-        case '/readyz':
-          return sendJson(res, {
-            status: state.mqttConnected ? 'ready' : 'not_ready'
-          }, state.mqttConnected ? 200 : 503);
-        case '/stats':
-          return sendJson(res, buildStats({ config, state, vehicleStore, getClientCount }));
-        case '/telemetry/summary':
-          return handleTelemetrySummary({
-            res,
-            url: parsedUrl,
-            config,
-            logger,
-            telemetryRepository
-          });
-        case '/telemetry/history':
-          return handleTelemetryHistory({
-            res,
-            url: parsedUrl,
-            telemetryRepository,
-            config,
-            logger
-          });
-        default:
-          res.statusCode = 404;
-          return sendJson(res, { error: 'Not found' });
-      }
+      parsedUrl = new URL(req.url || '/', `http://${req.headers.host || 'localhost'}`);
+      pathname = parsedUrl.pathname;
     } catch (err) {
-      handleRequestError(err, req, res, logger);
+      logger.warn({ err, url: req.url }, 'Failed to parse request URL');
     }
-  });
+
+    const allowedMethods = router.allowedMethods(pathname);
+    if (applyCors(req, res, { allowedMethods: allowedMethods.length > 0 ? allowedMethods : undefined, allowedOrigins })) {
+      return;
+    }
+
+    const match = router.match(method, pathname);
+    if (!match) {
+      return sendJson(res, { error: 'Not found' }, 404);
+    }
+    if (!match.handler) {
+      res.setHeader('Allow', [...match.allowedMethods, 'OPTIONS'].join(','));
+      return sendJson(res, { error: 'Method not allowed' }, 405);
+    }
+
+    const scope = ROUTE_SCOPES[`${method} ${match.pattern}`] ?? SCOPES.ADMIN;
+    let principal = null;
+    if (authService && scope !== PUBLIC) {
+      const access = checkAccess(authService, readCredentials(req, parsedUrl), scope);
+      if (!access.ok) {
+        if (access.statusCode === 401) {
+          res.setHeader('WWW-Authenticate', 'Bearer');
+        }
+        return sendJson(res, { error: access.error }, access.statusCode);
+      }
+      principal = access.value;
+    }
+
+    // Handlers get the fleets the caller may read as `fleetIds`, or null
+    // when it may read them all.
+    const fleetScope = resolveFleetScope(principal, parseListParam(parsedUrl?.searchParams, 'fleetId'));
+    if (!fleetScope.ok) {
+      return sendJson(res, { error: fleetScope.error }, fleetScope.statusCode);
+    }
+
+    const body = BODY_METHODS.has(method) ? await readJsonBody(req, { limitBytes: maxBodyBytes }) : undefined;
+    return match.handler({ req, res, url: parsedUrl, params: match.params, body, fleetIds: fleetScope.value });
+  }
 
   server.on('clientError', (err, socket) => {
     logger.warn({ err }, 'HTTP client error');
@@ -69,25 +177,322 @@ function createApiServer({ config, logger, state, vehicleStore, telemetryReposit
   return server;
 }
 
+function registerTripRoutes(router, { telemetryRepository }) {
+  router
+    .get('/trips', ({ res, url, fleetIds }) => {
+      const params = url?.searchParams;
+      const status = (params?.get('status') || 'all').toLowerCase();
+      if (status !== 'all' && !TRIP_STATUSES.includes(status)) {
+        return sendJson(res, { error: `status must be one of: all, ${TRIP_STATUSES.join(', ')}` }, 400);
+      }
+      const limit = clampPositiveInt(params?.get('limit'), 100);
+      const range = resolveTimeRange(params, 86_400);
+      if (!range.ok) {
+        return sendJson(res, { error: range.error }, range.statusCode);
+      }
+      const { start, end } = range.value;
+      const vehicleIds = parseVehicleIds(params);
+      const tags = parseTags(params);
+
+      const result = telemetryRepository.queryTrips({
+        vehicleIds,
+        tags,
+        fleetIds,
+        status,
+        start,
+        end,
+        limit,
+        pageToken: params?.get('pageToken') || undefined
+      });
+
+      return sendJson(res, {
+        range: { start, end },
+        vehicleIds,
+        tags,
+        fleetIds,
+        status,
+        limit,
+        nextPageToken: result.nextPageToken,
+        trips: result.trips
+      });
+    })
+    .get('/trips/:id', ({ res, params, fleetIds }) => {
+      const tripId = Number(params.id);
+      const trip = Number.isInteger(tripId) && tripId > 0 ? telemetryRepository.getTrip(tripId) : null;
+      return trip && isFleetAllowed(fleetIds, trip.fleetId)
+        ? sendJson(res, trip)
+        : sendJson(res, { error: 'Trip not found' }, 404);
+    });
+}
+
+function registerGeofenceRoutes(router, { geofenceService }) {
+  router
+    .get('/geofences', ({ res, fleetIds }) => sendJson(res, { geofences: geofenceService.listGeofences({ fleetIds }) }))
+    .post('/geofences', ({ res, body, fleetIds }) => {
+      const validation = validateGeofence(body);
+      if (!validation.ok) {
+        return sendJson(res, { error: validation.error }, 400);
+      }
+      const fleet = resolveNewOwnerFleet(body.fleetId, fleetIds);
+      if (!fleet.ok) {
+        return sendJson(res, { error: fleet.error }, fleet.statusCode);
+      }
+      return sendJson(res, geofenceService.createGeofence(validation.value, { fleetId: fleet.value }), 201);
+    })
+    .get('/geofences/:id', ({ res, params, fleetIds }) => {
+      const geofence = geofenceService.getGeofence(params.id, { fleetIds });
+      return geofence ? sendJson(res, geofence) : sendJson(res, { error: 'Geofence not found' }, 404);
+    })
+    .put('/geofences/:id', ({ res, params, body, fleetIds }) => {
+      const validation = validateGeofence(body);
+      if (!validation.ok) {
+        return sendJson(res, { error: validation.error }, 400);
+      }
+      const geofence = geofenceService.updateGeofence(params.id, validation.value, { fleetIds });
+      return geofence ? sendJson(res, geofence) : sendJson(res, { error: 'Geofence not found' }, 404);
+    })
+    .delete('/geofences/:id', ({ res, params, fleetIds }) => {
+      if (!geofenceService.deleteGeofence(params.id, { fleetIds })) {
+        return sendJson(res, { error: 'Geofence not found' }, 404);
+      }
+      return sendEmpty(res);
+    })
+    .get('/geofence-events', ({ res, url, fleetIds }) => handleGeofenceEvents({ res, url, fleetIds, geofenceService }));
+}
+
+function registerVehicleRoutes(router, { vehicleRegistry, vehicleStore }) {
+  router
+    .get('/vehicles', ({ res, url, fleetIds }) => {
+      const params = url?.searchParams;
+      const tags = parseTags(params);
+      const depot = params?.get('depot') || null;
+      const limit = clampPositiveInt(params?.get('limit'), 100);
+      const offset = clampPositiveInt(params?.get('offset'), 0);
+      const vehicles = vehicleRegistry
+        .listVehicles({ tags, depot, fleetIds, limit, offset })
+        .map(vehicle => withLiveState(vehicle, vehicleStore));
+      return sendJson(res, { tags, depot, fleetIds, limit, offset, vehicles });
+    })
+    .post('/vehicles', ({ res, body, fleetIds }) => {
+      const vehicleId = typeof body?.vehicleId === 'string' ? body.vehicleId.trim() : '';
+      if (!vehicleId) {
+        return sendJson(res, { error: 'vehicleId must be a non-empty string' }, 400);
+      }
+      const fleet = resolveNewOwnerFleet(body.fleetId, fleetIds);
+      if (!fleet.ok) {
+        return sendJson(res, { error: fleet.error }, fleet.statusCode);
+      }
+      // Vehicles that already reported from another fleet cannot be claimed.
+      const ownerFleetId = vehicleRegistry.getFleetId(vehicleId);
+      if (vehicleRegistry.getMetadata(vehicleId) || (ownerFleetId && fleet.value && ownerFleetId !== fleet.value)) {
+        return sendJson(res, { error: 'Vehicle already registered' }, 409);
+      }
+      const { vehicleId: _ignored, fleetId: _fleetId, ...metadataInput } = body;
+      const validation = validateVehicleMetadata(metadataInput);
+      if (!validation.ok) {
+        return sendJson(res, { error: validation.error }, 400);
+      }
+      const vehicle = vehicleRegistry.saveMetadata(vehicleId, validation.value, { fleetId: fleet.value });
+      return sendJson(res, withLiveState(vehicle, vehicleStore), 201);
+    })
+    .get('/vehicles/:id', ({ res, params, fleetIds }) => {
+      const vehicle = vehicleRegistry.getVehicle(params.id);
+      if (!vehicle || !isFleetAllowed(fleetIds, vehicle.fleetId)) {
+        return sendJson(res, { error: 'Vehicle not found' }, 404);
+      }
+      return sendJson(res, withLiveState(vehicle, vehicleStore));
+    })
+    .put('/vehicles/:id', ({ res, params, body, fleetIds }) => {
+      const ownerFleetId = vehicleRegistry.getFleetId(params.id);
+      if (ownerFleetId && !isFleetAllowed(fleetIds, ownerFleetId)) {
+        return sendJson(res, { error: 'Vehicle not found' }, 404);
+      }
+      const fleet = ownerFleetId ? { ok: true, value: ownerFleetId } : resolveNewOwnerFleet(undefined, fleetIds);
+      if (!fleet.ok) {
+        return sendJson(res, { error: fleet.error }, fleet.statusCode);
+      }
+      const validation = validateVehicleMetadata(body?.metadata ?? body);
+      if (!validation.ok) {
+        return sendJson(res, { error: validation.error }, 400);
+      }
+      const vehicle = vehicleRegistry.saveMetadata(params.id, validation.value, { fleetId: fleet.value });
+      return sendJson(res, withLiveState(vehicle, vehicleStore));
+    });
+}
+
+function registerAlertRoutes(router, { alertService }) {
+  router
+    .get('/alerts', ({ res, url, fleetIds }) => {
+      const params = url?.searchParams;
+      const status = (params?.get('status') || 'active').toLowerCase();
+      if (!ALERT_STATUSES.includes(status)) {
+        return sendJson(res, { error: `status must be one of: ${ALERT_STATUSES.join(', ')}` }, 400);
+      }
+      const vehicleIds = parseVehicleIds(params);
+      const rules = parseListParam(params, 'rule');
+      const acknowledged = parseOptionalBoolean(params?.get('acknowledged'));
+      const limit = clampPositiveInt(params?.get('limit'), 100);
+      const alerts = alertService.listAlerts({ status, vehicleIds, fleetIds, rules, acknowledged, limit });
+      return sendJson(res, { status, vehicleIds, fleetIds, rules, limit, alerts });
+    })
+    .get('/alerts/:id', ({ res, params, fleetIds }) => {
+      const alert = alertService.getAlert(parseAlertId(params.id), { fleetIds });
+      return alert ? sendJson(res, alert) : sendJson(res, { error: 'Alert not found' }, 404);
+    })
+    .post('/alerts/:id/acknowledge', ({ res, params, body, fleetIds }) => {
+      const acknowledgedBy = body?.acknowledgedBy ?? null;
+      if (acknowledgedBy !== null && (typeof acknowledgedBy !== 'string' || acknowledgedBy.length > 120)) {
+        return sendJson(res, { error: 'acknowledgedBy must be a string of at most 120 characters' }, 400);
+      }
+      const alert = alertService.acknowledge(parseAlertId(params.id), {
+        acknowledgedBy: acknowledgedBy ? acknowledgedBy.trim() || null : null,
+        fleetIds
+      });
+      return alert ? sendJson(res, alert) : sendJson(res, { error: 'Alert not found' }, 404);
+    });
+}
+
+function registerDeadLetterRoutes(router, { deadLetterService }) {
+  router.get('/telemetry/rejected', ({ res, url, fleetIds }) => {
+    const params = url?.searchParams;
+    const reasons = parseListParam(params, 'reason');
+    const unknown = reasons.filter(reason => !REJECTION_REASON_VALUES.includes(reason));
+    if (unknown.length > 0) {
+      return sendJson(res, { error: `reason must be one of: ${REJECTION_REASON_VALUES.join(', ')}` }, 400);
+    }
+    const limit = clampPositiveInt(params?.get('limit'), 100);
+    const result = deadLetterService.listRejected({
+      reasons,
+      topic: params?.get('topic') || undefined,
+      fleetIds,
+      start: params?.get('start') || undefined,
+      end: params?.get('end') || undefined,
+      limit,
+      pageToken: params?.get('pageToken') || undefined
+    });
+    return sendJson(res, { reasons, limit, ...result });
+  });
+}
+
+// New vehicles and geofences go to the fleet named in the request, else to
+// the caller's only fleet, else to the default fleet. Callers that may see
+// every fleet and name none get null: a vehicle then joins the fleet of its
+// first message, and a geofence applies to every fleet.
+function resolveNewOwnerFleet(requested, fleetIds) {
+  if (requested !== undefined && requested !== null && !isValidFleetId(requested)) {
+    return { ok: false, statusCode: 400, error: 'fleetId must be 1-64 letters, digits, ".", "_" or "-"' };
+  }
+  if ((requested === undefined || requested === null) && !fleetIds) {
+    return { ok: true, value: null };
+  }
+  const fleetId = requested ?? (fleetIds.length === 1 ? fleetIds[0] : DEFAULT_FLEET_ID);
+  if (!isFleetAllowed(fleetIds, fleetId)) {
+    return { ok: false, statusCode: 403, error: `fleet "${fleetId}" not allowed` };
+  }
+  return { ok: true, value: fleetId };
+}
+
+function parseAlertId(value) {
+  const numeric = Number(value);
+  return Number.isInteger(numeric) && numeric > 0 ? numeric : -1;
+}
+
+function parseOptionalBoolean(value) {
+  if (value === null || value === undefined || value === '') {
+    return undefined;
+  }
+  const normalized = value.trim().toLowerCase();
+  if (['1', 'true', 'yes'].includes(normalized)) {
+    return true;
+  }
+  if (['0', 'false', 'no'].includes(normalized)) {
+    return false;
+  }
+  return undefined;
+}
+
+function withLiveState(vehicle, vehicleStore) {
+  const live = vehicleStore?.get?.(vehicle.vehicleId);
+  return {
+    ...vehicle,
+    live: live
+      ? {
+          position: { lat: live.lat, lng: live.lng },
+          speed: Number.isFinite(live.speed) ? live.speed : null,
+          fuelLevel: Number.isFinite(live.fuelLevel) ? live.fuelLevel : null,
+          engineStatus: live.engineStatus ?? null,
+          timestamp: live.ts,
+          lastSeen: live.lastSeen
+        }
+      : null
+  };
+}
+
 function sendJson(res, payload, statusCode = 200) {
   res.statusCode = statusCode;
   res.setHeader('Content-Type', 'application/json');
   res.end(JSON.stringify(payload));
 }
 
-function buildStats({ config, state, vehicleStore, getClientCount }) {
+function sendEmpty(res, statusCode = 204) {
+  res.statusCode = statusCode;
+  res.end();
+}
+
+function handleGeofenceEvents({ res, url, fleetIds, geofenceService }) {
+  const params = url?.searchParams;
+  const limit = clampPositiveInt(params?.get('limit'), 100);
+  const range = resolveTimeRange(params, 3600);
+  if (!range.ok) {
+    return sendJson(res, { error: range.error }, range.statusCode);
+  }
+  const { start, end } = range.value;
+  const vehicleIds = parseVehicleIds(params);
+  const geofenceIds = parseListParam(params, 'geofenceId');
+
+  const events = geofenceService.queryEvents({ geofenceIds, vehicleIds, fleetIds, start, end, limit });
+
+  return sendJson(res, {
+    range: { start, end },
+    geofenceIds,
+    vehicleIds,
+    fleetIds,
+    limit,
+    events
+  });
+}
+
+// Message counters cover every fleet, so requests limited to some fleets only
+// get the counts that can be scoped to them.
+function buildStats({ config, state, vehicleStore, fleetIds, getClientCount, telemetryRepository, telemetryWriteBuffer }) {
+  const scoped = {
+    vehiclesTracked: vehicleStore.size({ fleetIds }),
+    connectedClients: typeof getClientCount === 'function' ? getClientCount() : 0,
+    retention: typeof telemetryRepository?.getRetentionStats === 'function'
+      ? telemetryRepository.getRetentionStats()
+      : null,
+    writeBuffer: telemetryWriteBuffer ? telemetryWriteBuffer.getMetrics() : null
+  };
+  if (fleetIds) {
+    return scoped;
+  }
+
   const rate = calculateRate(state, config.messageWindowMs, Date.now());
   return {
     totalMessages: state.totalMessages,
     invalidMessages: state.invalidMessages,
-    vehiclesTracked: vehicleStore.size(),
-    connectedClients: typeof getClientCount === 'function' ? getClientCount() : 0,
+    staleMessages: state.staleMessages ?? 0,
+    gpsFlagged: { ...state.gpsFlagged },
     messageRatePerSecond: Number(rate.toFixed(3)),
-    windowSeconds: config.messageWindowMs / 1000
+    windowSeconds: config.messageWindowMs / 1000,
+    ordering: typeof telemetryRepository?.getOrderingStats === 'function'
+      ? telemetryRepository.getOrderingStats()
+      : null,
+    ...scoped
   };
 }
 
-function handleTelemetrySummary({ res, url, config, logger, telemetryRepository }) {
+function handleTelemetrySummary({ res, url, fleetIds, config, logger, telemetryRepository }) {
   if (!telemetryRepository) {
     res.statusCode = 501;
     return sendJson(res, { error: 'Telemetry summary not available' });
@@ -101,12 +506,15 @@ function handleTelemetrySummary({ res, url, config, logger, telemetryRepository
   const aggregateParam = params?.getAll('aggregate') || [];
   const aggregateList = aggregateParam.flatMap(value => value.split(',')).map(item => item.trim()).filter(Boolean);
   const vehicleIds = parseVehicleIds(params);
+  const tags = parseTags(params);
 
   const startIso = params?.get('start') || new Date(Date.parse(end) - durationSeconds * 1000).toISOString();
   const endIso = end;
 
   const buckets = telemetryRepository.queryHistoricalAggregates({
     vehicleIds,
+    tags,
+    fleetIds,
     start: startIso,
     end: endIso,
     aggregates: aggregateList,
@@ -123,12 +531,14 @@ function handleTelemetrySummary({ res, url, config, logger, telemetryRepository
       end: endIso
     },
     vehicleIds,
+    tags,
+    fleetIds,
     buckets,
     metrics: summary
   });
 }
 
-function handleTelemetryHistory({ res, url, telemetryRepository, config }) {
+function handleTelemetryHistory({ res, url, fleetIds, telemetryRepository, config }) {
   if (!telemetryRepository) {
     res.statusCode = 501;
     return sendJson(res, { error: 'Telemetry history not available' });
@@ -140,32 +550,53 @@ function handleTelemetryHistory({ res, url, telemetryRepository, config }) {
   const end = params?.get('end') || new Date().toISOString();
   const start = params?.get('start') || new Date(Date.parse(end) - durationSeconds * 1000).toISOString();
   const vehicleIds = parseVehicleIds(params);
+  const tags = parseTags(params);
+  const order = (params?.get('order') || 'desc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    return sendJson(res, { error: 'order must be one of: asc, desc' }, 400);
+  }
 
+  // Ascending order pages straight through the repository (used by replay);
+  // descending order keeps the "most recent samples" behaviour of the sidebar.
+  const ascending = order === 'asc';
   const result = telemetryRepository.queryTelemetryHistory({
     vehicleIds,
+    tags,
+    fleetIds,
     start,
     end,
-    limit: Math.min(limit * 4, 2000)
+    limit: ascending ? Math.min(limit, 5000) : Math.min(limit * 4, 2000),
+    pageToken: ascending ? params?.get('pageToken') || undefined : undefined
   });
 
-  const items = result.events
-    .slice()
-    .sort((a, b) => Date.parse(b.recordedAt) - Date.parse(a.recordedAt))
-    .slice(0, limit)
+  const ordered = ascending
+    ? result.events
+    : result.events
+      .slice()
+      .sort((a, b) => Date.parse(b.recordedAt) - Date.parse(a.recordedAt))
+      .slice(0, limit);
+
+  const items = ordered
     .map(event => ({
       vehicleId: event.vehicleId,
+      fleetId: event.fleetId,
       recordedAt: event.recordedAt,
       latitude: event.latitude,
       longitude: event.longitude,
       speedKmh: event.speedKmh,
       fuelLevel: event.fuelLevel,
       engineStatus: event.engineStatus,
-      distanceKm: event.distanceKm
+      distanceKm: event.distanceKm,
+      gpsFlags: event.gpsFlags ?? null,
+      ...pickExtendedTelemetry(event)
     }));
 
   return sendJson(res, {
     range: { start, end },
     vehicleIds,
+    tags,
+    fleetIds,
+    order,
     limit,
     sampleCount: items.length,
     nextPageToken: result.nextPageToken,
@@ -181,12 +612,35 @@ function clampPositiveInt(value, fallback) {
   return fallback;
 }
 
+// `start` and `end` are ISO 8601 timestamps; `end` defaults to now and
+// `start` to `durationSeconds` (or `defaultSeconds`) before it.
+function resolveTimeRange(params, defaultSeconds) {
+  for (const name of ['start', 'end']) {
+    const value = params?.get(name);
+    if (value && !Number.isFinite(Date.parse(value))) {
+      return { ok: false, statusCode: 400, error: `${name} must be an ISO 8601 timestamp` };
+    }
+  }
+  const durationSeconds = clampPositiveInt(params?.get('durationSeconds'), defaultSeconds);
+  const end = params?.get('end') || new Date().toISOString();
+  const start = params?.get('start') || new Date(Date.parse(end) - durationSeconds * 1000).toISOString();
+  return { ok: true, value: { start, end } };
+}
+
 function parseVehicleIds(params) {
+  return parseListParam(params, 'vehicleId');
+}
+
+function parseTags(params) {
+  return Array.from(new Set(parseListParam(params, 'tag').map(tag => tag.toLowerCase())));
+}
+
+function parseListParam(params, name) {
   if (!params) {
     return [];
   }
   const list = [];
-  for (const entry of params.getAll('vehicleId')) {
+  for (const entry of params.getAll(name)) {
     for (const part of entry.split(',')) {
       const trimmed = part.trim();
       if (trimmed) {
@@ -203,6 +657,8 @@ function summariseBuckets(buckets) {
   let maxSpeed = Number.NEGATIVE_INFINITY;
   let minFuel = Number.POSITIVE_INFINITY;
   let totalDistance = 0;
+  let minBattery = Number.POSITIVE_INFINITY;
+  let energyConsumed = null;
 
   for (const bucket of buckets) {
     const metrics = bucket.metrics || {};
@@ -220,6 +676,12 @@ function summariseBuckets(buckets) {
     if (Number.isFinite(metrics.TOTAL_DISTANCE_KM)) {
       totalDistance += metrics.TOTAL_DISTANCE_KM;
     }
+    if (Number.isFinite(metrics.MIN_BATTERY_LEVEL)) {
+      minBattery = Math.min(minBattery, metrics.MIN_BATTERY_LEVEL);
+    }
+    if (Number.isFinite(metrics.ENERGY_CONSUMED_PCT)) {
+      energyConsumed = (energyConsumed ?? 0) + metrics.ENERGY_CONSUMED_PCT;
+    }
   }
 
   const avgSpeed = sampleCount > 0 ? sumSpeed / sampleCount : null;
@@ -228,6 +690,8 @@ function summariseBuckets(buckets) {
     maxSpeedKmh: Number.isFinite(maxSpeed) ? Number(maxSpeed.toFixed(2)) : null,
     minFuelLevel: Number.isFinite(minFuel) ? Number(minFuel.toFixed(1)) : null,
     totalDistanceKm: Number(totalDistance.toFixed(3)),
+    minBatteryLevel: Number.isFinite(minBattery) ? Number(minBattery.toFixed(1)) : null,
+    energyConsumedPct: energyConsumed !== null ? Number(energyConsumed.toFixed(2)) : null,
     sampleCount
   };
 }
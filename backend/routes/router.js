@@ -0,0 +1,87 @@
+function createRouter() {
+  const routes = [];
+
+  function add(method, pattern, handler) {
+    const { keys, regex } = compilePattern(pattern);
+    routes.push({ method: method.toUpperCase(), pattern, keys, regex, handler });
+    return router;
+  }
+
+  // Resolves a request to a handler. Returns null when no route owns the path and
+  // `{ allowedMethods }` without a handler when the path exists under other methods.
+  function match(method, pathname) {
+    const normalizedMethod = String(method || 'GET').toUpperCase();
+    const allowedMethods = [];
+
+    for (const route of routes) {
+      const result = route.regex.exec(pathname);
+      if (!result) {
+        continue;
+      }
+      if (route.method === normalizedMethod) {
+        return {
+          handler: route.handler,
+          pattern: route.pattern,
+          params: extractParams(route.keys, result),
+          allowedMethods: collectMethods(pathname)
+        };
+      }
+      if (!allowedMethods.includes(route.method)) {
+        allowedMethods.push(route.method);
+      }
+    }
+
+    return allowedMethods.length > 0 ? { handler: null, params: {}, allowedMethods } : null;
+  }
+
+  function collectMethods(pathname) {
+    const methods = [];
+    for (const route of routes) {
+      if (route.regex.test(pathname) && !methods.includes(route.method)) {
+        methods.push(route.method);
+      }
+    }
+    return methods;
+  }
+
+  const router = {
+    get: (pattern, handler) => add('GET', pattern, handler),
+    post: (pattern, handler) => add('POST', pattern, handler),
+    put: (pattern, handler) => add('PUT', pattern, handler),
+    patch: (pattern, handler) => add('PATCH', pattern, handler),
+    delete: (pattern, handler) => add('DELETE', pattern, handler),
+    match,
+    allowedMethods: collectMethods
+  };
+
+  return router;
+}
+
+function compilePattern(pattern) {
+  const keys = [];
+  const source = pattern
+    .split('/')
+    .map(segment => {
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return { keys, regex: new RegExp(`^${source}/?$`) };
+}
+
+function extractParams(keys, result) {
+  const params = {};
+  keys.forEach((key, index) => {
+    try {
+      params[key] = decodeURIComponent(result[index + 1]);
+    } catch (err) {
+      params[key] = result[index + 1];
+    }
+  });
+  return params;
+}
+
+module.exports = { createRouter };
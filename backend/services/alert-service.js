@@ -0,0 +1,386 @@
+const { buildFleetClause } = require('../utils/fleet');
+
+const ALERT_RULES = {
+  LOW_FUEL: 'low_fuel',
+  OVERSPEED: 'overspeed',
+  IDLE_TOO_LONG: 'idle_too_long',
+  STALE_VEHICLE: 'stale_vehicle'
+};
+
+const ALERT_EVENT_TYPES = {
+  RAISED: 'raised',
+  CLEARED: 'cleared'
+};
+
+const ALERT_STATUSES = ['active', 'cleared', 'all'];
+
+const RULE_SEVERITY = {
+  [ALERT_RULES.LOW_FUEL]: 'warning',
+  [ALERT_RULES.OVERSPEED]: 'critical',
+  [ALERT_RULES.IDLE_TOO_LONG]: 'info',
+  [ALERT_RULES.STALE_VEHICLE]: 'warning'
+};
+
+const SELECT_ALERT_SQL = `
+  SELECT alert_id, vehicle_id, rule, severity, message, value, threshold,
+         raised_at, cleared_at, acknowledged_at, acknowledged_by
+    FROM alerts
+   WHERE alert_id = ?
+`;
+
+function createAlertService({ db, logger, config = {} }) {
+  const rules = resolveRules(config);
+
+  const selectOpen = db.prepare(`
+    SELECT alert_id, vehicle_id, rule, severity, message, value, threshold,
+           raised_at, cleared_at, acknowledged_at, acknowledged_by
+      FROM alerts
+     WHERE cleared_at IS NULL
+  `);
+
+  const selectById = db.prepare(SELECT_ALERT_SQL);
+
+  const insertAlert = db.prepare(`
+    INSERT INTO alerts (vehicle_id, rule, severity, message, value, threshold, raised_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const clearAlert = db.prepare('UPDATE alerts SET cleared_at = ? WHERE alert_id = ?');
+
+  const acknowledgeAlert = db.prepare(`
+    UPDATE alerts
+       SET acknowledged_at = ?, acknowledged_by = ?
+     WHERE alert_id = ? AND acknowledged_at IS NULL
+  `);
+
+  const applyTransitionsTx = db.transaction(events => {
+    for (const event of events) {
+      if (event.eventType === ALERT_EVENT_TYPES.RAISED) {
+        const { alert } = event;
+        const info = insertAlert.run(
+          alert.vehicleId,
+          alert.rule,
+          alert.severity,
+          alert.message,
+          alert.value,
+          alert.threshold,
+          alert.raisedAt
+        );
+        alert.id = Number(info.lastInsertRowid);
+      } else {
+        clearAlert.run(event.alert.clearedAt, event.alert.id);
+      }
+    }
+  });
+
+  // Open alerts keyed by vehicle and rule. A rule only raises again for a
+  // vehicle once its previous alert has cleared.
+  const openAlerts = new Map();
+  for (const row of selectOpen.all()) {
+    const alert = mapRow(row);
+    openAlerts.set(alertKey(alert.vehicleId, alert.rule), alert);
+  }
+  const idleSince = new Map();
+  logger?.info({ openAlerts: openAlerts.size }, 'Alert service loaded');
+
+  function evaluateTelemetry({ current }) {
+    if (!current) {
+      return [];
+    }
+
+    const events = [];
+    const { vehicleId, ts } = current;
+
+    clear(events, vehicleId, ALERT_RULES.STALE_VEHICLE, ts);
+
+    if (rules.lowFuel) {
+      const fuel = Number(current.fuelLevel);
+      if (Number.isFinite(fuel)) {
+        if (fuel <= rules.lowFuel.threshold) {
+          raise(events, {
+            vehicleId,
+            rule: ALERT_RULES.LOW_FUEL,
+            value: fuel,
+            threshold: rules.lowFuel.threshold,
+            raisedAt: ts,
+            message: `Fuel level ${formatNumber(fuel)}% is at or below ${formatNumber(rules.lowFuel.threshold)}%`
+          });
+        } else if (fuel >= rules.lowFuel.clearAbove) {
+          clear(events, vehicleId, ALERT_RULES.LOW_FUEL, ts);
+        }
+      }
+    }
+
+    if (rules.overspeed) {
+      const speed = Number(current.speed);
+      if (Number.isFinite(speed)) {
+        if (speed > rules.overspeed.thresholdKmh) {
+          raise(events, {
+            vehicleId,
+            rule: ALERT_RULES.OVERSPEED,
+            value: speed,
+            threshold: rules.overspeed.thresholdKmh,
+            raisedAt: ts,
+            message: `Speed ${formatNumber(speed)} km/h exceeds ${formatNumber(rules.overspeed.thresholdKmh)} km/h`
+          });
+        } else if (speed <= rules.overspeed.clearBelowKmh) {
+          clear(events, vehicleId, ALERT_RULES.OVERSPEED, ts);
+        }
+      }
+    }
+
+    if (rules.idle) {
+      if (current.engineStatus === 'idle') {
+        const since = idleSince.get(vehicleId) ?? ts;
+        idleSince.set(vehicleId, since);
+        const idleMs = Date.parse(ts) - Date.parse(since);
+        if (Number.isFinite(idleMs) && idleMs >= rules.idle.maxMs) {
+          raise(events, {
+            vehicleId,
+            rule: ALERT_RULES.IDLE_TOO_LONG,
+            value: Math.round(idleMs / 1000),
+            threshold: Math.round(rules.idle.maxMs / 1000),
+            raisedAt: ts,
+            message: `Engine idle for ${Math.round(idleMs / 1000)}s (limit ${Math.round(rules.idle.maxMs / 1000)}s)`
+          });
+        }
+      } else {
+        idleSince.delete(vehicleId);
+        clear(events, vehicleId, ALERT_RULES.IDLE_TOO_LONG, ts);
+      }
+    }
+
+    return commit(events);
+  }
+
+  // Runs from the vehicle store sweep. Silence is measured against the
+  // backend's receive time (`lastSeen`) so clock skew on devices does not
+  // raise spurious alerts.
+  function evaluateSilence(vehicles, now = Date.now()) {
+    if (!rules.stale) {
+      return [];
+    }
+
+    const events = [];
+    const raisedAt = new Date(now).toISOString();
+    for (const vehicle of vehicles) {
+      const lastSeen = Date.parse(vehicle?.lastSeen);
+      if (!Number.isFinite(lastSeen)) {
+        continue;
+      }
+      const silentMs = now - lastSeen;
+      if (silentMs >= rules.stale.afterMs) {
+        raise(events, {
+          vehicleId: vehicle.vehicleId,
+          rule: ALERT_RULES.STALE_VEHICLE,
+          value: Math.round(silentMs / 1000),
+          threshold: Math.round(rules.stale.afterMs / 1000),
+          raisedAt,
+          message: `No telemetry for ${Math.round(silentMs / 1000)}s`
+        });
+      }
+    }
+
+    return commit(events);
+  }
+
+  function forgetVehicle(vehicleId) {
+    idleSince.delete(vehicleId);
+  }
+
+  function raise(events, { vehicleId, rule, value, threshold, raisedAt, message }) {
+    if (openAlerts.has(alertKey(vehicleId, rule))) {
+      return;
+    }
+    events.push({
+      eventType: ALERT_EVENT_TYPES.RAISED,
+      alert: {
+        id: null,
+        vehicleId,
+        rule,
+        severity: RULE_SEVERITY[rule],
+        status: 'active',
+        message,
+        value: roundValue(value),
+        threshold,
+        raisedAt,
+        clearedAt: null,
+        acknowledgedAt: null,
+        acknowledgedBy: null
+      }
+    });
+  }
+
+  function clear(events, vehicleId, rule, clearedAt) {
+    const open = openAlerts.get(alertKey(vehicleId, rule));
+    if (!open) {
+      return;
+    }
+    events.push({
+      eventType: ALERT_EVENT_TYPES.CLEARED,
+      alert: { ...open, status: 'cleared', clearedAt }
+    });
+  }
+
+  function commit(events) {
+    if (events.length === 0) {
+      return events;
+    }
+
+    applyTransitionsTx(events);
+    for (const { eventType, alert } of events) {
+      const key = alertKey(alert.vehicleId, alert.rule);
+      if (eventType === ALERT_EVENT_TYPES.RAISED) {
+        openAlerts.set(key, alert);
+        logger?.info({ alertId: alert.id, vehicleId: alert.vehicleId, rule: alert.rule }, 'Alert raised');
+      } else {
+        openAlerts.delete(key);
+        logger?.info({ alertId: alert.id, vehicleId: alert.vehicleId, rule: alert.rule }, 'Alert cleared');
+      }
+    }
+    return events;
+  }
+
+  // With `fleetIds`, alerts for vehicles outside those fleets are not found.
+  function getAlert(id, { fleetIds = null } = {}) {
+    const row = fleetIds
+      ? db.prepare(`${SELECT_ALERT_SQL} AND ${buildFleetClause(fleetIds)}`).get(id, ...fleetIds)
+      : selectById.get(id);
+    return row ? mapRow(row) : null;
+  }
+
+  function acknowledge(id, { acknowledgedBy = null, fleetIds = null } = {}) {
+    const existing = getAlert(id, { fleetIds });
+    if (!existing) {
+      return null;
+    }
+    if (existing.acknowledgedAt) {
+      return existing;
+    }
+
+    const acknowledgedAt = new Date().toISOString();
+    acknowledgeAlert.run(acknowledgedAt, acknowledgedBy, id);
+    const alert = { ...existing, acknowledgedAt, acknowledgedBy };
+
+    const key = alertKey(alert.vehicleId, alert.rule);
+    if (openAlerts.get(key)?.id === alert.id) {
+      openAlerts.set(key, alert);
+    }
+    logger?.info({ alertId: id, acknowledgedBy }, 'Alert acknowledged');
+    return alert;
+  }
+
+  function listAlerts({ status = 'active', vehicleIds = [], fleetIds = null, rules: ruleFilter = [], acknowledged, limit = 100 } = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (status === 'active') {
+      clauses.push('cleared_at IS NULL');
+    } else if (status === 'cleared') {
+      clauses.push('cleared_at IS NOT NULL');
+    }
+    if (vehicleIds.length > 0) {
+      clauses.push(`vehicle_id IN (${vehicleIds.map(() => '?').join(',')})`);
+      params.push(...vehicleIds);
+    }
+    if (fleetIds) {
+      clauses.push(buildFleetClause(fleetIds));
+      params.push(...fleetIds);
+    }
+    if (ruleFilter.length > 0) {
+      clauses.push(`rule IN (${ruleFilter.map(() => '?').join(',')})`);
+      params.push(...ruleFilter);
+    }
+    if (acknowledged === true) {
+      clauses.push('acknowledged_at IS NOT NULL');
+    } else if (acknowledged === false) {
+      clauses.push('acknowledged_at IS NULL');
+    }
+
+    const whereClause = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const rows = db.prepare(`
+      SELECT alert_id, vehicle_id, rule, severity, message, value, threshold,
+             raised_at, cleared_at, acknowledged_at, acknowledged_by
+        FROM alerts
+        ${whereClause}
+       ORDER BY raised_at DESC, alert_id DESC
+       LIMIT ?
+    `).all(...params, clampLimit(limit, 1_000));
+
+    return rows.map(mapRow);
+  }
+
+  return {
+    evaluateTelemetry,
+    evaluateSilence,
+    forgetVehicle,
+    getAlert,
+    acknowledge,
+    listAlerts
+  };
+}
+
+function resolveRules(config) {
+  const lowFuel = config.lowFuel ?? {};
+  const overspeed = config.overspeed ?? {};
+  const idle = config.idle ?? {};
+  const stale = config.stale ?? {};
+
+  return {
+    lowFuel: lowFuel.threshold > 0
+      ? { threshold: lowFuel.threshold, clearAbove: Math.max(lowFuel.clearAbove ?? lowFuel.threshold, lowFuel.threshold) }
+      : null,
+    overspeed: overspeed.thresholdKmh > 0
+      ? {
+          thresholdKmh: overspeed.thresholdKmh,
+          clearBelowKmh: Math.min(overspeed.clearBelowKmh ?? overspeed.thresholdKmh, overspeed.thresholdKmh)
+        }
+      : null,
+    idle: idle.maxMs > 0 ? { maxMs: idle.maxMs } : null,
+    stale: stale.afterMs > 0 ? { afterMs: stale.afterMs } : null
+  };
+}
+
+function mapRow(row) {
+  return {
+    id: row.alert_id,
+    vehicleId: row.vehicle_id,
+    rule: row.rule,
+    severity: row.severity,
+    status: row.cleared_at ? 'cleared' : 'active',
+    message: row.message,
+    value: row.value ?? null,
+    threshold: row.threshold ?? null,
+    raisedAt: row.raised_at,
+    clearedAt: row.cleared_at ?? null,
+    acknowledgedAt: row.acknowledged_at ?? null,
+    acknowledgedBy: row.acknowledged_by ?? null
+  };
+}
+
+function alertKey(vehicleId, rule) {
+  return `${vehicleId}\u0000${rule}`;
+}
+
+function roundValue(value) {
+  return Number.isFinite(value) ? Number(value.toFixed(2)) : null;
+}
+
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+function clampLimit(value, max) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric) || numeric <= 0) {
+    return 100;
+  }
+  return Math.min(Math.trunc(numeric), max);
+}
+
+module.exports = {
+  createAlertService,
+  ALERT_RULES,
+  ALERT_EVENT_TYPES,
+  ALERT_STATUSES
+};
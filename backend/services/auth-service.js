@@ -0,0 +1,234 @@
+const crypto = require('node:crypto');
+const { isValidFleetId } = require('../utils/fleet');
+
+const SCOPES = {
+  READ_LIVE: 'read:live',
+  READ_HISTORY: 'read:history',
+  ADMIN: 'admin'
+};
+
+const SCOPE_VALUES = Object.values(SCOPES);
+
+const JWT_ALGORITHMS = {
+  HS256: 'sha256',
+  HS384: 'sha384',
+  HS512: 'sha512'
+};
+
+// Authenticates callers of the HTTP API, `/stream`, and gRPC. Two kinds of
+// credential are accepted, both checked locally:
+// - static API keys, each with a name and a list of scopes;
+// - JWTs signed with a shared HMAC secret, carrying their scopes in a
+//   space-separated `scope` claim or a `scopes` array. They must have `exp`.
+// `admin` grants every other scope. Either kind of credential may be limited
+// to some fleets (an API key's `fleets`, a token's `fleet` or `fleets` claim);
+// principals carry them as `fleets`, which is null for credentials that may
+// see every fleet.
+function createAuthService({ config = {}, logger, now = () => Date.now() }) {
+  const apiKeys = new Map();
+  for (const entry of config.apiKeys ?? []) {
+    if (!entry?.key) {
+      throw new Error(`API key "${entry?.name ?? ''}" is empty`);
+    }
+    const scopes = validateScopes(entry.scopes, `API key "${entry.name}"`);
+    const fleets = validateFleets(entry.fleets, `API key "${entry.name}"`);
+    apiKeys.set(hashKey(entry.key), { name: entry.name, scopes, fleets });
+  }
+
+  const jwt = config.jwt?.secret ? resolveJwtConfig(config.jwt) : null;
+  if (apiKeys.size === 0 && !jwt) {
+    throw new Error('Auth is enabled but neither API keys nor a JWT secret are configured');
+  }
+
+  logger?.info({ apiKeys: apiKeys.size, jwt: Boolean(jwt) }, 'Authentication enabled');
+
+  // Accepts an `Authorization` header value (`Bearer <jwt>` or
+  // `ApiKey <key>`), an API key from `X-API-Key`, or a bare access token
+  // (a JWT or an API key, as sent by browsers on the `/stream` URL).
+  function authenticate({ authorization, apiKey, accessToken } = {}) {
+    if (apiKey) {
+      return authenticateApiKey(apiKey);
+    }
+    if (authorization) {
+      const [scheme, credential] = String(authorization).trim().split(/\s+/, 2);
+      if (!credential) {
+        return { ok: false, error: 'malformed Authorization header' };
+      }
+      if (/^bearer$/i.test(scheme)) {
+        return authenticateToken(credential);
+      }
+      if (/^apikey$/i.test(scheme)) {
+        return authenticateApiKey(credential);
+      }
+      return { ok: false, error: `unsupported authorization scheme "${scheme}"` };
+    }
+    if (accessToken) {
+      return authenticateToken(accessToken);
+    }
+    return { ok: false, error: 'missing credentials' };
+  }
+
+  // Bearer credentials that are not JWTs are tried as API keys.
+  function authenticateToken(token) {
+    if (String(token).split('.').length === 3 && jwt) {
+      return verifyJwt(token);
+    }
+    return authenticateApiKey(token);
+  }
+
+  function authenticateApiKey(key) {
+    const entry = apiKeys.get(hashKey(key));
+    if (!entry) {
+      return { ok: false, error: 'invalid API key' };
+    }
+    return { ok: true, value: { subject: entry.name, scopes: entry.scopes, fleets: entry.fleets, method: 'api_key' } };
+  }
+
+  function verifyJwt(token) {
+    const [encodedHeader, encodedClaims, encodedSignature] = String(token).split('.');
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(encodedClaims, 'base64url').toString('utf8'));
+    } catch (err) {
+      return { ok: false, error: 'malformed token' };
+    }
+    if (!claims || typeof claims !== 'object') {
+      return { ok: false, error: 'malformed token' };
+    }
+
+    if (!jwt.algorithms.includes(header?.alg)) {
+      return { ok: false, error: `unsupported token algorithm "${header?.alg}"` };
+    }
+    const expected = crypto
+      .createHmac(JWT_ALGORITHMS[header.alg], jwt.secret)
+      .update(`${encodedHeader}.${encodedClaims}`)
+      .digest();
+    const signature = Buffer.from(encodedSignature, 'base64url');
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+      return { ok: false, error: 'invalid token signature' };
+    }
+
+    const nowSeconds = Math.floor(now() / 1000);
+    if (!Number.isFinite(claims.exp)) {
+      return { ok: false, error: 'token has no exp claim' };
+    }
+    if (nowSeconds > claims.exp + jwt.clockToleranceSeconds) {
+      return { ok: false, error: 'token expired' };
+    }
+    if (Number.isFinite(claims.nbf) && nowSeconds + jwt.clockToleranceSeconds < claims.nbf) {
+      return { ok: false, error: 'token not yet valid' };
+    }
+    if (jwt.issuer && claims.iss !== jwt.issuer) {
+      return { ok: false, error: 'unexpected token issuer' };
+    }
+    if (jwt.audience) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(jwt.audience)) {
+        return { ok: false, error: 'unexpected token audience' };
+      }
+    }
+
+    const requested = typeof claims.scope === 'string'
+      ? claims.scope.split(/\s+/)
+      : Array.isArray(claims.scopes) ? claims.scopes : [];
+    const scopes = new Set(requested.filter(scope => SCOPE_VALUES.includes(scope)));
+    // Only tokens without a fleet claim see every fleet: a `fleet` or `fleets`
+    // claim that names no valid fleet, or is not a string or an array, grants
+    // none rather than all.
+    const fleets = claims.fleet === undefined && claims.fleets === undefined
+      ? null
+      : new Set(readFleetClaim(claims).filter(isValidFleetId));
+    return {
+      ok: true,
+      value: { subject: typeof claims.sub === 'string' ? claims.sub : null, scopes, fleets, method: 'jwt' }
+    };
+  }
+
+  return {
+    authenticate,
+    authorize: hasScope
+  };
+}
+
+function readFleetClaim({ fleet, fleets }) {
+  if (fleets !== undefined) {
+    return Array.isArray(fleets) ? fleets : [];
+  }
+  return typeof fleet === 'string' ? [fleet] : [];
+}
+
+function hasScope(principal, scope) {
+  return Boolean(principal?.scopes) && (principal.scopes.has(scope) || principal.scopes.has(SCOPES.ADMIN));
+}
+
+function resolveJwtConfig(jwtConfig) {
+  const algorithms = jwtConfig.algorithms?.length > 0 ? jwtConfig.algorithms : ['HS256'];
+  for (const algorithm of algorithms) {
+    if (!JWT_ALGORITHMS[algorithm]) {
+      throw new Error(
+        `Unsupported JWT algorithm "${algorithm}" (expected one of ${Object.keys(JWT_ALGORITHMS).join(', ')})`
+      );
+    }
+  }
+  const clockToleranceSeconds = Number(jwtConfig.clockToleranceSeconds);
+  return {
+    secret: jwtConfig.secret,
+    algorithms,
+    issuer: jwtConfig.issuer || null,
+    audience: jwtConfig.audience || null,
+    clockToleranceSeconds: Number.isFinite(clockToleranceSeconds) && clockToleranceSeconds > 0 ? clockToleranceSeconds : 0
+  };
+}
+
+function validateScopes(scopes, owner) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new Error(`${owner} has no scopes`);
+  }
+  for (const scope of scopes) {
+    if (!SCOPE_VALUES.includes(scope)) {
+      throw new Error(`${owner} has unknown scope "${scope}" (expected one of ${SCOPE_VALUES.join(', ')})`);
+    }
+  }
+  return new Set(scopes);
+}
+
+// No fleets (or an empty list) means the key is not limited to any.
+function validateFleets(fleets, owner) {
+  if (!Array.isArray(fleets) || fleets.length === 0) {
+    return null;
+  }
+  for (const fleetId of fleets) {
+    if (!isValidFleetId(fleetId)) {
+      throw new Error(`${owner} has invalid fleet id "${fleetId}"`);
+    }
+  }
+  return new Set(fleets);
+}
+
+// Keys are looked up by digest, so the comparison never depends on how much
+// of a guessed key matches.
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// Mints an HMAC-signed JWT; used by `npm run token` and the tests.
+function signToken(claims, secret, algorithm = 'HS256') {
+  if (!JWT_ALGORITHMS[algorithm]) {
+    throw new Error(`Unsupported JWT algorithm "${algorithm}"`);
+  }
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: algorithm, typ: 'JWT' })}.${encode(claims)}`;
+  const signature = crypto.createHmac(JWT_ALGORITHMS[algorithm], secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+module.exports = {
+  JWT_ALGORITHMS,
+  SCOPES,
+  SCOPE_VALUES,
+  createAuthService,
+  hasScope,
+  signToken
+};
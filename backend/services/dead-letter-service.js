@@ -0,0 +1,166 @@
+const REJECTION_REASONS = {
+  INVALID_JSON: 'invalid_json',
+  INVALID_PROTOBUF: 'invalid_protobuf',
+  INVALID_CBOR: 'invalid_cbor',
+  VALIDATION_FAILED: 'validation_failed',
+  INVALID_FLEET: 'invalid_fleet',
+  FLEET_MISMATCH: 'fleet_mismatch'
+};
+
+const REJECTION_REASON_VALUES = Object.values(REJECTION_REASONS);
+
+function createDeadLetterService({ db, logger, config = {} }) {
+  const maxRows = config.maxRows > 0 ? Math.trunc(config.maxRows) : 10_000;
+  const maxPayloadBytes = config.maxPayloadBytes > 0 ? Math.trunc(config.maxPayloadBytes) : 16 * 1024;
+
+  const insertRejection = db.prepare(`
+    INSERT INTO rejected_telemetry (topic, fleet_id, reason, error, payload, payload_format, payload_size, received_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  // Keeps the table bounded: everything older than the newest `maxRows`
+  // rejections is dropped after each insert.
+  const trimRejections = db.prepare(`
+    DELETE FROM rejected_telemetry
+     WHERE rejection_id <= (
+       SELECT rejection_id FROM rejected_telemetry
+        ORDER BY rejection_id DESC
+        LIMIT 1 OFFSET ?
+     )
+  `);
+
+  const recordTx = db.transaction(rejection => {
+    const info = insertRejection.run(
+      rejection.topic,
+      rejection.fleetId,
+      rejection.reason,
+      rejection.error,
+      rejection.payload,
+      rejection.payloadFormat,
+      rejection.payloadSize,
+      rejection.receivedAt
+    );
+    trimRejections.run(maxRows);
+    return Number(info.lastInsertRowid);
+  });
+
+  // Payloads larger than `maxPayloadBytes` are truncated; `payloadSize`
+  // keeps the original length. `fleetId` is null when the topic named no
+  // valid fleet.
+  function record({ topic, fleetId = null, payload, payloadFormat = null, reason, error = null, receivedAt = new Date() }) {
+    const buffer = Buffer.isBuffer(payload) ? payload : Buffer.from(payload ?? '');
+    const rejection = {
+      topic,
+      fleetId,
+      reason,
+      error,
+      payload: buffer.subarray(0, maxPayloadBytes),
+      payloadFormat,
+      payloadSize: buffer.length,
+      receivedAt: new Date(receivedAt).toISOString()
+    };
+
+    try {
+      rejection.id = recordTx(rejection);
+    } catch (err) {
+      logger?.error({ err, topic, reason }, 'Failed to store rejected telemetry');
+      return null;
+    }
+    return mapRejection(rejection);
+  }
+
+  function listRejected({ reasons = [], topic, fleetIds = null, start, end, limit = 100, pageToken } = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (reasons.length > 0) {
+      clauses.push(`reason IN (${reasons.map(() => '?').join(',')})`);
+      params.push(...reasons);
+    }
+    if (topic) {
+      clauses.push('topic = ?');
+      params.push(topic);
+    }
+    if (fleetIds) {
+      clauses.push(`fleet_id IN (${fleetIds.map(() => '?').join(',')})`);
+      params.push(...fleetIds);
+    }
+    if (start) {
+      clauses.push('received_at >= ?');
+      params.push(start);
+    }
+    if (end) {
+      clauses.push('received_at <= ?');
+      params.push(end);
+    }
+    if (pageToken) {
+      clauses.push('rejection_id < ?');
+      params.push(Number(pageToken));
+    }
+
+    const whereClause = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const effectiveLimit = clampLimit(limit, 1_000);
+    const rows = db.prepare(`
+      SELECT rejection_id, topic, fleet_id, reason, error, payload, payload_format, payload_size, received_at
+        FROM rejected_telemetry
+        ${whereClause}
+       ORDER BY rejection_id DESC
+       LIMIT ?
+    `).all(...params, effectiveLimit);
+
+    return {
+      rejected: rows.map(row => mapRejection({
+        id: row.rejection_id,
+        topic: row.topic,
+        fleetId: row.fleet_id,
+        reason: row.reason,
+        error: row.error,
+        payload: row.payload,
+        payloadFormat: row.payload_format,
+        payloadSize: row.payload_size,
+        receivedAt: row.received_at
+      })),
+      nextPageToken: rows.length === effectiveLimit ? String(rows[rows.length - 1].rejection_id) : null
+    };
+  }
+
+  return {
+    record,
+    listRejected
+  };
+}
+
+// JSON payloads that are valid UTF-8 are returned as text so they stay
+// readable in the API; anything else is base64.
+function mapRejection(rejection) {
+  const payload = Buffer.from(rejection.payload ?? []);
+  const text = payload.toString('utf8');
+  const readable = rejection.payloadFormat === 'json' && Buffer.from(text, 'utf8').equals(payload);
+  return {
+    id: rejection.id,
+    topic: rejection.topic,
+    fleetId: rejection.fleetId ?? null,
+    reason: rejection.reason,
+    error: rejection.error ?? null,
+    receivedAt: rejection.receivedAt,
+    payloadFormat: rejection.payloadFormat ?? null,
+    payloadSize: rejection.payloadSize,
+    payloadTruncated: rejection.payloadSize > payload.length,
+    payloadEncoding: readable ? 'utf8' : 'base64',
+    payload: readable ? text : payload.toString('base64')
+  };
+}
+
+function clampLimit(value, max) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric) || numeric <= 0) {
+    return 100;
+  }
+  return Math.min(Math.trunc(numeric), max);
+}
+
+module.exports = {
+  REJECTION_REASONS,
+  REJECTION_REASON_VALUES,
+  createDeadLetterService
+};
@@ -0,0 +1,337 @@
+const { randomUUID } = require('node:crypto');
+const { pointInCircle, pointInPolygon } = require('../utils/geo');
+const { DEFAULT_FLEET_ID, buildFleetClause, isFleetAllowed } = require('../utils/fleet');
+
+const GEOFENCE_EVENT_TYPES = {
+  ENTER: 'enter',
+  EXIT: 'exit'
+};
+
+function createGeofenceService({ db, logger }) {
+  const selectAll = db.prepare(`
+    SELECT geofence_id, fleet_id, name, category, shape, geometry_json, created_at, updated_at
+      FROM geofences
+     ORDER BY created_at ASC, geofence_id ASC
+  `);
+
+  const insertGeofence = db.prepare(`
+    INSERT INTO geofences (
+      geofence_id,
+      fleet_id,
+      name,
+      category,
+      shape,
+      geometry_json,
+      created_at,
+      updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const updateGeofenceStmt = db.prepare(`
+    UPDATE geofences
+       SET name = ?, category = ?, shape = ?, geometry_json = ?, updated_at = ?
+     WHERE geofence_id = ?
+  `);
+
+  const deleteGeofenceStmt = db.prepare('DELETE FROM geofences WHERE geofence_id = ?');
+
+  const insertEvent = db.prepare(`
+    INSERT INTO geofence_events (
+      geofence_id,
+      vehicle_id,
+      event_type,
+      recorded_at,
+      latitude,
+      longitude
+    ) VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  const recordEventsTx = db.transaction(events => {
+    for (const event of events) {
+      const info = insertEvent.run(
+        event.geofenceId,
+        event.vehicleId,
+        event.eventType,
+        event.recordedAt,
+        event.lat,
+        event.lng
+      );
+      event.eventId = Number(info.lastInsertRowid);
+    }
+  });
+
+  const registry = new Map();
+  for (const row of selectAll.all()) {
+    const geofence = mapRow(row);
+    if (geofence) {
+      registry.set(geofence.id, compileGeofence(geofence));
+    } else {
+      logger?.warn({ geofenceId: row.geofence_id }, 'Skipping geofence with unreadable geometry');
+    }
+  }
+  logger?.info({ geofences: registry.size }, 'Geofence registry loaded');
+
+  // A geofence belongs to one fleet, or to none and applies to every fleet.
+  // With `fleetIds`, geofences of other fleets are left out of lists and are
+  // not found by id; geofences without a fleet are listed but only callers
+  // that may see every fleet can change them.
+  function listGeofences({ fleetIds = null } = {}) {
+    return Array.from(registry.values(), entry => entry.geofence)
+      .filter(geofence => geofence.fleetId === null || isFleetAllowed(fleetIds, geofence.fleetId));
+  }
+
+  function getGeofence(id, { fleetIds = null } = {}) {
+    const geofence = registry.get(id)?.geofence;
+    return geofence && (geofence.fleetId === null || isFleetAllowed(fleetIds, geofence.fleetId)) ? geofence : null;
+  }
+
+  function createGeofence(input, { fleetId = null } = {}) {
+    const now = new Date().toISOString();
+    const geofence = {
+      id: randomUUID(),
+      fleetId,
+      name: input.name,
+      category: input.category ?? null,
+      shape: input.shape,
+      geometry: input.geometry,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    insertGeofence.run(
+      geofence.id,
+      geofence.fleetId,
+      geofence.name,
+      geofence.category,
+      geofence.shape,
+      JSON.stringify(geofence.geometry),
+      geofence.createdAt,
+      geofence.updatedAt
+    );
+    registry.set(geofence.id, compileGeofence(geofence));
+    logger?.info({ geofenceId: geofence.id, fleetId, shape: geofence.shape }, 'Geofence created');
+    return geofence;
+  }
+
+  function updateGeofence(id, input, { fleetIds = null } = {}) {
+    const existing = registry.get(id);
+    if (!existing || !isFleetAllowed(fleetIds, existing.geofence.fleetId)) {
+      return null;
+    }
+
+    const geofence = {
+      ...existing.geofence,
+      name: input.name,
+      category: input.category ?? null,
+      shape: input.shape,
+      geometry: input.geometry,
+      updatedAt: new Date().toISOString()
+    };
+
+    updateGeofenceStmt.run(
+      geofence.name,
+      geofence.category,
+      geofence.shape,
+      JSON.stringify(geofence.geometry),
+      geofence.updatedAt,
+      id
+    );
+    registry.set(id, compileGeofence(geofence));
+    logger?.info({ geofenceId: id }, 'Geofence updated');
+    return geofence;
+  }
+
+  function deleteGeofence(id, { fleetIds = null } = {}) {
+    const existing = registry.get(id);
+    if (!existing || !isFleetAllowed(fleetIds, existing.geofence.fleetId)) {
+      return false;
+    }
+    deleteGeofenceStmt.run(id);
+    registry.delete(id);
+    logger?.info({ geofenceId: id }, 'Geofence deleted');
+    return true;
+  }
+
+  // Compares the previous and current fix of a vehicle against every geofence of
+  // its fleet or of no fleet, and persists an enter/exit event for each
+  // boundary crossed. A vehicle without a previous position has no known prior
+  // state, so it never produces events.
+  function evaluate({ previous, current }) {
+    if (!previous || !current || registry.size === 0) {
+      return [];
+    }
+
+    const fleetId = current.fleetId ?? DEFAULT_FLEET_ID;
+    const events = [];
+    for (const entry of registry.values()) {
+      if (entry.geofence.fleetId !== null && entry.geofence.fleetId !== fleetId) {
+        continue;
+      }
+      const wasInside = containsPoint(entry, previous.lat, previous.lng);
+      const isInside = containsPoint(entry, current.lat, current.lng);
+      if (wasInside === isInside) {
+        continue;
+      }
+
+      events.push({
+        eventId: null,
+        geofenceId: entry.geofence.id,
+        geofenceName: entry.geofence.name,
+        vehicleId: current.vehicleId,
+        eventType: isInside ? GEOFENCE_EVENT_TYPES.ENTER : GEOFENCE_EVENT_TYPES.EXIT,
+        recordedAt: current.ts,
+        lat: current.lat,
+        lng: current.lng
+      });
+    }
+
+    if (events.length > 0) {
+      recordEventsTx(events);
+      logger?.debug({ vehicleId: current.vehicleId, events: events.length }, 'Recorded geofence events');
+    }
+
+    return events;
+  }
+
+  function queryEvents({ geofenceIds = [], vehicleIds = [], fleetIds = null, start, end, limit = 100 } = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (geofenceIds.length > 0) {
+      clauses.push(`e.geofence_id IN (${geofenceIds.map(() => '?').join(',')})`);
+      params.push(...geofenceIds);
+    }
+    if (vehicleIds.length > 0) {
+      clauses.push(`e.vehicle_id IN (${vehicleIds.map(() => '?').join(',')})`);
+      params.push(...vehicleIds);
+    }
+    if (fleetIds) {
+      clauses.push(buildFleetClause(fleetIds, 'e.vehicle_id'));
+      clauses.push(`(g.fleet_id IS NULL OR g.fleet_id IN (${fleetIds.map(() => '?').join(',')}))`);
+      params.push(...fleetIds, ...fleetIds);
+    }
+    if (start) {
+      clauses.push('e.recorded_at >= ?');
+      params.push(start);
+    }
+    if (end) {
+      clauses.push('e.recorded_at <= ?');
+      params.push(end);
+    }
+
+    const whereClause = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const rows = db.prepare(`
+      SELECT e.event_id, e.geofence_id, g.name AS geofence_name, e.vehicle_id, e.event_type,
+             e.recorded_at, e.latitude, e.longitude
+        FROM geofence_events e
+        JOIN geofences g ON g.geofence_id = e.geofence_id
+        ${whereClause}
+       ORDER BY e.recorded_at DESC, e.event_id DESC
+       LIMIT ?
+    `).all(...params, clampLimit(limit, 1_000));
+
+    return rows.map(row => ({
+      eventId: row.event_id,
+      geofenceId: row.geofence_id,
+      geofenceName: row.geofence_name,
+      vehicleId: row.vehicle_id,
+      eventType: row.event_type,
+      recordedAt: row.recorded_at,
+      lat: row.latitude,
+      lng: row.longitude
+    }));
+  }
+
+  return {
+    listGeofences,
+    getGeofence,
+    createGeofence,
+    updateGeofence,
+    deleteGeofence,
+    evaluate,
+    queryEvents
+  };
+}
+
+function mapRow(row) {
+  let geometry;
+  try {
+    geometry = JSON.parse(row.geometry_json);
+  } catch (err) {
+    return null;
+  }
+  if (!geometry || typeof geometry !== 'object') {
+    return null;
+  }
+  return {
+    id: row.geofence_id,
+    fleetId: row.fleet_id,
+    name: row.name,
+    category: row.category ?? null,
+    shape: row.shape,
+    geometry,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function compileGeofence(geofence) {
+  return {
+    geofence,
+    bounds: computeBounds(geofence)
+  };
+}
+
+function computeBounds({ shape, geometry }) {
+  if (shape === 'circle') {
+    const latDelta = geometry.radiusMeters / 111_320;
+    const cosLat = Math.max(Math.cos(geometry.center.lat * (Math.PI / 180)), 1e-6);
+    const lngDelta = latDelta / cosLat;
+    return {
+      minLat: geometry.center.lat - latDelta,
+      maxLat: geometry.center.lat + latDelta,
+      minLng: geometry.center.lng - lngDelta,
+      maxLng: geometry.center.lng + lngDelta
+    };
+  }
+
+  const bounds = { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity };
+  for (const point of geometry.points) {
+    bounds.minLat = Math.min(bounds.minLat, point.lat);
+    bounds.maxLat = Math.max(bounds.maxLat, point.lat);
+    bounds.minLng = Math.min(bounds.minLng, point.lng);
+    bounds.maxLng = Math.max(bounds.maxLng, point.lng);
+  }
+  return bounds;
+}
+
+function containsPoint(entry, lat, lng) {
+  const latNum = Number(lat);
+  const lngNum = Number(lng);
+  if (!Number.isFinite(latNum) || !Number.isFinite(lngNum)) {
+    return false;
+  }
+
+  const { bounds, geofence } = entry;
+  if (latNum < bounds.minLat || latNum > bounds.maxLat || lngNum < bounds.minLng || lngNum > bounds.maxLng) {
+    return false;
+  }
+
+  if (geofence.shape === 'circle') {
+    return pointInCircle(latNum, lngNum, geofence.geometry.center, geofence.geometry.radiusMeters);
+  }
+  return pointInPolygon(latNum, lngNum, geofence.geometry.points);
+}
+
+function clampLimit(value, max) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric) || numeric <= 0) {
+    return 100;
+  }
+  return Math.min(Math.trunc(numeric), max);
+}
+
+module.exports = {
+  createGeofenceService,
+  GEOFENCE_EVENT_TYPES
+};
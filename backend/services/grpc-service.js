@@ -2,6 +2,10 @@ const path = require('node:path');
 const grpc = require('@grpc/grpc-js');
 const protoLoader = require('@grpc/proto-loader');
 const { calculateRate } = require('../utils/message-metrics');
+const { normalizeTags } = require('../utils/validation');
+const { pickExtendedTelemetry } = require('../utils/telemetry-schema');
+const { checkAccess, resolveFleetScope } = require('../middleware/auth');
+const { SCOPES } = require('./auth-service');
 
 const PROTO_PATH = path.join(__dirname, '..', '..', 'protos', 'telemetry.proto');
 const PACKAGE_DEFINITION = protoLoader.loadSync(PROTO_PATH, {
@@ -14,6 +18,20 @@ const PACKAGE_DEFINITION = protoLoader.loadSync(PROTO_PATH, {
 const telemetryPkg = grpc.loadPackageDefinition(PACKAGE_DEFINITION).telemetry;
 const TelemetryServiceDefinition = telemetryPkg?.v1?.TelemetryService?.service;
 
+const TRIP_STATUS_FILTERS = {
+  TRIP_STATUS_ACTIVE: 'active',
+  TRIP_STATUS_COMPLETED: 'completed'
+};
+
+// Scope each RPC requires when auth is enabled; unlisted methods need `admin`.
+const METHOD_SCOPES = {
+  GetFleetSnapshot: SCOPES.READ_LIVE,
+  StreamVehicleSnapshots: SCOPES.READ_LIVE,
+  QueryTelemetryHistory: SCOPES.READ_HISTORY,
+  GetHistoricalAggregates: SCOPES.READ_HISTORY,
+  ListTrips: SCOPES.READ_HISTORY
+};
+
 const DEFAULT_KEEPALIVE_TIME_MS = 120_000;
 const DEFAULT_KEEPALIVE_TIMEOUT_MS = 20_000;
 
@@ -21,9 +39,11 @@ function createGrpcService({
   config,
   logger,
   vehicleStore,
+  vehicleRegistry,
   telemetryRepository,
   state,
   getClientCount,
+  authService,
   serverFactory
 }) {
   const grpcConfig = validateGrpcConfig(config, logger);
@@ -53,6 +73,9 @@ function createGrpcService({
     'grpc.keepalive_time_ms': keepaliveTimeMs,
     'grpc.keepalive_timeout_ms': keepaliveTimeoutMs
   };
+  if (authService) {
+    serverOptions.interceptors = [createAuthInterceptor(authService, logger)];
+  }
 
   const makeServer =
     typeof serverFactory === 'function' ? serverFactory : options => new grpc.Server(options);
@@ -61,6 +84,20 @@ function createGrpcService({
     throw new Error('gRPC server factory returned invalid instance');
   }
   const activeStreams = new Set();
+  const lookupMetadata = vehicleId => vehicleRegistry?.getMetadata(vehicleId) ?? null;
+
+  // The interceptor has already checked the caller's scope; this only works
+  // out which fleets it may read. Returns null when it may read them all.
+  const resolveCallFleets = call => {
+    const principal = authService ? authService.authenticate(readMetadataCredentials(call.metadata)).value : null;
+    const fleetScope = resolveFleetScope(principal, validateVehicleIds(call.request?.fleetIds));
+    if (!fleetScope.ok) {
+      const error = new Error(fleetScope.error);
+      error.code = grpc.status.PERMISSION_DENIED;
+      throw error;
+    }
+    return fleetScope.value;
+  };
 
   server.addService(TelemetryServiceDefinition, {
     GetFleetSnapshot: (call, callback) => {
@@ -68,7 +105,9 @@ function createGrpcService({
         const request = call.request || {};
         const response = buildFleetSnapshot({
           request,
+          fleetIds: resolveCallFleets(call),
           vehicleStore,
+          lookupMetadata,
           state,
           config,
           getClientCount
@@ -80,6 +119,13 @@ function createGrpcService({
       }
     },
     StreamVehicleSnapshots: call => {
+      let fleetIds;
+      try {
+        fleetIds = resolveCallFleets(call);
+      } catch (err) {
+        call.emit('error', mapError(err));
+        return;
+      }
       const vehicleIds = validateVehicleIds(call.request?.vehicleIds);
       const filterSet = buildFilterSet(vehicleIds);
       const tracker = new Map();
@@ -94,11 +140,11 @@ function createGrpcService({
       let flushChain = Promise.resolve();
 
       const runFlush = async ({ sendAll }) => {
-        for (const vehicle of collectVehicles(vehicleStore, filterSet)) {
+        for (const vehicle of collectVehicles(vehicleStore, filterSet, fleetIds)) {
           if (closed) {
             return;
           }
-          const payload = mapVehicleToSnapshot(vehicle);
+          const payload = mapVehicleToSnapshot(vehicle, lookupMetadata(vehicle.vehicleId));
           if (!payload) {
             continue;
           }
@@ -170,6 +216,8 @@ function createGrpcService({
 
         const result = telemetryRepository.queryTelemetryHistory({
           vehicleIds,
+          tags: validateTags(call.request?.tags),
+          fleetIds: resolveCallFleets(call),
           start,
           end,
           limit: call.request?.limit,
@@ -210,6 +258,8 @@ function createGrpcService({
 
         const response = telemetryRepository.queryHistoricalAggregates({
           vehicleIds,
+          tags: validateTags(call.request?.tags),
+          fleetIds: resolveCallFleets(call),
           start,
           end,
           aggregates: call.request?.aggregates || [],
@@ -229,6 +279,31 @@ function createGrpcService({
         logger?.error({ err }, 'GetHistoricalAggregates failed');
         callback(mapError(err));
       }
+    },
+    ListTrips: (call, callback) => {
+      try {
+        const request = call.request || {};
+        const range = request.range?.start && request.range?.end ? validateTimeRange(request.range) : null;
+
+        const result = telemetryRepository.queryTrips({
+          vehicleIds: validateVehicleIds(request.vehicleIds),
+          tags: validateTags(request.tags),
+          fleetIds: resolveCallFleets(call),
+          status: TRIP_STATUS_FILTERS[request.status] ?? 'all',
+          start: range?.start ?? timestampToIso(request.range?.start),
+          end: range?.end ?? timestampToIso(request.range?.end),
+          limit: request.limit,
+          pageToken: request.pageToken || undefined
+        });
+
+        callback(null, {
+          trips: result.trips.map(mapTrip),
+          nextPageToken: result.nextPageToken || ''
+        });
+      } catch (err) {
+        logger?.error({ err }, 'ListTrips failed');
+        callback(mapError(err));
+      }
     }
   });
 
@@ -268,19 +343,54 @@ function createGrpcService({
   };
 }
 
-function buildFleetSnapshot({ request, vehicleStore, state, config, getClientCount }) {
+// Authenticates every call from its `authorization` (`Bearer <jwt>` or
+// `ApiKey <key>`) or `x-api-key` metadata before the handler runs.
+function createAuthInterceptor(authService, logger) {
+  return (methodDescriptor, call) => {
+    const method = methodDescriptor.path.split('/').pop();
+    const scope = METHOD_SCOPES[method] ?? SCOPES.ADMIN;
+    const listener = new grpc.ServerListenerBuilder()
+      .withOnReceiveMetadata((metadata, next) => {
+        const access = checkAccess(authService, readMetadataCredentials(metadata), scope);
+        if (!access.ok) {
+          logger?.warn({ method, error: access.error }, 'Rejecting unauthorized gRPC call');
+          call.sendStatus({
+            code: access.statusCode === 401 ? grpc.status.UNAUTHENTICATED : grpc.status.PERMISSION_DENIED,
+            details: access.error
+          });
+          return;
+        }
+        next(metadata);
+      })
+      .build();
+    const responder = new grpc.ResponderBuilder()
+      .withStart(next => next(listener))
+      .build();
+    return new grpc.ServerInterceptingCall(call, responder);
+  };
+}
+
+function readMetadataCredentials(metadata) {
+  return {
+    authorization: metadata?.get('authorization')[0] ?? null,
+    apiKey: metadata?.get('x-api-key')[0] ?? null
+  };
+}
+
+function buildFleetSnapshot({ request, fleetIds, vehicleStore, lookupMetadata, state, config, getClientCount }) {
   const filterSet = buildFilterSet(request?.vehicleIds);
   const snapshots = [];
 
-  for (const vehicle of collectVehicles(vehicleStore, filterSet)) {
-    const payload = mapVehicleToSnapshot(vehicle);
+  for (const vehicle of collectVehicles(vehicleStore, filterSet, fleetIds)) {
+    const payload = mapVehicleToSnapshot(vehicle, lookupMetadata?.(vehicle.vehicleId) ?? null);
     if (payload) {
       snapshots.push(payload.message);
     }
   }
 
   const response = { snapshots };
-  if (request?.includeMetrics) {
+  // Message counters cover every fleet; fleet-limited calls do not get them.
+  if (request?.includeMetrics && !fleetIds) {
     const rate = calculateRate(state, config.messageWindowMs, Date.now());
     response.metrics = {
       totalMessages: state.totalMessages,
@@ -294,11 +404,15 @@ function buildFleetSnapshot({ request, vehicleStore, state, config, getClientCou
   return response;
 }
 
-function collectVehicles(vehicleStore, filterSet) {
+// `fleetIds` (null for every fleet) restricts the walk to those fleets.
+function collectVehicles(vehicleStore, filterSet, fleetIds = null) {
   const vehicles = [];
   const hasFilter = filterSet && filterSet.size > 0;
+  const candidates = fleetIds
+    ? Array.from(vehicleStore.values({ fleetIds }), vehicle => [vehicle.vehicleId, vehicle])
+    : vehicleStore.entries();
 
-  for (const [vehicleId, vehicle] of vehicleStore.entries()) {
+  for (const [vehicleId, vehicle] of candidates) {
     if (hasFilter && !filterSet.has(vehicleId)) {
       continue;
     }
@@ -316,7 +430,7 @@ function buildFilterSet(vehicleIds) {
   return new Set(validIds.map(id => String(id)));
 }
 
-function mapVehicleToSnapshot(vehicle) {
+function mapVehicleToSnapshot(vehicle, metadata = null) {
   if (!vehicle || !vehicle.vehicleId) {
     return null;
   }
@@ -329,29 +443,85 @@ function mapVehicleToSnapshot(vehicle) {
     lastSeenKey: lastSeenIso || recordedIso || vehicle.vehicleId,
     message: {
       vehicleId: vehicle.vehicleId,
+      fleetId: vehicle.fleetId || '',
       lastSeen: toTimestamp(lastSeenIso),
       telemetry: {
         vehicleId: vehicle.vehicleId,
+        fleetId: vehicle.fleetId || '',
         latitude: Number(vehicle.lat) || 0,
         longitude: Number(vehicle.lng) || 0,
         speedKmh: Number.isFinite(vehicle.speed) ? vehicle.speed : 0,
-        fuelLevel: Number.isFinite(vehicle.fuelLevel) ? vehicle.fuelLevel : 0,
+        fuelLevel: Number.isFinite(vehicle.fuelLevel) ? vehicle.fuelLevel : undefined,
         engineStatus: vehicle.engineStatus || '',
-        recordedAt: toTimestamp(recordedIso)
-      }
+        recordedAt: toTimestamp(recordedIso),
+        gpsFlags: Array.isArray(vehicle.gpsFlags) ? vehicle.gpsFlags : [],
+        ...mapExtendedTelemetry(vehicle)
+      },
+      metadata: mapVehicleMetadata(metadata)
     }
   };
 }
 
+function mapVehicleMetadata(metadata) {
+  if (!metadata) {
+    return null;
+  }
+  return {
+    plateNumber: metadata.plateNumber || '',
+    driver: metadata.driver || '',
+    vehicleType: metadata.vehicleType || '',
+    depot: metadata.depot || '',
+    tags: Array.isArray(metadata.tags) ? metadata.tags : []
+  };
+}
+
 function mapTelemetryPoint(event) {
   return {
     vehicleId: event.vehicleId,
+    fleetId: event.fleetId || '',
     latitude: Number(event.latitude) || 0,
     longitude: Number(event.longitude) || 0,
     speedKmh: Number.isFinite(event.speedKmh) ? event.speedKmh : 0,
-    fuelLevel: Number.isFinite(event.fuelLevel) ? event.fuelLevel : 0,
+    fuelLevel: Number.isFinite(event.fuelLevel) ? event.fuelLevel : undefined,
     engineStatus: event.engineStatus || '',
-    recordedAt: toTimestamp(event.recordedAt)
+    recordedAt: toTimestamp(event.recordedAt),
+    gpsFlags: Array.isArray(event.gpsFlags) ? event.gpsFlags : [],
+    ...mapExtendedTelemetry(event)
+  };
+}
+
+// Unreported numeric readings stay unset rather than reading as 0.
+function mapExtendedTelemetry(record) {
+  const { doorState, chargingStatus, sensors, ...readings } = pickExtendedTelemetry(record);
+  const sensorReadings = {};
+  for (const [name, value] of Object.entries(sensors ?? {})) {
+    if (typeof value === 'number') {
+      sensorReadings[name] = { number: value };
+    } else if (typeof value === 'boolean') {
+      sensorReadings[name] = { flag: value };
+    } else {
+      sensorReadings[name] = { text: String(value) };
+    }
+  }
+  return { ...readings, doorState: doorState ?? '', chargingStatus: chargingStatus ?? '', sensors: sensorReadings };
+}
+
+function mapTrip(trip) {
+  return {
+    tripId: String(trip.id),
+    vehicleId: trip.vehicleId,
+    fleetId: trip.fleetId || '',
+    status: trip.status === 'active' ? 'TRIP_STATUS_ACTIVE' : 'TRIP_STATUS_COMPLETED',
+    startedAt: toTimestamp(trip.startedAt),
+    endedAt: toTimestamp(trip.endedAt),
+    endReason: trip.endReason || '',
+    startPosition: { latitude: trip.startPosition.lat, longitude: trip.startPosition.lng },
+    endPosition: trip.endPosition ? { latitude: trip.endPosition.lat, longitude: trip.endPosition.lng } : null,
+    distanceKm: trip.distanceKm,
+    maxSpeedKmh: trip.maxSpeedKmh,
+    avgSpeedKmh: trip.avgSpeedKmh,
+    fuelUsed: trip.fuelUsed,
+    durationSeconds: trip.durationSeconds
   };
 }
 
@@ -511,6 +681,19 @@ function validateVehicleIds(vehicleIds) {
   return result;
 }
 
+function validateTags(tags) {
+  if (!Array.isArray(tags)) {
+    return [];
+  }
+  const normalized = normalizeTags(tags.filter(tag => typeof tag === 'string' && tag.trim() !== ''));
+  if (!normalized) {
+    const error = new Error('Invalid tags');
+    error.code = grpc.status.INVALID_ARGUMENT;
+    throw error;
+  }
+  return normalized;
+}
+
 function validateTimeRange(range) {
   if (!range?.start || !range?.end) {
     return null;
@@ -0,0 +1,90 @@
+const { createRegistry } = require('../utils/prometheus');
+
+const LATENCY_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+const JOB_BUCKETS = [0.01, 0.05, 0.1, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// Instruments exported on `/metrics`. Services record into the counters and
+// histograms as work happens; gauges read live values at scrape time.
+function createMetricsService({ state, getClientCount, getVehicleCount, getWriteBufferMetrics } = {}) {
+  const registry = createRegistry();
+
+  const mqttMessagesReceived = registry.counter({
+    name: 'fleet_mqtt_messages_received',
+    help: 'MQTT messages received on telemetry subscriptions.'
+  });
+  const mqttMessagesInvalid = registry.counter({
+    name: 'fleet_mqtt_messages_invalid',
+    help: 'MQTT messages rejected, by reason.',
+    labelNames: ['reason']
+  });
+  const mqttMessagesStale = registry.counter({
+    name: 'fleet_mqtt_messages_stale',
+    help: 'MQTT messages no newer than the vehicle\'s live state, stored for history only.'
+  });
+  const gpsFixesFlagged = registry.counter({
+    name: 'fleet_gps_fixes_flagged',
+    help: 'GPS fixes flagged by the plausibility filter, by flag.',
+    labelNames: ['flag']
+  });
+  const ingestBroadcastLatency = registry.histogram({
+    name: 'fleet_ingest_broadcast_latency_seconds',
+    help: 'Time from receiving an MQTT message to broadcasting it to WebSocket clients.',
+    buckets: LATENCY_BUCKETS
+  });
+  const sqliteWriteDuration = registry.histogram({
+    name: 'fleet_sqlite_write_duration_seconds',
+    help: 'Duration of telemetry writes to SQLite (one batch or one record).',
+    buckets: LATENCY_BUCKETS
+  });
+  const rollupJobDuration = registry.histogram({
+    name: 'fleet_rollup_job_duration_seconds',
+    help: 'Duration of telemetry rollup jobs.',
+    buckets: JOB_BUCKETS
+  });
+  const websocketDroppedPayloads = registry.counter({
+    name: 'fleet_websocket_dropped_payloads',
+    help: 'WebSocket payloads dropped because a client fell behind (backpressure).'
+  });
+
+  registry.gauge({
+    name: 'fleet_websocket_clients',
+    help: 'Connected WebSocket clients.',
+    collect: () => (typeof getClientCount === 'function' ? getClientCount() : 0)
+  });
+  registry.gauge({
+    name: 'fleet_grpc_active_streams',
+    help: 'Open gRPC server streams.',
+    collect: () => state?.grpcStreams ?? 0
+  });
+  registry.gauge({
+    name: 'fleet_vehicles_tracked',
+    help: 'Vehicles held in the in-memory store.',
+    collect: () => (typeof getVehicleCount === 'function' ? getVehicleCount() : 0)
+  });
+  registry.gauge({
+    name: 'fleet_write_queue_depth',
+    help: 'Telemetry records waiting in the SQLite write buffer.',
+    collect: () => getWriteBufferMetrics?.()?.queueDepth ?? Number.NaN
+  });
+  registry.counter({
+    name: 'fleet_write_dropped_records',
+    help: 'Telemetry records dropped because the SQLite write buffer was full.',
+    collect: () => getWriteBufferMetrics?.()?.dropped ?? Number.NaN
+  });
+
+  return {
+    mqttMessagesReceived,
+    mqttMessagesInvalid,
+    mqttMessagesStale,
+    gpsFixesFlagged,
+    ingestBroadcastLatency,
+    sqliteWriteDuration,
+    rollupJobDuration,
+    websocketDroppedPayloads,
+    render: options => registry.render(options)
+  };
+}
+
+module.exports = {
+  createMetricsService
+};
@@ -1,10 +1,38 @@
 const mqtt = require('mqtt');
 const { validateTelemetry } = require('../utils/validation');
+const { createPayloadDecoder } = require('../utils/payload-decoder');
+const { toSharedSubscription, validateTopicFilter } = require('../utils/mqtt-topic');
+const { REJECTION_REASONS } = require('./dead-letter-service');
 const { recordTimestamp } = require('../utils/message-metrics');
-const { haversine } = require('../utils/geo');
+const { createGpsFilter } = require('../utils/gps-filter');
+const { buildTelemetryRecord } = require('../utils/telemetry-ingest');
+const { extractFleetId } = require('../utils/fleet');
 
-function createMqttService({ config, logger, vehicleStore, websocketService, state, telemetryRepository }) {
-  const { broker, subscriptionTopic, messageWindowMs } = config;
+const MAX_USER_PROPERTIES = 16;
+const MAX_USER_PROPERTY_KEY_LENGTH = 64;
+const MAX_USER_PROPERTY_VALUE_LENGTH = 256;
+
+function createMqttService({
+  config,
+  logger,
+  vehicleStore,
+  vehicleRegistry,
+  websocketService,
+  state,
+  telemetryRepository,
+  telemetryWriteBuffer,
+  geofenceService,
+  alertService,
+  deadLetterService,
+  metrics
+}) {
+  const { broker, messageWindowMs } = config;
+  const payloadDecoder = createPayloadDecoder(config.ingest);
+  const gpsFilter = createGpsFilter({ maxVehicles: config.cacheLimit, ...config.gpsFilter });
+  const subscriptions = resolveSubscriptions(config);
+  const subscriptionTopics = subscriptions.map(subscription => subscription.topic);
+  const deadLetterTopic = resolveDeadLetterTopic(config.deadLetter);
+  const fleetTopicLevel = config.fleets?.topicLevel ?? 1;
 
   const mqttOptions = {
     protocol: broker.useTls ? 'mqtts' : 'mqtt',
@@ -29,6 +57,10 @@ function createMqttService({ config, logger, vehicleStore, websocketService, sta
     mqttOptions.clientId = broker.clientId;
   }
 
+  if (broker.protocolVersion) {
+    mqttOptions.protocolVersion = broker.protocolVersion;
+  }
+
   const mqttClient = mqtt.connect(mqttOptions);
 
   mqttClient.on('connect', () => {
@@ -37,16 +69,23 @@ function createMqttService({ config, logger, vehicleStore, websocketService, sta
       host: broker.host,
       port: broker.port,
       protocol: mqttOptions.protocol,
+      protocolVersion: mqttOptions.protocolVersion,
       username: broker.username ? '[configured]' : undefined,
-      subscriptionTopic
+      subscriptions: subscriptionTopics
     }, 'Connected to broker');
 
-    mqttClient.subscribe(subscriptionTopic, err => {
+    const subscriptionMap = Object.fromEntries(subscriptions.map(({ topic, qos }) => [topic, { qos }]));
+    mqttClient.subscribe(subscriptionMap, (err, granted = []) => {
       if (err) {
         logger.error({ err }, 'Subscription failed');
         process.exit(1);
       }
-      logger.info({ topic: subscriptionTopic }, 'Subscription complete');
+      // A granted QoS of 128 is the broker refusing that filter.
+      const refused = granted.filter(grant => grant.qos === 128).map(grant => grant.topic);
+      if (refused.length > 0) {
+        logger.error({ topics: refused }, 'Broker refused subscriptions');
+      }
+      logger.info({ topics: subscriptionTopics }, 'Subscription complete');
     });
   });
 
@@ -63,52 +102,172 @@ function createMqttService({ config, logger, vehicleStore, websocketService, sta
     logger.error({ err }, 'MQTT error');
   });
 
-  mqttClient.on('message', (receivedTopic, payload) => {
-    const raw = payload.toString();
-    const parsed = tryParseJson(raw);
-    if (!parsed.ok) {
-      state.invalidMessages += 1;
-      logger.warn({ topic: receivedTopic, raw, error: parsed.error }, 'Invalid telemetry payload');
+  mqttClient.on('message', (receivedTopic, payload, packet) => {
+    // Our own dead letters must never be re-ingested (and re-rejected).
+    if (deadLetterTopic && receivedTopic === deadLetterTopic) {
+      return;
+    }
+    const stopIngestTimer = metrics?.ingestBroadcastLatency.startTimer();
+    metrics?.mqttMessagesReceived.inc();
+
+    const fleetId = extractFleetId(receivedTopic, fleetTopicLevel);
+    if (!fleetId) {
+      logger.warn({ topic: receivedTopic, level: fleetTopicLevel }, 'Telemetry topic has no valid fleet id');
+      rejectMessage({
+        topic: receivedTopic,
+        fleetId,
+        payload,
+        format: payloadDecoder.resolveFormat(receivedTopic, packet?.properties),
+        reason: REJECTION_REASONS.INVALID_FLEET,
+        error: `topic level ${fleetTopicLevel} is not a valid fleet id`
+      });
       return;
     }
 
-    const validation = validateTelemetry(parsed.value);
+    const decoded = payloadDecoder.decode(receivedTopic, payload, packet?.properties);
+    if (!decoded.ok) {
+      logger.warn({ topic: receivedTopic, raw: describePayload(payload, decoded.format), error: decoded.error }, 'Invalid telemetry payload');
+      rejectMessage({ topic: receivedTopic, fleetId, payload, format: decoded.format, reason: decoded.error, error: null });
+      return;
+    }
+
+    const validation = validateTelemetry(decoded.value);
     if (!validation.ok) {
-      state.invalidMessages += 1;
-      logger.warn({ topic: receivedTopic, raw, error: validation.error }, 'Telemetry validation failed');
+      logger.warn({ topic: receivedTopic, raw: describePayload(payload, decoded.format), error: validation.error }, 'Telemetry validation failed');
+      rejectMessage({
+        topic: receivedTopic,
+        fleetId,
+        payload,
+        format: decoded.format,
+        reason: REJECTION_REASONS.VALIDATION_FAILED,
+        error: validation.error
+      });
       return;
     }
 
     const message = validation.value;
     const previous = vehicleStore.get(message.vehicleId);
-    const speed = previous ? computeSpeed(previous, message) : 0;
-    const enriched = {
-      vehicleId: message.vehicleId,
-      lat: message.lat,
-      lng: message.lng,
-      ts: message.ts,
-      speed,
-      fuelLevel: message.fuelLevel,
-      engineStatus: message.engineStatus,
-      lastSeen: new Date().toISOString()
-    };
+
+    // Vehicle ids are unique across fleets: a vehicle stays in the fleet it
+    // first reported from, and other fleets cannot write to it.
+    const ownerFleetId = previous ? previous.fleetId : vehicleRegistry?.getFleetId(message.vehicleId);
+    if (ownerFleetId && ownerFleetId !== fleetId) {
+      logger.warn({ topic: receivedTopic, vehicleId: message.vehicleId, fleetId, ownerFleetId }, 'Telemetry for a vehicle of another fleet');
+      rejectMessage({
+        topic: receivedTopic,
+        fleetId,
+        payload,
+        format: decoded.format,
+        reason: REJECTION_REASONS.FLEET_MISMATCH,
+        error: `vehicle "${message.vehicleId}" belongs to another fleet`
+      });
+      return;
+    }
+
+    // Devices on flaky links replay buffered data. A message that is not
+    // newer than the live state is only stored for history; the repository
+    // drops exact duplicates and fits late events in with their neighbours,
+    // flagging those too fast to reach from them. Implausible fixes are kept
+    // for history but flagged, and the live position, speed and distance
+    // follow the filtered track instead.
+    const receivedAt = Date.now();
+    const record = buildTelemetryRecord({
+      message,
+      previous,
+      fleetId,
+      gpsFilter,
+      lastSeen: new Date(receivedAt).toISOString(),
+      properties: extractMessageProperties(packet?.properties, receivedAt)
+    });
+    if (record.stale) {
+      state.staleMessages += 1;
+      metrics?.mqttMessagesStale.inc();
+      stopIngestTimer?.();
+      logger.debug({ topic: receivedTopic, vehicleId: message.vehicleId, ts: message.ts, liveTs: previous.ts }, 'Stale telemetry stored for history only');
+      persistTelemetry(record);
+      return;
+    }
+
+    const { enriched } = record;
+    for (const flag of enriched.gpsFlags ?? []) {
+      state.gpsFlagged[flag] = (state.gpsFlagged[flag] ?? 0) + 1;
+      metrics?.gpsFixesFlagged.inc({ flag });
+    }
 
     vehicleStore.set(message.vehicleId, enriched);
     state.totalMessages += 1;
     recordTimestamp(state, Date.now(), messageWindowMs);
 
     websocketService.broadcastUpdate(enriched);
+    stopIngestTimer?.();
     logger.debug({ topic: receivedTopic, vehicleId: message.vehicleId }, 'Processed telemetry');
 
-    if (telemetryRepository) {
+    persistTelemetry(record);
+
+    if (geofenceService) {
+      try {
+        const geofenceEvents = geofenceService.evaluate({ previous, current: enriched });
+        for (const event of geofenceEvents) {
+          websocketService.broadcastGeofenceEvent(event);
+        }
+      } catch (err) {
+        logger.error({ err, vehicleId: message.vehicleId }, 'Failed to evaluate geofences');
+      }
+    }
+
+    if (alertService) {
       try {
-        telemetryRepository.recordTelemetry({ message, previous, enriched });
+        const alertEvents = alertService.evaluateTelemetry({ previous, current: enriched });
+        for (const event of alertEvents) {
+          websocketService.broadcastAlert(event);
+        }
       } catch (err) {
-        logger.error({ err, vehicleId: message.vehicleId }, 'Failed to persist telemetry');
+        logger.error({ err, vehicleId: message.vehicleId }, 'Failed to evaluate alert rules');
       }
     }
   });
 
+  function persistTelemetry(record) {
+    if (telemetryWriteBuffer) {
+      telemetryWriteBuffer.enqueue(record);
+    } else if (telemetryRepository) {
+      try {
+        const stopWriteTimer = metrics?.sqliteWriteDuration.startTimer();
+        telemetryRepository.recordTelemetry(record);
+        stopWriteTimer?.();
+      } catch (err) {
+        logger.error({ err, vehicleId: record.message.vehicleId }, 'Failed to persist telemetry');
+      }
+    }
+  }
+
+  function rejectMessage({ topic, fleetId, payload, format, reason, error }) {
+    state.invalidMessages += 1;
+    metrics?.mqttMessagesInvalid.inc({ reason });
+    const receivedAt = new Date();
+
+    if (deadLetterService) {
+      deadLetterService.record({ topic, fleetId, payload, payloadFormat: format, reason, error, receivedAt });
+    }
+
+    if (deadLetterTopic) {
+      const envelope = JSON.stringify({
+        topic,
+        fleetId,
+        reason,
+        error,
+        receivedAt: receivedAt.toISOString(),
+        payloadFormat: format,
+        payload: Buffer.from(payload ?? '').toString('base64')
+      });
+      mqttClient.publish(deadLetterTopic, envelope, { qos: config.deadLetter.qos ?? 0 }, err => {
+        if (err) {
+          logger.warn({ err, topic: deadLetterTopic }, 'Failed to publish dead letter');
+        }
+      });
+    }
+  }
+
   function disconnect(callback) {
     mqttClient.end(false, callback);
   }
@@ -119,32 +278,77 @@ function createMqttService({ config, logger, vehicleStore, websocketService, sta
   };
 }
 
-function tryParseJson(raw) {
-  try {
-    return { ok: true, value: JSON.parse(raw) };
-  } catch (err) {
-    return { ok: false, error: 'invalid_json' };
+function resolveDeadLetterTopic(deadLetter) {
+  const topic = deadLetter?.topic;
+  if (!topic) {
+    return null;
+  }
+  if (/[+#]/.test(topic)) {
+    throw new Error(`Dead-letter topic "${topic}" must not contain wildcards`);
   }
+  return topic;
 }
 
-function computeSpeed(previous, current) {
-  const prevTime = Date.parse(previous.ts);
-  const currTime = Date.parse(current.ts);
-  if (!Number.isFinite(prevTime) || !Number.isFinite(currTime)) {
-    return 0;
+function resolveSubscriptions({ subscriptions, subscriptionShareGroup }) {
+  if (!Array.isArray(subscriptions) || subscriptions.length === 0) {
+    throw new Error('At least one MQTT subscription is required');
   }
+  return subscriptions.map(({ topic, qos }) => {
+    const error = validateTopicFilter(topic);
+    if (error) {
+      throw new Error(`Invalid MQTT subscription: ${error}`);
+    }
+    if (![0, 1, 2].includes(qos)) {
+      throw new Error(`Invalid QoS for MQTT subscription "${topic}": expected 0, 1, or 2`);
+    }
+    return { topic: toSharedSubscription(topic, subscriptionShareGroup), qos };
+  });
+}
 
-  const deltaMs = currTime - prevTime;
-  if (deltaMs <= 0) {
-    return 0;
+// MQTT 5 user properties and message expiry ride along on the enriched record
+// so devices can attach firmware versions, trace ids, and similar context.
+function extractMessageProperties(properties, receivedAt) {
+  const extracted = {};
+  const userProperties = sanitizeUserProperties(properties?.userProperties);
+  if (userProperties) {
+    extracted.userProperties = userProperties;
+  }
+  const expirySeconds = properties?.messageExpiryInterval;
+  if (Number.isFinite(expirySeconds) && expirySeconds >= 0) {
+    extracted.messageExpiresAt = new Date(receivedAt + expirySeconds * 1000).toISOString();
   }
+  return extracted;
+}
 
-  const distanceKm = haversine(previous.lat, previous.lng, current.lat, current.lng);
-  const deltaHours = deltaMs / 3_600_000;
-  if (deltaHours === 0) {
-    return 0;
+function sanitizeUserProperties(userProperties) {
+  if (!userProperties || typeof userProperties !== 'object') {
+    return null;
   }
+  const sanitized = {};
+  let count = 0;
+  for (const [key, value] of Object.entries(userProperties)) {
+    if (count >= MAX_USER_PROPERTIES) {
+      break;
+    }
+    if (key === '' || key.length > MAX_USER_PROPERTY_KEY_LENGTH || key === '__proto__') {
+      continue;
+    }
+    const values = (Array.isArray(value) ? value : [value])
+      .filter(entry => typeof entry === 'string')
+      .map(entry => entry.slice(0, MAX_USER_PROPERTY_VALUE_LENGTH));
+    if (values.length === 0) {
+      continue;
+    }
+    sanitized[key] = values.length === 1 ? values[0] : values;
+    count += 1;
+  }
+  return count > 0 ? sanitized : null;
+}
 
-  return distanceKm / deltaHours;
+// Binary payloads are logged as base64 so log lines stay printable.
+function describePayload(payload, format) {
+  const buffer = Buffer.isBuffer(payload) ? payload : Buffer.from(payload ?? '');
+  return format === 'json' ? buffer.toString() : buffer.toString('base64');
 }
+
 module.exports = { createMqttService };
@@ -1,15 +1,46 @@
 const { haversine } = require('../utils/geo');
+const { DEFAULT_FLEET_ID, buildFleetClause } = require('../utils/fleet');
+const { GPS_FLAGS, createMaxSpeedCheck, isOutlierFix } = require('../utils/gps-filter');
+const { EXTENDED_TELEMETRY_FIELDS, fromExtendedColumns, toExtendedColumnValues } = require('../utils/telemetry-schema');
+
+const EXTENDED_COLUMNS = EXTENDED_TELEMETRY_FIELDS.map(field => field.column);
+
+const TRIP_STATUSES = ['active', 'completed'];
+
+// AggregateType names (without the AGGREGATE_TYPE_ prefix); all of them are
+// returned when a request names none.
+const AGGREGATE_TYPES = [
+  'AVG_SPEED_KMH',
+  'MAX_SPEED_KMH',
+  'MIN_FUEL_LEVEL',
+  'TOTAL_DISTANCE_KM',
+  'MIN_BATTERY_LEVEL',
+  'ENERGY_CONSUMED_PCT'
+];
+
+const TRIP_END_REASONS = {
+  ENGINE_OFF: 'engine_off',
+  IDLE: 'idle',
+  GAP: 'gap'
+};
+
+// Trips only carry a vehicle id; their fleet is the vehicle's.
+const TRIP_FLEET_COLUMN = '(SELECT fleet_id FROM vehicles WHERE vehicles.vehicle_id = trips.vehicle_id) AS fleet_id';
 
-function createTelemetryRepository({ db, logger, config }) {
+function createTelemetryRepository({ db, logger, config, metrics }) {
   const telemetryConfig = config?.telemetryDb || {};
+  const tripConfig = resolveTripConfig(config?.trips);
   const rollupWindows = sanitizeRollupWindows(telemetryConfig);
   const baseRollupWindow = rollupWindows[0];
   const rollupIntervalMs = normalizeInterval(telemetryConfig.rollupIntervalMs, 60_000);
   const rollupCatchUpWindows = Math.max(0, Math.trunc(telemetryConfig.rollupCatchUpWindows ?? 1));
+  const retention = resolveRetentionConfig(telemetryConfig.retention, rollupWindows);
+  const exceedsMaxSpeed = createMaxSpeedCheck(config?.gpsFilter);
 
   const upsertVehicle = db.prepare(`
     INSERT INTO vehicles (
       vehicle_id,
+      fleet_id,
       first_seen_at,
       last_seen_at,
       last_latitude,
@@ -17,12 +48,14 @@ function createTelemetryRepository({ db, logger, config }) {
       last_engine_status,
       last_fuel_level,
       metadata_json
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, NULL)
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NULL)
     ON CONFLICT(vehicle_id) DO UPDATE SET
       first_seen_at = CASE
+        WHEN vehicles.last_latitude IS NULL THEN excluded.first_seen_at
         WHEN vehicles.first_seen_at <= excluded.first_seen_at THEN vehicles.first_seen_at
         ELSE excluded.first_seen_at
       END,
+      fleet_id = COALESCE(vehicles.fleet_id, excluded.fleet_id),
       last_seen_at = excluded.last_seen_at,
       last_latitude = excluded.last_latitude,
       last_longitude = excluded.last_longitude,
@@ -33,15 +66,99 @@ function createTelemetryRepository({ db, logger, config }) {
   const insertEvent = db.prepare(`
     INSERT INTO telemetry_events (
       vehicle_id,
+      fleet_id,
       recorded_at,
       latitude,
       longitude,
       speed_kmh,
       fuel_level,
       engine_status,
-      distance_km
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      distance_km,
+      gps_flags,
+      gps_outlier,
+      energy_used_pct,
+      ${EXTENDED_COLUMNS.join(',\n      ')}
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?${', ?'.repeat(EXTENDED_COLUMNS.length)})
+  `);
+
+  // Late events (older than one already stored for the vehicle) are placed
+  // between their stored neighbours; see recordLateEvent.
+  const selectEventAt = db.prepare(
+    'SELECT event_id FROM telemetry_events WHERE vehicle_id = ? AND recorded_at = ?'
+  );
+  const selectPreviousEvent = db.prepare(`
+    SELECT recorded_at, latitude, longitude, speed_kmh
+      FROM telemetry_events
+     WHERE vehicle_id = ? AND recorded_at < ? AND gps_outlier = 0
+     ORDER BY recorded_at DESC
+     LIMIT 1
+  `);
+  const selectNextEvent = db.prepare(`
+    SELECT event_id, recorded_at
+      FROM telemetry_events
+     WHERE vehicle_id = ? AND recorded_at > ?
+     ORDER BY recorded_at ASC
+     LIMIT 1
   `);
+  // GPS outliers carry no distance, so neighbours are measured past them.
+  const selectNextMeasuredEvent = db.prepare(`
+    SELECT event_id, recorded_at, latitude, longitude, distance_km, gps_flags
+      FROM telemetry_events
+     WHERE vehicle_id = ? AND recorded_at > ? AND gps_outlier = 0
+     ORDER BY recorded_at ASC
+     LIMIT 1
+  `);
+  const updateEventDistance = db.prepare('UPDATE telemetry_events SET distance_km = ? WHERE event_id = ?');
+  // Battery readings are not position fixes, so GPS outliers still count.
+  const selectPreviousBatteryEvent = db.prepare(`
+    SELECT battery_level
+      FROM telemetry_events
+     WHERE vehicle_id = ? AND recorded_at < ? AND battery_level IS NOT NULL
+     ORDER BY recorded_at DESC
+     LIMIT 1
+  `);
+  const selectNextBatteryEvent = db.prepare(`
+    SELECT event_id, recorded_at, battery_level, charging_status
+      FROM telemetry_events
+     WHERE vehicle_id = ? AND recorded_at > ? AND battery_level IS NOT NULL
+     ORDER BY recorded_at ASC
+     LIMIT 1
+  `);
+  const updateEventEnergy = db.prepare('UPDATE telemetry_events SET energy_used_pct = ? WHERE event_id = ?');
+  // Late events leave the last position alone, but a vehicle whose newer
+  // messages never reached the database still needs a row.
+  const insertLateVehicle = db.prepare(`
+    INSERT INTO vehicles (
+      vehicle_id,
+      fleet_id,
+      first_seen_at,
+      last_seen_at,
+      last_latitude,
+      last_longitude,
+      last_engine_status,
+      last_fuel_level,
+      metadata_json
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NULL)
+    ON CONFLICT(vehicle_id) DO UPDATE SET
+      fleet_id = COALESCE(vehicles.fleet_id, excluded.fleet_id)
+  `);
+  const updateFirstSeen = db.prepare(
+    'UPDATE vehicles SET first_seen_at = ? WHERE vehicle_id = ? AND first_seen_at > ?'
+  );
+  // Rollup buckets holding late events are recomputed by the next rollup
+  // run; see computePendingRollups.
+  const markRollupDirty = db.prepare(`
+    INSERT INTO telemetry_rollup_dirty (epoch) VALUES (?)
+    ON CONFLICT(epoch) DO UPDATE SET marks = marks + 1
+  `);
+  const selectRollupDirty = db.prepare('SELECT epoch, marks FROM telemetry_rollup_dirty');
+  const countRollupDirty = db.prepare('SELECT COUNT(*) AS count FROM telemetry_rollup_dirty');
+  const clearRollupDirty = db.prepare('DELETE FROM telemetry_rollup_dirty WHERE epoch = ? AND marks = ?');
+  const clearRollupDirtyTx = db.transaction(rows => {
+    for (const row of rows) {
+      clearRollupDirty.run(row.epoch, row.marks);
+    }
+  });
 
   const getDistanceCache = db.prepare(
     'SELECT cumulative_km FROM telemetry_distance_cache WHERE vehicle_id = ?'
@@ -52,6 +169,65 @@ function createTelemetryRepository({ db, logger, config }) {
   const updateDistanceCache = db.prepare(
     'UPDATE telemetry_distance_cache SET last_event_id = ?, cumulative_km = ? WHERE vehicle_id = ?'
   );
+  const adjustDistanceCache = db.prepare(
+    'UPDATE telemetry_distance_cache SET cumulative_km = cumulative_km + ? WHERE vehicle_id = ?'
+  );
+
+  const selectActiveTrip = db.prepare(`
+    SELECT trip_id, vehicle_id, status, started_at, ended_at, end_reason, start_latitude, start_longitude,
+           end_latitude, end_longitude, distance_km, max_speed_kmh, speed_sum_kmh, sample_count,
+           start_fuel_level, end_fuel_level, fuel_used, last_recorded_at, idle_since
+      FROM trips
+     WHERE vehicle_id = ? AND status = 'active'
+  `);
+  const selectTripById = db.prepare(`
+    SELECT trip_id, vehicle_id, status, started_at, ended_at, end_reason, start_latitude, start_longitude,
+           end_latitude, end_longitude, distance_km, max_speed_kmh, speed_sum_kmh, sample_count,
+           start_fuel_level, end_fuel_level, fuel_used, last_recorded_at, idle_since,
+           ${TRIP_FLEET_COLUMN}
+      FROM trips
+     WHERE trip_id = ?
+  `);
+  const insertTrip = db.prepare(`
+    INSERT INTO trips (
+      vehicle_id,
+      status,
+      started_at,
+      start_latitude,
+      start_longitude,
+      end_latitude,
+      end_longitude,
+      max_speed_kmh,
+      speed_sum_kmh,
+      sample_count,
+      start_fuel_level,
+      end_fuel_level,
+      last_recorded_at
+    ) VALUES (?, 'active', ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)
+  `);
+  const updateTripProgress = db.prepare(`
+    UPDATE trips
+       SET end_latitude = ?, end_longitude = ?, distance_km = ?, max_speed_kmh = ?, speed_sum_kmh = ?,
+           sample_count = ?, end_fuel_level = ?, fuel_used = ?, last_recorded_at = ?, idle_since = ?
+     WHERE trip_id = ?
+  `);
+  const completeTrip = db.prepare(`
+    UPDATE trips
+       SET status = 'completed', ended_at = ?, end_reason = ?, idle_since = NULL
+     WHERE trip_id = ?
+  `);
+  const deleteTrip = db.prepare('DELETE FROM trips WHERE trip_id = ?');
+  const selectTripSpanning = db.prepare(`
+    SELECT trip_id
+      FROM trips
+     WHERE vehicle_id = ? AND started_at < ? AND last_recorded_at > ?
+  `);
+  const addLateTripSample = db.prepare(`
+    UPDATE trips
+       SET distance_km = distance_km + ?, max_speed_kmh = MAX(max_speed_kmh, ?),
+           speed_sum_kmh = speed_sum_kmh + ?, sample_count = sample_count + 1
+     WHERE trip_id = ?
+  `);
 
   const selectOldestEvent = db.prepare('SELECT MIN(recorded_at) AS min_recorded FROM telemetry_events');
   const getLastRollupEndStmt = db.prepare(
@@ -60,6 +236,29 @@ function createTelemetryRepository({ db, logger, config }) {
       WHERE (strftime('%s', bucket_end) - strftime('%s', bucket_start)) = ?`
   );
 
+  // The event a vehicle's distance cache points at is never pruned: the
+  // foreign key would cascade and drop the vehicle's cumulative distance.
+  const deleteExpiredEvents = db.prepare(`
+    DELETE FROM telemetry_events
+     WHERE event_id IN (
+       SELECT event_id
+         FROM telemetry_events
+        WHERE recorded_at < ?
+          AND event_id NOT IN (SELECT last_event_id FROM telemetry_distance_cache)
+        LIMIT ?
+     )
+  `);
+  const deleteExpiredRollups = db.prepare(`
+    DELETE FROM telemetry_rollups
+     WHERE rowid IN (
+       SELECT rowid
+         FROM telemetry_rollups
+        WHERE bucket_end <= datetime(?, 'unixepoch')
+          AND (strftime('%s', bucket_end) - strftime('%s', bucket_start)) = ?
+        LIMIT ?
+     )
+  `);
+
   const rollupStatementCache = new Map();
 
   const applyRollups = db.transaction(rows => {
@@ -72,14 +271,18 @@ function createTelemetryRepository({ db, logger, config }) {
         max_speed_kmh,
         min_fuel_level,
         total_distance_km,
-        sample_count
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        sample_count,
+        min_battery_level,
+        total_energy_used_pct
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       ON CONFLICT(bucket_start, bucket_end, vehicle_id) DO UPDATE SET
         avg_speed_kmh = excluded.avg_speed_kmh,
         max_speed_kmh = excluded.max_speed_kmh,
         min_fuel_level = excluded.min_fuel_level,
         total_distance_km = excluded.total_distance_km,
-        sample_count = excluded.sample_count
+        sample_count = excluded.sample_count,
+        min_battery_level = excluded.min_battery_level,
+        total_energy_used_pct = excluded.total_energy_used_pct
     `);
 
     for (const row of rows) {
@@ -91,54 +294,207 @@ function createTelemetryRepository({ db, logger, config }) {
         row.max_speed_kmh,
         row.min_fuel_level,
         row.total_distance_km,
-        row.sample_count
+        row.sample_count,
+        row.min_battery_level,
+        row.total_energy_used_pct
       );
     }
   });
 
-  const recordTelemetryTx = db.transaction(({ message, previous, enriched }) => {
+  // `stale` marks messages that are not newer than the vehicle's live state.
+  // They are stored as late events even when the newer message they lost to
+  // never reached the database (a failed write, or one dropped by the write
+  // buffer).
+  const recordTelemetryTx = db.transaction(({ message, previous, enriched, stale = false }) => {
     const recordedAt = normalizeIso(message.ts);
+    if (selectEventAt.get(message.vehicleId, recordedAt)) {
+      orderingStats.duplicateEvents += 1;
+      return { eventId: null, deltaKm: 0, totalKm: null, tripId: null, duplicate: true };
+    }
+
+    if (stale || selectNextEvent.get(message.vehicleId, recordedAt)) {
+      return recordLateEvent({ message, enriched, recordedAt });
+    }
+
     const lastSeen = normalizeIso(enriched.lastSeen);
-    const deltaKm = computeDeltaKm(previous, message);
+    const fleetId = enriched.fleetId ?? DEFAULT_FLEET_ID;
+    // Events keep the reported fix; distances, trips and the last position
+    // follow the filtered one. A relocation jump is not distance travelled.
+    const gpsFlags = Array.isArray(enriched.gpsFlags) && enriched.gpsFlags.length > 0 ? enriched.gpsFlags : null;
+    const position = { lat: enriched.lat ?? message.lat, lng: enriched.lng ?? message.lng };
+    const deltaKm = gpsFlags?.includes(GPS_FLAGS.RELOCATED) ? 0 : computeDeltaKm(previous, position);
 
     upsertVehicle.run(
       message.vehicleId,
+      fleetId,
       recordedAt,
       lastSeen,
-      message.lat,
-      message.lng,
+      position.lat,
+      position.lng,
       message.engineStatus,
-      message.fuelLevel
+      message.fuelLevel ?? null
     );
 
     const eventInfo = insertEvent.run(
       message.vehicleId,
+      fleetId,
       recordedAt,
       message.lat,
       message.lng,
       enriched.speed,
-      message.fuelLevel,
+      message.fuelLevel ?? null,
       message.engineStatus,
-      deltaKm
+      deltaKm,
+      gpsFlags ? gpsFlags.join(',') : null,
+      isOutlierFix(gpsFlags) ? 1 : 0,
+      computeEnergyUsedPct(previous?.batteryLevel, message),
+      ...toExtendedColumnValues(message)
     );
 
     const eventId = Number(eventInfo.lastInsertRowid);
     const totalKm = updateDistance(message.vehicleId, eventId, deltaKm);
+    const tripId = updateTrip({ message: { ...message, ...position }, recordedAt, speed: enriched.speed, deltaKm });
 
     return {
       eventId,
       deltaKm,
-      totalKm
+      totalKm,
+      tripId
     };
   });
 
+  // Each record runs in its own savepoint so one bad record does not roll
+  // back the rest of the batch.
+  const recordTelemetryBatchTx = db.transaction(records => {
+    let written = 0;
+    let duplicates = 0;
+    const failures = [];
+    for (const record of records) {
+      try {
+        if (recordTelemetryTx(record).duplicate) {
+          duplicates += 1;
+        } else {
+          written += 1;
+        }
+      } catch (err) {
+        failures.push({ err, vehicleId: record?.message?.vehicleId ?? null });
+      }
+    }
+    return { written, duplicates, failures };
+  });
+
   let rollupTimer = null;
   let initialRunTimer = null;
+  let pruneInFlight = null;
+  let pruneCancelled = false;
+  let lastPruneStartedAt = null;
+
+  const orderingStats = { lateEvents: 0, duplicateEvents: 0 };
+
+  const retentionStats = {
+    runs: 0,
+    lastRunAt: null,
+    lastDurationMs: null,
+    lastPruned: null,
+    totalPruned: { events: 0, rollups: 0 }
+  };
 
   function recordTelemetry(payload) {
     return recordTelemetryTx(payload);
   }
 
+  function recordTelemetryBatch(records) {
+    return recordTelemetryBatchTx(records);
+  }
+
+  // A late event goes between the stored events before and after it: it
+  // takes the distance from the one before, and the one after now measures
+  // from it instead. Live state (the vehicle's last position, the distance
+  // cache's last event, trip detection) is left alone; a late sample inside
+  // a trip only adds to that trip's totals, and the vehicle's row is only
+  // created if missing. A late fix that either neighbour could not have
+  // reached under the GPS filter's max speed is stored as a `speed` outlier:
+  // it adds no distance and the neighbours are unchanged.
+  function recordLateEvent({ message, enriched, recordedAt }) {
+    const before = selectPreviousEvent.get(message.vehicleId, recordedAt);
+    const next = selectNextMeasuredEvent.get(message.vehicleId, recordedAt);
+    const point = { lat: message.lat, lng: message.lng, ts: recordedAt };
+    const beforeFix = before ? { lat: before.latitude, lng: before.longitude, ts: before.recorded_at } : null;
+    const nextFix = next ? { lat: next.latitude, lng: next.longitude, ts: next.recorded_at } : null;
+    // A relocation carries no distance, whatever comes before it.
+    const nextRelocated = Boolean(next?.gps_flags?.split(',').includes(GPS_FLAGS.RELOCATED));
+    const outlier = Boolean(
+      (beforeFix && exceedsMaxSpeed(beforeFix, point)) ||
+      (nextFix && !nextRelocated && exceedsMaxSpeed(point, nextFix))
+    );
+
+    const deltaKm = beforeFix && !outlier ? computeDeltaKm(beforeFix, point) : 0;
+    let speed = beforeFix ? computeSpeedKmh(before.recorded_at, recordedAt, deltaKm) : 0;
+    if (outlier) {
+      speed = before?.speed_kmh ?? 0;
+    }
+
+    insertLateVehicle.run(
+      message.vehicleId,
+      enriched.fleetId ?? DEFAULT_FLEET_ID,
+      recordedAt,
+      recordedAt,
+      message.lat,
+      message.lng,
+      message.engineStatus,
+      message.fuelLevel ?? null
+    );
+    updateFirstSeen.run(recordedAt, message.vehicleId, recordedAt);
+    const eventInfo = insertEvent.run(
+      message.vehicleId,
+      enriched.fleetId ?? DEFAULT_FLEET_ID,
+      recordedAt,
+      message.lat,
+      message.lng,
+      speed,
+      message.fuelLevel ?? null,
+      message.engineStatus,
+      deltaKm,
+      outlier ? GPS_FLAGS.SPEED : null,
+      outlier ? 1 : 0,
+      computeEnergyUsedPct(selectPreviousBatteryEvent.get(message.vehicleId, recordedAt)?.battery_level, message),
+      ...toExtendedColumnValues(message)
+    );
+    if (Number.isFinite(message.batteryLevel)) {
+      const nextBattery = selectNextBatteryEvent.get(message.vehicleId, recordedAt);
+      if (nextBattery) {
+        const nextMessage = { batteryLevel: nextBattery.battery_level, chargingStatus: nextBattery.charging_status };
+        updateEventEnergy.run(computeEnergyUsedPct(message.batteryLevel, nextMessage), nextBattery.event_id);
+        markRollupDirty.run(Math.floor(Date.parse(nextBattery.recorded_at) / 1000));
+      }
+    }
+
+    let adjustmentKm = deltaKm;
+    if (nextFix && !outlier && !nextRelocated) {
+      const nextDeltaKm = computeDeltaKm(point, nextFix);
+      updateEventDistance.run(nextDeltaKm, next.event_id);
+      adjustmentKm += nextDeltaKm - (next.distance_km ?? 0);
+      markRollupDirty.run(Math.floor(Date.parse(next.recorded_at) / 1000));
+    }
+    adjustDistanceCache.run(adjustmentKm, message.vehicleId);
+
+    const trip = selectTripSpanning.get(message.vehicleId, recordedAt, recordedAt);
+    if (trip) {
+      addLateTripSample.run(adjustmentKm, speed, speed, trip.trip_id);
+    }
+
+    markRollupDirty.run(Math.floor(Date.parse(recordedAt) / 1000));
+    orderingStats.lateEvents += 1;
+
+    return {
+      eventId: Number(eventInfo.lastInsertRowid),
+      deltaKm,
+      totalKm: getDistanceCache.get(message.vehicleId)?.cumulative_km ?? null,
+      tripId: trip?.trip_id ?? null,
+      late: true
+    };
+  }
+
   function updateDistance(vehicleId, eventId, deltaKm) {
     const increment = Number.isFinite(deltaKm) && deltaKm > 0 ? deltaKm : 0;
     const existing = getDistanceCache.get(vehicleId);
@@ -153,15 +509,162 @@ function createTelemetryRepository({ db, logger, config }) {
     return nextTotal;
   }
 
+  // Trips open on the first `running` sample and close when the engine turns
+  // off, when the vehicle idles for `idleEndMs` (the trip ends where the idle
+  // period began), or when no sample arrives for `maxGapMs`.
+  function updateTrip({ message, recordedAt, speed, deltaKm }) {
+    const recordedMs = Date.parse(recordedAt);
+    let trip = selectActiveTrip.get(message.vehicleId);
+
+    if (trip && tripConfig.maxGapMs > 0) {
+      const gapMs = recordedMs - Date.parse(trip.last_recorded_at);
+      if (Number.isFinite(gapMs) && gapMs >= tripConfig.maxGapMs) {
+        closeTrip(trip, trip.last_recorded_at, TRIP_END_REASONS.GAP);
+        trip = null;
+      }
+    }
+
+    const fuelLevel = Number.isFinite(message.fuelLevel) ? message.fuelLevel : null;
+    const speedKmh = Number.isFinite(speed) ? speed : 0;
+
+    if (!trip) {
+      if (message.engineStatus !== 'running') {
+        return null;
+      }
+      const info = insertTrip.run(
+        message.vehicleId,
+        recordedAt,
+        message.lat,
+        message.lng,
+        message.lat,
+        message.lng,
+        speedKmh,
+        speedKmh,
+        fuelLevel,
+        fuelLevel,
+        recordedAt
+      );
+      return Number(info.lastInsertRowid);
+    }
+
+    const fuelDrop = fuelLevel !== null && Number.isFinite(trip.end_fuel_level)
+      ? Math.max(0, trip.end_fuel_level - fuelLevel)
+      : 0;
+    let idleSince = null;
+    if (message.engineStatus === 'idle') {
+      idleSince = trip.idle_since ?? recordedAt;
+    }
+
+    updateTripProgress.run(
+      message.lat,
+      message.lng,
+      trip.distance_km + (Number.isFinite(deltaKm) && deltaKm > 0 ? deltaKm : 0),
+      Math.max(trip.max_speed_kmh, speedKmh),
+      trip.speed_sum_kmh + speedKmh,
+      trip.sample_count + 1,
+      fuelLevel ?? trip.end_fuel_level,
+      trip.fuel_used + fuelDrop,
+      recordedAt,
+      idleSince,
+      trip.trip_id
+    );
+
+    if (message.engineStatus === 'off') {
+      closeTrip(trip, recordedAt, TRIP_END_REASONS.ENGINE_OFF);
+    } else if (idleSince && tripConfig.idleEndMs > 0) {
+      const idleMs = recordedMs - Date.parse(idleSince);
+      if (Number.isFinite(idleMs) && idleMs >= tripConfig.idleEndMs) {
+        closeTrip(trip, idleSince, TRIP_END_REASONS.IDLE);
+      }
+    }
+
+    return trip.trip_id;
+  }
+
+  function closeTrip(trip, endedAt, reason) {
+    completeTrip.run(endedAt, reason, trip.trip_id);
+    const closed = selectTripById.get(trip.trip_id);
+    if (closed && closed.distance_km < tripConfig.minDistanceKm) {
+      deleteTrip.run(trip.trip_id);
+      logger?.debug({ vehicleId: trip.vehicle_id, distanceKm: closed.distance_km }, 'Discarded short trip');
+      return;
+    }
+    logger?.debug({ vehicleId: trip.vehicle_id, tripId: trip.trip_id, reason }, 'Trip completed');
+  }
+
+  function queryTrips({ vehicleIds = [], tags = [], fleetIds = null, status, start, end, limit = 100, pageToken } = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (vehicleIds.length > 0) {
+      clauses.push(`vehicle_id IN (${vehicleIds.map(() => '?').join(',')})`);
+      params.push(...vehicleIds);
+    }
+    if (tags.length > 0) {
+      clauses.push(buildTagClause(tags));
+      params.push(...tags);
+    }
+    if (fleetIds) {
+      clauses.push(buildFleetClause(fleetIds));
+      params.push(...fleetIds);
+    }
+    if (status && status !== 'all') {
+      clauses.push('status = ?');
+      params.push(status);
+    }
+    // A trip matches the range when it overlaps it; active trips are open-ended.
+    if (start) {
+      clauses.push('(ended_at IS NULL OR ended_at >= ?)');
+      params.push(start);
+    }
+    if (end) {
+      clauses.push('started_at <= ?');
+      params.push(end);
+    }
+    if (pageToken) {
+      clauses.push('trip_id < ?');
+      params.push(Number(pageToken));
+    }
+
+    const whereClause = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const effectiveLimit = clampLimit(limit, 1_000);
+    const rows = db.prepare(`
+      SELECT trip_id, vehicle_id, status, started_at, ended_at, end_reason, start_latitude, start_longitude,
+             end_latitude, end_longitude, distance_km, max_speed_kmh, speed_sum_kmh, sample_count,
+             start_fuel_level, end_fuel_level, fuel_used, last_recorded_at, idle_since,
+             ${TRIP_FLEET_COLUMN}
+        FROM trips
+        ${whereClause}
+       ORDER BY trip_id DESC
+       LIMIT ?
+    `).all(...params, effectiveLimit);
+
+    const nextPageToken = rows.length === effectiveLimit ? String(rows[rows.length - 1].trip_id) : null;
+
+    return {
+      trips: rows.map(mapTripRow),
+      nextPageToken
+    };
+  }
+
+  function getTrip(tripId) {
+    const row = selectTripById.get(tripId);
+    return row ? mapTripRow(row) : null;
+  }
+
   function computePendingRollups(now = Date.now(), options = {}) {
     const nowEpoch = Math.floor(now / 1000);
     const startOverride = toEpochSeconds(options.start);
     const endOverride = toEpochSeconds(options.end);
     const windows = resolveRollupWindows(options.windows);
+    const stopTimer = metrics?.rollupJobDuration.startTimer();
 
     const details = [];
     let totalBuckets = 0;
 
+    const dirty = selectRollupDirty.all();
+    const lateEpochs = dirty.map(row => row.epoch);
+
     for (const windowSeconds of windows) {
       const result = computeWindowRollups({
         windowSeconds,
@@ -170,22 +673,55 @@ function createTelemetryRepository({ db, logger, config }) {
         endOverride,
         force: options.force === true
       });
+      const recomputed = recomputeLateBuckets(windowSeconds, lateEpochs, nowEpoch);
+      const processed = result.processed + recomputed;
 
-      if (result.processed > 0) {
-        totalBuckets += result.processed;
-        details.push({ windowSeconds, processed: result.processed });
+      if (processed > 0) {
+        totalBuckets += processed;
+        details.push({ windowSeconds, processed });
       }
     }
+    // Only once every window has been recomputed: a failed run leaves the
+    // marks for the next one.
+    clearRollupDirtyTx(dirty);
 
+    stopTimer?.();
     return { processed: totalBuckets, details };
   }
 
+  // Buckets that are still open are left to the regular pass, which rolls
+  // them up once they close.
+  function recomputeLateBuckets(windowSeconds, epochs, nowEpoch) {
+    const bucketStarts = new Set(epochs.map(epoch => alignToWindow(epoch, windowSeconds)));
+    let processed = 0;
+    for (const bucketStart of bucketStarts) {
+      if (bucketStart + windowSeconds > nowEpoch) {
+        continue;
+      }
+      processed += computeWindowRollups({
+        windowSeconds,
+        nowEpoch,
+        startOverride: bucketStart,
+        endOverride: bucketStart + windowSeconds,
+        force: true
+      }).processed;
+    }
+    return processed;
+  }
+
   function computeWindowRollups({ windowSeconds, nowEpoch, startOverride, endOverride, force }) {
-    const earliestEpoch = getEarliestEventEpoch();
+    let earliestEpoch = getEarliestEventEpoch();
     if (!Number.isFinite(earliestEpoch)) {
       return { processed: 0 };
     }
 
+    // Buckets older than the raw retention cutoff only have some (or none)
+    // of their events left; recomputing them would overwrite good rollups.
+    const retainedFromEpoch = getRawRetentionCutoffEpoch(nowEpoch);
+    if (Number.isFinite(retainedFromEpoch)) {
+      earliestEpoch = Math.max(earliestEpoch, alignToWindow(retainedFromEpoch + windowSeconds - 1, windowSeconds));
+    }
+
     let effectiveEndEpoch = Number.isFinite(endOverride)
       ? alignToWindow(endOverride, windowSeconds)
       : alignToWindow(nowEpoch, windowSeconds);
@@ -210,7 +746,7 @@ function createTelemetryRepository({ db, logger, config }) {
     }
 
     const floorEarliest = alignToWindow(earliestEpoch, windowSeconds);
-    if (!Number.isFinite(startOverride)) {
+    if (!Number.isFinite(startOverride) || Number.isFinite(retainedFromEpoch)) {
       effectiveStartEpoch = Math.max(effectiveStartEpoch, floorEarliest);
     }
 
@@ -236,7 +772,9 @@ function createTelemetryRepository({ db, logger, config }) {
         max_speed_kmh: row.max_speed_kmh ?? 0,
         min_fuel_level: row.min_fuel_level ?? null,
         total_distance_km: row.total_distance_km ?? 0,
-        sample_count: row.sample_count ?? 0
+        sample_count: row.sample_count ?? 0,
+        min_battery_level: row.min_battery_level ?? null,
+        total_energy_used_pct: row.total_energy_used_pct ?? null
       }))
     );
 
@@ -264,6 +802,11 @@ function createTelemetryRepository({ db, logger, config }) {
       } catch (err) {
         logger?.error({ err }, 'Failed to compute telemetry rollups');
       }
+      if (retention.enabled && !pruneInFlight && Date.now() - (lastPruneStartedAt ?? 0) >= retention.intervalMs) {
+        pruneExpiredData().catch(err => {
+          logger?.error({ err }, 'Failed to prune expired telemetry');
+        });
+      }
     };
 
     rollupTimer = setInterval(run, rollupIntervalMs);
@@ -278,6 +821,7 @@ function createTelemetryRepository({ db, logger, config }) {
   }
 
   function stopRollupScheduler() {
+    pruneCancelled = true;
     if (rollupTimer) {
       clearInterval(rollupTimer);
       rollupTimer = null;
@@ -288,7 +832,94 @@ function createTelemetryRepository({ db, logger, config }) {
     }
   }
 
-  function queryTelemetryHistory({ vehicleIds = [], start, end, limit = 500, pageToken } = {}) {
+  // Deletes expired raw events and rollups in batches of `retention.batchSize`,
+  // yielding to the event loop between batches so ingest keeps flowing.
+  function pruneExpiredData({ now = Date.now() } = {}) {
+    if (pruneInFlight) {
+      return pruneInFlight;
+    }
+    pruneCancelled = false;
+    lastPruneStartedAt = now;
+    pruneInFlight = runPrune(now).finally(() => {
+      pruneInFlight = null;
+    });
+    return pruneInFlight;
+  }
+
+  async function runPrune(now) {
+    const startedAt = Date.now();
+    const nowEpoch = Math.floor(now / 1000);
+    const pruned = { events: 0, rollups: {} };
+
+    const rawCutoffEpoch = getRawRetentionCutoffEpoch(nowEpoch);
+    if (Number.isFinite(rawCutoffEpoch)) {
+      const cutoffIso = toIsoString(rawCutoffEpoch);
+      pruned.events = await deleteInBatches(() => deleteExpiredEvents.run(cutoffIso, retention.batchSize));
+    }
+
+    for (const windowSeconds of rollupWindows) {
+      const days = retention.rollupDays.get(windowSeconds);
+      if (!(days > 0)) {
+        continue;
+      }
+      const cutoffEpoch = nowEpoch - days * 86_400;
+      pruned.rollups[windowSeconds] = await deleteInBatches(
+        () => deleteExpiredRollups.run(cutoffEpoch, windowSeconds, retention.batchSize)
+      );
+    }
+
+    const rollupTotal = Object.values(pruned.rollups).reduce((sum, count) => sum + count, 0);
+    retentionStats.runs += 1;
+    retentionStats.lastRunAt = new Date(startedAt).toISOString();
+    retentionStats.lastDurationMs = Date.now() - startedAt;
+    retentionStats.lastPruned = pruned;
+    retentionStats.totalPruned.events += pruned.events;
+    retentionStats.totalPruned.rollups += rollupTotal;
+
+    if (pruned.events > 0 || rollupTotal > 0) {
+      logger?.info({ events: pruned.events, rollups: pruned.rollups }, 'Pruned expired telemetry');
+    }
+    return pruned;
+  }
+
+  async function deleteInBatches(deleteBatch) {
+    let total = 0;
+    while (!pruneCancelled) {
+      const { changes } = deleteBatch();
+      total += changes;
+      if (changes < retention.batchSize) {
+        break;
+      }
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return total;
+  }
+
+  // Raw events are cut at a boundary of the largest rollup window so no
+  // bucket is left half-pruned.
+  function getRawRetentionCutoffEpoch(nowEpoch) {
+    if (!(retention.rawDays > 0)) {
+      return null;
+    }
+    const largestWindow = rollupWindows[rollupWindows.length - 1];
+    return alignToWindow(nowEpoch - retention.rawDays * 86_400, largestWindow);
+  }
+
+  function getOrderingStats() {
+    return { ...orderingStats, pendingRollupBuckets: countRollupDirty.get().count };
+  }
+
+  function getRetentionStats() {
+    return {
+      enabled: retention.enabled,
+      rawDays: retention.rawDays,
+      rollupDays: Object.fromEntries(retention.rollupDays),
+      ...retentionStats,
+      totalPruned: { ...retentionStats.totalPruned }
+    };
+  }
+
+  function queryTelemetryHistory({ vehicleIds = [], tags = [], fleetIds = null, start, end, limit = 500, pageToken } = {}) {
     const clauses = [];
     const params = [];
 
@@ -297,6 +928,15 @@ function createTelemetryRepository({ db, logger, config }) {
       clauses.push(`vehicle_id IN (${placeholders})`);
       params.push(...vehicleIds);
     }
+    if (tags.length > 0) {
+      clauses.push(buildTagClause(tags));
+      params.push(...tags);
+    }
+    // Filter on the vehicle's fleet: events stored before fleets existed have none.
+    if (fleetIds) {
+      clauses.push(buildFleetClause(fleetIds));
+      params.push(...fleetIds);
+    }
     if (start) {
       clauses.push('recorded_at >= ?');
       params.push(start);
@@ -306,15 +946,21 @@ function createTelemetryRepository({ db, logger, config }) {
       params.push(end);
     }
     if (pageToken) {
-      clauses.push('event_id > ?');
-      params.push(Number(pageToken));
+      // Pages follow the sort order, so late events stored after a page was
+      // read cannot push the cursor past rows that have not been returned.
+      const cursor = decodeHistoryPageToken(pageToken);
+      if (!cursor) {
+        return { events: [], nextPageToken: null };
+      }
+      clauses.push('(recorded_at > ? OR (recorded_at = ? AND event_id > ?))');
+      params.push(cursor.recordedAt, cursor.recordedAt, cursor.eventId);
     }
 
     const whereClause = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
     const effectiveLimit = clampLimit(limit, 5_000);
     const sql = `
-      SELECT event_id, vehicle_id, recorded_at, latitude, longitude, speed_kmh,
-             fuel_level, engine_status, distance_km
+      SELECT event_id, vehicle_id, fleet_id, recorded_at, latitude, longitude, speed_kmh,
+             fuel_level, engine_status, distance_km, gps_flags, ${EXTENDED_COLUMNS.join(', ')}
       FROM telemetry_events
       ${whereClause}
       ORDER BY recorded_at ASC, event_id ASC
@@ -324,19 +970,22 @@ function createTelemetryRepository({ db, logger, config }) {
     const statement = db.prepare(sql);
     const rows = statement.all(...params, effectiveLimit);
 
-    const nextPageToken = rows.length === effectiveLimit ? String(rows[rows.length - 1].event_id) : null;
+    const nextPageToken = rows.length === effectiveLimit ? encodeHistoryPageToken(rows[rows.length - 1]) : null;
 
     return {
       events: rows.map(row => ({
         eventId: row.event_id,
         vehicleId: row.vehicle_id,
+        fleetId: row.fleet_id,
         recordedAt: row.recorded_at,
         latitude: row.latitude,
         longitude: row.longitude,
         speedKmh: row.speed_kmh,
         fuelLevel: row.fuel_level,
         engineStatus: row.engine_status,
-        distanceKm: row.distance_km
+        distanceKm: row.distance_km,
+        gpsFlags: row.gps_flags ? row.gps_flags.split(',') : null,
+        ...fromExtendedColumns(row)
       })),
       nextPageToken
     };
@@ -344,6 +993,8 @@ function createTelemetryRepository({ db, logger, config }) {
 
   function queryHistoricalAggregates({
     vehicleIds = [],
+    tags = [],
+    fleetIds = null,
     start,
     end,
     aggregates = [],
@@ -363,6 +1014,14 @@ function createTelemetryRepository({ db, logger, config }) {
       clauses.push(`vehicle_id IN (${placeholders})`);
       params.push(...vehicleIds);
     }
+    if (tags.length > 0) {
+      clauses.push(buildTagClause(tags));
+      params.push(...tags);
+    }
+    if (fleetIds) {
+      clauses.push(buildFleetClause(fleetIds));
+      params.push(...fleetIds);
+    }
     if (start) {
       clauses.push('bucket_end > datetime(?)');
       params.push(start);
@@ -375,7 +1034,7 @@ function createTelemetryRepository({ db, logger, config }) {
     const whereClause = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
     const sql = `
       SELECT bucket_start, bucket_end, vehicle_id, avg_speed_kmh, max_speed_kmh,
-             min_fuel_level, total_distance_km, sample_count
+             min_fuel_level, total_distance_km, sample_count, min_battery_level, total_energy_used_pct
         FROM telemetry_rollups
         ${whereClause}
         ORDER BY bucket_start ASC, vehicle_id ASC
@@ -399,7 +1058,9 @@ function createTelemetryRepository({ db, logger, config }) {
             sumSpeed: (row.avg_speed_kmh ?? 0) * (row.sample_count ?? 0),
             maxSpeed: Number.isFinite(row.max_speed_kmh) ? row.max_speed_kmh : -Infinity,
             minFuel: Number.isFinite(row.min_fuel_level) ? row.min_fuel_level : Infinity,
-            totalDistance: row.total_distance_km ?? 0
+            totalDistance: row.total_distance_km ?? 0,
+            minBattery: Number.isFinite(row.min_battery_level) ? row.min_battery_level : Infinity,
+            energyUsed: Number.isFinite(row.total_energy_used_pct) ? row.total_energy_used_pct : null
           },
           aggregateKeys
         )
@@ -426,7 +1087,9 @@ function createTelemetryRepository({ db, logger, config }) {
           sumSpeed: 0,
           maxSpeed: -Infinity,
           minFuel: Infinity,
-          totalDistance: 0
+          totalDistance: 0,
+          minBattery: Infinity,
+          energyUsed: null
         });
       }
 
@@ -442,6 +1105,12 @@ function createTelemetryRepository({ db, logger, config }) {
       if (Number.isFinite(row.min_fuel_level)) {
         bucket.minFuel = Math.min(bucket.minFuel, row.min_fuel_level);
       }
+      if (Number.isFinite(row.min_battery_level)) {
+        bucket.minBattery = Math.min(bucket.minBattery, row.min_battery_level);
+      }
+      if (Number.isFinite(row.total_energy_used_pct)) {
+        bucket.energyUsed = (bucket.energyUsed ?? 0) + row.total_energy_used_pct;
+      }
     }
 
     return Array.from(bucketMap.values())
@@ -509,13 +1178,76 @@ function createTelemetryRepository({ db, logger, config }) {
 
   return {
     recordTelemetry,
+    recordTelemetryBatch,
     queryTelemetryHistory,
     queryHistoricalAggregates,
+    queryTrips,
+    getTrip,
     computePendingRollups,
     runRollupJob,
     startRollupScheduler,
     stopRollupScheduler,
-    getRollupWindows
+    getRollupWindows,
+    pruneExpiredData,
+    getOrderingStats,
+    getRetentionStats
+  };
+}
+
+function resolveTripConfig(trips = {}) {
+  return {
+    idleEndMs: normalizeInterval(trips.idleEndMs, 5 * 60_000),
+    maxGapMs: normalizeInterval(trips.maxGapMs, 10 * 60_000),
+    minDistanceKm: normalizeInterval(trips.minDistanceKm, 0)
+  };
+}
+
+// `rollupDays` maps each rollup window to its retention; windows listed in
+// `rollupWindowDays` override the shared default. Zero days keeps data forever.
+function resolveRetentionConfig(retention = {}, rollupWindows) {
+  const rawDays = Math.max(0, Number(retention.rawDays) || 0);
+  const defaultRollupDays = Math.max(0, Number(retention.rollupDays) || 0);
+  const overrides = new Map(
+    (Array.isArray(retention.rollupWindowDays) ? retention.rollupWindowDays : [])
+      .map(entry => [Math.trunc(Number(entry.windowSeconds)), Math.max(0, Number(entry.days) || 0)])
+  );
+  const rollupDays = new Map(
+    rollupWindows.map(windowSeconds => [windowSeconds, overrides.get(windowSeconds) ?? defaultRollupDays])
+  );
+  const enabled = rawDays > 0 || Array.from(rollupDays.values()).some(days => days > 0);
+
+  return {
+    enabled,
+    rawDays,
+    rollupDays,
+    batchSize: normalizePositiveNumber(retention.batchSize, 5_000),
+    intervalMs: normalizeInterval(retention.intervalMs, 60 * 60_000)
+  };
+}
+
+function mapTripRow(row) {
+  const active = row.status === 'active';
+  const endedAt = active ? null : row.ended_at;
+  const durationMs = Date.parse(endedAt ?? row.last_recorded_at) - Date.parse(row.started_at);
+  return {
+    id: row.trip_id,
+    vehicleId: row.vehicle_id,
+    fleetId: row.fleet_id ?? null,
+    status: row.status,
+    startedAt: row.started_at,
+    endedAt,
+    endReason: row.end_reason ?? null,
+    durationSeconds: Number.isFinite(durationMs) ? Math.max(0, Math.round(durationMs / 1000)) : 0,
+    startPosition: { lat: row.start_latitude, lng: row.start_longitude },
+    // For active trips this is the latest known position.
+    endPosition: Number.isFinite(row.end_latitude) ? { lat: row.end_latitude, lng: row.end_longitude } : null,
+    distanceKm: row.distance_km,
+    maxSpeedKmh: row.max_speed_kmh,
+    avgSpeedKmh: row.sample_count > 0 ? row.speed_sum_kmh / row.sample_count : 0,
+    startFuelLevel: row.start_fuel_level ?? null,
+    endFuelLevel: row.end_fuel_level ?? null,
+    fuelUsed: row.fuel_used,
+    sampleCount: row.sample_count
   };
 }
 
@@ -536,6 +1268,23 @@ function computeDeltaKm(previous, currentMessage) {
   return haversine(prevLat, prevLng, nextLat, nextLng);
 }
 
+function computeSpeedKmh(fromIso, toIso, distanceKm) {
+  const hours = (Date.parse(toIso) - Date.parse(fromIso)) / 3_600_000;
+  return Number.isFinite(hours) && hours > 0 ? distanceKm / hours : 0;
+}
+
+// Battery percentage points used since the previous reading: negative while
+// regenerating, 0 while charging, null without two battery readings.
+function computeEnergyUsedPct(previousLevel, message) {
+  if (!Number.isFinite(previousLevel) || !Number.isFinite(message.batteryLevel)) {
+    return null;
+  }
+  if (message.chargingStatus === 'charging') {
+    return 0;
+  }
+  return previousLevel - message.batteryLevel;
+}
+
 function normalizeIso(value) {
   if (typeof value === 'string') {
     return value;
@@ -568,6 +1317,28 @@ function clampLimit(value, max) {
   return Math.min(Math.trunc(numeric), max);
 }
 
+// History page tokens carry the sort key of the last row returned.
+function encodeHistoryPageToken(row) {
+  return Buffer.from(`${row.recorded_at}|${row.event_id}`).toString('base64url');
+}
+
+function decodeHistoryPageToken(token) {
+  const [recordedAt, eventId, ...rest] = Buffer.from(String(token), 'base64url').toString('utf8').split('|');
+  const id = Number(eventId);
+  if (rest.length > 0 || !recordedAt || !Number.isSafeInteger(id)) {
+    return null;
+  }
+  return { recordedAt, eventId: id };
+}
+
+function buildTagClause(tags) {
+  const placeholders = tags.map(() => '?').join(',');
+  return `vehicle_id IN (
+    SELECT v.vehicle_id FROM vehicles v, json_each(v.metadata_json, '$.tags') t
+     WHERE t.value IN (${placeholders})
+  )`;
+}
+
 function buildRollupSourceSql(windowSeconds) {
   return `
     SELECT
@@ -578,7 +1349,9 @@ function buildRollupSourceSql(windowSeconds) {
       MAX(speed_kmh) AS max_speed_kmh,
       MIN(fuel_level) AS min_fuel_level,
       SUM(distance_km) AS total_distance_km,
-      COUNT(*) AS sample_count
+      COUNT(*) AS sample_count,
+      MIN(battery_level) AS min_battery_level,
+      SUM(energy_used_pct) AS total_energy_used_pct
     FROM telemetry_events
     WHERE recorded_at >= ? AND recorded_at < ?
     GROUP BY vehicle_id, bucket_start
@@ -588,7 +1361,7 @@ function buildRollupSourceSql(windowSeconds) {
 
 function buildAggregateKeySet(aggregates) {
   if (!Array.isArray(aggregates) || aggregates.length === 0) {
-    return new Set(['AVG_SPEED_KMH', 'MAX_SPEED_KMH', 'MIN_FUEL_LEVEL', 'TOTAL_DISTANCE_KM']);
+    return new Set(AGGREGATE_TYPES);
   }
 
   return new Set(
@@ -611,6 +1384,10 @@ function buildAggregateKeySet(aggregates) {
             return 'TOTAL_DISTANCE_KM';
           case 4:
             return 'MIN_FUEL_LEVEL';
+          case 5:
+            return 'MIN_BATTERY_LEVEL';
+          case 6:
+            return 'ENERGY_CONSUMED_PCT';
           default:
             return null;
         }
@@ -638,6 +1415,15 @@ function buildMetrics(bucket, aggregateKeys) {
     metrics.TOTAL_DISTANCE_KM = bucket.totalDistance;
   }
 
+  // Battery metrics are left out of buckets without electric vehicles.
+  if (aggregateKeys.has('MIN_BATTERY_LEVEL') && bucket.minBattery !== Infinity) {
+    metrics.MIN_BATTERY_LEVEL = bucket.minBattery;
+  }
+
+  if (aggregateKeys.has('ENERGY_CONSUMED_PCT') && bucket.energyUsed !== null) {
+    metrics.ENERGY_CONSUMED_PCT = bucket.energyUsed;
+  }
+
   return metrics;
 }
 
@@ -692,5 +1478,7 @@ function sqliteDateToIso(value) {
 }
 
 module.exports = {
-  createTelemetryRepository
+  createTelemetryRepository,
+  TRIP_STATUSES,
+  TRIP_END_REASONS
 };
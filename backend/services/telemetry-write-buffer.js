@@ -0,0 +1,198 @@
+const { performance } = require('node:perf_hooks');
+
+const DROP_POLICIES = ['drop_oldest', 'drop_newest', 'block'];
+
+// Queues telemetry records and writes them through
+// `telemetryRepository.recordTelemetryBatch`, one transaction per batch. A
+// batch is flushed once `batchSize` records are waiting or every
+// `flushIntervalMs`, whichever comes first. When `maxQueueSize` records are
+// pending, `dropPolicy` decides what happens to the next one:
+// - `drop_oldest` discards the oldest queued record (the default);
+// - `drop_newest` discards the incoming record;
+// - `block` flushes a batch inline, stalling the caller until there is room.
+function createTelemetryWriteBuffer({ telemetryRepository, logger, config = {}, metrics }) {
+  const batchSize = normalizePositiveInt(config.batchSize, 500);
+  const flushIntervalMs = normalizePositiveInt(config.flushIntervalMs, 250);
+  const maxQueueSize = Math.max(batchSize, normalizePositiveInt(config.maxQueueSize, 10_000));
+  const dropPolicy = config.dropPolicy ?? 'drop_oldest';
+  if (!DROP_POLICIES.includes(dropPolicy)) {
+    throw new Error(`Unsupported write buffer drop policy "${dropPolicy}" (expected one of ${DROP_POLICIES.join(', ')})`);
+  }
+
+  const sqliteWriteDuration = metrics?.sqliteWriteDuration;
+  const queue = [];
+  const flushStats = {
+    enqueued: 0,
+    written: 0,
+    duplicates: 0,
+    dropped: 0,
+    failed: 0,
+    flushes: 0,
+    lastBatchSize: 0,
+    lastFlushMs: null,
+    maxFlushMs: 0,
+    totalFlushMs: 0
+  };
+
+  let flushTimer = setInterval(() => flushPending(), flushIntervalMs);
+  if (typeof flushTimer.unref === 'function') {
+    flushTimer.unref();
+  }
+  let scheduledFlush = null;
+  let closed = false;
+  let warnedAboutDrops = false;
+
+  // Returns false when the record was not queued.
+  function enqueue(record) {
+    if (closed) {
+      return false;
+    }
+
+    if (queue.length >= maxQueueSize) {
+      if (dropPolicy === 'block') {
+        flushBatch();
+      } else if (dropPolicy === 'drop_newest') {
+        recordDrop();
+        return false;
+      } else {
+        queue.shift();
+        recordDrop();
+      }
+    }
+
+    queue.push(record);
+    flushStats.enqueued += 1;
+    if (queue.length >= batchSize) {
+      scheduleFlush();
+    }
+    return true;
+  }
+
+  function recordDrop() {
+    flushStats.dropped += 1;
+    if (!warnedAboutDrops) {
+      warnedAboutDrops = true;
+      logger?.warn({ maxQueueSize, dropPolicy }, 'Telemetry write queue is full; dropping records');
+    }
+  }
+
+  function scheduleFlush() {
+    if (scheduledFlush || closed) {
+      return;
+    }
+    scheduledFlush = setImmediate(() => {
+      scheduledFlush = null;
+      flushPending();
+    });
+  }
+
+  // Writes one batch now and leaves any remainder to the next turn of the
+  // event loop, so a deep queue never monopolises it.
+  function flushPending() {
+    if (queue.length === 0) {
+      return;
+    }
+    flushBatch();
+    if (queue.length > 0) {
+      scheduleFlush();
+    }
+  }
+
+  function flushBatch() {
+    const batch = queue.splice(0, batchSize);
+    if (batch.length === 0) {
+      return;
+    }
+
+    const startedAt = performance.now();
+    try {
+      const { written, duplicates = 0, failures } = telemetryRepository.recordTelemetryBatch(batch);
+      flushStats.written += written;
+      flushStats.duplicates += duplicates;
+      flushStats.failed += failures.length;
+      if (failures.length > 0) {
+        logger?.error(
+          { err: failures[0].err, vehicleId: failures[0].vehicleId, failed: failures.length },
+          'Failed to persist telemetry'
+        );
+      }
+    } catch (err) {
+      flushStats.failed += batch.length;
+      logger?.error({ err, batchSize: batch.length }, 'Failed to persist telemetry batch');
+    }
+
+    const elapsedMs = performance.now() - startedAt;
+    flushStats.flushes += 1;
+    flushStats.lastBatchSize = batch.length;
+    flushStats.lastFlushMs = elapsedMs;
+    flushStats.maxFlushMs = Math.max(flushStats.maxFlushMs, elapsedMs);
+    flushStats.totalFlushMs += elapsedMs;
+    sqliteWriteDuration?.observe({}, elapsedMs / 1000);
+    if (queue.length < maxQueueSize) {
+      warnedAboutDrops = false;
+    }
+  }
+
+  // Synchronously writes everything still queued.
+  function flush() {
+    while (queue.length > 0) {
+      flushBatch();
+    }
+  }
+
+  // Stops accepting records and drains the queue; call before closing the database.
+  function close() {
+    if (closed) {
+      return;
+    }
+    flush();
+    closed = true;
+    clearInterval(flushTimer);
+    flushTimer = null;
+    if (scheduledFlush) {
+      clearImmediate(scheduledFlush);
+      scheduledFlush = null;
+    }
+  }
+
+  function getMetrics() {
+    return {
+      queueDepth: queue.length,
+      maxQueueSize,
+      batchSize,
+      flushIntervalMs,
+      dropPolicy,
+      enqueued: flushStats.enqueued,
+      written: flushStats.written,
+      duplicates: flushStats.duplicates,
+      dropped: flushStats.dropped,
+      failed: flushStats.failed,
+      flushes: flushStats.flushes,
+      lastBatchSize: flushStats.lastBatchSize,
+      lastFlushMs: flushStats.lastFlushMs === null ? null : roundMs(flushStats.lastFlushMs),
+      avgFlushMs: flushStats.flushes > 0 ? roundMs(flushStats.totalFlushMs / flushStats.flushes) : null,
+      maxFlushMs: roundMs(flushStats.maxFlushMs)
+    };
+  }
+
+  return {
+    enqueue,
+    flush,
+    close,
+    getMetrics
+  };
+}
+
+function normalizePositiveInt(value, fallback) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? Math.trunc(numeric) : fallback;
+}
+
+function roundMs(value) {
+  return Number(value.toFixed(3));
+}
+
+module.exports = {
+  DROP_POLICIES,
+  createTelemetryWriteBuffer
+};
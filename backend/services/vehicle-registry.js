@@ -0,0 +1,156 @@
+function createVehicleRegistry({ db, logger }) {
+  const selectVehicle = db.prepare(`
+    SELECT vehicle_id, fleet_id, first_seen_at, last_seen_at, last_latitude, last_longitude,
+           last_engine_status, last_fuel_level, metadata_json
+      FROM vehicles
+     WHERE vehicle_id = ?
+  `);
+
+  const selectFleetId = db.prepare('SELECT fleet_id FROM vehicles WHERE vehicle_id = ?');
+
+  const selectRegistered = db.prepare(
+    'SELECT vehicle_id, metadata_json FROM vehicles WHERE metadata_json IS NOT NULL'
+  );
+
+  // Vehicles registered before their first telemetry message get placeholder
+  // timestamps; telemetry-repository replaces them once a position arrives.
+  // A vehicle keeps the fleet it was first stored with; one registered
+  // without a fleet joins the fleet of its first message.
+  const upsertMetadata = db.prepare(`
+    INSERT INTO vehicles (vehicle_id, fleet_id, first_seen_at, last_seen_at, metadata_json)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(vehicle_id) DO UPDATE SET
+      fleet_id = COALESCE(vehicles.fleet_id, excluded.fleet_id),
+      metadata_json = excluded.metadata_json
+  `);
+
+  const metadataCache = new Map();
+  for (const row of selectRegistered.all()) {
+    const metadata = parseMetadata(row.metadata_json);
+    if (metadata) {
+      metadataCache.set(row.vehicle_id, metadata);
+    }
+  }
+  logger?.info({ registeredVehicles: metadataCache.size }, 'Vehicle registry loaded');
+
+  let onChange = null;
+
+  function setOnChange(handler) {
+    onChange = typeof handler === 'function' ? handler : null;
+  }
+
+  function getMetadata(vehicleId) {
+    return metadataCache.get(vehicleId) ?? null;
+  }
+
+  function getVehicle(vehicleId) {
+    const row = selectVehicle.get(vehicleId);
+    return row ? mapVehicleRow(row) : null;
+  }
+
+  // The fleet a vehicle is stored under, or null for vehicles never seen or
+  // stored before fleets existed.
+  function getFleetId(vehicleId) {
+    return selectFleetId.get(vehicleId)?.fleet_id ?? null;
+  }
+
+  function listVehicles({ tags = [], depot, fleetIds = null, limit = 100, offset = 0 } = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (tags.length > 0) {
+      clauses.push(`vehicle_id IN (
+        SELECT v.vehicle_id FROM vehicles v, json_each(v.metadata_json, '$.tags') t
+         WHERE t.value IN (${tags.map(() => '?').join(',')})
+      )`);
+      params.push(...tags);
+    }
+    if (depot) {
+      clauses.push("json_extract(metadata_json, '$.depot') = ?");
+      params.push(depot);
+    }
+    if (fleetIds) {
+      clauses.push(`fleet_id IN (${fleetIds.map(() => '?').join(',')})`);
+      params.push(...fleetIds);
+    }
+
+    const whereClause = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const effectiveLimit = clampLimit(limit, 1_000);
+    const effectiveOffset = Number.isFinite(Number(offset)) && Number(offset) > 0 ? Math.trunc(Number(offset)) : 0;
+
+    const rows = db.prepare(`
+      SELECT vehicle_id, fleet_id, first_seen_at, last_seen_at, last_latitude, last_longitude,
+             last_engine_status, last_fuel_level, metadata_json
+        FROM vehicles
+        ${whereClause}
+       ORDER BY vehicle_id ASC
+       LIMIT ? OFFSET ?
+    `).all(...params, effectiveLimit, effectiveOffset);
+
+    return rows.map(mapVehicleRow);
+  }
+
+  function saveMetadata(vehicleId, metadata, { fleetId = null } = {}) {
+    const now = new Date().toISOString();
+    upsertMetadata.run(vehicleId, fleetId, now, now, JSON.stringify(metadata));
+    metadataCache.set(vehicleId, metadata);
+    logger?.info({ vehicleId }, 'Vehicle metadata saved');
+
+    if (onChange) {
+      try {
+        onChange(vehicleId, metadata);
+      } catch (err) {
+        logger?.warn({ err, vehicleId }, 'Vehicle registry change handler threw error');
+      }
+    }
+
+    return getVehicle(vehicleId);
+  }
+
+  return {
+    getMetadata,
+    getFleetId,
+    getVehicle,
+    listVehicles,
+    saveMetadata,
+    setOnChange
+  };
+}
+
+function mapVehicleRow(row) {
+  const hasTelemetry = row.last_latitude !== null && row.last_longitude !== null;
+  return {
+    vehicleId: row.vehicle_id,
+    fleetId: row.fleet_id,
+    metadata: parseMetadata(row.metadata_json),
+    firstSeenAt: hasTelemetry ? row.first_seen_at : null,
+    lastSeenAt: hasTelemetry ? row.last_seen_at : null,
+    lastPosition: hasTelemetry ? { lat: row.last_latitude, lng: row.last_longitude } : null,
+    lastEngineStatus: row.last_engine_status ?? null,
+    lastFuelLevel: row.last_fuel_level ?? null
+  };
+}
+
+function parseMetadata(json) {
+  if (!json) {
+    return null;
+  }
+  try {
+    const parsed = JSON.parse(json);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function clampLimit(value, max) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric) || numeric <= 0) {
+    return 100;
+  }
+  return Math.min(Math.trunc(numeric), max);
+}
+
+module.exports = {
+  createVehicleRegistry
+};
@@ -1,21 +1,37 @@
+const { DEFAULT_FLEET_ID } = require('../utils/fleet');
+
+// Latest state per vehicle, insertion-ordered so the least recently updated
+// vehicle is evicted first. Vehicles are also indexed by `fleetId` so fleet
+// scoped readers only walk their own fleets.
 class VehicleStore {
-  constructor({ limit, ttlMs = 0, logger, onExpire } = {}) {
+  constructor({ limit, ttlMs = 0, sweepIntervalMs = 0, logger, onExpire, onSweep } = {}) {
     this.limit = Number.isFinite(limit) && limit > 0 ? limit : 1000;
     this.ttlMs = Number.isFinite(ttlMs) && ttlMs > 0 ? ttlMs : 0;
     this.logger = logger;
     this.onExpire = typeof onExpire === 'function' ? onExpire : null;
+    this.onSweep = typeof onSweep === 'function' ? onSweep : null;
     this.map = new Map();
+    this.fleets = new Map();
     this.expiryTimer = null;
 
+    // Without a TTL the sweep still runs when a caller asks for one, so sweep
+    // handlers (e.g. silence alerts) keep firing.
+    let intervalMs = 0;
     if (this.ttlMs > 0) {
-      const intervalMs = Math.max(1000, Math.min(this.ttlMs, 15_000));
+      intervalMs = Math.max(1000, Math.min(this.ttlMs, 15_000));
+      this.logger?.info({ vehicleTtlMs: this.ttlMs, intervalMs }, 'Vehicle TTL enforcement enabled');
+    } else {
+      if (Number.isFinite(sweepIntervalMs) && sweepIntervalMs > 0) {
+        intervalMs = Math.max(1000, sweepIntervalMs);
+      }
+      this.logger?.info('Vehicle TTL enforcement disabled');
+    }
+
+    if (intervalMs > 0) {
       this.expiryTimer = setInterval(() => this.pruneExpired(), intervalMs);
       if (typeof this.expiryTimer.unref === 'function') {
         this.expiryTimer.unref();
       }
-      this.logger?.info({ vehicleTtlMs: this.ttlMs, intervalMs }, 'Vehicle TTL enforcement enabled');
-    } else {
-      this.logger?.info('Vehicle TTL enforcement disabled');
     }
   }
 
@@ -23,42 +39,92 @@ class VehicleStore {
     this.onExpire = typeof handler === 'function' ? handler : null;
   }
 
+  setOnSweep(handler) {
+    this.onSweep = typeof handler === 'function' ? handler : null;
+  }
+
   get(id) {
     return this.map.get(id);
   }
 
   set(id, value) {
     if (this.map.has(id)) {
-      this.map.delete(id);
+      this.delete(id);
     }
     this.map.set(id, value);
+    const fleetId = value?.fleetId ?? DEFAULT_FLEET_ID;
+    if (!this.fleets.has(fleetId)) {
+      this.fleets.set(fleetId, new Set());
+    }
+    this.fleets.get(fleetId).add(id);
 
     if (this.map.size > this.limit) {
       const oldestKey = this.map.keys().next().value;
       if (oldestKey !== undefined) {
-        this.map.delete(oldestKey);
+        this.delete(oldestKey);
         this.logger?.debug({ vehicleId: oldestKey }, 'Evicted vehicle due to cache limit');
       }
     }
   }
 
   delete(id) {
-    this.map.delete(id);
+    const vehicle = this.map.get(id);
+    if (!this.map.delete(id)) {
+      return;
+    }
+    const fleetId = vehicle?.fleetId ?? DEFAULT_FLEET_ID;
+    const members = this.fleets.get(fleetId);
+    members?.delete(id);
+    if (members?.size === 0) {
+      this.fleets.delete(fleetId);
+    }
   }
 
-  size() {
-    return this.map.size;
+  // `fleetIds` (an array or Set) limits the count to those fleets.
+  size({ fleetIds = null } = {}) {
+    if (!fleetIds) {
+      return this.map.size;
+    }
+    let count = 0;
+    for (const fleetId of fleetIds) {
+      count += this.fleets.get(fleetId)?.size ?? 0;
+    }
+    return count;
   }
 
-  values() {
-    return this.map.values();
+  values({ fleetIds = null } = {}) {
+    if (!fleetIds) {
+      return this.map.values();
+    }
+    return this.fleetVehicles(fleetIds);
   }
 
   entries() {
     return this.map.entries();
   }
 
+  fleetIds() {
+    return Array.from(this.fleets.keys());
+  }
+
+  * fleetVehicles(fleetIds) {
+    for (const fleetId of fleetIds) {
+      for (const vehicleId of this.fleets.get(fleetId) ?? []) {
+        yield this.map.get(vehicleId);
+      }
+    }
+  }
+
   pruneExpired(now = Date.now()) {
+    // The sweep handler sees every vehicle, including the ones about to expire.
+    if (this.onSweep) {
+      try {
+        this.onSweep(this.map.values(), now);
+      } catch (err) {
+        this.logger?.warn({ err }, 'Vehicle sweep handler threw error');
+      }
+    }
+
     if (this.ttlMs <= 0) {
       return;
     }
@@ -76,7 +142,7 @@ class VehicleStore {
 
     for (const vehicleId of expiredIds) {
       const vehicle = this.map.get(vehicleId);
-      this.map.delete(vehicleId);
+      this.delete(vehicleId);
       this.logger?.debug({ vehicleId }, 'Vehicle expired due to TTL and was removed');
       if (this.onExpire) {
         try {
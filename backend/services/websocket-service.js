@@ -1,48 +1,313 @@
 const WebSocket = require('ws');
+const { describeSubscription, matchesSubscription, parseSubscription } = require('../utils/stream-subscription');
+const { checkAccess, readCredentials, resolveFleetScope } = require('../middleware/auth');
+const { isOriginAllowed } = require('../middleware/cors');
+const { SCOPES } = require('./auth-service');
+const { isFleetAllowed } = require('../utils/fleet');
+const { EXTENDED_TELEMETRY_FIELDS, pickExtendedTelemetry } = require('../utils/telemetry-schema');
 
 const MAX_BUFFERED_BYTES = 512 * 1024;
+const MAX_CLIENT_MESSAGE_BYTES = 64 * 1024;
 
-function createWebSocketService({ server, path, logger, vehicleStore, payloadVersion }) {
-  const clients = new Set();
-  const wss = new WebSocket.Server({ server, path });
+const SUPPORTED_PAYLOAD_VERSIONS = [1, 2];
+
+const REMOVAL_REASONS = {
+  EXPIRED: 'expired',
+  FILTERED: 'filtered'
+};
+
+// Fields of a version 2 vehicle state; after a vehicle's first appearance in
+// a batch only the ones that changed are sent.
+const VEHICLE_STATE_FIELDS = [
+  'fleetId', 'lat', 'lng', 'ts', 'speed', 'fuelLevel', 'engineStatus',
+  ...EXTENDED_TELEMETRY_FIELDS.map(field => field.name),
+  'metadata', 'userProperties', 'lastSeen'
+];
+
+// Clients pick a payload version with `/stream?version=N`; `payloadVersion`
+// applies to those that do not.
+// - Version 1 sends one `vehicle_update`/`vehicle_remove` message per change.
+// - Version 2 coalesces vehicle changes per client for `batchIntervalMs` and
+//   sends them as one `vehicle_batch`. A vehicle's first entry carries its
+//   full state; later entries carry only the fields that changed.
+function createWebSocketService({
+  server,
+  path,
+  logger,
+  vehicleStore,
+  vehicleRegistry,
+  payloadVersion = 1,
+  batchIntervalMs = 100,
+  perMessageDeflate = true,
+  compressionThresholdBytes = 1024,
+  authService,
+  allowedOrigins = ['*'],
+  metrics
+}) {
+  if (!SUPPORTED_PAYLOAD_VERSIONS.includes(payloadVersion)) {
+    throw new Error(
+      `Unsupported WebSocket payload version ${payloadVersion} (expected one of ${SUPPORTED_PAYLOAD_VERSIONS.join(', ')})`
+    );
+  }
+
+  // socket -> { version, fleets, subscription, visible, sent, pending }:
+  // `fleets` holds the fleets the client may see (null for all of them), and
+  // `visible` the vehicle ids the client currently has, so it can be told
+  // when one leaves its subscription. Version 2 clients also keep the state
+  // last sent per vehicle (`sent`) and the changes waiting for the next batch
+  // (`pending`).
+  const clients = new Map();
+  // Upgrade request -> fleets, from verifyClient to the connection handler.
+  const fleetScopes = new WeakMap();
+  const wss = new WebSocket.Server({
+    server,
+    path,
+    maxPayload: MAX_CLIENT_MESSAGE_BYTES,
+    perMessageDeflate: perMessageDeflate ? { threshold: compressionThresholdBytes } : false,
+    verifyClient
+  });
+  let batchTimer = null;
+
+  const lookupMetadata = vehicleId => vehicleRegistry?.getMetadata(vehicleId) ?? null;
+
+  // Vehicles outside a client's fleets are never sent, whatever it
+  // subscribes to.
+  function canSee(client, vehicle) {
+    return isFleetAllowed(client.fleets, vehicle.fleetId) && matchesSubscription(client.subscription, vehicle);
+  }
 
   function broadcastUpdate(vehicle) {
-    const payload = JSON.stringify(formatVehiclePayload(vehicle, payloadVersion));
-    broadcastPayload(payload);
+    const encoded = encodeVehicle(vehicle, lookupMetadata);
+    for (const [socket, client] of clients) {
+      if (canSee(client, vehicle)) {
+        deliver(socket, client, encoded);
+      } else if (client.visible.has(vehicle.vehicleId)) {
+        retract(socket, client, vehicle.vehicleId, REMOVAL_REASONS.FILTERED);
+      }
+    }
   }
 
   function broadcastRemoval(vehicleId) {
-    const payload = JSON.stringify({
-      type: 'vehicle_remove',
-      version: payloadVersion,
-      vehicleId
-    });
-    broadcastPayload(payload);
+    for (const [socket, client] of clients) {
+      if (client.visible.has(vehicleId)) {
+        retract(socket, client, vehicleId, REMOVAL_REASONS.EXPIRED);
+      }
+    }
+  }
+
+  function deliver(socket, client, encoded) {
+    if (client.pending) {
+      client.visible.add(encoded.vehicleId);
+      client.pending.set(encoded.vehicleId, { state: encoded.state() });
+      scheduleBatch();
+      return true;
+    }
+    if (sendPayload(socket, encoded.json())) {
+      client.visible.add(encoded.vehicleId);
+      return true;
+    }
+    clients.delete(socket);
+    return false;
+  }
+
+  function retract(socket, client, vehicleId, reason) {
+    client.visible.delete(vehicleId);
+    if (client.pending) {
+      client.pending.set(vehicleId, { removed: reason });
+      scheduleBatch();
+      return true;
+    }
+    if (sendPayload(socket, formatRemovalPayload(vehicleId, client.version, reason))) {
+      return true;
+    }
+    clients.delete(socket);
+    return false;
+  }
+
+  function scheduleBatch() {
+    if (!batchTimer) {
+      batchTimer = setTimeout(flushBatches, batchIntervalMs);
+    }
+  }
+
+  function flushBatches() {
+    batchTimer = null;
+    for (const [socket, client] of clients) {
+      if (client.pending?.size > 0) {
+        sendBatch(socket, client, false);
+      }
+    }
+  }
+
+  // Turns a client's pending changes into one `vehicle_batch`. Deltas are
+  // taken against what the client was last sent, so a vehicle removed and
+  // re-added within a tick is just updated.
+  function sendBatch(socket, client, snapshot) {
+    const updates = [];
+    const removals = [];
+    for (const [vehicleId, change] of client.pending) {
+      if (change.removed) {
+        if (client.sent.delete(vehicleId)) {
+          removals.push({ vehicleId, reason: change.removed });
+        }
+        continue;
+      }
+      const delta = diffVehicleState(client.sent.get(vehicleId), change.state);
+      client.sent.set(vehicleId, change.state);
+      if (delta) {
+        updates.push(delta);
+      }
+    }
+    client.pending.clear();
+
+    if (!snapshot && updates.length === 0 && removals.length === 0) {
+      return true;
+    }
+    const payload = JSON.stringify({ type: 'vehicle_batch', version: client.version, snapshot, updates, removals });
+    if (sendPayload(socket, payload)) {
+      return true;
+    }
+    clients.delete(socket);
+    return false;
+  }
+
+  function broadcastGeofenceEvent(event) {
+    broadcastPayload(event.vehicleId, version => JSON.stringify({
+      type: 'geofence_event',
+      version,
+      eventId: event.eventId,
+      geofenceId: event.geofenceId,
+      geofenceName: event.geofenceName,
+      vehicleId: event.vehicleId,
+      eventType: event.eventType,
+      position: {
+        lat: event.lat,
+        lng: event.lng
+      },
+      recordedAt: event.recordedAt
+    }));
   }
 
-  function broadcastPayload(payload) {
-    for (const socket of clients) {
-      if (!sendPayload(socket, payload)) {
+  function broadcastAlert(event) {
+    broadcastPayload(event.alert?.vehicleId, version => JSON.stringify({
+      type: `alert_${event.eventType}`,
+      version,
+      alert: event.alert
+    }));
+  }
+
+  // `build(version)` is called once per payload version in use. Clients
+  // limited to some fleets only get events for vehicles the store places in
+  // one of them.
+  function broadcastPayload(vehicleId, build) {
+    const payloads = new Map();
+    const fleetId = vehicleStore.get?.(vehicleId)?.fleetId;
+    for (const [socket, client] of clients) {
+      if (client.fleets && !(fleetId && client.fleets.has(fleetId))) {
+        continue;
+      }
+      if (!payloads.has(client.version)) {
+        payloads.set(client.version, build(client.version));
+      }
+      if (!sendPayload(socket, payloads.get(client.version))) {
         clients.delete(socket);
       }
     }
   }
 
-  function sendSnapshot(socket) {
-    for (const vehicle of vehicleStore.values()) {
-      const payload = JSON.stringify(formatVehiclePayload(vehicle, payloadVersion));
-      if (!sendPayload(socket, payload)) {
-        break;
+  function sendSnapshot(socket, client) {
+    for (const vehicle of vehicleStore.values({ fleetIds: client.fleets })) {
+      if (!matchesSubscription(client.subscription, vehicle)) {
+        continue;
       }
+      if (!deliver(socket, client, encodeVehicle(vehicle, lookupMetadata))) {
+        return;
+      }
+    }
+    if (client.pending) {
+      sendBatch(socket, client, true);
     }
   }
 
+  // Swaps the client's subscription, then sends only the difference: vehicles
+  // that now match and the client lacks, and removals for those that no longer match.
+  function applySubscription(socket, client, subscription) {
+    const denied = subscription?.fleetIds
+      ? Array.from(subscription.fleetIds).find(fleetId => !isFleetAllowed(client.fleets, fleetId))
+      : undefined;
+    if (denied !== undefined) {
+      sendSubscriptionError(socket, client, `fleet "${denied}" not allowed`);
+      return;
+    }
+    client.subscription = subscription;
+    const ack = JSON.stringify({
+      type: 'subscription_ack',
+      version: client.version,
+      subscription: describeSubscription(subscription)
+    });
+    if (!sendPayload(socket, ack)) {
+      clients.delete(socket);
+      return;
+    }
+
+    for (const vehicle of vehicleStore.values({ fleetIds: client.fleets })) {
+      const matches = matchesSubscription(subscription, vehicle);
+      const visible = client.visible.has(vehicle.vehicleId);
+      let delivered = true;
+      if (matches && !visible) {
+        delivered = deliver(socket, client, encodeVehicle(vehicle, lookupMetadata));
+      } else if (!matches && visible) {
+        delivered = retract(socket, client, vehicle.vehicleId, REMOVAL_REASONS.FILTERED);
+      }
+      if (!delivered) {
+        return;
+      }
+    }
+  }
+
+  function handleClientMessage(socket, data) {
+    const client = clients.get(socket);
+    if (!client) {
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (err) {
+      sendSubscriptionError(socket, client, 'message must be valid JSON');
+      return;
+    }
+
+    switch (message?.type) {
+      case 'subscribe': {
+        const result = parseSubscription(message);
+        if (!result.ok) {
+          sendSubscriptionError(socket, client, result.error);
+          return;
+        }
+        applySubscription(socket, client, result.value);
+        return;
+      }
+      case 'unsubscribe':
+        applySubscription(socket, client, null);
+        return;
+      default:
+        sendSubscriptionError(socket, client, 'message type must be subscribe or unsubscribe');
+    }
+  }
+
+  function sendSubscriptionError(socket, client, error) {
+    sendPayload(socket, JSON.stringify({ type: 'subscription_error', version: client.version, error }));
+  }
+
   function sendPayload(socket, payload) {
     if (socket.readyState !== WebSocket.OPEN) {
       return false;
     }
     if (socket.bufferedAmount > MAX_BUFFERED_BYTES) {
       logger.warn({ bufferedAmount: socket.bufferedAmount }, 'Dropping WebSocket payload due to backpressure');
+      metrics?.websocketDroppedPayloads.inc();
       return false;
     }
 
@@ -55,11 +320,63 @@ function createWebSocketService({ server, path, logger, vehicleStore, payloadVer
     }
   }
 
-  wss.on('connection', socket => {
-    clients.add(socket);
-    logger.info({ clients: clients.size }, 'WebSocket client connected');
+  // Upgrades are refused from browser origins outside `allowedOrigins`, and,
+  // with auth enabled, without credentials carrying `read:live`.
+  function verifyClient({ origin, req }, done) {
+    if (!isOriginAllowed(origin, allowedOrigins)) {
+      logger.warn({ origin }, 'Rejecting WebSocket client from disallowed origin');
+      done(false, 403, 'Origin not allowed');
+      return;
+    }
+    if (!authService) {
+      done(true);
+      return;
+    }
+    const url = new URL(req.url ?? '/', 'http://localhost');
+    const access = checkAccess(authService, readCredentials(req, url, { allowQueryToken: true }), SCOPES.READ_LIVE);
+    if (!access.ok) {
+      logger.warn({ error: access.error }, 'Rejecting unauthenticated WebSocket client');
+      done(false, access.statusCode, access.error, access.statusCode === 401 ? { 'WWW-Authenticate': 'Bearer' } : undefined);
+      return;
+    }
+    const fleetScope = resolveFleetScope(access.value);
+    if (fleetScope.value) {
+      fleetScopes.set(req, new Set(fleetScope.value));
+    }
+    done(true);
+  }
+
+  function negotiateVersion(request) {
+    const requested = new URL(request?.url ?? '/', 'http://localhost').searchParams.get('version');
+    if (requested === null) {
+      return payloadVersion;
+    }
+    const version = Number(requested);
+    return SUPPORTED_PAYLOAD_VERSIONS.includes(version) ? version : null;
+  }
+
+  wss.on('connection', (socket, request) => {
+    const version = negotiateVersion(request);
+    if (version === null) {
+      logger.warn({ url: request?.url }, 'Rejecting WebSocket client with unsupported payload version');
+      socket.close(1008, 'Unsupported payload version');
+      return;
+    }
+
+    const client = {
+      version,
+      fleets: fleetScopes.get(request) ?? null,
+      subscription: null,
+      visible: new Set(),
+      sent: version >= 2 ? new Map() : null,
+      pending: version >= 2 ? new Map() : null
+    };
+    clients.set(socket, client);
+    logger.info({ clients: clients.size, version }, 'WebSocket client connected');
 
-    sendSnapshot(socket);
+    sendSnapshot(socket, client);
+
+    socket.on('message', data => handleClientMessage(socket, data));
 
     socket.on('close', () => {
       clients.delete(socket);
@@ -76,6 +393,8 @@ function createWebSocketService({ server, path, logger, vehicleStore, payloadVer
   });
 
   function close(callback) {
+    clearTimeout(batchTimer);
+    batchTimer = null;
     wss.close(callback);
   }
 
@@ -86,24 +405,79 @@ function createWebSocketService({ server, path, logger, vehicleStore, payloadVer
   return {
     broadcastUpdate,
     broadcastRemoval,
+    broadcastGeofenceEvent,
+    broadcastAlert,
     clientCount,
     close,
     wss
   };
 }
 
-function formatVehiclePayload(vehicle, payloadVersion) {
+// Encodes a vehicle lazily for each payload version, so a broadcast
+// serialises it at most once however many clients receive it.
+function encodeVehicle(vehicle, lookupMetadata) {
+  let metadata;
+  let json = null;
+  let state = null;
+  const getMetadata = () => (metadata === undefined ? (metadata = lookupMetadata(vehicle.vehicleId)) : metadata);
+  return {
+    vehicleId: vehicle.vehicleId,
+    json: () => (json ??= JSON.stringify(formatVehiclePayload(vehicle, 1, getMetadata()))),
+    state: () => (state ??= formatVehicleState(vehicle, getMetadata()))
+  };
+}
+
+// Returns the full state for a vehicle the client does not have yet, the
+// changed fields otherwise, or null when nothing changed.
+function diffVehicleState(previous, next) {
+  if (!previous) {
+    return next;
+  }
+  let delta = null;
+  for (const field of VEHICLE_STATE_FIELDS) {
+    if (!sameValue(previous[field], next[field])) {
+      delta ??= { vehicleId: next.vehicleId };
+      // Extended fields are left out of states that lack them; a field that
+      // stops being reported is cleared with null.
+      delta[field] = next[field] ?? null;
+    }
+  }
+  return delta;
+}
+
+function sameValue(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return false;
+}
+
+function formatRemovalPayload(vehicleId, payloadVersion, reason) {
+  return JSON.stringify({
+    type: 'vehicle_remove',
+    version: payloadVersion,
+    vehicleId,
+    reason
+  });
+}
+
+function formatVehiclePayload(vehicle, payloadVersion, metadata = null) {
   const telemetry = {
     timestamp: vehicle.ts,
-    speed: Number.isFinite(vehicle.speed) ? Number(vehicle.speed) : null,
-    fuelLevel: Number.isFinite(vehicle.fuelLevel) ? Number(vehicle.fuelLevel) : null,
-    engineStatus: typeof vehicle.engineStatus === 'string' ? vehicle.engineStatus : null
+    speed: finiteOrNull(vehicle.speed),
+    fuelLevel: finiteOrNull(vehicle.fuelLevel),
+    engineStatus: typeof vehicle.engineStatus === 'string' ? vehicle.engineStatus : null,
+    ...pickExtendedTelemetry(vehicle)
   };
 
   return {
     type: 'vehicle_update',
     version: payloadVersion,
     vehicleId: vehicle.vehicleId,
+    fleetId: vehicle.fleetId ?? null,
     position: {
       lat: vehicle.lat,
       lng: vehicle.lng
@@ -113,8 +487,31 @@ function formatVehiclePayload(vehicle, payloadVersion) {
       engineStatus: telemetry.engineStatus,
       fuelLevel: telemetry.fuelLevel
     },
+    metadata,
+    userProperties: vehicle.userProperties ?? null,
     lastSeen: vehicle.lastSeen
   };
 }
 
-module.exports = { createWebSocketService };
+function formatVehicleState(vehicle, metadata = null) {
+  return {
+    vehicleId: vehicle.vehicleId,
+    fleetId: vehicle.fleetId ?? null,
+    lat: vehicle.lat,
+    lng: vehicle.lng,
+    ts: vehicle.ts,
+    speed: finiteOrNull(vehicle.speed),
+    fuelLevel: finiteOrNull(vehicle.fuelLevel),
+    engineStatus: typeof vehicle.engineStatus === 'string' ? vehicle.engineStatus : null,
+    ...pickExtendedTelemetry(vehicle),
+    metadata,
+    userProperties: vehicle.userProperties ?? null,
+    lastSeen: vehicle.lastSeen
+  };
+}
+
+function finiteOrNull(value) {
+  return Number.isFinite(value) ? Number(value) : null;
+}
+
+module.exports = { createWebSocketService, REMOVAL_REASONS, SUPPORTED_PAYLOAD_VERSIONS };
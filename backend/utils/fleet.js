@@ -0,0 +1,47 @@
+const DEFAULT_FLEET_ID = 'default';
+const FLEET_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+function isValidFleetId(value) {
+  return typeof value === 'string' && FLEET_ID_PATTERN.test(value);
+}
+
+// Reads the fleet id from level `topicLevel` (0-based) of the topic a message
+// arrived on, e.g. level 1 of `fleet/acme/telemetry`. Topics too short to
+// have that level belong to the default fleet; a negative level turns fleets
+// off and puts every message there. Returns null for segments that are not
+// valid fleet ids.
+function extractFleetId(topic, topicLevel = 1) {
+  if (!Number.isInteger(topicLevel) || topicLevel < 0) {
+    return DEFAULT_FLEET_ID;
+  }
+  const levels = String(topic ?? '').split('/');
+  if (topicLevel >= levels.length) {
+    return DEFAULT_FLEET_ID;
+  }
+  const segment = levels[topicLevel];
+  return isValidFleetId(segment) ? segment : null;
+}
+
+// `fleetIds` is null for callers that may see every fleet.
+function isFleetAllowed(fleetIds, fleetId) {
+  if (!fleetIds) {
+    return true;
+  }
+  return typeof fleetIds.has === 'function' ? fleetIds.has(fleetId) : fleetIds.includes(fleetId);
+}
+
+// SQL restricting `column` to vehicles in `fleetIds`, for tables that only
+// carry a vehicle id. Bind `fleetIds` after the clause's other parameters.
+function buildFleetClause(fleetIds, column = 'vehicle_id') {
+  const placeholders = fleetIds.map(() => '?').join(',');
+  return `${column} IN (SELECT vehicle_id FROM vehicles WHERE fleet_id IN (${placeholders}))`;
+}
+
+module.exports = {
+  DEFAULT_FLEET_ID,
+  FLEET_ID_PATTERN,
+  buildFleetClause,
+  extractFleetId,
+  isFleetAllowed,
+  isValidFleetId
+};
@@ -9,4 +9,23 @@ function haversine(lat1, lng1, lat2, lng2) {
   return R * c;
 }
 
-module.exports = { haversine };
+// Ray casting on raw lat/lng; accurate enough for city-scale zones that do not cross the antimeridian.
+function pointInPolygon(lat, lng, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i, i += 1) {
+    const a = points[i];
+    const b = points[j];
+    const crosses = (a.lat > lat) !== (b.lat > lat) &&
+      lng < ((b.lng - a.lng) * (lat - a.lat)) / (b.lat - a.lat) + a.lng;
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function pointInCircle(lat, lng, center, radiusMeters) {
+  return haversine(lat, lng, center.lat, center.lng) * 1000 <= radiusMeters;
+}
+
+module.exports = { haversine, pointInPolygon, pointInCircle };
@@ -0,0 +1,157 @@
+const { haversine } = require('./geo');
+
+const GPS_FLAGS = {
+  SPEED: 'speed',
+  ACCELERATION: 'acceleration',
+  JITTER: 'jitter',
+  RELOCATED: 'relocated'
+};
+
+const GPS_FLAG_VALUES = Object.values(GPS_FLAGS);
+
+const DEFAULT_MAX_SPEED_KMH = 300;
+
+// Outliers are stored for history but left out of distances.
+function isOutlierFix(flags) {
+  return Array.isArray(flags) && (flags.includes(GPS_FLAGS.SPEED) || flags.includes(GPS_FLAGS.ACCELERATION));
+}
+
+// Plausibility checks on each vehicle's GPS fixes, run between validation and
+// the live store. Every fix is measured against the vehicle's last accepted
+// position and time:
+// - a fix implying more than `maxSpeedKmh`, or a speed change sharper than
+//   `maxAccelerationMps2`, is an outlier: it is flagged for history, and the
+//   vehicle stays where it was;
+// - after `maxConsecutiveOutliers` outliers in a row the vehicle is taken to
+//   have really moved, and the next fix is accepted and flagged `relocated`;
+// - a fix within `jitterRadiusMeters` of the last accepted position is
+//   snapped back to it, so parked vehicles do not collect distance; slow
+//   movement still adds up, as the next fix outside the radius is measured
+//   from the same position and time;
+// - with `kalman.enabled`, the remaining fixes are smoothed.
+// `apply` returns the position and speed to use, and the fix's flags.
+function createGpsFilter({
+  enabled = true,
+  maxSpeedKmh = DEFAULT_MAX_SPEED_KMH,
+  maxAccelerationMps2 = 40,
+  jitterRadiusMeters = 5,
+  maxConsecutiveOutliers = 3,
+  kalman = {},
+  maxVehicles = 10_000
+} = {}) {
+  const smoothing = {
+    enabled: kalman.enabled === true,
+    accuracyMeters: positiveOr(kalman.accuracyMeters, 10),
+    processNoiseMps: positiveOr(kalman.processNoiseMps, 3)
+  };
+  const tracks = new Map();
+
+  function apply(previous, message) {
+    if (!previous) {
+      startTrack(message);
+      return { lat: message.lat, lng: message.lng, speed: 0, flags: [] };
+    }
+    if (!enabled) {
+      return { lat: message.lat, lng: message.lng, speed: impliedSpeedKmh(previous, previous.ts, message), flags: [] };
+    }
+
+    const track = tracks.get(message.vehicleId) ?? startTrack(previous);
+    touch(message.vehicleId, track);
+    const speed = impliedSpeedKmh(previous, track.since, message);
+    const elapsedSeconds = (Date.parse(message.ts) - Date.parse(track.since)) / 1000;
+
+    const flags = [];
+    if (maxSpeedKmh > 0 && speed > maxSpeedKmh) {
+      flags.push(GPS_FLAGS.SPEED);
+    }
+    if (maxAccelerationMps2 > 0 && track.speedMeasured && elapsedSeconds > 0) {
+      const acceleration = Math.abs(speed - (previous.speed ?? 0)) / 3.6 / elapsedSeconds;
+      if (acceleration > maxAccelerationMps2) {
+        flags.push(GPS_FLAGS.ACCELERATION);
+      }
+    }
+
+    if (flags.length > 0) {
+      track.outliers += 1;
+      if (track.outliers <= maxConsecutiveOutliers) {
+        return { lat: previous.lat, lng: previous.lng, speed: previous.speed ?? 0, flags };
+      }
+      startTrack(message);
+      return { lat: message.lat, lng: message.lng, speed: 0, flags: [GPS_FLAGS.RELOCATED] };
+    }
+    track.outliers = 0;
+
+    const distanceMeters = haversine(previous.lat, previous.lng, message.lat, message.lng) * 1000;
+    if (jitterRadiusMeters > 0 && distanceMeters > 0 && distanceMeters <= jitterRadiusMeters) {
+      return { lat: previous.lat, lng: previous.lng, speed: 0, flags: [GPS_FLAGS.JITTER] };
+    }
+
+    const position = smoothing.enabled ? smooth(track, message, elapsedSeconds) : { lat: message.lat, lng: message.lng };
+    const result = { ...position, speed: impliedSpeedKmh(previous, track.since, { ...position, ts: message.ts }), flags: [] };
+    track.since = message.ts;
+    track.speedMeasured = true;
+    return result;
+  }
+
+  function startTrack(fix) {
+    const track = {
+      since: fix.ts,
+      speedMeasured: false,
+      outliers: 0,
+      estimate: { lat: fix.lat, lng: fix.lng, variance: smoothing.accuracyMeters ** 2 }
+    };
+    touch(fix.vehicleId, track);
+    return track;
+  }
+
+  // Keeps `tracks` in least-recently-used order and bounded.
+  function touch(vehicleId, track) {
+    tracks.delete(vehicleId);
+    tracks.set(vehicleId, track);
+    if (tracks.size > maxVehicles) {
+      tracks.delete(tracks.keys().next().value);
+    }
+  }
+
+  // A one-dimensional Kalman filter per axis with a shared variance in square
+  // metres: uncertainty grows with `processNoiseMps` while the vehicle moves
+  // and shrinks with every fix of `accuracyMeters`.
+  function smooth(track, fix, elapsedSeconds) {
+    const estimate = track.estimate;
+    estimate.variance += Math.max(0, elapsedSeconds) * smoothing.processNoiseMps ** 2;
+    const gain = estimate.variance / (estimate.variance + smoothing.accuracyMeters ** 2);
+    estimate.lat += gain * (fix.lat - estimate.lat);
+    estimate.lng += gain * (fix.lng - estimate.lng);
+    estimate.variance *= 1 - gain;
+    return { lat: estimate.lat, lng: estimate.lng };
+  }
+
+  return { apply };
+}
+
+// Late fixes land between events that already went through the filter, so
+// there is no track to run them through. The returned check applies the same
+// max-speed rule to one leg between two fixes (`lat`, `lng`, `ts`).
+function createMaxSpeedCheck({ enabled = true, maxSpeedKmh = DEFAULT_MAX_SPEED_KMH } = {}) {
+  return (from, to) => enabled && maxSpeedKmh > 0 && impliedSpeedKmh(from, from.ts, to) > maxSpeedKmh;
+}
+
+function impliedSpeedKmh(from, fromTs, to) {
+  const deltaHours = (Date.parse(to.ts ?? '') - Date.parse(fromTs)) / 3_600_000;
+  if (!Number.isFinite(deltaHours) || deltaHours <= 0) {
+    return 0;
+  }
+  return haversine(from.lat, from.lng, to.lat, to.lng) / deltaHours;
+}
+
+function positiveOr(value, fallback) {
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+module.exports = {
+  GPS_FLAGS,
+  GPS_FLAG_VALUES,
+  createGpsFilter,
+  createMaxSpeedCheck,
+  isOutlierFix
+};
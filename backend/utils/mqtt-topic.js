@@ -0,0 +1,61 @@
+// MQTT topic filter matching with `+` (single level) and `#` (remaining
+// levels) wildcards.
+function matchesTopicFilter(filter, topic) {
+  if (typeof filter !== 'string' || typeof topic !== 'string') {
+    return false;
+  }
+
+  const filterLevels = filter.split('/');
+  const topicLevels = topic.split('/');
+
+  for (let i = 0; i < filterLevels.length; i += 1) {
+    const level = filterLevels[i];
+    if (level === '#') {
+      return true;
+    }
+    if (i >= topicLevels.length) {
+      return false;
+    }
+    if (level !== '+' && level !== topicLevels[i]) {
+      return false;
+    }
+  }
+
+  return filterLevels.length === topicLevels.length;
+}
+
+// Returns an error string for filters that break the MQTT wildcard rules.
+function validateTopicFilter(filter) {
+  if (typeof filter !== 'string' || filter === '') {
+    return 'topic filter must be a non-empty string';
+  }
+  const levels = filter.split('/');
+  for (let i = 0; i < levels.length; i += 1) {
+    const level = levels[i];
+    if (level.includes('#') && (level !== '#' || i !== levels.length - 1)) {
+      return `"#" must be the last level of "${filter}"`;
+    }
+    if (level.includes('+') && level !== '+') {
+      return `"+" must occupy a whole level of "${filter}"`;
+    }
+  }
+  return null;
+}
+
+// Prefixes a filter with `$share/<group>/` so brokers spread matching
+// messages across every subscriber in the group.
+function toSharedSubscription(filter, group) {
+  if (!group) {
+    return filter;
+  }
+  if (/[/+#]/.test(group)) {
+    throw new Error(`Invalid shared subscription group "${group}"`);
+  }
+  return `$share/${group}/${filter}`;
+}
+
+module.exports = {
+  matchesTopicFilter,
+  toSharedSubscription,
+  validateTopicFilter
+};
@@ -0,0 +1,309 @@
+const path = require('node:path');
+const protobuf = require('protobufjs');
+const { matchesTopicFilter } = require('./mqtt-topic');
+
+const PAYLOAD_FORMATS = ['json', 'protobuf', 'cbor'];
+
+const CONTENT_TYPE_FORMATS = {
+  'application/json': 'json',
+  'text/json': 'json',
+  'application/protobuf': 'protobuf',
+  'application/x-protobuf': 'protobuf',
+  'application/vnd.google.protobuf': 'protobuf',
+  'application/cbor': 'cbor'
+};
+
+const ENGINE_STATUS_NAMES = {
+  ENGINE_STATUS_RUNNING: 'running',
+  ENGINE_STATUS_IDLE: 'idle',
+  ENGINE_STATUS_OFF: 'off'
+};
+
+const DOOR_STATE_NAMES = {
+  DOOR_STATE_OPEN: 'open',
+  DOOR_STATE_CLOSED: 'closed',
+  DOOR_STATE_LOCKED: 'locked'
+};
+
+const CHARGING_STATUS_NAMES = {
+  CHARGING_STATUS_CHARGING: 'charging',
+  CHARGING_STATUS_DISCHARGING: 'discharging',
+  CHARGING_STATUS_REGENERATING: 'regenerating',
+  CHARGING_STATUS_IDLE: 'idle'
+};
+
+const PROTO_PATH = path.join(__dirname, '..', '..', 'protos', 'telemetry-payload.proto');
+const TelemetryPayload = protobuf.loadSync(PROTO_PATH).lookupType('telemetry.ingest.v1.TelemetryPayload');
+
+const MAX_CBOR_DEPTH = 16;
+
+// Picks a decoder for each MQTT message: an MQTT 5 content-type wins, then the
+// first matching topic filter, then the default format.
+function createPayloadDecoder({ defaultFormat = 'json', topicFormats = [] } = {}) {
+  assertFormat(defaultFormat);
+  for (const entry of topicFormats) {
+    assertFormat(entry.format);
+  }
+
+  function resolveFormat(topic, properties) {
+    const contentType = normalizeContentType(properties?.contentType);
+    if (contentType && CONTENT_TYPE_FORMATS[contentType]) {
+      return CONTENT_TYPE_FORMATS[contentType];
+    }
+    const match = topicFormats.find(entry => matchesTopicFilter(entry.filter, topic));
+    return match ? match.format : defaultFormat;
+  }
+
+  function decode(topic, payload, properties) {
+    const format = resolveFormat(topic, properties);
+    const buffer = Buffer.isBuffer(payload) ? payload : Buffer.from(payload ?? '');
+    try {
+      return { ok: true, format, value: DECODERS[format](buffer) };
+    } catch (err) {
+      return { ok: false, format, error: `invalid_${format}` };
+    }
+  }
+
+  return {
+    decode,
+    resolveFormat
+  };
+}
+
+const DECODERS = {
+  json: buffer => JSON.parse(buffer.toString()),
+  protobuf: decodeProtobufTelemetry,
+  cbor: decodeCbor
+};
+
+function decodeProtobufTelemetry(buffer) {
+  const message = TelemetryPayload.toObject(TelemetryPayload.decode(buffer), {
+    longs: Number,
+    enums: String,
+    defaults: true
+  });
+  const decoded = {
+    vehicleId: message.vehicleId,
+    lat: message.lat,
+    lng: message.lng,
+    ts: message.tsMs > 0 ? new Date(message.tsMs).toISOString() : undefined,
+    engineStatus: ENGINE_STATUS_NAMES[message.engineStatus]
+  };
+  // Optional fields that were not set are left out, like absent JSON keys.
+  const optional = {
+    fuelLevel: message.fuelLevel,
+    heading: message.heading,
+    altitude: message.altitude,
+    odometerKm: message.odometerKm,
+    batteryLevel: message.batteryLevel,
+    cargoTemperature: message.cargoTemperature,
+    doorState: DOOR_STATE_NAMES[message.doorState],
+    sensors: decodeSensorReadings(message.sensors),
+    chargingStatus: CHARGING_STATUS_NAMES[message.chargingStatus],
+    schemaVersion: message.schemaVersion > 0 ? message.schemaVersion : undefined
+  };
+  for (const [key, value] of Object.entries(optional)) {
+    if (value !== undefined) {
+      decoded[key] = value;
+    }
+  }
+  return decoded;
+}
+
+function decodeSensorReadings(sensors) {
+  const entries = Object.entries(sensors ?? {});
+  if (entries.length === 0) {
+    return undefined;
+  }
+  const readings = {};
+  for (const [name, reading] of entries) {
+    readings[name] = reading.number ?? reading.flag ?? reading.text ?? null;
+  }
+  return readings;
+}
+
+// Decodes a single CBOR data item (RFC 8949). Tags 0 and 1 become ISO date
+// strings; other tags are unwrapped to their content.
+function decodeCbor(buffer) {
+  const state = { buffer, offset: 0 };
+  const value = readCborItem(state, 0);
+  if (value === CBOR_BREAK || state.offset !== buffer.length) {
+    throw new Error('unexpected trailing bytes');
+  }
+  return value;
+}
+
+const CBOR_BREAK = Symbol('cbor-break');
+
+function readCborItem(state, depth) {
+  if (depth > MAX_CBOR_DEPTH) {
+    throw new Error('CBOR nesting too deep');
+  }
+  const initial = readBytes(state, 1)[0];
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  if (initial === 0xff) {
+    return CBOR_BREAK;
+  }
+  if (major === 7) {
+    return readCborSimple(state, info);
+  }
+
+  if (info === 31 && (major < 2 || major > 5)) {
+    throw new Error(`indefinite length not allowed for major type ${major}`);
+  }
+  const length = info === 31 ? null : readCborArgument(state, info);
+  switch (major) {
+    case 0:
+      return length;
+    case 1:
+      return -1 - length;
+    case 2:
+    case 3: {
+      const bytes = length === null ? readIndefiniteString(state, major, depth) : readBytes(state, length);
+      return major === 3 ? bytes.toString('utf8') : Buffer.from(bytes);
+    }
+    case 4: {
+      const items = [];
+      for (let i = 0; length === null || i < length; i += 1) {
+        const item = readCborItem(state, depth + 1);
+        if (item === CBOR_BREAK) {
+          if (length !== null) {
+            throw new Error('unexpected break');
+          }
+          break;
+        }
+        items.push(item);
+      }
+      return items;
+    }
+    case 5: {
+      const map = {};
+      for (let i = 0; length === null || i < length; i += 1) {
+        const key = readCborItem(state, depth + 1);
+        if (key === CBOR_BREAK) {
+          if (length !== null) {
+            throw new Error('unexpected break');
+          }
+          break;
+        }
+        const value = readCborItem(state, depth + 1);
+        if (value === CBOR_BREAK) {
+          throw new Error('unexpected break');
+        }
+        if (String(key) !== '__proto__') {
+          map[String(key)] = value;
+        }
+      }
+      return map;
+    }
+    case 6: {
+      const content = readCborItem(state, depth + 1);
+      if (content === CBOR_BREAK) {
+        throw new Error('unexpected break');
+      }
+      if (length === 1 && typeof content === 'number') {
+        return new Date(content * 1000).toISOString();
+      }
+      return content;
+    }
+    default:
+      throw new Error(`unsupported CBOR major type ${major}`);
+  }
+}
+
+function readCborArgument(state, info) {
+  if (info < 24) {
+    return info;
+  }
+  switch (info) {
+    case 24:
+      return readBytes(state, 1).readUInt8(0);
+    case 25:
+      return readBytes(state, 2).readUInt16BE(0);
+    case 26:
+      return readBytes(state, 4).readUInt32BE(0);
+    case 27:
+      return Number(readBytes(state, 8).readBigUInt64BE(0));
+    default:
+      throw new Error(`invalid CBOR additional info ${info}`);
+  }
+}
+
+function readCborSimple(state, info) {
+  switch (info) {
+    case 20:
+      return false;
+    case 21:
+      return true;
+    case 22:
+      return null;
+    case 23:
+      return undefined;
+    case 25:
+      return decodeHalfFloat(readBytes(state, 2).readUInt16BE(0));
+    case 26:
+      return readBytes(state, 4).readFloatBE(0);
+    case 27:
+      return readBytes(state, 8).readDoubleBE(0);
+    default:
+      throw new Error(`unsupported CBOR simple value ${info}`);
+  }
+}
+
+function readIndefiniteString(state, major, depth) {
+  const chunks = [];
+  for (;;) {
+    const chunk = readCborItem(state, depth + 1);
+    if (chunk === CBOR_BREAK) {
+      return Buffer.concat(chunks);
+    }
+    const expected = major === 3 ? 'string' : 'object';
+    if (typeof chunk !== expected) {
+      throw new Error('invalid indefinite-length string chunk');
+    }
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8'));
+  }
+}
+
+function readBytes(state, length) {
+  if (state.offset + length > state.buffer.length) {
+    throw new Error('unexpected end of CBOR data');
+  }
+  const bytes = state.buffer.subarray(state.offset, state.offset + length);
+  state.offset += length;
+  return bytes;
+}
+
+function decodeHalfFloat(half) {
+  const exponent = (half >> 10) & 0x1f;
+  const mantissa = half & 0x3ff;
+  const sign = half & 0x8000 ? -1 : 1;
+  if (exponent === 0) {
+    return sign * 2 ** -14 * (mantissa / 1024);
+  }
+  if (exponent === 31) {
+    return mantissa ? Number.NaN : sign * Infinity;
+  }
+  return sign * 2 ** (exponent - 15) * (1 + mantissa / 1024);
+}
+
+function normalizeContentType(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  return value.split(';')[0].trim().toLowerCase() || null;
+}
+
+function assertFormat(format) {
+  if (!PAYLOAD_FORMATS.includes(format)) {
+    throw new Error(`Unsupported payload format "${format}" (expected one of ${PAYLOAD_FORMATS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  PAYLOAD_FORMATS,
+  createPayloadDecoder,
+  decodeCbor
+};
@@ -0,0 +1,217 @@
+// Minimal metric registry rendering the Prometheus text exposition format
+// (0.0.4) and OpenMetrics 1.0. Counters, gauges, and histograms support
+// labels; gauges may also read their value from a callback at scrape time.
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+function createRegistry() {
+  const metrics = new Map();
+
+  function register(metric) {
+    if (!METRIC_NAME_PATTERN.test(metric.name)) {
+      throw new Error(`Invalid metric name "${metric.name}"`);
+    }
+    for (const label of metric.labelNames) {
+      if (!LABEL_NAME_PATTERN.test(label) || label === 'le') {
+        throw new Error(`Invalid label name "${label}" for metric "${metric.name}"`);
+      }
+    }
+    if (metrics.has(metric.name)) {
+      throw new Error(`Metric "${metric.name}" is already registered`);
+    }
+    metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  // Counter names omit the `_total` suffix; it is added to each sample.
+  // `collect` reads the total from an existing running count instead.
+  function counter({ name, help, labelNames = [], collect }) {
+    const values = new Map();
+    return register({
+      name,
+      help,
+      type: 'counter',
+      labelNames,
+      inc(labels = {}, amount = 1) {
+        if (!(amount >= 0)) {
+          throw new Error(`Counter "${name}" can only increase`);
+        }
+        const entry = seriesFor(values, labelNames, labels, () => ({ value: 0 }));
+        entry.value += amount;
+      },
+      get(labels = {}) {
+        return values.get(seriesKey(labelPairs(labelNames, labels)))?.value ?? 0;
+      },
+      samples() {
+        if (typeof collect === 'function') {
+          const value = Number(collect());
+          return Number.isFinite(value) ? [{ suffix: '_total', labels: [], value }] : [];
+        }
+        return Array.from(values.values(), entry => ({ suffix: '_total', labels: entry.labels, value: entry.value }));
+      }
+    });
+  }
+
+  function gauge({ name, help, labelNames = [], collect }) {
+    const values = new Map();
+    return register({
+      name,
+      help,
+      type: 'gauge',
+      labelNames,
+      set(labels = {}, value) {
+        seriesFor(values, labelNames, labels, () => ({ value: 0 })).value = value;
+      },
+      samples() {
+        if (typeof collect === 'function') {
+          const value = Number(collect());
+          return Number.isFinite(value) ? [{ suffix: '', labels: [], value }] : [];
+        }
+        return Array.from(values.values(), entry => ({ suffix: '', labels: entry.labels, value: entry.value }));
+      }
+    });
+  }
+
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const bounds = Array.from(new Set(buckets)).filter(Number.isFinite).sort((a, b) => a - b);
+    const series = new Map();
+    const metric = register({
+      name,
+      help,
+      type: 'histogram',
+      labelNames,
+      observe(labels = {}, value) {
+        if (!Number.isFinite(value)) {
+          return;
+        }
+        const entry = seriesFor(series, labelNames, labels, () => ({
+          counts: new Array(bounds.length).fill(0),
+          sum: 0,
+          count: 0
+        }));
+        for (let i = 0; i < bounds.length; i += 1) {
+          if (value <= bounds[i]) {
+            entry.counts[i] += 1;
+          }
+        }
+        entry.sum += value;
+        entry.count += 1;
+      },
+      // Returns a function that records the seconds elapsed since the call.
+      startTimer(labels = {}) {
+        const startedAt = process.hrtime.bigint();
+        return () => {
+          const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+          metric.observe(labels, seconds);
+          return seconds;
+        };
+      },
+      samples() {
+        const samples = [];
+        for (const entry of series.values()) {
+          bounds.forEach((bound, index) => {
+            samples.push({
+              suffix: '_bucket',
+              labels: [...entry.labels, ['le', formatNumber(bound)]],
+              value: entry.counts[index]
+            });
+          });
+          samples.push({ suffix: '_bucket', labels: [...entry.labels, ['le', '+Inf']], value: entry.count });
+          samples.push({ suffix: '_sum', labels: entry.labels, value: entry.sum });
+          samples.push({ suffix: '_count', labels: entry.labels, value: entry.count });
+        }
+        return samples;
+      }
+    });
+    return metric;
+  }
+
+  function render({ openMetrics = false } = {}) {
+    const lines = [];
+    for (const metric of metrics.values()) {
+      // Prometheus text format names the counter family with its suffix;
+      // OpenMetrics names it without.
+      const family = metric.type === 'counter' && !openMetrics ? `${metric.name}_total` : metric.name;
+      lines.push(`# HELP ${family} ${escapeHelp(metric.help)}`);
+      lines.push(`# TYPE ${family} ${metric.type}`);
+      for (const sample of metric.samples()) {
+        lines.push(`${metric.name}${sample.suffix}${formatLabels(sample.labels)} ${formatNumber(sample.value)}`);
+      }
+    }
+    if (openMetrics) {
+      lines.push('# EOF');
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    render
+  };
+}
+
+// Label sets are kept as [name, value] pairs in `labelNames` order, so the
+// same labels always map to the same series.
+function labelPairs(labelNames, labels) {
+  return labelNames.map(label => [label, String(labels?.[label] ?? '')]);
+}
+
+function seriesKey(pairs) {
+  return JSON.stringify(pairs);
+}
+
+function seriesFor(series, labelNames, labels, create) {
+  const pairs = labelPairs(labelNames, labels);
+  const key = seriesKey(pairs);
+  let entry = series.get(key);
+  if (!entry) {
+    entry = { ...create(), labels: pairs };
+    series.set(key, entry);
+  }
+  return entry;
+}
+
+function formatLabels(pairs) {
+  if (pairs.length === 0) {
+    return '';
+  }
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function escapeHelp(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatNumber(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function prefersOpenMetrics(acceptHeader) {
+  return typeof acceptHeader === 'string' && acceptHeader.includes('application/openmetrics-text');
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  OPENMETRICS_CONTENT_TYPE,
+  PROMETHEUS_CONTENT_TYPE,
+  createRegistry,
+  prefersOpenMetrics
+};
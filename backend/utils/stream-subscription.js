@@ -0,0 +1,119 @@
+const { ENGINE_STATUS_VALUES } = require('./validation');
+const { isValidFleetId } = require('./fleet');
+
+const MAX_SUBSCRIPTION_VEHICLE_IDS = 1_000;
+
+// Validates a `subscribe` message from a `/stream` client. Every criterion is
+// optional; a vehicle must match all of the ones given.
+//   { type: 'subscribe', bbox: { south, west, north, east },
+//     vehicleIds: ['veh-1'], fleetIds: ['acme'], engineStatus: ['running'], minFuel: 20 }
+// A bbox whose west edge is east of its east edge crosses the antimeridian.
+// `fleetIds` can only narrow what a client sees; the service rejects fleets
+// the client's credentials do not allow.
+function parseSubscription(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return { ok: false, error: 'subscription must be an object' };
+  }
+
+  const subscription = { bbox: null, vehicleIds: null, fleetIds: null, engineStatus: null, minFuel: null };
+
+  if (message.bbox !== undefined && message.bbox !== null) {
+    const { south, west, north, east } = message.bbox;
+    if (![south, west, north, east].every(Number.isFinite)) {
+      return { ok: false, error: 'bbox requires numeric south, west, north, and east' };
+    }
+    if (south < -90 || north > 90 || south > north) {
+      return { ok: false, error: 'bbox latitudes must satisfy -90 <= south <= north <= 90' };
+    }
+    if (west < -180 || west > 180 || east < -180 || east > 180) {
+      return { ok: false, error: 'bbox longitudes must be between -180 and 180' };
+    }
+    subscription.bbox = { south, west, north, east };
+  }
+
+  if (message.vehicleIds !== undefined && message.vehicleIds !== null) {
+    if (!Array.isArray(message.vehicleIds) || !message.vehicleIds.every(id => typeof id === 'string' && id.length > 0)) {
+      return { ok: false, error: 'vehicleIds must be an array of non-empty strings' };
+    }
+    if (message.vehicleIds.length > MAX_SUBSCRIPTION_VEHICLE_IDS) {
+      return { ok: false, error: `vehicleIds accepts at most ${MAX_SUBSCRIPTION_VEHICLE_IDS} entries` };
+    }
+    subscription.vehicleIds = new Set(message.vehicleIds);
+  }
+
+  if (message.fleetIds !== undefined && message.fleetIds !== null) {
+    if (!Array.isArray(message.fleetIds) || message.fleetIds.length === 0 || !message.fleetIds.every(isValidFleetId)) {
+      return { ok: false, error: 'fleetIds must be a non-empty array of fleet ids' };
+    }
+    subscription.fleetIds = new Set(message.fleetIds);
+  }
+
+  if (message.engineStatus !== undefined && message.engineStatus !== null) {
+    const statuses = Array.isArray(message.engineStatus) ? message.engineStatus : [message.engineStatus];
+    if (statuses.length === 0 || !statuses.every(status => ENGINE_STATUS_VALUES.has(status))) {
+      return { ok: false, error: 'engineStatus must list values from running|idle|off' };
+    }
+    subscription.engineStatus = new Set(statuses);
+  }
+
+  if (message.minFuel !== undefined && message.minFuel !== null) {
+    if (!Number.isFinite(message.minFuel) || message.minFuel < 0 || message.minFuel > 100) {
+      return { ok: false, error: 'minFuel must be a number between 0 and 100' };
+    }
+    subscription.minFuel = message.minFuel;
+  }
+
+  return { ok: true, value: subscription };
+}
+
+// A null subscription matches every vehicle.
+function matchesSubscription(subscription, vehicle) {
+  if (!subscription) {
+    return true;
+  }
+  if (subscription.vehicleIds && !subscription.vehicleIds.has(vehicle.vehicleId)) {
+    return false;
+  }
+  if (subscription.fleetIds && !subscription.fleetIds.has(vehicle.fleetId)) {
+    return false;
+  }
+  if (subscription.engineStatus && !subscription.engineStatus.has(vehicle.engineStatus)) {
+    return false;
+  }
+  // Electric vehicles are compared on their battery level.
+  if (subscription.minFuel !== null && !((vehicle.fuelLevel ?? vehicle.batteryLevel) >= subscription.minFuel)) {
+    return false;
+  }
+  if (subscription.bbox && !withinBbox(subscription.bbox, vehicle.lat, vehicle.lng)) {
+    return false;
+  }
+  return true;
+}
+
+function withinBbox({ south, west, north, east }, lat, lng) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || lat < south || lat > north) {
+    return false;
+  }
+  return west <= east ? lng >= west && lng <= east : lng >= west || lng <= east;
+}
+
+// JSON-friendly copy of a parsed subscription, echoed back to the client.
+function describeSubscription(subscription) {
+  if (!subscription) {
+    return null;
+  }
+  return {
+    bbox: subscription.bbox,
+    vehicleIds: subscription.vehicleIds ? Array.from(subscription.vehicleIds) : null,
+    fleetIds: subscription.fleetIds ? Array.from(subscription.fleetIds) : null,
+    engineStatus: subscription.engineStatus ? Array.from(subscription.engineStatus) : null,
+    minFuel: subscription.minFuel
+  };
+}
+
+module.exports = {
+  MAX_SUBSCRIPTION_VEHICLE_IDS,
+  describeSubscription,
+  matchesSubscription,
+  parseSubscription
+};
@@ -0,0 +1,43 @@
+const { pickExtendedTelemetry } = require('./telemetry-schema');
+
+// Turns a validated message into the record the telemetry repository stores,
+// given the vehicle's live record (`previous`) and its fleet. Shared by the
+// MQTT ingest and the simulator's SQLite backfill sink so both store the
+// same history.
+//
+// A message that is not newer than `previous` is stale: it is only stored
+// for history, and the repository fits it in with its stored neighbours
+// (`stale: true`, no `previous`). Otherwise `gpsFilter` checks the fix, and
+// `enriched` follows the filtered track with any flags in `gpsFlags`;
+// `properties` are added to it as they are.
+function buildTelemetryRecord({ message, previous, fleetId, gpsFilter, lastSeen, properties = null }) {
+  if (previous && !(Date.parse(message.ts) > Date.parse(previous.ts))) {
+    return {
+      message,
+      previous: null,
+      enriched: { ...message, fleetId, speed: null, lastSeen },
+      stale: true
+    };
+  }
+
+  const fix = gpsFilter.apply(previous, message);
+  const enriched = {
+    vehicleId: message.vehicleId,
+    fleetId,
+    lat: fix.lat,
+    lng: fix.lng,
+    ts: message.ts,
+    speed: fix.speed,
+    gpsFlags: fix.flags.length > 0 ? fix.flags : null,
+    fuelLevel: message.fuelLevel,
+    engineStatus: message.engineStatus,
+    ...pickExtendedTelemetry(message),
+    lastSeen,
+    ...properties
+  };
+  return { message, previous, enriched, stale: false };
+}
+
+module.exports = {
+  buildTelemetryRecord
+};
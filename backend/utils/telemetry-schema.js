@@ -0,0 +1,228 @@
+// Declarative telemetry schema. Each field lists the schema version that
+// introduced it; the fields after the six core ones are optional, and the
+// repository stores each in its `column`. Devices may send `schemaVersion`
+// to pin an older version, whose unknown fields are then ignored; messages
+// without one are read with the latest version. From version 3 on, electric
+// vehicles may send `batteryLevel` instead of `fuelLevel`.
+const TELEMETRY_SCHEMA_VERSION = 3;
+const SUPPORTED_SCHEMA_VERSIONS = [1, 2, 3];
+
+const MAX_SENSORS = 32;
+const MAX_SENSOR_TEXT_LENGTH = 128;
+const SENSOR_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_.-]{0,63}$/;
+
+const TELEMETRY_FIELDS = [
+  { name: 'vehicleId', type: 'id', required: true, since: 1 },
+  { name: 'lat', type: 'number', min: -90, max: 90, required: true, since: 1 },
+  { name: 'lng', type: 'number', min: -180, max: 180, required: true, since: 1 },
+  { name: 'ts', type: 'timestamp', required: true, since: 1 },
+  {
+    name: 'fuelLevel',
+    type: 'number',
+    min: 0,
+    max: 100,
+    required: true,
+    since: 1,
+    requiredUnless: { field: 'batteryLevel', since: 3 }
+  },
+  { name: 'engineStatus', type: 'enum', values: ['running', 'idle', 'off'], required: true, since: 1 },
+  { name: 'heading', type: 'number', min: 0, max: 360, since: 2, column: 'heading_deg' },
+  { name: 'altitude', type: 'number', min: -500, max: 9_000, since: 2, column: 'altitude_m' },
+  { name: 'odometerKm', type: 'number', min: 0, max: 10_000_000, since: 2, column: 'odometer_km' },
+  { name: 'batteryLevel', type: 'number', min: 0, max: 100, since: 2, column: 'battery_level' },
+  { name: 'cargoTemperature', type: 'number', min: -60, max: 80, since: 2, column: 'cargo_temperature_c' },
+  { name: 'doorState', type: 'enum', values: ['open', 'closed', 'locked'], since: 2, column: 'door_state' },
+  { name: 'sensors', type: 'sensors', since: 2, column: 'sensors_json' },
+  {
+    name: 'chargingStatus',
+    type: 'enum',
+    values: ['charging', 'discharging', 'regenerating', 'idle'],
+    since: 3,
+    column: 'charging_status'
+  }
+];
+
+// The optional fields, in storage order.
+const EXTENDED_TELEMETRY_FIELDS = TELEMETRY_FIELDS.filter(field => !field.required);
+
+const ENGINE_STATUS_VALUES = new Set(TELEMETRY_FIELDS.find(field => field.name === 'engineStatus').values);
+const DOOR_STATE_VALUES = new Set(TELEMETRY_FIELDS.find(field => field.name === 'doorState').values);
+const CHARGING_STATUS_VALUES = new Set(TELEMETRY_FIELDS.find(field => field.name === 'chargingStatus').values);
+
+const CHECKS = {
+  id: (field, value) => {
+    if (typeof value !== 'string' || value.trim() === '') {
+      return { ok: false, error: `${field.name} must be a non-empty string` };
+    }
+    return { ok: true, value: value.trim() };
+  },
+  number: (field, value) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < field.min || value > field.max) {
+      return { ok: false, error: `${field.name} must be a finite number between ${field.min} and ${field.max}` };
+    }
+    return { ok: true, value };
+  },
+  timestamp: (field, value) => {
+    const timestamp = new Date(value);
+    if (Number.isNaN(timestamp.valueOf())) {
+      return { ok: false, error: `${field.name} must be a valid date` };
+    }
+    return { ok: true, value: timestamp.toISOString() };
+  },
+  enum: (field, value) => {
+    if (typeof value !== 'string' || !field.values.includes(value.toLowerCase())) {
+      return { ok: false, error: `${field.name} must be one of ${field.values.join('|')}` };
+    }
+    return { ok: true, value: value.toLowerCase() };
+  },
+  sensors: (field, value) => {
+    const sensors = normalizeSensors(value);
+    if (sensors === null) {
+      return {
+        ok: false,
+        error: `${field.name} must be an object of at most ${MAX_SENSORS} readings (numbers, booleans, or strings up to ${MAX_SENSOR_TEXT_LENGTH} characters) named with letters, digits, "_", "." or "-"`
+      };
+    }
+    return { ok: true, value: sensors };
+  }
+};
+
+function validateTelemetry(payload) {
+  if (typeof payload !== 'object' || payload === null) {
+    return { ok: false, error: 'payload must be an object' };
+  }
+
+  const version = payload.schemaVersion ?? TELEMETRY_SCHEMA_VERSION;
+  if (!SUPPORTED_SCHEMA_VERSIONS.includes(version)) {
+    return { ok: false, error: `schemaVersion must be one of ${SUPPORTED_SCHEMA_VERSIONS.join('|')}` };
+  }
+
+  const value = {};
+  for (const field of TELEMETRY_FIELDS) {
+    if (field.since > version) {
+      continue;
+    }
+    const raw = payload[field.name];
+    if (raw === undefined || raw === null) {
+      if (isRequired(field, payload, version)) {
+        return { ok: false, error: missingFieldError(field, version) };
+      }
+      continue;
+    }
+    const checked = CHECKS[field.type](field, raw);
+    if (!checked.ok) {
+      return checked;
+    }
+    if (checked.value !== undefined) {
+      value[field.name] = checked.value;
+    }
+  }
+
+  return { ok: true, value };
+}
+
+function isRequired(field, payload, version) {
+  if (!field.required) {
+    return false;
+  }
+  const alternative = field.requiredUnless;
+  if (alternative && version >= alternative.since) {
+    return payload[alternative.field] === undefined || payload[alternative.field] === null;
+  }
+  return true;
+}
+
+// Missing required fields get the same message as invalid ones, except the
+// timestamp, which says it is required, and fields with an alternative.
+function missingFieldError(field, version) {
+  if (field.type === 'timestamp') {
+    return `${field.name} is required`;
+  }
+  if (field.requiredUnless && version >= field.requiredUnless.since) {
+    return `${field.name} or ${field.requiredUnless.field} is required`;
+  }
+  return CHECKS[field.type](field, undefined).error;
+}
+
+// Returns the readings, undefined when there are none, or null when invalid.
+function normalizeSensors(value) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return null;
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0) {
+    return undefined;
+  }
+  if (entries.length > MAX_SENSORS) {
+    return null;
+  }
+  const sensors = {};
+  for (const [name, reading] of entries) {
+    if (!SENSOR_NAME_PATTERN.test(name)) {
+      return null;
+    }
+    const valid = typeof reading === 'boolean'
+      || (typeof reading === 'number' && Number.isFinite(reading))
+      || (typeof reading === 'string' && reading.length <= MAX_SENSOR_TEXT_LENGTH);
+    if (!valid) {
+      return null;
+    }
+    sensors[name] = reading;
+  }
+  return sensors;
+}
+
+// The extended fields a record carries, omitting the ones it does not.
+function pickExtendedTelemetry(record) {
+  const picked = {};
+  for (const field of EXTENDED_TELEMETRY_FIELDS) {
+    const value = record?.[field.name];
+    if (value !== undefined && value !== null) {
+      picked[field.name] = value;
+    }
+  }
+  return picked;
+}
+
+// Values for the extended columns, in EXTENDED_TELEMETRY_FIELDS order.
+function toExtendedColumnValues(record) {
+  return EXTENDED_TELEMETRY_FIELDS.map(field => {
+    const value = record?.[field.name];
+    if (value === undefined || value === null) {
+      return null;
+    }
+    return field.type === 'sensors' ? JSON.stringify(value) : value;
+  });
+}
+
+// Every extended field of a stored row, null when the event did not carry it.
+function fromExtendedColumns(row) {
+  const fields = {};
+  for (const field of EXTENDED_TELEMETRY_FIELDS) {
+    const value = row[field.column] ?? null;
+    fields[field.name] = field.type === 'sensors' && value !== null ? parseSensorsJson(value) : value;
+  }
+  return fields;
+}
+
+function parseSensorsJson(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  TELEMETRY_SCHEMA_VERSION,
+  SUPPORTED_SCHEMA_VERSIONS,
+  TELEMETRY_FIELDS,
+  EXTENDED_TELEMETRY_FIELDS,
+  ENGINE_STATUS_VALUES,
+  DOOR_STATE_VALUES,
+  CHARGING_STATUS_VALUES,
+  validateTelemetry,
+  pickExtendedTelemetry,
+  toExtendedColumnValues,
+  fromExtendedColumns
+};
@@ -1,56 +1,140 @@
-const ENGINE_STATUS_VALUES = new Set(['running', 'idle', 'off']);
+const { validateTelemetry, ENGINE_STATUS_VALUES } = require('./telemetry-schema');
 
-function validateTelemetry(payload) {
+const GEOFENCE_SHAPES = new Set(['circle', 'polygon']);
+const MAX_POLYGON_POINTS = 500;
+const VEHICLE_METADATA_FIELDS = ['plateNumber', 'driver', 'vehicleType', 'depot'];
+const MAX_METADATA_TEXT_LENGTH = 120;
+const MAX_VEHICLE_TAGS = 32;
+const MAX_TAG_LENGTH = 64;
+
+function validateGeofence(payload) {
   if (typeof payload !== 'object' || payload === null) {
-    return { ok: false, error: 'payload must be an object' };
+    return { ok: false, error: 'geofence must be an object' };
   }
 
-  const { vehicleId, lat, lng, ts, fuelLevel, engineStatus } = payload;
+  const { name, category, shape } = payload;
 
-  if (typeof vehicleId !== 'string' || vehicleId.trim() === '') {
-    return { ok: false, error: 'vehicleId must be a non-empty string' };
+  if (typeof name !== 'string' || name.trim() === '') {
+    return { ok: false, error: 'name must be a non-empty string' };
   }
 
-  if (!isFiniteNumber(lat) || lat < -90 || lat > 90) {
-    return { ok: false, error: 'lat must be a finite number between -90 and 90' };
+  if (category !== undefined && category !== null && typeof category !== 'string') {
+    return { ok: false, error: 'category must be a string when provided' };
   }
 
-  if (!isFiniteNumber(lng) || lng < -180 || lng > 180) {
-    return { ok: false, error: 'lng must be a finite number between -180 and 180' };
+  if (typeof shape !== 'string' || !GEOFENCE_SHAPES.has(shape.toLowerCase())) {
+    return { ok: false, error: 'shape must be one of circle|polygon' };
   }
 
-  if (ts === undefined || ts === null) {
-    return { ok: false, error: 'ts is required' };
+  const normalizedShape = shape.toLowerCase();
+  const base = {
+    name: name.trim(),
+    category: typeof category === 'string' && category.trim() !== '' ? category.trim() : null,
+    shape: normalizedShape
+  };
+
+  if (normalizedShape === 'circle') {
+    const center = normalizePoint(payload.center);
+    if (!center) {
+      return { ok: false, error: 'center must contain a valid lat and lng' };
+    }
+    const { radiusMeters } = payload;
+    if (!isFiniteNumber(radiusMeters) || radiusMeters <= 0) {
+      return { ok: false, error: 'radiusMeters must be a positive number' };
+    }
+    return { ok: true, value: { ...base, geometry: { center, radiusMeters: Number(radiusMeters) } } };
   }
 
-  const timestamp = new Date(ts);
-  if (Number.isNaN(timestamp.valueOf())) {
-    return { ok: false, error: 'ts must be a valid date' };
+  const { points } = payload;
+  if (!Array.isArray(points) || points.length < 3 || points.length > MAX_POLYGON_POINTS) {
+    return { ok: false, error: `points must contain between 3 and ${MAX_POLYGON_POINTS} coordinates` };
   }
 
-  if (!isFiniteNumber(fuelLevel) || fuelLevel < 0 || fuelLevel > 100) {
-    return { ok: false, error: 'fuelLevel must be a finite number between 0 and 100' };
+  const normalizedPoints = [];
+  for (const point of points) {
+    const normalized = normalizePoint(point);
+    if (!normalized) {
+      return { ok: false, error: 'points must contain valid lat and lng values' };
+    }
+    normalizedPoints.push(normalized);
   }
 
-  if (typeof engineStatus !== 'string' || !ENGINE_STATUS_VALUES.has(engineStatus.toLowerCase())) {
-    return { ok: false, error: 'engineStatus must be one of running|idle|off' };
+  return { ok: true, value: { ...base, geometry: { points: normalizedPoints } } };
+}
+
+function validateVehicleMetadata(payload) {
+  if (typeof payload !== 'object' || payload === null || Array.isArray(payload)) {
+    return { ok: false, error: 'metadata must be an object' };
   }
 
-  return {
-    ok: true,
-    value: {
-      vehicleId: vehicleId.trim(),
-      lat: Number(lat),
-      lng: Number(lng),
-      ts: timestamp.toISOString(),
-      fuelLevel: Number(fuelLevel),
-      engineStatus: engineStatus.toLowerCase()
+  const value = {};
+  for (const field of VEHICLE_METADATA_FIELDS) {
+    const raw = payload[field];
+    if (raw === undefined || raw === null) {
+      value[field] = null;
+      continue;
     }
-  };
+    if (typeof raw !== 'string' || raw.length > MAX_METADATA_TEXT_LENGTH) {
+      return { ok: false, error: `${field} must be a string of at most ${MAX_METADATA_TEXT_LENGTH} characters` };
+    }
+    value[field] = raw.trim() === '' ? null : raw.trim();
+  }
+
+  const tags = normalizeTags(payload.tags ?? []);
+  if (!tags) {
+    return {
+      ok: false,
+      error: `tags must be an array of at most ${MAX_VEHICLE_TAGS} non-empty strings up to ${MAX_TAG_LENGTH} characters`
+    };
+  }
+  value.tags = tags;
+
+  return { ok: true, value };
+}
+
+function normalizeTags(tags) {
+  if (!Array.isArray(tags) || tags.length > MAX_VEHICLE_TAGS) {
+    return null;
+  }
+  const result = [];
+  for (const tag of tags) {
+    if (typeof tag !== 'string') {
+      return null;
+    }
+    const normalized = tag.trim().toLowerCase();
+    if (normalized === '' || normalized.length > MAX_TAG_LENGTH) {
+      return null;
+    }
+    if (!result.includes(normalized)) {
+      result.push(normalized);
+    }
+  }
+  return result;
+}
+
+function normalizePoint(point) {
+  if (typeof point !== 'object' || point === null) {
+    return null;
+  }
+  const { lat, lng } = point;
+  if (!isFiniteNumber(lat) || lat < -90 || lat > 90) {
+    return null;
+  }
+  if (!isFiniteNumber(lng) || lng < -180 || lng > 180) {
+    return null;
+  }
+  return { lat: Number(lat), lng: Number(lng) };
 }
 
 function isFiniteNumber(value) {
   return typeof value === 'number' && Number.isFinite(value);
 }
 
-module.exports = { validateTelemetry, ENGINE_STATUS_VALUES };
+module.exports = {
+  validateTelemetry,
+  validateGeofence,
+  validateVehicleMetadata,
+  normalizeTags,
+  ENGINE_STATUS_VALUES,
+  GEOFENCE_SHAPES
+};
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+// Prints a JWT signed with AUTH_JWT_SECRET, for dashboards, load tests, and
+// gRPC clients. Issuer and audience follow the backend configuration.
+const { config } = require('../config');
+const { SCOPE_VALUES, signToken } = require('../services/auth-service');
+const { isValidFleetId } = require('../utils/fleet');
+
+const { secret, algorithms, issuer, audience } = config.auth.jwt;
+if (!secret) {
+  console.error('AUTH_JWT_SECRET must be set to issue tokens');
+  process.exit(1);
+}
+
+const scopes = (process.env.TOKEN_SCOPES || 'read:live read:history').split(/[\s,|]+/).filter(Boolean);
+const unknown = scopes.filter(scope => !SCOPE_VALUES.includes(scope));
+if (unknown.length > 0) {
+  console.error(`Unknown scope(s) ${unknown.join(', ')} (expected ${SCOPE_VALUES.join(', ')})`);
+  process.exit(1);
+}
+
+// Without TOKEN_FLEETS the token may read every fleet.
+const fleets = (process.env.TOKEN_FLEETS || '').split(/[\s,|]+/).filter(Boolean);
+const invalidFleets = fleets.filter(fleet => !isValidFleetId(fleet));
+if (invalidFleets.length > 0) {
+  console.error(`Invalid fleet id(s) ${invalidFleets.join(', ')} in TOKEN_FLEETS`);
+  process.exit(1);
+}
+
+const ttlSeconds = Number(process.env.TOKEN_TTL_SECONDS || 24 * 60 * 60);
+if (!Number.isFinite(ttlSeconds) || ttlSeconds <= 0) {
+  console.error('TOKEN_TTL_SECONDS must be a positive number');
+  process.exit(1);
+}
+
+const issuedAt = Math.floor(Date.now() / 1000);
+const claims = {
+  sub: process.env.TOKEN_SUBJECT || 'fleet-client',
+  scope: scopes.join(' '),
+  iat: issuedAt,
+  exp: issuedAt + Math.trunc(ttlSeconds),
+  ...(fleets.length > 0 ? { fleets } : {}),
+  ...(issuer ? { iss: issuer } : {}),
+  ...(audience ? { aud: audience } : {})
+};
+
+process.stdout.write(`${signToken(claims, secret, algorithms[0])}\n`);
@@ -31,6 +31,12 @@ function parseWindowList(value) {
     });
 
     logger.info({ processed: result.processed, details: result.details }, 'Telemetry rollup job complete');
+
+    // Rollups run first so buckets exist before their raw events expire.
+    if (process.env.ROLLUP_PRUNE !== 'false' && telemetryRepository.getRetentionStats().enabled) {
+      const pruned = await telemetryRepository.pruneExpiredData();
+      logger.info({ events: pruned.events, rollups: pruned.rollups }, 'Telemetry retention job complete');
+    }
   } catch (err) {
     logger.error({ err }, 'Telemetry rollup job failed');
     process.exitCode = 1;
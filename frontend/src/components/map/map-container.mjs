@@ -43,9 +43,11 @@ export function createMapController({
   });
 
   const trailLayer = L.layerGroup();
+  const replayLayer = L.layerGroup();
 
   map.addLayer(clusterGroup);
   map.addLayer(trailLayer);
+  map.addLayer(replayLayer);
 
   let currentThreshold = clusterThreshold;
   let initialViewportSettled = false;
@@ -82,14 +84,73 @@ export function createMapController({
     initialViewportSettled = true;
   }
 
+  // Brings a marker into view, expanding its cluster if needed, and opens its
+  // popup. Returns false when the marker is not on the map (e.g. filtered out).
+  function focusMarker(marker, { minZoom = 14 } = {}) {
+    if (!marker || !clusterGroup.hasLayer(marker)) {
+      return false;
+    }
+    clusterGroup.zoomToShowLayer(marker, () => {
+      map.setView(marker.getLatLng(), Math.max(map.getZoom(), minZoom));
+      marker.openPopup();
+    });
+    return true;
+  }
+
+  // Live markers keep updating while hidden so they are current again when
+  // replay ends; only their map layers are detached.
+  function setLiveLayersVisible(visible) {
+    for (const layer of [clusterGroup, trailLayer]) {
+      if (visible && !map.hasLayer(layer)) {
+        map.addLayer(layer);
+      } else if (!visible && map.hasLayer(layer)) {
+        map.removeLayer(layer);
+      }
+    }
+  }
+
+  // Calls `callback` with the padded visible bounds after every pan or zoom,
+  // but only once the initial viewport has settled: until then the map is
+  // still discovering where the fleet is.
+  function onViewportChange(callback, { padding = 0 } = {}) {
+    map.on('moveend', () => {
+      if (!initialViewportSettled) {
+        return;
+      }
+      const bounds = map.getBounds().pad(padding);
+      callback({
+        south: bounds.getSouth(),
+        west: bounds.getWest(),
+        north: bounds.getNorth(),
+        east: bounds.getEast()
+      });
+    });
+  }
+
+  function fitToLatLngs(latLngs) {
+    if (!Array.isArray(latLngs) || latLngs.length === 0) {
+      return;
+    }
+    if (latLngs.length === 1) {
+      map.setView(latLngs[0], Math.max(map.getZoom(), 12));
+      return;
+    }
+    map.fitBounds(L.latLngBounds(latLngs).pad(0.15));
+  }
+
   return {
     map,
     clusterGroup,
     trailLayer,
+    replayLayer,
     updateClusterMode,
     setClusterThreshold,
     applyInitialViewport,
-    resetViewport
+    resetViewport,
+    focusMarker,
+    setLiveLayersVisible,
+    onViewportChange,
+    fitToLatLngs
   };
 }
 
@@ -1,11 +1,18 @@
 import L from 'leaflet';
 
-export function createTrailPolyline(positions = []) {
+export const REPLAY_TRAIL_STYLE = {
+  color: '#f472b6',
+  weight: 3,
+  opacity: 0.9
+};
+
+export function createTrailPolyline(positions = [], style = {}) {
   return L.polyline(positions, {
     color: '#38bdf8',
     weight: 2,
     opacity: 0.8,
-    lineJoin: 'round'
+    lineJoin: 'round',
+    ...style
   });
 }
 
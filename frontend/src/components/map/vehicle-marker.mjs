@@ -18,6 +18,14 @@ const FUEL_BANDS = {
   unknown: { min: -Infinity, color: '#94a3b8', label: 'Unknown' }
 };
 
+// Electric vehicles report a battery level instead of fuel; their bands are
+// keyed `battery-*` and the icon carries a charge bolt.
+const BATTERY_BANDS = {
+  'battery-high': { min: 50, color: '#10b981', label: '50%+' },
+  'battery-medium': { min: 20, color: '#f59e0b', label: '20-49%' },
+  'battery-low': { min: 0, color: '#dc2626', label: '<20%' }
+};
+
 const iconCache = new Map();
 
 export function getFuelBandKey(value) {
@@ -36,6 +44,31 @@ export function getFuelBandKey(value) {
   return 'unknown';
 }
 
+export function getBatteryBandKey(value) {
+  if (!Number.isFinite(value)) {
+    return 'unknown';
+  }
+  if (value >= BATTERY_BANDS['battery-high'].min) {
+    return 'battery-high';
+  }
+  if (value >= BATTERY_BANDS['battery-medium'].min) {
+    return 'battery-medium';
+  }
+  if (value >= BATTERY_BANDS['battery-low'].min) {
+    return 'battery-low';
+  }
+  return 'unknown';
+}
+
+// Vehicles with a fuel level use fuel bands; the others fall back to their
+// battery level.
+export function getEnergyBandKey({ fuelLevel, batteryLevel } = {}) {
+  if (Number.isFinite(fuelLevel) || !Number.isFinite(batteryLevel)) {
+    return getFuelBandKey(fuelLevel);
+  }
+  return getBatteryBandKey(batteryLevel);
+}
+
 export function getStatusKey(value) {
   if (typeof value !== 'string') {
     return 'unknown';
@@ -47,14 +80,17 @@ export function getStatusKey(value) {
   return normalised;
 }
 
-export function createTruckIcon(fuelBandKey, statusKey) {
-  const cacheKey = `${fuelBandKey}:${statusKey}`;
+export function createTruckIcon(bandKey, statusKey) {
+  const cacheKey = `${bandKey}:${statusKey}`;
   if (iconCache.has(cacheKey)) {
     return iconCache.get(cacheKey);
   }
 
-  const band = FUEL_BANDS[fuelBandKey] || FUEL_BANDS.unknown;
+  const band = BATTERY_BANDS[bandKey] || FUEL_BANDS[bandKey] || FUEL_BANDS.unknown;
   const status = STATUS_STYLES[statusKey] || STATUS_STYLES.unknown;
+  const bolt = BATTERY_BANDS[bandKey]
+    ? '<path d="M24 10l-7 11h5l-2 8 8-12h-5l2-7z" fill="#ffffff" stroke="#0f172a" stroke-width="1" />'
+    : '';
   const html = `
     <div class="vehicle-marker__wrapper" style="--fuel-color:${band.color}; --status-color:${status.accent};">
       <svg class="vehicle-marker__svg" viewBox="0 0 64 44" xmlns="http://www.w3.org/2000/svg" aria-hidden="true" focusable="false">
@@ -66,6 +102,7 @@ export function createTruckIcon(fuelBandKey, statusKey) {
         <circle cx="44" cy="36" r="6" fill="#0f172a" stroke="#ffffff" stroke-width="2.5" />
         <circle cx="49" cy="18" r="4" fill="var(--status-color)" stroke="#0f172a" stroke-width="2" />
         <rect x="12" y="22" width="22" height="3" rx="1.5" fill="rgba(15, 23, 42, 0.35)" />
+        ${bolt}
       </svg>
     </div>
   `;
@@ -81,15 +118,15 @@ export function createTruckIcon(fuelBandKey, statusKey) {
   return icon;
 }
 
-export function updateMarkerAppearance(marker, { fuelLevel, engineStatus }) {
+export function updateMarkerAppearance(marker, { fuelLevel, batteryLevel, engineStatus }) {
   if (!marker) {
     return null;
   }
-  const fuelBandKey = getFuelBandKey(fuelLevel);
+  const bandKey = getEnergyBandKey({ fuelLevel, batteryLevel });
   const statusKey = getStatusKey(engineStatus);
-  const icon = createTruckIcon(fuelBandKey, statusKey);
+  const icon = createTruckIcon(bandKey, statusKey);
   marker.setIcon(icon);
-  return `${fuelBandKey}:${statusKey}`;
+  return `${bandKey}:${statusKey}`;
 }
 
 export function createVehicleMarker(position, options = {}) {
@@ -0,0 +1,174 @@
+import { escapeHtml } from '../../utils/formatting.mjs';
+
+const RULE_LABELS = {
+  low_fuel: 'Low fuel',
+  overspeed: 'Overspeed',
+  idle_too_long: 'Idle too long',
+  stale_vehicle: 'No signal'
+};
+
+const SEVERITY_ORDER = {
+  critical: 0,
+  warning: 1,
+  info: 2
+};
+
+export function createAlertsPanel({
+  listElement,
+  countElement,
+  onSelect,
+  onAcknowledge,
+  formatTime = value => new Date(value).toLocaleTimeString()
+} = {}) {
+  const alerts = new Map();
+  const pending = new Set();
+
+  if (listElement) {
+    listElement.addEventListener('click', handleClick);
+  }
+
+  function handleClick(event) {
+    const target = event?.target;
+    if (!target || typeof target.closest !== 'function') {
+      return;
+    }
+
+    const item = target.closest('[data-alert-id]');
+    const alert = item ? alerts.get(Number(item.dataset.alertId)) : null;
+    if (!alert) {
+      return;
+    }
+
+    if (target.closest('[data-action="acknowledge"]')) {
+      if (!alert.acknowledgedAt && !pending.has(alert.id) && typeof onAcknowledge === 'function') {
+        pending.add(alert.id);
+        render();
+        Promise.resolve(onAcknowledge(alert)).finally(() => {
+          pending.delete(alert.id);
+          render();
+        });
+      }
+      return;
+    }
+
+    if (typeof onSelect === 'function') {
+      onSelect(alert);
+    }
+  }
+
+  function setAlerts(list) {
+    alerts.clear();
+    for (const alert of Array.isArray(list) ? list : []) {
+      if (isOpenAlert(alert)) {
+        alerts.set(alert.id, alert);
+      }
+    }
+    render();
+  }
+
+  // Applies an `alert_raised` or `alert_cleared` stream message.
+  function applyEvent(payload) {
+    const alert = payload?.alert;
+    if (!alert || !Number.isInteger(alert.id)) {
+      return;
+    }
+    if (payload.type === 'alert_cleared') {
+      alerts.delete(alert.id);
+    } else if (isOpenAlert(alert)) {
+      alerts.set(alert.id, alert);
+    }
+    render();
+  }
+
+  function markAcknowledged(alert) {
+    if (!alert || !alerts.has(alert.id)) {
+      return;
+    }
+    alerts.set(alert.id, { ...alerts.get(alert.id), ...alert });
+    render();
+  }
+
+  function getAlerts() {
+    return Array.from(alerts.values()).sort(compareAlerts);
+  }
+
+  function render() {
+    const sorted = getAlerts();
+
+    if (countElement) {
+      const unacknowledged = sorted.filter(alert => !alert.acknowledgedAt).length;
+      countElement.textContent = String(unacknowledged);
+      countElement.classList?.toggle('alerts__count--active', unacknowledged > 0);
+    }
+
+    if (!listElement) {
+      return;
+    }
+    if (sorted.length === 0) {
+      listElement.innerHTML = '<li class="alerts-list__placeholder">No open alerts</li>';
+      return;
+    }
+    listElement.innerHTML = sorted.map(renderAlert).join('');
+  }
+
+  function renderAlert(alert) {
+    const severity = escapeHtml(alert.severity || 'info');
+    const label = escapeHtml(RULE_LABELS[alert.rule] || alert.rule || 'Alert');
+    const vehicleId = escapeHtml(alert.vehicleId || 'unknown');
+    const message = escapeHtml(alert.message || '');
+    const raisedAt = escapeHtml(alert.raisedAt ? formatTime(alert.raisedAt) : '');
+    const classes = ['alerts-list__item', `alerts-list__item--${severity}`];
+    if (alert.acknowledgedAt) {
+      classes.push('alerts-list__item--acknowledged');
+    }
+
+    let action;
+    if (alert.acknowledgedAt) {
+      const by = alert.acknowledgedBy ? ` by ${escapeHtml(alert.acknowledgedBy)}` : '';
+      action = `<span class="alerts-list__ack">Acknowledged${by}</span>`;
+    } else {
+      const disabled = pending.has(alert.id) ? ' disabled' : '';
+      action = `<button type="button" class="alerts-list__button" data-action="acknowledge"${disabled}>Acknowledge</button>`;
+    }
+
+    return `
+      <li class="${classes.join(' ')}" data-alert-id="${alert.id}" title="Show ${vehicleId} on the map">
+        <div class="alerts-list__title">
+          <strong>${label}</strong>
+          <span>${vehicleId}</span>
+        </div>
+        <div class="alerts-list__message">${message}</div>
+        <div class="alerts-list__footer">
+          <time>${raisedAt}</time>
+          ${action}
+        </div>
+      </li>
+    `;
+  }
+
+  render();
+
+  return {
+    setAlerts,
+    applyEvent,
+    markAcknowledged,
+    getAlerts
+  };
+}
+
+function isOpenAlert(alert) {
+  return Boolean(alert) && Number.isInteger(alert.id) && !alert.clearedAt;
+}
+
+// Unacknowledged alerts first, then by severity, newest first within a group.
+function compareAlerts(a, b) {
+  const ackDelta = Number(Boolean(a.acknowledgedAt)) - Number(Boolean(b.acknowledgedAt));
+  if (ackDelta !== 0) {
+    return ackDelta;
+  }
+  const severityDelta = (SEVERITY_ORDER[a.severity] ?? 3) - (SEVERITY_ORDER[b.severity] ?? 3);
+  if (severityDelta !== 0) {
+    return severityDelta;
+  }
+  return String(b.raisedAt).localeCompare(String(a.raisedAt));
+}
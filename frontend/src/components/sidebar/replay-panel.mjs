@@ -0,0 +1,163 @@
+import { REPLAY_SPEEDS } from '../../utils/replay-timeline.mjs';
+
+const DEFAULT_RANGE_MS = 60 * 60 * 1000;
+
+export function createReplayPanel({
+  formElement,
+  vehicleInput,
+  startInput,
+  endInput,
+  controlsElement,
+  playButton,
+  speedSelect,
+  timelineInput,
+  timeElement,
+  statusElement,
+  exitButton,
+  onLoad,
+  onToggle,
+  onSpeed,
+  onSeek,
+  onExit,
+  formatTime = value => new Date(value).toLocaleString(),
+  now = () => Date.now()
+} = {}) {
+  let loading = false;
+
+  if (startInput && endInput && !startInput.value && !endInput.value) {
+    const end = now();
+    startInput.value = toLocalInputValue(end - DEFAULT_RANGE_MS);
+    endInput.value = toLocalInputValue(end);
+  }
+
+  if (speedSelect && speedSelect.options?.length === 0) {
+    speedSelect.innerHTML = REPLAY_SPEEDS
+      .map(speed => `<option value="${speed}">${speed}×</option>`)
+      .join('');
+  }
+
+  formElement?.addEventListener('submit', event => {
+    event?.preventDefault?.();
+    submit();
+  });
+  playButton?.addEventListener('click', () => {
+    if (typeof onToggle === 'function') {
+      onToggle();
+    }
+  });
+  speedSelect?.addEventListener('change', event => {
+    const speed = Number(event?.target?.value);
+    if (Number.isFinite(speed) && speed > 0 && typeof onSpeed === 'function') {
+      onSpeed(speed);
+    }
+  });
+  timelineInput?.addEventListener('input', event => {
+    const value = Number(event?.target?.value);
+    if (Number.isFinite(value) && typeof onSeek === 'function') {
+      onSeek(value);
+    }
+  });
+  exitButton?.addEventListener('click', () => {
+    if (typeof onExit === 'function') {
+      onExit();
+    }
+  });
+
+  setActive(false);
+
+  function submit() {
+    if (loading || typeof onLoad !== 'function') {
+      return;
+    }
+    const request = readRequest();
+    if (request.error) {
+      setStatus(request.error);
+      return;
+    }
+    loading = true;
+    setStatus('Loading recorded telemetry…');
+    Promise.resolve(onLoad(request)).finally(() => {
+      loading = false;
+    });
+  }
+
+  function readRequest() {
+    const vehicleIds = String(vehicleInput?.value ?? '')
+      .split(',')
+      .map(value => value.trim())
+      .filter(Boolean);
+    const startMs = Date.parse(startInput?.value ?? '');
+    const endMs = Date.parse(endInput?.value ?? '');
+
+    if (vehicleIds.length === 0) {
+      return { error: 'Enter at least one vehicle id.' };
+    }
+    if (!Number.isFinite(startMs) || !Number.isFinite(endMs) || endMs <= startMs) {
+      return { error: 'Choose a start time before the end time.' };
+    }
+    return {
+      vehicleIds: Array.from(new Set(vehicleIds)),
+      start: new Date(startMs).toISOString(),
+      end: new Date(endMs).toISOString()
+    };
+  }
+
+  // Switches between the range form and the playback controls.
+  function setActive(active, { startMs, endMs } = {}) {
+    if (controlsElement) {
+      controlsElement.hidden = !active;
+    }
+    if (active && timelineInput) {
+      timelineInput.min = String(startMs);
+      timelineInput.max = String(endMs);
+      timelineInput.step = '1000';
+      timelineInput.value = String(startMs);
+    }
+    if (active) {
+      setTime(startMs);
+    }
+  }
+
+  function setPlaying(playing) {
+    if (!playButton) {
+      return;
+    }
+    playButton.textContent = playing ? 'Pause' : 'Play';
+    playButton.setAttribute?.('aria-pressed', playing ? 'true' : 'false');
+  }
+
+  function setSpeed(speed) {
+    if (speedSelect) {
+      speedSelect.value = String(speed);
+    }
+  }
+
+  function setTime(timeMs) {
+    if (timelineInput && Number.isFinite(timeMs)) {
+      timelineInput.value = String(Math.round(timeMs));
+    }
+    if (timeElement) {
+      timeElement.textContent = Number.isFinite(timeMs) ? formatTime(timeMs) : '';
+    }
+  }
+
+  function setStatus(message) {
+    if (statusElement) {
+      statusElement.textContent = message || '';
+    }
+  }
+
+  return {
+    setActive,
+    setPlaying,
+    setSpeed,
+    setTime,
+    setStatus
+  };
+}
+
+function toLocalInputValue(timeMs) {
+  const date = new Date(timeMs);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
@@ -1,4 +1,5 @@
 import {
+  describeTelemetryReadings,
   escapeHtml,
   formatEngineStatus,
   formatFuelLevel,
@@ -11,14 +12,30 @@ import {
   createVehicleMarker,
   updateMarkerAppearance
 } from './components/map/vehicle-marker.mjs';
-import { createTrailPolyline, trimTrail } from './components/map/trail-layer.mjs';
+import { createTrailPolyline, REPLAY_TRAIL_STYLE, trimTrail } from './components/map/trail-layer.mjs';
 import { createToastManager } from './components/ui/toast.mjs';
 import { createFiltersPanel } from './components/sidebar/filters-panel.mjs';
 import { createMetricsPanel } from './components/sidebar/metrics-panel.mjs';
-import { createWebSocketClient, MESSAGE_TYPES } from './services/websocket-client.mjs';
+import { createAlertsPanel } from './components/sidebar/alerts-panel.mjs';
+import { createReplayPanel } from './components/sidebar/replay-panel.mjs';
+import { createWebSocketClient, MESSAGE_TYPES, SUPPORTED_PAYLOAD_VERSIONS } from './services/websocket-client.mjs';
+import { createAuthorizedFetch } from './services/auth.mjs';
 import { createStatsClient } from './services/stats-client.mjs';
-import { fetchTelemetrySummary, fetchTelemetryHistory } from './services/telemetry-api.mjs';
+import {
+  acknowledgeAlert,
+  fetchAlerts,
+  fetchTelemetrySummary,
+  fetchTelemetryHistory,
+  fetchTelemetryPath
+} from './services/telemetry-api.mjs';
 import { createFrameThrottler } from './utils/throttle.js';
+import { toSubscriptionBbox } from './utils/viewport.mjs';
+import {
+  buildReplayTracks,
+  createReplayClock,
+  pathUntil,
+  samplePositionAt
+} from './utils/replay-timeline.mjs';
 import markerRetinaAsset from 'leaflet/dist/images/marker-icon-2x.png';
 import markerAsset from 'leaflet/dist/images/marker-icon.png';
 import markerShadowAsset from 'leaflet/dist/images/marker-shadow.png';
@@ -34,14 +51,23 @@ const CLUSTER_THRESHOLD = config.clusterThreshold ?? 200;
 const MAX_LATENCY_SAMPLES = config.maxLatencySamples ?? 200;
 const RENDER_BATCH_SIZE = Math.max(1, config.renderBatchSize ?? 200);
 const TILE_URL = config.tileUrl || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
-const WS_PAYLOAD_VERSION = 1;
+// Version 2 streams batched deltas; the client expands them into version 1 updates.
+const WS_PAYLOAD_VERSION = SUPPORTED_PAYLOAD_VERSIONS.includes(config.wsPayloadVersion) ? config.wsPayloadVersion : 2;
 const DEBUG_RENDER = Boolean(config.debugRenderTimings);
+// Set when the backend runs with AUTH_ENABLED; a JWT (`accessToken`) or an API key.
+const ACCESS_TOKEN = config.accessToken || null;
+const API_KEY = config.apiKey || null;
+const authorizedFetch = createAuthorizedFetch({ accessToken: ACCESS_TOKEN, apiKey: API_KEY });
 const SUMMARY_WINDOW_SECONDS = config.summaryWindowSeconds ?? 900;
 const SUMMARY_DURATION_SECONDS = config.summaryDurationSeconds ?? SUMMARY_WINDOW_SECONDS;
 const SUMMARY_REFRESH_MS = config.summaryRefreshMs ?? 60_000;
 const HISTORY_DURATION_SECONDS = config.historyDurationSeconds ?? 900;
 const HISTORY_REFRESH_MS = config.historyRefreshMs ?? 45_000;
 const HISTORY_LIMIT = Math.max(1, config.historyLimit ?? 20);
+const ALERTS_LIMIT = Math.max(1, config.alertsLimit ?? 100);
+const REPLAY_MAX_EVENTS = Math.max(1, config.replayMaxEvents ?? 20_000);
+const VIEWPORT_SUBSCRIPTION = config.viewportSubscription !== false;
+const VIEWPORT_PADDING = Math.max(0, config.viewportPadding ?? 0.2);
 const distanceFormatter = new Intl.NumberFormat(undefined, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
 
 const elements = {
@@ -59,7 +85,20 @@ const elements = {
   filterFuelValue: document.getElementById('filter-fuel-value'),
   filterStatusButtons: Array.from(document.querySelectorAll('.js-status-filter-btn')),
   historyWindow: document.getElementById('history-window'),
-  historyBody: document.getElementById('history-body')
+  historyBody: document.getElementById('history-body'),
+  alertsList: document.getElementById('alerts-list'),
+  alertsCount: document.getElementById('alerts-count'),
+  replayForm: document.getElementById('replay-form'),
+  replayVehicles: document.getElementById('replay-vehicles'),
+  replayStart: document.getElementById('replay-start'),
+  replayEnd: document.getElementById('replay-end'),
+  replayControls: document.getElementById('replay-controls'),
+  replayPlay: document.getElementById('replay-play'),
+  replaySpeed: document.getElementById('replay-speed'),
+  replayTimeline: document.getElementById('replay-timeline'),
+  replayTime: document.getElementById('replay-time'),
+  replayStatus: document.getElementById('replay-status'),
+  replayExit: document.getElementById('replay-exit')
 };
 
 const toast = createToastManager({ container: elements.toastContainer });
@@ -88,6 +127,32 @@ const filtersPanel = createFiltersPanel({
   toast: (message, variant) => toast.show(message, variant)
 });
 
+const alertsPanel = createAlertsPanel({
+  listElement: elements.alertsList,
+  countElement: elements.alertsCount,
+  onSelect: alert => focusVehicle(alert.vehicleId),
+  onAcknowledge: handleAcknowledgeAlert
+});
+
+const replayPanel = createReplayPanel({
+  formElement: elements.replayForm,
+  vehicleInput: elements.replayVehicles,
+  startInput: elements.replayStart,
+  endInput: elements.replayEnd,
+  controlsElement: elements.replayControls,
+  playButton: elements.replayPlay,
+  speedSelect: elements.replaySpeed,
+  timelineInput: elements.replayTimeline,
+  timeElement: elements.replayTime,
+  statusElement: elements.replayStatus,
+  exitButton: elements.replayExit,
+  onLoad: handleReplayLoad,
+  onToggle: () => replay?.clock.toggle(),
+  onSpeed: speed => replay?.clock.setSpeed(speed),
+  onSeek: timeMs => replay?.clock.seek(timeMs),
+  onExit: stopReplay
+});
+
 const frameThrottler = createFrameThrottler();
 
 const vehicles = new Map();
@@ -99,9 +164,13 @@ let summaryTimer = null;
 let historyTimer = null;
 let summaryFailureNotified = false;
 let historyFailureNotified = false;
+let alertsFailureNotified = false;
+// Active replay session: { clock, entries: Map<vehicleId, { track, marker, polyline, appearance }> }.
+let replay = null;
 
 const statsClient = createStatsClient({
   baseUrl: HTTP_BASE,
+  fetchImpl: authorizedFetch,
   intervalMs: STATS_REFRESH_MS,
   onData: handleStatsUpdate,
   onError: handleStatsError,
@@ -111,10 +180,13 @@ const statsClient = createStatsClient({
 const websocketClient = createWebSocketClient({
   url: WS_URL,
   version: WS_PAYLOAD_VERSION,
+  accessToken: ACCESS_TOKEN || API_KEY,
   onUpdate: payload => enqueueUpdate({ data: payload, receivedAt: Date.now() }),
   onRemove: handleRemovalMessage,
+  onGeofenceEvent: handleGeofenceEvent,
+  onAlert: handleAlertMessage,
   onError: () => toast.show('WebSocket error occurred. Attempting to reconnect…', 'error'),
-  onStatusChange: setConnectionStatus,
+  onStatusChange: handleConnectionStatus,
   logger: console
 });
 
@@ -123,6 +195,17 @@ filtersPanel.onChange(() => {
   refreshMetrics();
 });
 
+// Once the map has settled on the fleet, only vehicles around the visible
+// area are streamed; the server sends removals for those that leave it.
+if (VIEWPORT_SUBSCRIPTION) {
+  mapController.onViewportChange(bounds => {
+    const bbox = toSubscriptionBbox(bounds);
+    if (bbox) {
+      websocketClient.subscribe({ bbox });
+    }
+  }, { padding: VIEWPORT_PADDING });
+}
+
 if (elements.reconnectBtn) {
   elements.reconnectBtn.addEventListener('click', () => {
     toast.show('Reconnecting WebSocket…', 'info');
@@ -240,9 +323,19 @@ function applyAggregatedUpdates(entries) {
     if (update.fuelLevel !== null) {
       record.lastFuelLevel = update.fuelLevel;
     }
+    if (update.batteryLevel !== null) {
+      record.lastBatteryLevel = update.batteryLevel;
+    }
     if (update.engineStatus !== null) {
       record.lastEngineStatus = update.engineStatus;
     }
+    if (update.fleetId !== null) {
+      record.fleetId = update.fleetId;
+    }
+    if (update.metadata !== undefined) {
+      record.metadata = update.metadata;
+    }
+    record.readings = update.readings;
     if (update.latencyMs !== null) {
       addLatencySample(update.latencyMs);
     }
@@ -252,6 +345,7 @@ function applyAggregatedUpdates(entries) {
   record.polyline.setLatLngs(record.trail);
   updateMarkerAppearance(record.marker, {
     fuelLevel: record.lastFuelLevel,
+    batteryLevel: record.lastBatteryLevel,
     engineStatus: record.lastEngineStatus
   });
   record.marker.setPopupContent(renderPopup(record));
@@ -295,7 +389,11 @@ function normaliseUpdate(entry) {
     latencyMs,
     speed: normaliseFiniteNumber(telemetry.speed),
     fuelLevel: normaliseFiniteNumber(telemetry.fuelLevel),
+    batteryLevel: normaliseFiniteNumber(telemetry.batteryLevel),
     engineStatus: normaliseStatus(filters.engineStatus ?? telemetry.engineStatus),
+    fleetId: typeof data.fleetId === 'string' ? data.fleetId : null,
+    metadata: data.metadata && typeof data.metadata === 'object' ? data.metadata : undefined,
+    readings: telemetry,
     raw: data
   };
 }
@@ -314,7 +412,11 @@ function createVehicle(vehicleId, initialPosition) {
     lastTimestamp: null,
     lastSpeed: null,
     lastFuelLevel: null,
+    lastBatteryLevel: null,
     lastEngineStatus: null,
+    fleetId: null,
+    metadata: null,
+    readings: null,
     visible: false
   };
 
@@ -323,8 +425,9 @@ function createVehicle(vehicleId, initialPosition) {
 }
 
 function updateEntryVisibility(entry) {
+  // Electric vehicles are filtered on their battery level.
   const shouldShow = filtersPanel.matches({
-    fuelLevel: entry.lastFuelLevel,
+    fuelLevel: entry.lastFuelLevel ?? entry.lastBatteryLevel,
     engineStatus: entry.lastEngineStatus
   });
 
@@ -332,7 +435,9 @@ function updateEntryVisibility(entry) {
     mapController.clusterGroup.addLayer(entry.marker);
     mapController.trailLayer.addLayer(entry.polyline);
     entry.visible = true;
-    mapController.applyInitialViewport(getVisibleLatLngs());
+    if (!replay) {
+      mapController.applyInitialViewport(getVisibleLatLngs());
+    }
   } else if (!shouldShow && entry.visible) {
     mapController.clusterGroup.removeLayer(entry.marker);
     mapController.trailLayer.removeLayer(entry.polyline);
@@ -342,7 +447,7 @@ function updateEntryVisibility(entry) {
 }
 
 function handleRemovalMessage(payload) {
-  if (payload.version !== WS_PAYLOAD_VERSION || payload.type !== MESSAGE_TYPES.REMOVE) {
+  if (!SUPPORTED_PAYLOAD_VERSIONS.includes(payload.version) || payload.type !== MESSAGE_TYPES.REMOVE) {
     return;
   }
   const vehicleId = typeof payload.vehicleId === 'string' ? payload.vehicleId : null;
@@ -360,14 +465,181 @@ function handleRemovalMessage(payload) {
   record.polyline.remove();
   vehicles.delete(vehicleId);
 
-  if (vehicles.size === 0) {
+  // Vehicles that merely left the subscribed area are still reporting; only
+  // an empty fleet sends the map back to discovering where vehicles are.
+  if (vehicles.size === 0 && payload.reason !== 'filtered') {
     mapController.resetViewport();
+    if (VIEWPORT_SUBSCRIPTION) {
+      websocketClient.subscribe(null);
+    }
   }
 
   refreshMetrics();
   mapController.updateClusterMode(countVisibleVehicles());
 }
 
+function handleGeofenceEvent(payload) {
+  if (typeof payload.vehicleId !== 'string' || typeof payload.geofenceName !== 'string') {
+    return;
+  }
+  const verb = payload.eventType === 'exit' ? 'left' : 'entered';
+  toast.show(`${payload.vehicleId} ${verb} ${payload.geofenceName}`, 'info');
+}
+
+function handleAlertMessage(payload) {
+  alertsPanel.applyEvent(payload);
+  if (payload.type === MESSAGE_TYPES.ALERT_RAISED && payload.alert) {
+    const variant = payload.alert.severity === 'critical' ? 'error' : 'warn';
+    toast.show(`${payload.alert.vehicleId}: ${payload.alert.message}`, variant);
+  }
+}
+
+// Alerts raised while the socket was down are only visible through the API,
+// so the open list is reloaded on every (re)connect.
+function handleConnectionStatus(status) {
+  setConnectionStatus(status);
+  if (status === 'connected') {
+    void refreshAlerts();
+  }
+}
+
+async function refreshAlerts() {
+  try {
+    const data = await fetchAlerts({ baseUrl: HTTP_BASE, status: 'active', limit: ALERTS_LIMIT, fetchImpl: authorizedFetch });
+    alertsPanel.setAlerts(data?.alerts);
+    alertsFailureNotified = false;
+  } catch (err) {
+    console.error('[frontend] alerts request failed', err);
+    if (!alertsFailureNotified) {
+      toast.show('Unable to load open alerts.', 'warn');
+      alertsFailureNotified = true;
+    }
+  }
+}
+
+async function handleAcknowledgeAlert(alert) {
+  try {
+    const updated = await acknowledgeAlert({ baseUrl: HTTP_BASE, alertId: alert.id, fetchImpl: authorizedFetch });
+    alertsPanel.markAcknowledged(updated);
+  } catch (err) {
+    console.error('[frontend] alert acknowledgement failed', err);
+    toast.show('Unable to acknowledge alert.', 'error');
+  }
+}
+
+function focusVehicle(vehicleId) {
+  if (replay) {
+    toast.show('Exit replay to locate live vehicles.', 'info');
+    return;
+  }
+  const record = vehicles.get(vehicleId);
+  if (!record) {
+    toast.show(`${vehicleId} is not reporting inside the current map view.`, 'info');
+    return;
+  }
+  if (!mapController.focusMarker(record.marker)) {
+    toast.show(`${vehicleId} is hidden by the current filters.`, 'info');
+  }
+}
+
+async function handleReplayLoad({ vehicleIds, start, end }) {
+  try {
+    const { events, truncated } = await fetchTelemetryPath({
+      baseUrl: HTTP_BASE,
+      fetchImpl: authorizedFetch,
+      start,
+      end,
+      vehicleIds,
+      maxEvents: REPLAY_MAX_EVENTS
+    });
+    const { tracks, startMs, endMs } = buildReplayTracks(events);
+    if (tracks.size === 0) {
+      replayPanel.setStatus('No telemetry recorded for that range.');
+      return;
+    }
+    startReplay(tracks, { startMs, endMs });
+    const suffix = truncated ? ` (first ${events.length} samples)` : '';
+    replayPanel.setStatus(`Replaying ${tracks.size} vehicle(s)${suffix}.`);
+  } catch (err) {
+    console.error('[frontend] replay request failed', err);
+    replayPanel.setStatus('Unable to load recorded telemetry.');
+  }
+}
+
+// The live stream keeps flowing while a replay runs; only the live layers are
+// hidden so the replayed paths are not mixed with current positions.
+function startReplay(tracks, { startMs, endMs }) {
+  const speed = replay?.clock.speed ?? 1;
+  stopReplay();
+
+  const entries = new Map();
+  const bounds = [];
+  for (const [vehicleId, track] of tracks) {
+    const first = [track[0].lat, track[0].lng];
+    const marker = createVehicleMarker(first);
+    marker.bindTooltip(escapeHtml(vehicleId), { direction: 'top', offset: [0, -32] });
+    const polyline = createTrailPolyline([], REPLAY_TRAIL_STYLE);
+    mapController.replayLayer.addLayer(polyline);
+    mapController.replayLayer.addLayer(marker);
+    entries.set(vehicleId, { track, marker, polyline, appearance: null });
+    for (const sample of track) {
+      bounds.push([sample.lat, sample.lng]);
+    }
+  }
+
+  mapController.setLiveLayersVisible(false);
+  mapController.fitToLatLngs(bounds);
+
+  replay = {
+    entries,
+    clock: createReplayClock({
+      startMs,
+      endMs,
+      speed,
+      onTick: renderReplayFrame,
+      onStateChange: ({ playing }) => replayPanel.setPlaying(playing)
+    })
+  };
+  replayPanel.setActive(true, { startMs, endMs });
+  replayPanel.setSpeed(speed);
+  replayPanel.setPlaying(false);
+  renderReplayFrame(startMs);
+}
+
+function renderReplayFrame(timeMs) {
+  if (!replay) {
+    return;
+  }
+  for (const entry of replay.entries.values()) {
+    const head = samplePositionAt(entry.track, timeMs) ?? { ...entry.track[0], index: 0 };
+    entry.marker.setLatLng([head.lat, head.lng]);
+    entry.polyline.setLatLngs(pathUntil(entry.track, timeMs));
+    const appearance = `${head.fuelLevel}:${head.batteryLevel}:${head.engineStatus}`;
+    if (appearance !== entry.appearance) {
+      updateMarkerAppearance(entry.marker, {
+        fuelLevel: head.fuelLevel,
+        batteryLevel: head.batteryLevel,
+        engineStatus: head.engineStatus
+      });
+      entry.appearance = appearance;
+    }
+  }
+  replayPanel.setTime(timeMs);
+}
+
+function stopReplay() {
+  if (!replay) {
+    return;
+  }
+  replay.clock.destroy();
+  mapController.replayLayer.clearLayers();
+  mapController.setLiveLayersVisible(true);
+  replay = null;
+  replayPanel.setActive(false);
+  replayPanel.setPlaying(false);
+  replayPanel.setStatus('');
+}
+
 function handleStatsUpdate(stats) {
   if (typeof stats.messageRatePerSecond === 'number') {
     metricsPanel.updateRate(stats.messageRatePerSecond);
@@ -395,6 +667,7 @@ async function refreshTelemetrySummary() {
   try {
     const data = await fetchTelemetrySummary({
       baseUrl: HTTP_BASE,
+      fetchImpl: authorizedFetch,
       windowSeconds: SUMMARY_WINDOW_SECONDS,
       durationSeconds: SUMMARY_DURATION_SECONDS
     });
@@ -442,6 +715,7 @@ async function refreshTelemetryHistory() {
   try {
     const data = await fetchTelemetryHistory({
       baseUrl: HTTP_BASE,
+      fetchImpl: authorizedFetch,
       durationSeconds: HISTORY_DURATION_SECONDS,
       limit: HISTORY_LIMIT
     });
@@ -550,24 +824,52 @@ function renderPopup(record) {
     : 'Unknown time';
   const fuelText = formatFuelLevel(record.lastFuelLevel ?? Number.NaN);
   const engineText = formatEngineStatus(record.lastEngineStatus ?? '');
+  // Electric vehicles list their battery with the other readings instead.
+  const fuelLine = isElectric(record) ? '' : `<span>Fuel: ${fuelText}</span><br>`;
   return `
     <strong>${safeId}</strong><br>
+    ${record.fleetId ? `<span>Fleet: ${escapeHtml(record.fleetId)}</span><br>` : ''}
+    ${renderMetadataLines(record.metadata)}
     <span>Speed: ${speedText}</span><br>
-    <span>Fuel: ${fuelText}</span><br>
+    ${fuelLine}
     <span>Engine: ${engineText}</span><br>
+    ${describeTelemetryReadings(record.readings).map(line => `<span>${line.label}: ${line.text}</span><br>`).join('')}
     <span>Updated: ${escapeHtml(timeText)}</span>
   `;
 }
 
+function isElectric(record) {
+  return record.lastFuelLevel === null && record.lastBatteryLevel !== null;
+}
+
+function renderMetadataLines(metadata) {
+  if (!metadata) {
+    return '';
+  }
+  const lines = [];
+  if (metadata.plateNumber) {
+    lines.push(`<span>Plate: ${escapeHtml(metadata.plateNumber)}</span><br>`);
+  }
+  if (metadata.driver) {
+    lines.push(`<span>Driver: ${escapeHtml(metadata.driver)}</span><br>`);
+  }
+  if (metadata.depot) {
+    lines.push(`<span>Depot: ${escapeHtml(metadata.depot)}</span><br>`);
+  }
+  return lines.join('');
+}
+
 function renderTooltip(record) {
   const safeId = escapeHtml(record.vehicleId);
-  const fuelText = escapeHtml(String(formatFuelLevel(record.lastFuelLevel ?? Number.NaN)));
+  const electric = isElectric(record);
+  const energyLabel = electric ? 'Battery' : 'Fuel';
+  const energyText = escapeHtml(String(formatFuelLevel((electric ? record.lastBatteryLevel : record.lastFuelLevel) ?? Number.NaN)));
   const engineText = escapeHtml(String(formatEngineStatus(record.lastEngineStatus ?? '')));
   const speedText = escapeHtml(String(formatSpeed(record.lastSpeed ?? Number.NaN)));
   return `
     <div class="vehicle-tooltip__content">
       <strong>${safeId}</strong>
-      <div>Fuel: ${fuelText}</div>
+      <div>${energyLabel}: ${energyText}</div>
       <div>Status: ${engineText}</div>
       <div>Speed: ${speedText}</div>
     </div>
@@ -637,6 +939,7 @@ function getNow() {
 
 window.addEventListener('beforeunload', () => {
   frameThrottler.cancel();
+  stopReplay();
   statsClient.stop();
   websocketClient.destroy();
   if (summaryTimer) {
@@ -0,0 +1,10 @@
+// Wraps `fetch` so every request carries the dashboard's credential: a JWT as
+// a bearer token, or an API key in `X-API-Key`. Without either, requests are
+// sent unchanged.
+export function createAuthorizedFetch({ accessToken, apiKey, fetchImpl = (...args) => fetch(...args) } = {}) {
+  if (!accessToken && !apiKey) {
+    return fetchImpl;
+  }
+  const credentialHeaders = accessToken ? { Authorization: `Bearer ${accessToken}` } : { 'X-API-Key': apiKey };
+  return (url, init = {}) => fetchImpl(url, { ...init, headers: { ...init.headers, ...credentialHeaders } });
+}
@@ -47,6 +47,10 @@ export async function fetchTelemetrySummary({
 export async function fetchTelemetryHistory({
   baseUrl,
   durationSeconds,
+  start,
+  end,
+  order,
+  pageToken,
   limit,
   vehicleIds,
   fetchImpl = (...args) => fetch(...args),
@@ -58,6 +62,10 @@ export async function fetchTelemetryHistory({
 
   const url = buildUrl(baseUrl, '/telemetry/history', {
     durationSeconds,
+    start,
+    end,
+    order,
+    pageToken,
     limit,
     vehicleId: vehicleIds
   });
@@ -68,3 +76,86 @@ export async function fetchTelemetryHistory({
   }
   return response.json();
 }
+
+// Pages through `/telemetry/history` in ascending order until the range is
+// exhausted or `maxEvents` samples have been collected.
+export async function fetchTelemetryPath({
+  baseUrl,
+  start,
+  end,
+  vehicleIds,
+  pageSize = 2000,
+  maxEvents = 20_000,
+  fetchImpl,
+  signal
+} = {}) {
+  const events = [];
+  let pageToken;
+  let truncated = false;
+
+  do {
+    const page = await fetchTelemetryHistory({
+      baseUrl,
+      start,
+      end,
+      order: 'asc',
+      pageToken,
+      limit: pageSize,
+      vehicleIds,
+      fetchImpl,
+      signal
+    });
+    events.push(...(Array.isArray(page?.events) ? page.events : []));
+    pageToken = page?.nextPageToken || null;
+    if (pageToken && events.length >= maxEvents) {
+      truncated = true;
+      break;
+    }
+  } while (pageToken);
+
+  return { events: events.slice(0, maxEvents), truncated: truncated || events.length > maxEvents };
+}
+
+export async function fetchAlerts({
+  baseUrl,
+  status = 'active',
+  limit,
+  fetchImpl = (...args) => fetch(...args),
+  signal
+} = {}) {
+  if (!baseUrl) {
+    throw new Error('fetchAlerts requires baseUrl');
+  }
+
+  const url = buildUrl(baseUrl, '/alerts', { status, limit });
+
+  const response = await fetchImpl(url, { signal, cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`Alerts request failed with ${response.status}`);
+  }
+  return response.json();
+}
+
+export async function acknowledgeAlert({
+  baseUrl,
+  alertId,
+  acknowledgedBy,
+  fetchImpl = (...args) => fetch(...args),
+  signal
+} = {}) {
+  if (!baseUrl) {
+    throw new Error('acknowledgeAlert requires baseUrl');
+  }
+
+  const url = buildUrl(baseUrl, `/alerts/${encodeURIComponent(alertId)}/acknowledge`);
+  const response = await fetchImpl(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(acknowledgedBy ? { acknowledgedBy } : {}),
+    signal
+  });
+  if (!response.ok) {
+    throw new Error(`Alert acknowledgement failed with ${response.status}`);
+  }
+  return response.json();
+}
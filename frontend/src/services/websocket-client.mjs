@@ -2,19 +2,71 @@ const DEFAULT_MAX_ATTEMPTS = 10;
 const DEFAULT_MAX_DELAY_MS = 10_000;
 const DEFAULT_BASE_DELAY_MS = 1_000;
 
+export const SUPPORTED_PAYLOAD_VERSIONS = [1, 2];
+
 export const MESSAGE_TYPES = {
   UPDATE: 'vehicle_update',
-  REMOVE: 'vehicle_remove'
+  REMOVE: 'vehicle_remove',
+  GEOFENCE: 'geofence_event',
+  ALERT_RAISED: 'alert_raised',
+  ALERT_CLEARED: 'alert_cleared',
+  SUBSCRIPTION_ACK: 'subscription_ack',
+  SUBSCRIPTION_ERROR: 'subscription_error',
+  BATCH: 'vehicle_batch'
 };
 
+// Optional readings of telemetry schema version 2, present only when the
+// vehicle reports them.
+export const EXTENDED_TELEMETRY_FIELDS = ['heading', 'altitude', 'odometerKm', 'batteryLevel', 'cargoTemperature', 'doorState', 'sensors', 'chargingStatus'];
+
+// Version 2 batches carry a vehicle's full state the first time it appears
+// and only the changed fields afterwards. Expands a merged state into the
+// version 1 `vehicle_update` shape so callers handle both versions alike.
+export function toVehicleUpdate(state, version) {
+  return {
+    type: MESSAGE_TYPES.UPDATE,
+    version,
+    vehicleId: state.vehicleId,
+    fleetId: state.fleetId ?? null,
+    position: {
+      lat: state.lat,
+      lng: state.lng
+    },
+    telemetry: {
+      timestamp: state.ts ?? null,
+      speed: state.speed ?? null,
+      fuelLevel: state.fuelLevel ?? null,
+      engineStatus: state.engineStatus ?? null,
+      ...pickExtendedTelemetry(state)
+    },
+    metadata: state.metadata ?? null,
+    userProperties: state.userProperties ?? null,
+    lastSeen: state.lastSeen
+  };
+}
+
+function pickExtendedTelemetry(state) {
+  const readings = {};
+  for (const field of EXTENDED_TELEMETRY_FIELDS) {
+    if (state[field] !== undefined && state[field] !== null) {
+      readings[field] = state[field];
+    }
+  }
+  return readings;
+}
+
 export function createWebSocketClient({
   url,
   version = 1,
+  accessToken = null,
   maxAttempts = DEFAULT_MAX_ATTEMPTS,
   baseDelayMs = DEFAULT_BASE_DELAY_MS,
   maxDelayMs = DEFAULT_MAX_DELAY_MS,
   onUpdate,
   onRemove,
+  onGeofenceEvent,
+  onAlert,
+  onSubscription,
   onError,
   onStatusChange,
   logger = console
@@ -22,10 +74,18 @@ export function createWebSocketClient({
   if (!url) {
     throw new Error('WebSocket client requires a URL');
   }
+  if (!SUPPORTED_PAYLOAD_VERSIONS.includes(version)) {
+    throw new Error(`Unsupported WebSocket payload version ${version}`);
+  }
 
   let socket = null;
   let reconnectAttempts = 0;
   let reconnectTimer = null;
+  // Last requested server-side filter; re-sent on every (re)connect.
+  let subscription = null;
+  // Version 2 vehicle states as last merged; cleared on every (re)connect
+  // because the server starts each connection with a full snapshot.
+  const vehicleStates = new Map();
 
   function notifyStatus(status) {
     if (typeof onStatusChange === 'function') {
@@ -47,6 +107,11 @@ export function createWebSocketClient({
     let resolvedUrl;
     try {
       resolvedUrl = new URL(url, window.location.href);
+      resolvedUrl.searchParams.set('version', String(version));
+      // Browsers cannot set headers on WebSocket connections.
+      if (accessToken) {
+        resolvedUrl.searchParams.set('access_token', accessToken);
+      }
     } catch (err) {
       logger.error('[frontend] Invalid WebSocket URL', err);
       if (typeof onError === 'function') {
@@ -81,7 +146,29 @@ export function createWebSocketClient({
 
   function handleOpen() {
     reconnectAttempts = 0;
+    vehicleStates.clear();
     notifyStatus('connected');
+    if (subscription) {
+      sendSubscription();
+    }
+  }
+
+  // Asks the server to deliver only vehicles matching `filter`
+  // ({ bbox, vehicleIds, engineStatus, minFuel }); null receives everything.
+  function subscribe(filter) {
+    subscription = filter ? { type: 'subscribe', ...filter } : null;
+    sendSubscription();
+  }
+
+  function sendSubscription() {
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    try {
+      socket.send(JSON.stringify(subscription ?? { type: 'unsubscribe' }));
+    } catch (err) {
+      logger.error('[frontend] Failed to send WebSocket subscription', err);
+    }
   }
 
   function handleMessage(event) {
@@ -96,6 +183,9 @@ export function createWebSocketClient({
         return;
       }
       switch (payload.type) {
+        case MESSAGE_TYPES.BATCH:
+          handleBatch(payload);
+          break;
         case MESSAGE_TYPES.UPDATE:
           if (typeof onUpdate === 'function') {
             onUpdate(payload);
@@ -106,6 +196,28 @@ export function createWebSocketClient({
             onRemove(payload);
           }
           break;
+        case MESSAGE_TYPES.GEOFENCE:
+          if (typeof onGeofenceEvent === 'function') {
+            onGeofenceEvent(payload);
+          }
+          break;
+        case MESSAGE_TYPES.ALERT_RAISED:
+        case MESSAGE_TYPES.ALERT_CLEARED:
+          if (typeof onAlert === 'function') {
+            onAlert(payload);
+          }
+          break;
+        case MESSAGE_TYPES.SUBSCRIPTION_ACK:
+          if (typeof onSubscription === 'function') {
+            onSubscription(payload);
+          }
+          break;
+        case MESSAGE_TYPES.SUBSCRIPTION_ERROR:
+          logger.warn('[frontend] WebSocket subscription rejected', payload.error);
+          if (typeof onSubscription === 'function') {
+            onSubscription(payload);
+          }
+          break;
         default:
           logger.warn('[frontend] Unknown WebSocket message type', payload.type);
       }
@@ -114,6 +226,28 @@ export function createWebSocketClient({
     }
   }
 
+  function handleBatch(batch) {
+    if (batch.snapshot) {
+      vehicleStates.clear();
+    }
+    for (const removal of Array.isArray(batch.removals) ? batch.removals : []) {
+      vehicleStates.delete(removal.vehicleId);
+      if (typeof onRemove === 'function') {
+        onRemove({ type: MESSAGE_TYPES.REMOVE, version: batch.version, vehicleId: removal.vehicleId, reason: removal.reason });
+      }
+    }
+    for (const delta of Array.isArray(batch.updates) ? batch.updates : []) {
+      if (typeof delta?.vehicleId !== 'string') {
+        continue;
+      }
+      const state = { ...vehicleStates.get(delta.vehicleId), ...delta };
+      vehicleStates.set(delta.vehicleId, state);
+      if (typeof onUpdate === 'function') {
+        onUpdate(toVehicleUpdate(state, batch.version));
+      }
+    }
+  }
+
   function handleClose() {
     notifyStatus('disconnected');
     socket = null;
@@ -155,6 +289,7 @@ export function createWebSocketClient({
   return {
     connect,
     reconnect: manualReconnect,
+    subscribe,
     destroy,
     getSocket: () => socket
   };
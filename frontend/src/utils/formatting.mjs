@@ -68,3 +68,39 @@ export function formatEngineStatus(status) {
   }
   return engineFormatter(normalised);
 }
+
+const READING_FORMATS = [
+  ['heading', 'Heading', value => `${Math.round(value) % 360}°`],
+  ['altitude', 'Altitude', value => `${Math.round(value)} m`],
+  ['odometerKm', 'Odometer', value => `${Math.round(value)} km`],
+  ['batteryLevel', 'Battery', value => `${value.toFixed(0)}%`],
+  ['cargoTemperature', 'Cargo', value => `${value.toFixed(1)} °C`]
+];
+
+// Label/text pairs for the optional readings a vehicle reports, in display
+// order. Text is escaped.
+export function describeTelemetryReadings(readings) {
+  if (!readings || typeof readings !== 'object') {
+    return [];
+  }
+  const lines = [];
+  for (const [field, label, format] of READING_FORMATS) {
+    if (Number.isFinite(readings[field])) {
+      lines.push({ label, text: format(readings[field]) });
+    }
+  }
+  const doorState = normaliseStatus(readings.doorState);
+  if (doorState) {
+    lines.push({ label: 'Doors', text: formatEngineStatus(doorState) });
+  }
+  const chargingStatus = normaliseStatus(readings.chargingStatus);
+  if (chargingStatus) {
+    lines.push({ label: 'Charging', text: formatEngineStatus(chargingStatus) });
+  }
+  if (readings.sensors && typeof readings.sensors === 'object') {
+    for (const [name, value] of Object.entries(readings.sensors)) {
+      lines.push({ label: escapeHtml(name), text: escapeHtml(String(value)) });
+    }
+  }
+  return lines;
+}
@@ -0,0 +1,226 @@
+export const REPLAY_SPEEDS = [1, 2, 5, 10, 30, 60, 120];
+
+// Groups history samples into per-vehicle tracks ordered by time.
+export function buildReplayTracks(events) {
+  const tracks = new Map();
+  let startMs = Infinity;
+  let endMs = -Infinity;
+
+  for (const event of Array.isArray(events) ? events : []) {
+    const t = Date.parse(event?.recordedAt);
+    const lat = Number(event?.latitude);
+    const lng = Number(event?.longitude);
+    if (typeof event?.vehicleId !== 'string' || !Number.isFinite(t) || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+      continue;
+    }
+
+    let track = tracks.get(event.vehicleId);
+    if (!track) {
+      track = [];
+      tracks.set(event.vehicleId, track);
+    }
+    track.push({
+      t,
+      lat,
+      lng,
+      speed: Number.isFinite(event.speedKmh) ? event.speedKmh : null,
+      fuelLevel: Number.isFinite(event.fuelLevel) ? event.fuelLevel : null,
+      batteryLevel: Number.isFinite(event.batteryLevel) ? event.batteryLevel : null,
+      engineStatus: typeof event.engineStatus === 'string' ? event.engineStatus : null
+    });
+    startMs = Math.min(startMs, t);
+    endMs = Math.max(endMs, t);
+  }
+
+  for (const track of tracks.values()) {
+    track.sort((a, b) => a.t - b.t);
+  }
+
+  return {
+    tracks,
+    startMs: Number.isFinite(startMs) ? startMs : null,
+    endMs: Number.isFinite(endMs) ? endMs : null
+  };
+}
+
+// Index of the last sample at or before `timeMs`, or -1 when the track has not started.
+export function findSampleIndex(track, timeMs) {
+  let low = 0;
+  let high = track.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (track[mid].t <= timeMs) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
+}
+
+// Position of a track at `timeMs`, linearly interpolated between the
+// surrounding samples. Returns null before the first sample.
+export function samplePositionAt(track, timeMs) {
+  const index = findSampleIndex(track, timeMs);
+  if (index < 0) {
+    return null;
+  }
+  const current = track[index];
+  const next = track[index + 1];
+  if (!next || next.t === current.t) {
+    return { ...current, index };
+  }
+  const ratio = (timeMs - current.t) / (next.t - current.t);
+  return {
+    ...current,
+    index,
+    lat: current.lat + (next.lat - current.lat) * ratio,
+    lng: current.lng + (next.lng - current.lng) * ratio
+  };
+}
+
+// Lat/lng pairs travelled up to `timeMs`, ending at the interpolated head.
+export function pathUntil(track, timeMs) {
+  const head = samplePositionAt(track, timeMs);
+  if (!head) {
+    return [];
+  }
+  const path = track.slice(0, head.index + 1).map(sample => [sample.lat, sample.lng]);
+  const last = path[path.length - 1];
+  if (last[0] !== head.lat || last[1] !== head.lng) {
+    path.push([head.lat, head.lng]);
+  }
+  return path;
+}
+
+// Drives replay time from wall-clock frames. Replay time advances by the
+// elapsed real time multiplied by `speed` and stops at `endMs`.
+export function createReplayClock({
+  startMs,
+  endMs,
+  speed = 1,
+  onTick,
+  onStateChange,
+  requestFrame = globalThis?.requestAnimationFrame?.bind(globalThis) || (cb => setTimeout(() => cb(nowFn()), 16)),
+  cancelFrame = globalThis?.cancelAnimationFrame?.bind(globalThis) || clearTimeout,
+  nowFn = () => (typeof performance !== 'undefined' && typeof performance.now === 'function'
+    ? performance.now()
+    : Date.now())
+} = {}) {
+  if (!Number.isFinite(startMs) || !Number.isFinite(endMs) || endMs < startMs) {
+    throw new Error('Replay clock requires a valid time range');
+  }
+
+  let currentMs = startMs;
+  let multiplier = speed > 0 ? speed : 1;
+  let playing = false;
+  let frameHandle = null;
+  let lastFrameAt = null;
+
+  function frame() {
+    frameHandle = null;
+    if (!playing) {
+      return;
+    }
+    const now = nowFn();
+    const elapsed = lastFrameAt === null ? 0 : now - lastFrameAt;
+    lastFrameAt = now;
+    currentMs = Math.min(endMs, currentMs + elapsed * multiplier);
+    emitTick();
+
+    if (currentMs >= endMs) {
+      setPlaying(false);
+      return;
+    }
+    frameHandle = requestFrame(frame);
+  }
+
+  function emitTick() {
+    if (typeof onTick === 'function') {
+      onTick(currentMs);
+    }
+  }
+
+  function setPlaying(value) {
+    if (playing === value) {
+      return;
+    }
+    playing = value;
+    if (!playing && frameHandle !== null) {
+      cancelFrame(frameHandle);
+      frameHandle = null;
+    }
+    if (typeof onStateChange === 'function') {
+      onStateChange({ playing, speed: multiplier, currentMs });
+    }
+  }
+
+  function play() {
+    if (playing) {
+      return;
+    }
+    if (currentMs >= endMs) {
+      currentMs = startMs;
+    }
+    setPlaying(true);
+    lastFrameAt = nowFn();
+    frameHandle = requestFrame(frame);
+  }
+
+  function pause() {
+    setPlaying(false);
+  }
+
+  function toggle() {
+    if (playing) {
+      pause();
+    } else {
+      play();
+    }
+  }
+
+  function seek(timeMs) {
+    const numeric = Number(timeMs);
+    if (!Number.isFinite(numeric)) {
+      return;
+    }
+    currentMs = Math.min(endMs, Math.max(startMs, numeric));
+    lastFrameAt = nowFn();
+    emitTick();
+  }
+
+  function setSpeed(value) {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric) || numeric <= 0) {
+      return;
+    }
+    multiplier = numeric;
+    if (typeof onStateChange === 'function') {
+      onStateChange({ playing, speed: multiplier, currentMs });
+    }
+  }
+
+  function destroy() {
+    setPlaying(false);
+  }
+
+  return {
+    play,
+    pause,
+    toggle,
+    seek,
+    setSpeed,
+    destroy,
+    get currentMs() {
+      return currentMs;
+    },
+    get playing() {
+      return playing;
+    },
+    get speed() {
+      return multiplier;
+    }
+  };
+}
@@ -0,0 +1,29 @@
+// Converts map bounds into the `bbox` of a `/stream` subscription. Leaflet
+// reports longitudes past ±180 once the map wraps, so they are folded back;
+// a view spanning the whole world drops the longitude constraint.
+export function toSubscriptionBbox({ south, west, north, east }) {
+  if (![south, west, north, east].every(Number.isFinite)) {
+    return null;
+  }
+  const bbox = {
+    south: clamp(south, -90, 90),
+    north: clamp(north, -90, 90),
+    west: -180,
+    east: 180
+  };
+  if (east - west < 360) {
+    bbox.west = wrapLongitude(west);
+    bbox.east = wrapLongitude(east);
+  }
+  return bbox;
+}
+
+function wrapLongitude(lng) {
+  const wrapped = ((((lng + 180) % 360) + 360) % 360) - 180;
+  // Keep +180 as-is rather than folding it onto -180.
+  return wrapped === -180 && lng > 0 ? 180 : wrapped;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
@@ -3,6 +3,11 @@ const { loadConfig, HELP_TEXT } = require('./lib/config');
 const { resolveRegion } = require('./presets/regions');
 const { createVehicleFactory } = require('./lib/vehicle-factory');
 const { createSimulatorRuntime } = require('./lib/mqtt-publisher');
+const { loadRoadNetwork, createRoutePlanner } = require('./lib/road-network');
+const { createScenarioVehicles } = require('./lib/scenario');
+const { createCaptureRuntime, createReplayRuntime, readRecording } = require('./lib/recording');
+const { createBackfillRuntime } = require('./lib/backfill');
+const { createSimulatedClock } = require('./lib/clock');
 
 const cliTokens = process.argv.slice(2);
 
@@ -20,18 +25,26 @@ try {
   process.exit(1);
 }
 
-const { config, logger, rng } = bundle;
-const region = resolveRegion(config.region, logger);
-const factory = createVehicleFactory({ region, rng, vehicleType: config.vehicleType, logger });
-const vehicles = factory.createVehicles(config.vehicles);
-
-const runtime = createSimulatorRuntime({
-  config,
-  vehicles,
-  region,
-  logger,
-  rng
-});
+const { config, logger, rng, scenario } = bundle;
+
+let runtime;
+if (config.capture) {
+  runtime = createCaptureRuntime({ config, logger });
+} else if (config.replay) {
+  let records;
+  try {
+    records = readRecording(config.replay);
+  } catch (err) {
+    console.error(`failed to read recording "${config.replay}": ${err.message}`);
+    process.exit(1);
+  }
+  runtime = createReplayRuntime({ config, records, logger });
+} else if (config.backfill) {
+  runtime = createBackfillRuntime({ config, logger, rng, scenario, ...createFleet() });
+} else {
+  const clock = createSimulatedClock({ startMs: config.start, speed: config.speed });
+  runtime = createSimulatorRuntime({ config, logger, rng, scenario, clock, ...createFleet() });
+}
 
 runtime.start();
 
@@ -45,3 +58,44 @@ process.on('unhandledRejection', err => {
   logger.error({ err }, 'unhandled promise rejection');
   runtime.initiateShutdown('unhandledRejection');
 });
+
+// The simulated fleet: uniform vehicles, or the groups of a scenario.
+function createFleet() {
+  const region = resolveRegion(scenario?.region ?? config.region, logger);
+
+  let routePlanner = null;
+  if (config.roadNetwork) {
+    let network;
+    try {
+      network = loadRoadNetwork(config.roadNetwork);
+    } catch (err) {
+      console.error(`failed to load road network "${config.roadNetwork}": ${err.message}`);
+      process.exit(1);
+    }
+    routePlanner = createRoutePlanner({ network, waypoints: config.waypoints, rand: rng });
+    logger.info({
+      file: config.roadNetwork,
+      nodes: network.nodeCount,
+      edges: network.edgeCount,
+      waypoints: config.waypoints?.length ?? 0
+    }, 'road network loaded');
+  } else if (config.waypoints) {
+    logger.warn('waypoints are ignored without --road-network');
+  }
+
+  let vehicles;
+  if (scenario) {
+    vehicles = createScenarioVehicles({ scenario, config, rng, routePlanner, logger });
+    logger.info({
+      scenario: scenario.name,
+      groups: scenario.groups.map(group => ({ name: group.name, count: group.count })),
+      events: scenario.events.length,
+      durationMs: scenario.durationMs ?? null
+    }, 'scenario loaded');
+  } else {
+    const factory = createVehicleFactory({ region, rng, vehicleType: config.vehicleType, routePlanner, logger });
+    vehicles = factory.createVehicles(config.vehicles);
+  }
+
+  return { vehicles, region };
+}
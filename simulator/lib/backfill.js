@@ -0,0 +1,336 @@
+const path = require('node:path');
+const { once } = require('node:events');
+const mqtt = require('mqtt');
+const { computePublishDelay } = require('./movement-engine');
+const { CONTENT_TYPES, encodeTelemetry } = require('./payload-encoder');
+const { buildClientOptions, sampleTelemetry } = require('./mqtt-publisher');
+const { createScenarioRunner } = require('./scenario');
+const { createMinHeap } = require('./min-heap');
+
+// Sinks are flushed once this many messages are waiting.
+const FLUSH_EVERY = 500;
+const PROGRESS_STEPS = 10;
+
+// Drives the fleet through `config.backfill` of simulated time as fast as
+// possible. Publishes and scenario events are due times on a virtual clock
+// and run in time order, so a seeded run with a fixed `config.start` always
+// writes the same payloads. Payloads go to `sink.write`; the loop waits on
+// `sink.flush()` every FLUSH_EVERY messages and resolves with a summary;
+// aborting `signal` ends the run early.
+async function runBackfill({ config, vehicles, region, rng, logger, scenario = null, sink, signal }) {
+  const rand = rng || Math.random;
+  const startMs = config.start ?? Date.now() - config.backfill;
+  const endMs = startMs + config.backfill;
+  const queue = createMinHeap();
+  let now = startMs;
+
+  const clock = {
+    startMs,
+    speed: Infinity,
+    now: () => now,
+    schedule(delayMs, callback) {
+      const entry = { callback, cancelled: false };
+      queue.push(now + delayMs, entry);
+      return () => {
+        entry.cancelled = true;
+      };
+    }
+  };
+
+  const scenarioRunner = scenario ? createScenarioRunner({ scenario, vehicles, rand, logger, clock }) : null;
+  let written = 0;
+  let finished = false;
+  let reason = 'backfill_complete';
+
+  function rateFor(vehicle) {
+    return vehicle.rateMs ?? config.rate;
+  }
+
+  function write(payload) {
+    sink.write(payload);
+    written += 1;
+    if (config.maxMessages > 0 && written >= config.maxMessages) {
+      finished = true;
+      reason = 'max_messages';
+    }
+  }
+
+  function scheduleNextPublish(vehicle, startDelayMs = 0) {
+    const delayMs = startDelayMs + computePublishDelay(rateFor(vehicle), config.jitter, rand);
+    clock.schedule(delayMs, () => publishTelemetry(vehicle));
+  }
+
+  function publishTelemetry(vehicle) {
+    const payload = sampleTelemetry({ vehicle, now, rateMs: rateFor(vehicle), region, rand, scenarioRunner });
+    if (scenarioRunner?.isOffline(vehicle, now)) {
+      scenarioRunner.bufferMessage(vehicle, payload);
+    } else {
+      for (const buffered of scenarioRunner ? scenarioRunner.drainBuffer(vehicle) : []) {
+        write(buffered);
+      }
+      write(payload);
+    }
+    scheduleNextPublish(vehicle);
+  }
+
+  logger.info({
+    vehicles: vehicles.length,
+    region: region.slug,
+    scenario: scenario ? scenario.name : undefined,
+    start: new Date(startMs).toISOString(),
+    end: new Date(endMs).toISOString(),
+    seed: config.seed ?? null
+  }, 'starting backfill');
+
+  for (const vehicle of vehicles) {
+    scheduleNextPublish(vehicle, vehicle.startDelayMs ?? 0);
+  }
+  scenarioRunner?.start(() => {
+    logger.info({ scenario: scenario.name }, 'scenario complete');
+    finished = true;
+    reason = 'scenario_complete';
+  });
+
+  const startedAt = Date.now();
+  const progressStepMs = config.backfill / PROGRESS_STEPS;
+  let nextProgressMs = startMs + progressStepMs;
+  while (!finished && queue.size() > 0 && queue.peek().priority <= endMs) {
+    if (signal?.aborted) {
+      finished = true;
+      reason = 'aborted';
+      break;
+    }
+    const { priority, value: entry } = queue.pop();
+    now = priority;
+    if (entry.cancelled) {
+      continue;
+    }
+    entry.callback();
+
+    if (sink.pending() >= FLUSH_EVERY) {
+      await sink.flush();
+    }
+    if (now >= nextProgressMs) {
+      logger.info({ simulatedTo: new Date(now).toISOString(), messages: written }, 'backfill progress');
+      nextProgressMs += progressStepMs;
+    }
+  }
+  await sink.flush();
+  scenarioRunner?.stop();
+
+  return {
+    reason,
+    messages: written,
+    start: new Date(startMs).toISOString(),
+    end: new Date(endMs).toISOString(),
+    simulatedTo: new Date(finished ? now : endMs).toISOString(),
+    durationMs: Date.now() - startedAt
+  };
+}
+
+// Publishes backfilled telemetry to `config.topic` on the broker.
+function createMqttSink({ config, logger }) {
+  const clientOptions = buildClientOptions(config);
+  const format = config.format || 'json';
+  const publishOptions = { qos: config.qos };
+  if (clientOptions.protocolVersion === 5) {
+    publishOptions.properties = { contentType: CONTENT_TYPES[format] };
+  }
+  let client = null;
+  let queued = [];
+
+  function publish(message) {
+    return new Promise(resolve => {
+      client.publish(config.topic, message, publishOptions, err => {
+        if (err) {
+          logger.error({ err }, 'publish failed');
+        }
+        resolve();
+      });
+    });
+  }
+
+  return {
+    async open() {
+      client = mqtt.connect(clientOptions);
+      client.on('error', err => logger.error({ err }, 'MQTT error'));
+      await once(client, 'connect');
+      logger.info({ host: config.host, port: config.port, topic: config.topic, format }, 'connected');
+    },
+    write(payload) {
+      queued.push(encodeTelemetry(payload, format));
+    },
+    pending: () => queued.length,
+    async flush() {
+      const messages = queued;
+      queued = [];
+      await Promise.all(messages.map(publish));
+    },
+    async close() {
+      if (client) {
+        await new Promise(resolve => client.end(false, resolve));
+      }
+    }
+  };
+}
+
+// Writes backfilled telemetry straight into the backend's SQLite database at
+// `config.backfillDb`. Records are built by the backend's own
+// buildTelemetryRecord, so they are validated, GPS-filtered and stored with
+// trips and distances as the MQTT ingest stores them, then rolled up. The
+// backend's own settings (rollup windows, trip and GPS filter thresholds,
+// FLEET_TOPIC_LEVEL) come from its environment variables as usual.
+//
+// Backfill only writes history, so it leaves out the ingest's other side
+// effects on purpose: every vehicle takes the fleet of `config.topic` with no
+// ownership check against the vehicle registry, geofences and alert rules
+// are not evaluated, nothing reaches the live state, WebSocket clients, stats
+// or metrics, and invalid payloads are counted and logged instead of being
+// dead-lettered.
+function createSqliteSink({ config, logger, endMs }) {
+  // The backend is only needed here, and is not part of the simulator image.
+  const { config: backendConfig } = require('../../backend/config');
+  const { createDatabase } = require('../../backend/db');
+  const { createTelemetryRepository } = require('../../backend/services/telemetry-repository');
+  const { validateTelemetry } = require('../../backend/utils/validation');
+  const { createGpsFilter } = require('../../backend/utils/gps-filter');
+  const { extractFleetId } = require('../../backend/utils/fleet');
+  const { buildTelemetryRecord } = require('../../backend/utils/telemetry-ingest');
+
+  const dbPath = path.resolve(config.backfillDb);
+  const fleetId = extractFleetId(config.topic, backendConfig.fleets?.topicLevel ?? 1);
+  if (!fleetId) {
+    throw new Error(`topic "${config.topic}" has no valid fleet id for the backend`);
+  }
+  const storeConfig = { ...backendConfig, telemetryDb: { ...backendConfig.telemetryDb, path: dbPath } };
+  const gpsFilter = createGpsFilter({ maxVehicles: backendConfig.cacheLimit, ...backendConfig.gpsFilter });
+  const lastRecords = new Map();
+  let database = null;
+  let telemetryRepository = null;
+  let queued = [];
+  let rejected = 0;
+  let latestMs = null;
+
+  function enrich(payload) {
+    const validation = validateTelemetry(payload);
+    if (!validation.ok) {
+      rejected += 1;
+      logger.warn({ vehicleId: payload.vehicleId, error: validation.error }, 'backfilled telemetry failed validation');
+      return null;
+    }
+    const message = validation.value;
+    const tsMs = Date.parse(message.ts);
+    latestMs = Math.max(latestMs ?? tsMs, tsMs);
+    // Simulated messages are received when they were sent.
+    const record = buildTelemetryRecord({
+      message,
+      previous: lastRecords.get(message.vehicleId),
+      fleetId,
+      gpsFilter,
+      lastSeen: message.ts
+    });
+    if (!record.stale) {
+      lastRecords.set(message.vehicleId, record.enriched);
+    }
+    return record;
+  }
+
+  return {
+    async open() {
+      database = createDatabase({ config: storeConfig, logger });
+      telemetryRepository = createTelemetryRepository({ db: database.db, logger, config: storeConfig });
+      logger.info({ dbPath, fleetId }, 'backfilling into SQLite');
+    },
+    write(payload) {
+      queued.push(payload);
+    },
+    pending: () => queued.length,
+    async flush() {
+      const records = queued.map(enrich).filter(Boolean);
+      queued = [];
+      if (records.length === 0) {
+        return;
+      }
+      const { failures } = telemetryRepository.recordTelemetryBatch(records);
+      for (const { err, vehicleId } of failures) {
+        logger.error({ err, vehicleId }, 'failed to store backfilled telemetry');
+      }
+      // Roll up as simulated time passes, as the backend's scheduler would.
+      telemetryRepository.computePendingRollups(latestMs);
+    },
+    async close() {
+      if (!telemetryRepository) {
+        return;
+      }
+      const rollups = telemetryRepository.runRollupJob({ now: endMs });
+      logger.info({ processed: rollups.processed, rejected }, 'backfill rollups complete');
+      telemetryRepository.stopRollupScheduler();
+      database.close();
+    }
+  };
+}
+
+// Runs a backfill to completion and exits: 0 when done, 1 on failure.
+// Without `config.start` the backfill ends now.
+function createBackfillRuntime({ config, vehicles, region, rng, logger, scenario = null }) {
+  const startMs = config.start ?? Date.now() - config.backfill;
+  const backfillConfig = { ...config, start: startMs };
+  const controller = new AbortController();
+  let shuttingDown = false;
+
+  async function run() {
+    const sink = config.backfillDb
+      ? createSqliteSink({ config, logger, endMs: startMs + config.backfill })
+      : createMqttSink({ config, logger });
+    await sink.open();
+    try {
+      const summary = await runBackfill({
+        config: backfillConfig,
+        vehicles,
+        region,
+        rng,
+        logger,
+        scenario,
+        sink,
+        signal: controller.signal
+      });
+      logger.info(summary, 'backfill complete');
+    } finally {
+      await sink.close();
+    }
+  }
+
+  function start() {
+    run().then(() => process.exit(0), err => {
+      logger.error({ err }, 'backfill failed');
+      process.exit(1);
+    });
+  }
+
+  function initiateShutdown(reason) {
+    if (shuttingDown) {
+      return;
+    }
+    shuttingDown = true;
+    logger.info({ reason }, 'shutting down');
+    // The loop stops at its next message, then flushes and closes the sink.
+    controller.abort();
+    const forceExitTimer = setTimeout(() => {
+      logger.warn('force exiting after timeout');
+      process.exit(1);
+    }, 5000);
+    forceExitTimer.unref();
+  }
+
+  return {
+    start,
+    initiateShutdown
+  };
+}
+
+module.exports = {
+  createBackfillRuntime,
+  createMqttSink,
+  createSqliteSink,
+  runBackfill
+};
@@ -0,0 +1,29 @@
+// Simulated time for the live publisher: it starts at `startMs` and runs
+// `speed` times faster than the wall clock. Publish intervals and scenario
+// times are simulated milliseconds; `schedule` waits the matching real time.
+function createSimulatedClock({ startMs, speed = 1, realNow = Date.now } = {}) {
+  const realStartMs = realNow();
+  const simulatedStartMs = startMs ?? realStartMs;
+
+  function now() {
+    return simulatedStartMs + (realNow() - realStartMs) * speed;
+  }
+
+  // Runs `callback` after `delayMs` of simulated time; returns a function
+  // that cancels it.
+  function schedule(delayMs, callback) {
+    const timer = setTimeout(callback, delayMs / speed);
+    return () => clearTimeout(timer);
+  }
+
+  return {
+    startMs: simulatedStartMs,
+    speed,
+    now,
+    schedule
+  };
+}
+
+module.exports = {
+  createSimulatedClock
+};
@@ -1,6 +1,8 @@
 const path = require('node:path');
 const dotenv = require('dotenv');
 const pino = require('pino');
+const { PAYLOAD_FORMATS } = require('./payload-encoder');
+const { loadScenario } = require('./scenario');
 
 const DEFAULTS = {
   host: 'localhost',
@@ -9,14 +11,28 @@ const DEFAULTS = {
   password: undefined,
   tls: false,
   rejectUnauthorized: true,
+  protocolVersion: 4,
   topic: 'fleet/demo/telemetry',
   qos: 0,
+  format: 'json',
   vehicles: 1,
   maxMessages: 0,
   rate: 1000,
   jitter: 0,
   region: 'paris',
   vehicleType: 'standard',
+  roadNetwork: undefined,
+  waypoints: undefined,
+  scenario: undefined,
+  capture: undefined,
+  replay: undefined,
+  replaySpeed: 1,
+  loop: false,
+  shiftTs: true,
+  start: undefined,
+  speed: 1,
+  backfill: undefined,
+  backfillDb: undefined,
   seed: undefined,
   logLevel: 'info'
 };
@@ -28,14 +44,28 @@ const ENV_ALIASES = {
   password: ['SIM_PASSWORD', 'BROKER_PASSWORD'],
   tls: ['SIM_TLS', 'BROKER_TLS'],
   rejectUnauthorized: ['SIM_TLS_REJECT_UNAUTHORIZED', 'BROKER_TLS_REJECT_UNAUTHORIZED'],
+  protocolVersion: ['SIM_PROTOCOL_VERSION', 'BROKER_PROTOCOL_VERSION'],
   topic: ['SIM_TOPIC'],
   qos: ['SIM_QOS'],
+  format: ['SIM_FORMAT'],
   vehicles: ['SIM_VEHICLES'],
   maxMessages: ['SIM_MAX_MESSAGES'],
   rate: ['SIM_RATE'],
   jitter: ['SIM_JITTER'],
   region: ['SIM_REGION'],
   vehicleType: ['SIM_VEHICLE_TYPE'],
+  roadNetwork: ['SIM_ROAD_NETWORK'],
+  waypoints: ['SIM_WAYPOINTS'],
+  scenario: ['SIM_SCENARIO'],
+  capture: ['SIM_CAPTURE'],
+  replay: ['SIM_REPLAY'],
+  replaySpeed: ['SIM_REPLAY_SPEED'],
+  loop: ['SIM_REPLAY_LOOP'],
+  shiftTs: ['SIM_REPLAY_SHIFT_TS'],
+  start: ['SIM_START'],
+  speed: ['SIM_SPEED'],
+  backfill: ['SIM_BACKFILL'],
+  backfillDb: ['SIM_BACKFILL_DB'],
   seed: ['SIM_SEED'],
   logLevel: ['SIM_LOG_LEVEL', 'LOG_LEVEL']
 };
@@ -43,10 +73,24 @@ const ENV_ALIASES = {
 const CLI_KEY_ALIASES = {
   'max-messages': 'maxMessages',
   'reject-unauthorized': 'rejectUnauthorized',
+  'protocol-version': 'protocolVersion',
   'vehicle-type': 'vehicleType',
+  'road-network': 'roadNetwork',
+  'replay-speed': 'replaySpeed',
+  'shift-ts': 'shiftTs',
+  'backfill-db': 'backfillDb',
   'log-level': 'logLevel'
 };
 
+// Flags that may be given without a value to switch them on.
+const SWITCH_KEYS = new Set(['loop', 'shiftTs']);
+
+// Modes that replace the simulated fleet; at most one may be used.
+const MODE_KEYS = ['scenario', 'capture', 'replay'];
+// Backfill drives the simulated fleet (or a scenario) on virtual time, so it
+// cannot record or replay broker traffic.
+const BACKFILL_EXCLUSIVE_KEYS = ['capture', 'replay'];
+
 const HELP_TEXT = `Usage: simulator [options]\n\n` +
   `Options:\n` +
   `  --host <hostname>        MQTT broker host (default: localhost)\n` +
@@ -55,21 +99,39 @@ const HELP_TEXT = `Usage: simulator [options]\n\n` +
   `  --password <value>       MQTT password (default: none)\n` +
   `  --tls <true|false>       Enable TLS (default: false)\n` +
   `  --reject-unauthorized <true|false>  Reject invalid TLS certs (default: true)\n` +
+  `  --protocol-version <4|5> MQTT protocol version (default: 4)\n` +
   `  --topic <topic>          Telemetry topic (default: fleet/demo/telemetry)\n` +
   `  --qos <0|1|2>            Publish QoS level (default: 0)\n` +
+  `  --format <json|protobuf|cbor>  Payload encoding (default: json)\n` +
   `  --vehicles <number>      Number of vehicles to simulate (default: 1)\n` +
   `  --max-messages <number>  Stop after publishing this many messages (default: unlimited)\n` +
   `  --rate <duration>        Base publish interval, accepts ms|s|m (default: 1s)\n` +
   `  --jitter <duration>      Publish jitter window (default: 0ms)\n` +
   `  --region <name>          Region label for generated vehicles (default: paris)\n` +
-  `  --vehicle-type <name>    Vehicle behaviour preset (default: standard)\n` +
+  `  --vehicle-type <name>    Vehicle preset: standard, delivery, freight, electric (default: standard)\n` +
+  `  --road-network <file>    Drive along a road graph (GeoJSON or .osm extract) (default: none)\n` +
+  `  --waypoints <lat,lng;...>  Route between these points on the road network (default: random)\n` +
+  `  --scenario <file>        Run a JSON or YAML scenario of vehicle groups and events (default: none)\n` +
+  `  --capture <file>         Record messages on --topic (wildcards allowed) to an NDJSON file\n` +
+  `  --replay <file>          Republish a capture file with its original timing\n` +
+  `  --replay-speed <number>  Replay speed multiplier (default: 1)\n` +
+  `  --loop [true|false]      Start the replay over after the last message (default: false)\n` +
+  `  --shift-ts [true|false]  Move replayed ts values to the time of publishing (default: true)\n` +
+  `  --start <iso-timestamp>  Simulated time of the first message (default: now)\n` +
+  `  --speed <number>         Run simulated time this many times faster than real time (default: 1)\n` +
+  `  --backfill <duration>    Generate this much history as fast as possible, accepts ms|s|m|h|d\n` +
+  `  --backfill-db <file>     Write backfilled telemetry to this SQLite database instead of MQTT\n` +
   `  --seed <value>           Optional seed for deterministic behaviour\n` +
   `  --log-level <level>      Log level (default: info)\n` +
   `  --help                   Show this message\n` +
   `\nEnvironment variables (take lower precedence than CLI):\n` +
   `  BROKER_HOST, BROKER_PORT, BROKER_USERNAME, BROKER_PASSWORD, BROKER_TLS,\n` +
-  `  BROKER_TLS_REJECT_UNAUTHORIZED, SIM_TOPIC, SIM_QOS, SIM_VEHICLES,\n` +
+  `  BROKER_TLS_REJECT_UNAUTHORIZED, BROKER_PROTOCOL_VERSION, SIM_TOPIC, SIM_QOS,\n` +
+  `  SIM_FORMAT, SIM_PROTOCOL_VERSION, SIM_VEHICLES,\n` +
   `  SIM_MAX_MESSAGES, SIM_RATE, SIM_JITTER, SIM_REGION, SIM_VEHICLE_TYPE, SIM_SEED,\n` +
+  `  SIM_ROAD_NETWORK, SIM_WAYPOINTS, SIM_SCENARIO, SIM_CAPTURE, SIM_REPLAY,\n` +
+  `  SIM_REPLAY_SPEED, SIM_REPLAY_LOOP, SIM_REPLAY_SHIFT_TS, SIM_START, SIM_SPEED,\n` +
+  `  SIM_BACKFILL, SIM_BACKFILL_DB,\n` +
   `  SIM_HOST, SIM_PORT, SIM_USERNAME, SIM_PASSWORD, SIM_TLS, SIM_TLS_REJECT_UNAUTHORIZED,\n` +
   `  SIM_LOG_LEVEL`;
 
@@ -82,6 +144,18 @@ function loadConfig({ argv = [], env = process.env, cwd = process.cwd() } = {})
 
   const cliValues = parseCli(argv);
   const config = buildConfig(cliValues, env);
+  const modes = MODE_KEYS.filter(key => config[key]);
+  if (modes.length > 1) {
+    throw new Error(`${modes.map(key => `--${key}`).join(' and ')} cannot be combined`);
+  }
+  if (config.backfill) {
+    const conflict = BACKFILL_EXCLUSIVE_KEYS.find(key => config[key]);
+    if (conflict) {
+      throw new Error(`--backfill and --${conflict} cannot be combined`);
+    }
+  } else if (config.backfillDb) {
+    throw new Error('--backfill-db requires --backfill');
+  }
 
   const logger = pino({
     name: 'simulator',
@@ -90,10 +164,20 @@ function loadConfig({ argv = [], env = process.env, cwd = process.cwd() } = {})
 
   const rng = createRng(config.seed);
 
+  let scenario = null;
+  if (config.scenario) {
+    try {
+      scenario = loadScenario(path.resolve(cwd, config.scenario));
+    } catch (err) {
+      throw new Error(`failed to load scenario "${config.scenario}": ${err.message}`);
+    }
+  }
+
   return {
     config,
     logger,
-    rng
+    rng,
+    scenario
   };
 }
 
@@ -115,7 +199,7 @@ function buildConfig(cliValues, env) {
 
 function pickConfigValue(cliValue, key, env) {
   if (cliValue !== undefined) {
-    if (typeof cliValue === 'boolean') {
+    if (typeof cliValue === 'boolean' && !SWITCH_KEYS.has(key)) {
       throw new Error(`flag "--${key}" requires a value`);
     }
     return cliValue;
@@ -144,6 +228,15 @@ function applyParser(key, value) {
       return coerceInteger('port', value, { min: 1, max: 65535 });
     case 'qos':
       return coerceInteger('qos', value, { min: 0, max: 2 });
+    case 'protocolVersion':
+      return coerceInteger('protocolVersion', value, { min: 4, max: 5 });
+    case 'format': {
+      const format = String(value).trim().toLowerCase();
+      if (!PAYLOAD_FORMATS.includes(format)) {
+        throw new Error(`invalid format value: "${value}" (expected ${PAYLOAD_FORMATS.join('|')})`);
+      }
+      return format;
+    }
     case 'vehicles':
       return coerceInteger('vehicles', value, { min: 1 });
     case 'maxMessages':
@@ -151,11 +244,49 @@ function applyParser(key, value) {
     case 'rate':
     case 'jitter':
       return coerceDuration(key, value);
+    case 'backfill': {
+      if (value === undefined || value === '') {
+        return undefined;
+      }
+      const duration = coerceDuration('backfill', value);
+      if (duration <= 0) {
+        throw new Error('backfill must be > 0');
+      }
+      return duration;
+    }
+    case 'start': {
+      if (value === undefined || value === '') {
+        return undefined;
+      }
+      const startMs = Date.parse(String(value));
+      if (Number.isNaN(startMs)) {
+        throw new Error(`invalid start value: "${value}" (expected an ISO 8601 timestamp)`);
+      }
+      return startMs;
+    }
+    case 'roadNetwork':
+    case 'scenario':
+    case 'capture':
+    case 'replay':
+    case 'backfillDb':
+      return value === undefined || value === '' ? undefined : String(value);
+    case 'waypoints':
+      return parseWaypoints(value);
     case 'username':
     case 'password':
       return value === undefined ? undefined : String(value);
+    case 'replaySpeed':
+    case 'speed': {
+      const speed = Number(value);
+      if (!Number.isFinite(speed) || speed <= 0) {
+        throw new Error(`invalid ${key} value: "${value}" (expected a number above 0)`);
+      }
+      return speed;
+    }
     case 'tls':
     case 'rejectUnauthorized':
+    case 'loop':
+    case 'shiftTs':
       return parseBoolean(value, DEFAULTS[key]);
     default:
       return value;
@@ -176,6 +307,21 @@ function coerceInteger(name, value, { min, max } = {}) {
   return parsed;
 }
 
+// "lat,lng;lat,lng" into [{ lat, lng }].
+function parseWaypoints(value) {
+  if (value === undefined || String(value).trim() === '') {
+    return undefined;
+  }
+  return String(value).split(';').filter(part => part.trim() !== '').map(part => {
+    const [lat, lng, ...rest] = part.split(',').map(coordinate => Number(coordinate.trim()));
+    if (rest.length > 0 || !Number.isFinite(lat) || !Number.isFinite(lng) ||
+      Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw new Error(`invalid waypoints value: "${value}" (expected lat,lng;lat,lng)`);
+    }
+    return { lat, lng };
+  });
+}
+
 function coerceDuration(name, value) {
   if (typeof value === 'number') {
     return value;
@@ -197,6 +343,16 @@ function coerceDuration(name, value) {
     return minutes * 60_000;
   }
 
+  if (raw.endsWith('h')) {
+    const hours = coerceInteger(name, raw.slice(0, -1), { min: 0 });
+    return hours * 3_600_000;
+  }
+
+  if (raw.endsWith('d')) {
+    const days = coerceInteger(name, raw.slice(0, -1), { min: 0 });
+    return days * 86_400_000;
+  }
+
   return coerceInteger(name, raw, { min: 0 });
 }
 
@@ -0,0 +1,61 @@
+// A binary min-heap of `{ priority, value }` entries. Entries with equal
+// priorities come out in the order they were pushed.
+function createMinHeap() {
+  const items = [];
+  let pushed = 0;
+
+  function before(a, b) {
+    return a.priority < b.priority || (a.priority === b.priority && a.order < b.order);
+  }
+
+  function push(priority, value) {
+    items.push({ priority, value, order: pushed });
+    pushed += 1;
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!before(items[index], items[parent])) {
+        break;
+      }
+      [items[parent], items[index]] = [items[index], items[parent]];
+      index = parent;
+    }
+  }
+
+  function pop() {
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < items.length && before(items[left], items[smallest])) {
+          smallest = left;
+        }
+        if (right < items.length && before(items[right], items[smallest])) {
+          smallest = right;
+        }
+        if (smallest === index) {
+          break;
+        }
+        [items[smallest], items[index]] = [items[index], items[smallest]];
+        index = smallest;
+      }
+    }
+    return top;
+  }
+
+  return {
+    push,
+    pop,
+    peek: () => items[0],
+    size: () => items.length
+  };
+}
+
+module.exports = {
+  createMinHeap
+};
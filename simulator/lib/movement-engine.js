@@ -6,31 +6,63 @@ function advanceVehicle(vehicle, elapsedMs, regionInfo, rand) {
     return;
   }
 
+  const electric = Number.isFinite(vehicle.batteryLevel);
+
   if (vehicle.engineStatus === 'running') {
-    vehicle.speedKmh = clamp(vehicle.speedKmh + ((rand() - 0.5) * 12), 5, vehicle.maxSpeedKmh);
-    vehicle.heading = normalizeBearing(vehicle.heading + (rand() - 0.5) * 25);
+    const previousSpeedKmh = vehicle.speedKmh;
+    let distanceKm;
+    if (vehicle.routing) {
+      // Routed vehicles drive just under the limit of the road they are on;
+      // the planner moves them along the edges and sets the heading.
+      const { planner } = vehicle.routing;
+      const limitKmh = Math.min(planner.speedLimit(vehicle) ?? 0, vehicle.maxSpeedKmh);
+      vehicle.speedKmh = limitKmh * (0.9 + rand() * 0.1);
+      distanceKm = vehicle.speedKmh * elapsedHours;
+      planner.advance(vehicle, distanceKm);
+    } else {
+      vehicle.speedKmh = clamp(vehicle.speedKmh + ((rand() - 0.5) * 12), 5, vehicle.maxSpeedKmh);
+      vehicle.heading = normalizeBearing(vehicle.heading + (rand() - 0.5) * 25);
+
+      distanceKm = vehicle.speedKmh * elapsedHours;
+      const nextPosition = movePoint(vehicle.lat, vehicle.lng, vehicle.heading, distanceKm);
+      vehicle.lat = nextPosition.lat;
+      vehicle.lng = nextPosition.lng;
+    }
 
-    const distanceKm = vehicle.speedKmh * elapsedHours;
-    const nextPosition = movePoint(vehicle.lat, vehicle.lng, vehicle.heading, distanceKm);
-    vehicle.lat = nextPosition.lat;
-    vehicle.lng = nextPosition.lng;
+    vehicle.odometerKm += distanceKm;
+    vehicle.altitudeM = Math.max(0, vehicle.altitudeM + (rand() - 0.5) * 2);
+    vehicle.doorState = 'closed';
 
-    const fuelBurn = Math.max(0.05, distanceKm * 0.3);
-    vehicle.fuelLevel = Math.max(0, vehicle.fuelLevel - fuelBurn);
+    if (electric) {
+      driveOnBattery(vehicle, distanceKm, previousSpeedKmh - vehicle.speedKmh);
+    } else {
+      const fuelBurn = Math.max(0.05, distanceKm * 0.3);
+      vehicle.fuelLevel = Math.max(0, vehicle.fuelLevel - fuelBurn);
+    }
 
     if (rand() < 0.07) {
       vehicle.engineStatus = 'idle';
       vehicle.speedKmh = 0;
-    } else if (vehicle.fuelLevel <= 2) {
+    } else if (energyLevel(vehicle) <= 2) {
       vehicle.engineStatus = 'off';
       vehicle.speedKmh = 0;
     }
   } else if (vehicle.engineStatus === 'idle') {
-    const idleDrain = elapsedHours * 1.2;
-    vehicle.fuelLevel = Math.max(0, vehicle.fuelLevel - idleDrain);
+    // Idle stops are when vehicles load and unload.
+    if (rand() < 0.2) {
+      vehicle.doorState = vehicle.doorState === 'open' ? 'closed' : 'open';
+    }
+    if (electric) {
+      // Only auxiliaries draw power while an electric vehicle stands.
+      vehicle.batteryLevel = Math.max(0, vehicle.batteryLevel - elapsedHours * 0.5);
+      vehicle.chargingStatus = 'idle';
+    } else {
+      const idleDrain = elapsedHours * 1.2;
+      vehicle.fuelLevel = Math.max(0, vehicle.fuelLevel - idleDrain);
+    }
     vehicle.speedKmh = 0;
 
-    if (vehicle.fuelLevel <= 1) {
+    if (energyLevel(vehicle) <= 1) {
       vehicle.engineStatus = 'off';
     } else if (rand() < 0.45) {
       vehicle.engineStatus = 'running';
@@ -40,6 +72,20 @@ function advanceVehicle(vehicle, elapsedMs, regionInfo, rand) {
         vehicle.maxSpeedKmh
       );
     }
+  } else if (electric) {
+    // A depleted electric vehicle charges up to its target before moving on.
+    const { chargeRatePctPerHour, chargeTargetPct } = vehicle.energy;
+    if (vehicle.batteryLevel < chargeTargetPct) {
+      vehicle.batteryLevel = Math.min(100, vehicle.batteryLevel + elapsedHours * chargeRatePctPerHour);
+      vehicle.chargingStatus = 'charging';
+    } else {
+      vehicle.chargingStatus = 'idle';
+      if (rand() < 0.5) {
+        vehicle.engineStatus = 'idle';
+      }
+    }
+
+    vehicle.speedKmh = 0;
   } else {
     if (vehicle.fuelLevel <= 1 && rand() < 0.12) {
       vehicle.fuelLevel = 70 + rand() * 25;
@@ -52,12 +98,42 @@ function advanceVehicle(vehicle, elapsedMs, regionInfo, rand) {
     vehicle.speedKmh = 0;
   }
 
+  advanceCargoTemperature(vehicle, elapsedHours, rand);
+
+  if (vehicle.routing) {
+    return;
+  }
   const distanceFromHome = haversine(vehicle.lat, vehicle.lng, vehicle.home.lat, vehicle.home.lng);
   if (distanceFromHome > vehicle.maxRadiusKm) {
     vehicle.heading = bearingBetween(vehicle.lat, vehicle.lng, vehicle.home.lat, vehicle.home.lng);
   }
 }
 
+// Driving draws the battery down per km; slowing down regains some of it
+// through regenerative braking, which can outweigh the draw.
+function driveOnBattery(vehicle, distanceKm, speedDropKmh) {
+  const { consumptionPctPerKm, regenPctPerKmh } = vehicle.energy;
+  const usedPct = distanceKm * consumptionPctPerKm - Math.max(0, speedDropKmh) * regenPctPerKmh;
+  vehicle.batteryLevel = clamp(vehicle.batteryLevel - usedPct, 0, 100);
+  vehicle.chargingStatus = usedPct < 0 ? 'regenerating' : 'discharging';
+}
+
+function energyLevel(vehicle) {
+  return Number.isFinite(vehicle.batteryLevel) ? vehicle.batteryLevel : vehicle.fuelLevel;
+}
+
+// Refrigerated cargo drifts back to its setpoint (about 5 °C per hour) and
+// warms while the doors are open.
+function advanceCargoTemperature(vehicle, elapsedHours, rand) {
+  if (!Number.isFinite(vehicle.cargoSetpointC)) {
+    return;
+  }
+  const warming = vehicle.doorState === 'open' ? 8 * elapsedHours : 0;
+  const offset = vehicle.cargoTemperatureC - vehicle.cargoSetpointC;
+  const recovery = Math.sign(offset) * Math.min(Math.abs(offset), 5 * elapsedHours);
+  vehicle.cargoTemperatureC += warming - recovery + (rand() - 0.5) * 0.05;
+}
+
 function computePublishDelay(baseRate, jitter, rand) {
   if (jitter <= 0) {
     return baseRate;
@@ -3,9 +3,21 @@ const {
   advanceVehicle,
   computePublishDelay
 } = require('./movement-engine');
+const { CONTENT_TYPES, encodeTelemetry } = require('./payload-encoder');
+const { createScenarioRunner } = require('./scenario');
+const { createSimulatedClock } = require('./clock');
 
-function createSimulatorRuntime({ config, vehicles, region, logger, rng }) {
+function createSimulatorRuntime({
+  config,
+  vehicles,
+  region,
+  logger,
+  rng,
+  scenario = null,
+  clock = createSimulatedClock()
+}) {
   const rand = rng || Math.random;
+  const scenarioRunner = scenario ? createScenarioRunner({ scenario, vehicles, rand, logger, clock }) : null;
   const timers = new Map();
   let shuttingDown = false;
   let simulationStarted = false;
@@ -13,7 +25,13 @@ function createSimulatorRuntime({ config, vehicles, region, logger, rng }) {
   let totalPublished = 0;
   let forceExitTimer = null;
 
+  const format = config.format || 'json';
   const clientOptions = buildClientOptions(config);
+  const publishOptions = { qos: config.qos };
+  // Content-type is an MQTT 5 property; v3.1.1 subscribers rely on topic mapping.
+  if (clientOptions.protocolVersion === 5) {
+    publishOptions.properties = { contentType: CONTENT_TYPES[format] };
+  }
   const client = mqtt.connect(clientOptions);
 
   client.on('connect', () => onConnect());
@@ -40,6 +58,8 @@ function createSimulatorRuntime({ config, vehicles, region, logger, rng }) {
       port: config.port,
       topic: config.topic,
       qos: config.qos,
+      format,
+      protocolVersion: clientOptions.protocolVersion,
       vehicles: vehicles.length,
       rateMs: config.rate,
       jitterMs: config.jitter,
@@ -61,21 +81,33 @@ function createSimulatorRuntime({ config, vehicles, region, logger, rng }) {
     logger.info({
       vehicles: vehicles.length,
       region: region.slug,
-      radiusKm: region.radiusKm
+      radiusKm: region.radiusKm,
+      scenario: scenario ? scenario.name : undefined,
+      simulatedStart: new Date(clock.startMs).toISOString(),
+      speed: clock.speed
     }, 'starting simulation');
 
     for (const vehicle of vehicles) {
-      scheduleNextPublish(vehicle);
+      // Scenario groups ramp up by delaying their vehicles' first publish.
+      scheduleNextPublish(vehicle, vehicle.startDelayMs ?? 0);
     }
+
+    scenarioRunner?.start(() => {
+      logger.info({ scenario: scenario.name }, 'scenario complete');
+      initiateShutdown('scenario_complete');
+    });
+  }
+
+  function rateFor(vehicle) {
+    return vehicle.rateMs ?? config.rate;
   }
 
-  function scheduleNextPublish(vehicle) {
+  function scheduleNextPublish(vehicle, startDelayMs = 0) {
     if (shuttingDown || (config.maxMessages > 0 && totalPublished >= config.maxMessages)) {
       return;
     }
-    const delayMs = computePublishDelay(config.rate, config.jitter, rand);
-    const timer = setTimeout(() => publishTelemetry(vehicle), delayMs);
-    timers.set(vehicle.vehicleId, timer);
+    const delayMs = startDelayMs + computePublishDelay(rateFor(vehicle), config.jitter, rand);
+    timers.set(vehicle.vehicleId, clock.schedule(delayMs, () => publishTelemetry(vehicle)));
   }
 
   function publishTelemetry(vehicle) {
@@ -85,22 +117,26 @@ function createSimulatorRuntime({ config, vehicles, region, logger, rng }) {
 
     timers.delete(vehicle.vehicleId);
 
-    const now = Date.now();
-    const elapsedMs = vehicle.lastUpdateMs ? now - vehicle.lastUpdateMs : config.rate;
-    advanceVehicle(vehicle, elapsedMs, region, rand);
-    vehicle.lastUpdateMs = now;
-
-    const payload = {
-      vehicleId: vehicle.vehicleId,
-      lat: Number(vehicle.lat.toFixed(6)),
-      lng: Number(vehicle.lng.toFixed(6)),
-      ts: new Date(now).toISOString(),
-      fuelLevel: Number(vehicle.fuelLevel.toFixed(2)),
-      engineStatus: vehicle.engineStatus
-    };
-
-    const message = JSON.stringify(payload);
-    client.publish(config.topic, message, { qos: config.qos }, err => {
+    const now = clock.now();
+    const payload = sampleTelemetry({ vehicle, now, rateMs: rateFor(vehicle), region, rand, scenarioRunner });
+
+    if (scenarioRunner?.isOffline(vehicle, now)) {
+      scenarioRunner.bufferMessage(vehicle, payload);
+      scheduleNextPublish(vehicle);
+      return;
+    }
+    // Back online: the device sends what it buffered, oldest first.
+    for (const buffered of scenarioRunner ? scenarioRunner.drainBuffer(vehicle) : []) {
+      client.publish(config.topic, encodeTelemetry(buffered, format), publishOptions, err => {
+        if (err) {
+          logger.error({ err, vehicleId: vehicle.vehicleId }, 'buffered publish failed');
+          return;
+        }
+        totalPublished += 1;
+      });
+    }
+
+    client.publish(config.topic, encodeTelemetry(payload, format), publishOptions, err => {
       if (err) {
         logger.error({ err, vehicleId: vehicle.vehicleId }, 'publish failed');
         scheduleNextPublish(vehicle);
@@ -134,9 +170,10 @@ function createSimulatorRuntime({ config, vehicles, region, logger, rng }) {
     }
     shuttingDown = true;
     logger.info({ reason }, 'shutting down');
+    scenarioRunner?.stop();
 
-    for (const timer of timers.values()) {
-      clearTimeout(timer);
+    for (const cancel of timers.values()) {
+      cancel();
     }
     timers.clear();
 
@@ -155,8 +192,9 @@ function createSimulatorRuntime({ config, vehicles, region, logger, rng }) {
   }
 
   function disposeTimers() {
-    for (const timer of timers.values()) {
-      clearTimeout(timer);
+    scenarioRunner?.stop();
+    for (const cancel of timers.values()) {
+      cancel();
     }
     timers.clear();
   }
@@ -172,6 +210,42 @@ function createSimulatorRuntime({ config, vehicles, region, logger, rng }) {
   };
 }
 
+// Moves a vehicle on to `now` (simulated milliseconds) and returns the
+// telemetry payload it reports.
+function sampleTelemetry({ vehicle, now, rateMs, region, rand, scenarioRunner = null }) {
+  const elapsedMs = vehicle.lastUpdateMs ? now - vehicle.lastUpdateMs : rateMs;
+  if (scenarioRunner) {
+    scenarioRunner.advance(vehicle, elapsedMs, now);
+  } else {
+    advanceVehicle(vehicle, elapsedMs, region, rand);
+  }
+  vehicle.lastUpdateMs = now;
+
+  const position = scenarioRunner ? scenarioRunner.reportedPosition(vehicle, now) : vehicle;
+  const payload = {
+    vehicleId: vehicle.vehicleId,
+    lat: Number(position.lat.toFixed(6)),
+    lng: Number(position.lng.toFixed(6)),
+    ts: new Date(now).toISOString(),
+    engineStatus: vehicle.engineStatus,
+    heading: Number(position.heading.toFixed(1)),
+    altitude: Number(vehicle.altitudeM.toFixed(1)),
+    odometerKm: Number(vehicle.odometerKm.toFixed(3)),
+    doorState: vehicle.doorState
+  };
+  if (Number.isFinite(vehicle.fuelLevel)) {
+    payload.fuelLevel = Number(vehicle.fuelLevel.toFixed(2));
+  }
+  if (Number.isFinite(vehicle.batteryLevel)) {
+    payload.batteryLevel = Number(vehicle.batteryLevel.toFixed(2));
+    payload.chargingStatus = vehicle.chargingStatus;
+  }
+  if (Number.isFinite(vehicle.cargoTemperatureC)) {
+    payload.cargoTemperature = Number(vehicle.cargoTemperatureC.toFixed(1));
+  }
+  return payload;
+}
+
 function buildClientOptions(config) {
   const options = {
     protocol: config.tls ? 'mqtts' : 'mqtt',
@@ -180,7 +254,8 @@ function buildClientOptions(config) {
     reconnectPeriod: 5000,
     connectTimeout: 30_000,
     keepalive: 30,
-    queueQoSZero: true
+    queueQoSZero: true,
+    protocolVersion: config.protocolVersion || 4
   };
 
   if (config.username) {
@@ -199,5 +274,7 @@ function buildClientOptions(config) {
 }
 
 module.exports = {
-  createSimulatorRuntime
+  buildClientOptions,
+  createSimulatorRuntime,
+  sampleTelemetry
 };
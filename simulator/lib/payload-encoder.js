@@ -0,0 +1,169 @@
+const path = require('node:path');
+const protobuf = require('protobufjs');
+
+const PAYLOAD_FORMATS = ['json', 'protobuf', 'cbor'];
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  protobuf: 'application/x-protobuf',
+  cbor: 'application/cbor'
+};
+
+const ENGINE_STATUS_VALUES = {
+  running: 'ENGINE_STATUS_RUNNING',
+  idle: 'ENGINE_STATUS_IDLE',
+  off: 'ENGINE_STATUS_OFF'
+};
+
+const DOOR_STATE_VALUES = {
+  open: 'DOOR_STATE_OPEN',
+  closed: 'DOOR_STATE_CLOSED',
+  locked: 'DOOR_STATE_LOCKED'
+};
+
+const CHARGING_STATUS_VALUES = {
+  charging: 'CHARGING_STATUS_CHARGING',
+  discharging: 'CHARGING_STATUS_DISCHARGING',
+  regenerating: 'CHARGING_STATUS_REGENERATING',
+  idle: 'CHARGING_STATUS_IDLE'
+};
+
+const PROTO_PATH = path.join(__dirname, '..', '..', 'protos', 'telemetry-payload.proto');
+
+let telemetryPayloadType = null;
+
+function getTelemetryPayloadType() {
+  if (!telemetryPayloadType) {
+    telemetryPayloadType = protobuf.loadSync(PROTO_PATH).lookupType('telemetry.ingest.v1.TelemetryPayload');
+  }
+  return telemetryPayloadType;
+}
+
+function encodeTelemetry(payload, format = 'json') {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(payload);
+    case 'protobuf': {
+      const type = getTelemetryPayloadType();
+      const message = type.fromObject({
+        vehicleId: payload.vehicleId,
+        lat: payload.lat,
+        lng: payload.lng,
+        tsMs: Date.parse(payload.ts),
+        fuelLevel: payload.fuelLevel,
+        engineStatus: ENGINE_STATUS_VALUES[payload.engineStatus] || 'ENGINE_STATUS_UNSPECIFIED',
+        heading: payload.heading,
+        altitude: payload.altitude,
+        odometerKm: payload.odometerKm,
+        batteryLevel: payload.batteryLevel,
+        cargoTemperature: payload.cargoTemperature,
+        doorState: DOOR_STATE_VALUES[payload.doorState] || 'DOOR_STATE_UNSPECIFIED',
+        sensors: encodeSensorReadings(payload.sensors),
+        chargingStatus: CHARGING_STATUS_VALUES[payload.chargingStatus] || 'CHARGING_STATUS_UNSPECIFIED',
+        schemaVersion: payload.schemaVersion
+      });
+      return Buffer.from(type.encode(message).finish());
+    }
+    case 'cbor':
+      return encodeCbor(payload);
+    default:
+      throw new Error(`unsupported payload format "${format}"`);
+  }
+}
+
+function encodeSensorReadings(sensors) {
+  const readings = {};
+  for (const [name, value] of Object.entries(sensors ?? {})) {
+    if (typeof value === 'number') {
+      readings[name] = { number: value };
+    } else if (typeof value === 'boolean') {
+      readings[name] = { flag: value };
+    } else if (typeof value === 'string') {
+      readings[name] = { text: value };
+    }
+  }
+  return readings;
+}
+
+// Minimal CBOR (RFC 8949) encoder covering what telemetry payloads use:
+// maps with string keys, arrays, strings, numbers, booleans, and null.
+function encodeCbor(value) {
+  const chunks = [];
+  writeCborValue(chunks, value);
+  return Buffer.concat(chunks);
+}
+
+function writeCborValue(chunks, value) {
+  if (value === null || value === undefined) {
+    chunks.push(Buffer.from([0xf6]));
+  } else if (typeof value === 'boolean') {
+    chunks.push(Buffer.from([value ? 0xf5 : 0xf4]));
+  } else if (typeof value === 'number') {
+    writeCborNumber(chunks, value);
+  } else if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    writeCborHead(chunks, 3, bytes.length);
+    chunks.push(bytes);
+  } else if (Array.isArray(value)) {
+    writeCborHead(chunks, 4, value.length);
+    for (const item of value) {
+      writeCborValue(chunks, item);
+    }
+  } else if (typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, entry]) => entry !== undefined);
+    writeCborHead(chunks, 5, entries.length);
+    for (const [key, entry] of entries) {
+      writeCborValue(chunks, key);
+      writeCborValue(chunks, entry);
+    }
+  } else {
+    throw new TypeError(`cannot encode ${typeof value} as CBOR`);
+  }
+}
+
+function writeCborNumber(chunks, value) {
+  if (Number.isSafeInteger(value)) {
+    if (value >= 0) {
+      writeCborHead(chunks, 0, value);
+    } else {
+      writeCborHead(chunks, 1, -1 - value);
+    }
+    return;
+  }
+  const buffer = Buffer.alloc(9);
+  buffer[0] = 0xfb;
+  buffer.writeDoubleBE(value, 1);
+  chunks.push(buffer);
+}
+
+function writeCborHead(chunks, major, length) {
+  const type = major << 5;
+  if (length < 24) {
+    chunks.push(Buffer.from([type | length]));
+  } else if (length < 0x100) {
+    chunks.push(Buffer.from([type | 24, length]));
+  } else if (length < 0x10000) {
+    const buffer = Buffer.alloc(3);
+    buffer[0] = type | 25;
+    buffer.writeUInt16BE(length, 1);
+    chunks.push(buffer);
+  } else if (length < 0x100000000) {
+    const buffer = Buffer.alloc(5);
+    buffer[0] = type | 26;
+    buffer.writeUInt32BE(length, 1);
+    chunks.push(buffer);
+  } else {
+    const buffer = Buffer.alloc(9);
+    buffer[0] = type | 27;
+    buffer.writeBigUInt64BE(BigInt(length), 1);
+    chunks.push(buffer);
+  }
+}
+
+module.exports = {
+  CONTENT_TYPES,
+  PAYLOAD_FORMATS,
+  encodeCbor,
+  encodeTelemetry,
+  getTelemetryPayloadType
+};
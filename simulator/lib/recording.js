@@ -0,0 +1,320 @@
+const fs = require('node:fs');
+const mqtt = require('mqtt');
+const { buildClientOptions } = require('./mqtt-publisher');
+const { getTelemetryPayloadType } = require('./payload-encoder');
+
+// Capture files are NDJSON, one received message per line:
+// {"receivedAt":"<iso>","topic":"...","payloadEncoding":"utf8"|"base64","payload":"...","contentType":"..."}
+// Readable JSON payloads are kept as text, anything else as base64, and
+// `contentType` is only present when the publisher sent one (MQTT 5).
+
+function formatRecord({ topic, payload, contentType, receivedAt }) {
+  const text = payload.toString('utf8');
+  const readable = Buffer.from(text, 'utf8').equals(payload) && isJson(text);
+  const record = {
+    receivedAt: new Date(receivedAt).toISOString(),
+    topic,
+    payloadEncoding: readable ? 'utf8' : 'base64',
+    payload: readable ? text : payload.toString('base64')
+  };
+  if (contentType) {
+    record.contentType = contentType;
+  }
+  return JSON.stringify(record);
+}
+
+// Reads a capture file into `{ topic, receivedAtMs, payload, contentType }`
+// records in file order.
+function readRecording(filePath) {
+  const records = [];
+  const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+  for (const [index, line] of lines.entries()) {
+    if (line.trim() === '') {
+      continue;
+    }
+    try {
+      records.push(parseRecord(JSON.parse(line)));
+    } catch (err) {
+      throw new Error(`line ${index + 1}: ${err.message}`);
+    }
+  }
+  if (records.length === 0) {
+    throw new Error('the recording contains no messages');
+  }
+  return records;
+}
+
+function parseRecord(raw) {
+  if (typeof raw?.topic !== 'string' || raw.topic === '') {
+    throw new Error('topic must be a non-empty string');
+  }
+  const receivedAtMs = Date.parse(raw.receivedAt);
+  if (Number.isNaN(receivedAtMs)) {
+    throw new Error('receivedAt must be an ISO timestamp');
+  }
+  if (typeof raw.payload !== 'string' || !['utf8', 'base64'].includes(raw.payloadEncoding)) {
+    throw new Error('payload must be a string encoded as utf8 or base64');
+  }
+  return {
+    topic: raw.topic,
+    receivedAtMs,
+    payload: Buffer.from(raw.payload, raw.payloadEncoding),
+    contentType: typeof raw.contentType === 'string' ? raw.contentType : null
+  };
+}
+
+// Moves a payload's `ts` to `publishedAtMs`, keeping the delay the original
+// device had between sampling and delivery, so late data stays late. JSON
+// and Protobuf payloads are rewritten; anything else is returned unchanged
+// with `shifted: false`.
+function shiftTimestamp(record, publishedAtMs) {
+  const { payload, contentType } = record;
+  const text = payload.toString('utf8');
+  if (isJson(text)) {
+    const message = JSON.parse(text);
+    const originalMs = typeof message?.ts === 'number' ? message.ts : Date.parse(message?.ts);
+    if (!Number.isFinite(originalMs)) {
+      return { payload, shifted: false };
+    }
+    const shiftedMs = publishedAtMs - (record.receivedAtMs - originalMs);
+    message.ts = typeof message.ts === 'number' ? shiftedMs : new Date(shiftedMs).toISOString();
+    return { payload: Buffer.from(JSON.stringify(message)), shifted: true };
+  }
+
+  if (contentType === 'application/cbor' || isCborMap(payload)) {
+    return { payload, shifted: false };
+  }
+  try {
+    const type = getTelemetryPayloadType();
+    const message = type.decode(payload);
+    const originalMs = Number(message.tsMs);
+    if (!message.vehicleId || !(originalMs > 0)) {
+      return { payload, shifted: false };
+    }
+    message.tsMs = publishedAtMs - (record.receivedAtMs - originalMs);
+    return { payload: Buffer.from(type.encode(message).finish()), shifted: true };
+  } catch (err) {
+    return { payload, shifted: false };
+  }
+}
+
+// Subscribes to `config.topic` (wildcards allowed) and appends every message
+// to the capture file until stopped or `maxMessages` have been recorded.
+function createCaptureRuntime({ config, logger }) {
+  const clientOptions = buildClientOptions(config);
+  const output = fs.createWriteStream(config.capture, { flags: 'a' });
+  let captured = 0;
+  let shuttingDown = false;
+  let forceExitTimer = null;
+
+  const client = mqtt.connect(clientOptions);
+  client.on('connect', () => {
+    logger.info({ host: config.host, port: config.port, topic: config.topic, file: config.capture }, 'capturing telemetry');
+    client.subscribe(config.topic, { qos: config.qos }, err => {
+      if (err) {
+        logger.error({ err, topic: config.topic }, 'subscribe failed');
+        initiateShutdown('subscribe_failed');
+      }
+    });
+  });
+  client.on('reconnect', () => logger.warn('reconnecting to MQTT broker'));
+  client.on('error', err => {
+    logger.error({ err }, 'MQTT error');
+  });
+  client.on('message', (topic, payload, packet) => {
+    if (shuttingDown) {
+      return;
+    }
+    output.write(`${formatRecord({
+      topic,
+      payload,
+      contentType: packet?.properties?.contentType,
+      receivedAt: Date.now()
+    })}\n`);
+    captured += 1;
+    if (captured === 1) {
+      logger.info({ topic }, 'first message captured');
+    }
+    if (config.maxMessages > 0 && captured >= config.maxMessages) {
+      logger.info({ maxMessages: config.maxMessages }, 'max messages reached, initiating shutdown');
+      initiateShutdown('max_messages');
+    }
+  });
+
+  function initiateShutdown(reason) {
+    if (shuttingDown) {
+      return;
+    }
+    shuttingDown = true;
+    logger.info({ reason, captured }, 'shutting down');
+
+    output.end(() => {
+      client.end(false, () => {
+        logger.info('disconnected from broker');
+        process.exit(0);
+      });
+    });
+
+    forceExitTimer = setTimeout(() => {
+      logger.warn('force exiting after timeout');
+      process.exit(1);
+    }, 5000);
+    forceExitTimer.unref();
+  }
+
+  return {
+    start: () => client,
+    initiateShutdown,
+    getTotalCaptured: () => captured,
+    client
+  };
+}
+
+// Republishes a recording on its original topics with its original gaps,
+// divided by `replaySpeed`. With `loop` it starts over after the last
+// message; with `shiftTs` payload timestamps are moved to the time of
+// publishing.
+function createReplayRuntime({ config, records, logger }) {
+  const clientOptions = buildClientOptions(config);
+  const speed = config.replaySpeed;
+  const firstReceivedMs = records[0].receivedAtMs;
+  let index = 0;
+  let loop = 0;
+  let loopStartedMs = 0;
+  let timer = null;
+  let totalPublished = 0;
+  let unshiftedWarned = false;
+  let replayStarted = false;
+  let shuttingDown = false;
+  let forceExitTimer = null;
+
+  const client = mqtt.connect(clientOptions);
+  client.on('connect', () => {
+    logger.info({
+      host: config.host,
+      port: config.port,
+      file: config.replay,
+      messages: records.length,
+      spanMs: records[records.length - 1].receivedAtMs - firstReceivedMs,
+      speed,
+      loop: config.loop,
+      shiftTs: config.shiftTs
+    }, 'connected');
+    if (!replayStarted) {
+      replayStarted = true;
+      loopStartedMs = Date.now();
+      scheduleNext();
+    }
+  });
+  client.on('reconnect', () => logger.warn('reconnecting to MQTT broker'));
+  client.on('error', err => {
+    logger.error({ err }, 'MQTT error');
+  });
+
+  function scheduleNext() {
+    if (shuttingDown) {
+      return;
+    }
+    if (index >= records.length) {
+      if (!config.loop) {
+        logger.info({ published: totalPublished }, 'replay complete');
+        initiateShutdown('replay_complete');
+        return;
+      }
+      index = 0;
+      loop += 1;
+      loopStartedMs = Date.now();
+      logger.info({ loop }, 'replay restarting');
+    }
+    const dueMs = loopStartedMs + (records[index].receivedAtMs - firstReceivedMs) / speed;
+    timer = setTimeout(publishNext, Math.max(0, dueMs - Date.now()));
+  }
+
+  function publishNext() {
+    timer = null;
+    const record = records[index];
+    index += 1;
+
+    let { payload } = record;
+    if (config.shiftTs) {
+      const result = shiftTimestamp(record, Date.now());
+      payload = result.payload;
+      if (!result.shifted && !unshiftedWarned) {
+        unshiftedWarned = true;
+        logger.warn({ topic: record.topic }, 'replaying payloads without a JSON or Protobuf ts unchanged');
+      }
+    }
+
+    const options = { qos: config.qos };
+    if (clientOptions.protocolVersion === 5 && record.contentType) {
+      options.properties = { contentType: record.contentType };
+    }
+    client.publish(record.topic, payload, options, err => {
+      if (err) {
+        logger.error({ err, topic: record.topic }, 'publish failed');
+      }
+    });
+    totalPublished += 1;
+
+    if (config.maxMessages > 0 && totalPublished >= config.maxMessages) {
+      logger.info({ maxMessages: config.maxMessages }, 'max messages reached, initiating shutdown');
+      initiateShutdown('max_messages');
+      return;
+    }
+    scheduleNext();
+  }
+
+  function initiateShutdown(reason) {
+    if (shuttingDown) {
+      return;
+    }
+    shuttingDown = true;
+    logger.info({ reason, published: totalPublished }, 'shutting down');
+    clearTimeout(timer);
+
+    client.end(false, () => {
+      logger.info('disconnected from broker');
+      process.exit(0);
+    });
+
+    forceExitTimer = setTimeout(() => {
+      logger.warn('force exiting after timeout');
+      process.exit(1);
+    }, 5000);
+    forceExitTimer.unref();
+  }
+
+  return {
+    start: () => client,
+    initiateShutdown,
+    getTotalPublished: () => totalPublished,
+    client
+  };
+}
+
+function isJson(text) {
+  const trimmed = text.trimStart();
+  if (!trimmed.startsWith('{')) {
+    return false;
+  }
+  try {
+    JSON.parse(trimmed);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// CBOR maps start with major type 5; Protobuf telemetry starts with the
+// vehicle_id field tag (0x0a).
+function isCborMap(payload) {
+  return payload.length > 0 && payload[0] >= 0xa0 && payload[0] <= 0xbf;
+}
+
+module.exports = {
+  createCaptureRuntime,
+  createReplayRuntime,
+  formatRecord,
+  readRecording,
+  shiftTimestamp
+};
@@ -0,0 +1,443 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { haversine, bearingBetween } = require('./movement-engine');
+const { createMinHeap } = require('./min-heap');
+
+// Speed limits (km/h) for roads without a usable `maxspeed`, by OSM highway
+// class.
+const DEFAULT_SPEED_KMH = 50;
+const HIGHWAY_SPEEDS_KMH = {
+  motorway: 110,
+  motorway_link: 60,
+  trunk: 90,
+  trunk_link: 50,
+  primary: 70,
+  primary_link: 50,
+  secondary: 60,
+  secondary_link: 40,
+  tertiary: 50,
+  tertiary_link: 40,
+  unclassified: 40,
+  residential: 30,
+  living_street: 10,
+  service: 20
+};
+
+// Highway classes vehicles cannot drive on.
+const NON_DRIVABLE_HIGHWAYS = new Set([
+  'footway', 'path', 'cycleway', 'steps', 'pedestrian', 'bridleway', 'corridor', 'platform',
+  'proposed', 'construction', 'elevator'
+]);
+
+const MAX_ROUTE_ATTEMPTS = 8;
+
+// Loads a road graph from GeoJSON (LineString and MultiLineString features)
+// or an OSM XML extract (`.osm`). Ways that share a coordinate or OSM node
+// are joined there.
+function loadRoadNetwork(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+  const roads = extension === '.osm' || extension === '.xml' ? parseOsmRoads(text) : parseGeoJsonRoads(JSON.parse(text));
+  if (roads.length === 0) {
+    throw new Error(`road network "${filePath}" contains no drivable roads`);
+  }
+  return createRoadNetwork(roads);
+}
+
+// Roads are `{ points: [{ lat, lng, key? }], speedKmh, oneway }`; `key`
+// identifies a shared node and defaults to the rounded coordinate.
+function createRoadNetwork(roads) {
+  const nodes = new Map();
+  let edgeCount = 0;
+
+  const nodeFor = point => {
+    const key = point.key ?? `${point.lat.toFixed(7)},${point.lng.toFixed(7)}`;
+    let node = nodes.get(key);
+    if (!node) {
+      node = { key, lat: point.lat, lng: point.lng, edges: [], neighbours: new Set() };
+      nodes.set(key, node);
+    }
+    return node;
+  };
+  const connect = (from, to, speedKmh) => {
+    from.edges.push({ from, to, speedKmh, lengthKm: haversine(from.lat, from.lng, to.lat, to.lng) });
+    from.neighbours.add(to);
+    to.neighbours.add(from);
+    edgeCount += 1;
+  };
+
+  for (const road of roads) {
+    const speedKmh = road.speedKmh > 0 ? road.speedKmh : DEFAULT_SPEED_KMH;
+    for (let i = 1; i < road.points.length; i += 1) {
+      const from = nodeFor(road.points[i - 1]);
+      const to = nodeFor(road.points[i]);
+      if (from === to) {
+        continue;
+      }
+      connect(from, to, speedKmh);
+      if (!road.oneway) {
+        connect(to, from, speedKmh);
+      }
+    }
+  }
+
+  // Random destinations come from the largest connected part of the graph,
+  // so disconnected fragments of an extract do not strand vehicles.
+  const reachable = largestComponent(nodes);
+
+  function nearestNode(lat, lng) {
+    let best = null;
+    let bestKm = Infinity;
+    for (const node of reachable) {
+      const distanceKm = haversine(lat, lng, node.lat, node.lng);
+      if (distanceKm < bestKm) {
+        best = node;
+        bestKm = distanceKm;
+      }
+    }
+    return best;
+  }
+
+  function randomNode(rand) {
+    return reachable[Math.floor(rand() * reachable.length)];
+  }
+
+  return {
+    nodeCount: nodes.size,
+    edgeCount,
+    nearestNode,
+    randomNode,
+    findRoute
+  };
+}
+
+// Fastest path (by travel time at the speed limits) as a list of edges;
+// null when `to` cannot be reached. An empty list means `from` is `to`.
+function findRoute(from, to) {
+  const best = new Map([[from, { hours: 0, via: null }]]);
+  const queue = createMinHeap();
+  queue.push(0, from);
+  while (queue.size() > 0) {
+    const { priority, value: node } = queue.pop();
+    if (priority > best.get(node).hours) {
+      continue;
+    }
+    if (node === to) {
+      break;
+    }
+    for (const edge of node.edges) {
+      const hours = priority + edge.lengthKm / edge.speedKmh;
+      const known = best.get(edge.to);
+      if (!known || hours < known.hours) {
+        best.set(edge.to, { hours, via: edge });
+        queue.push(hours, edge.to);
+      }
+    }
+  }
+  if (!best.has(to)) {
+    return null;
+  }
+  const edges = [];
+  for (let edge = best.get(to).via; edge; edge = best.get(edge.from).via) {
+    edges.push(edge);
+  }
+  return edges.reverse();
+}
+
+// Plans and follows routes for vehicles: towards the configured waypoints in
+// turn, or to random nodes of the network when there are none. A routed
+// vehicle carries its progress in `vehicle.routing`.
+function createRoutePlanner({ network, waypoints = [], rand = Math.random }) {
+  const stops = waypoints.map(point => network.nearestNode(point.lat, point.lng));
+
+  function createRouting() {
+    const startIndex = Math.floor(rand() * stops.length);
+    return {
+      planner,
+      node: stops.length > 0 ? stops[startIndex] : network.randomNode(rand),
+      nextStop: startIndex + 1,
+      edges: [],
+      index: 0,
+      offsetKm: 0,
+      stopAtEnd: false
+    };
+  }
+
+  // Plans the next leg from the routing's current node. Returns false when
+  // no destination can be reached, or while the vehicle is to stop at the
+  // end of its current route.
+  function planNextLeg(routing) {
+    if (routing.stopAtEnd) {
+      return false;
+    }
+    for (let attempt = 0; attempt < MAX_ROUTE_ATTEMPTS; attempt += 1) {
+      let destination;
+      if (stops.length > 0) {
+        destination = stops[routing.nextStop % stops.length];
+        routing.nextStop += 1;
+      } else {
+        destination = network.randomNode(rand);
+      }
+      const edges = network.findRoute(routing.node, destination);
+      if (edges && edges.length > 0) {
+        routing.edges = edges;
+        routing.index = 0;
+        routing.offsetKm = 0;
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // The speed limit of the edge the vehicle is on, or of the first edge of
+  // its next leg; null when it has nowhere to go.
+  function speedLimit(vehicle) {
+    const { routing } = vehicle;
+    if (routing.index >= routing.edges.length && !planNextLeg(routing)) {
+      return null;
+    }
+    return routing.edges[routing.index].speedKmh;
+  }
+
+  function advance(vehicle, distanceKm) {
+    followRoute(vehicle, distanceKm, planNextLeg);
+  }
+
+  // Sends the vehicle to the node nearest to a point once it finishes its
+  // current edge, and holds it there until `release`. Returns false when
+  // the point cannot be reached.
+  function routeTo(vehicle, lat, lng) {
+    const { routing } = vehicle;
+    const current = routing.edges[routing.index];
+    const edges = network.findRoute(current ? current.to : routing.node, network.nearestNode(lat, lng));
+    if (!edges) {
+      return false;
+    }
+    routing.edges = current ? [current, ...edges] : edges;
+    routing.index = 0;
+    routing.stopAtEnd = true;
+    return true;
+  }
+
+  function hasArrived(vehicle) {
+    const { routing } = vehicle;
+    return routing.index >= routing.edges.length;
+  }
+
+  function release(vehicle) {
+    vehicle.routing.stopAtEnd = false;
+  }
+
+  const planner = {
+    createRouting,
+    planNextLeg,
+    speedLimit,
+    advance,
+    routeTo,
+    hasArrived,
+    release
+  };
+  return planner;
+}
+
+// Moves a routed vehicle `distanceKm` along its edges, planning new legs as
+// it arrives, and points its heading along the current edge.
+function followRoute(vehicle, distanceKm, planNextLeg) {
+  const { routing } = vehicle;
+  let remainingKm = distanceKm;
+  while (remainingKm > 0) {
+    if (routing.index >= routing.edges.length && !planNextLeg(routing)) {
+      break;
+    }
+    const edge = routing.edges[routing.index];
+    const leftKm = edge.lengthKm - routing.offsetKm;
+    if (remainingKm < leftKm) {
+      routing.offsetKm += remainingKm;
+      remainingKm = 0;
+    } else {
+      remainingKm -= leftKm;
+      routing.node = edge.to;
+      routing.index += 1;
+      routing.offsetKm = 0;
+    }
+  }
+
+  const edge = routing.edges[routing.index];
+  if (!edge) {
+    vehicle.lat = routing.node.lat;
+    vehicle.lng = routing.node.lng;
+    return;
+  }
+  const fraction = edge.lengthKm > 0 ? routing.offsetKm / edge.lengthKm : 0;
+  vehicle.lat = edge.from.lat + (edge.to.lat - edge.from.lat) * fraction;
+  vehicle.lng = edge.from.lng + (edge.to.lng - edge.from.lng) * fraction;
+  vehicle.heading = bearingBetween(edge.from.lat, edge.from.lng, edge.to.lat, edge.to.lng);
+}
+
+function parseGeoJsonRoads(geojson) {
+  const roads = [];
+  const features = geojson?.type === 'FeatureCollection'
+    ? geojson.features
+    : [geojson?.type === 'Feature' ? geojson : { type: 'Feature', properties: {}, geometry: geojson }];
+
+  for (const feature of features ?? []) {
+    const properties = feature?.properties ?? {};
+    const highway = typeof properties.highway === 'string' ? properties.highway : null;
+    if (highway && NON_DRIVABLE_HIGHWAYS.has(highway)) {
+      continue;
+    }
+    const geometry = feature?.geometry;
+    let lines = [];
+    if (geometry?.type === 'LineString') {
+      lines = [geometry.coordinates];
+    } else if (geometry?.type === 'MultiLineString') {
+      lines = geometry.coordinates;
+    }
+    const direction = parseOneway(properties.oneway, properties.junction);
+    for (const line of lines) {
+      const points = (line ?? [])
+        .filter(position => Array.isArray(position) && Number.isFinite(position[0]) && Number.isFinite(position[1]))
+        .map(([lng, lat]) => ({ lat, lng }));
+      if (points.length < 2) {
+        continue;
+      }
+      roads.push({
+        points: direction < 0 ? points.reverse() : points,
+        speedKmh: resolveSpeedKmh(properties.maxspeed ?? properties.speedKmh, highway),
+        oneway: direction !== 0
+      });
+    }
+  }
+  return roads;
+}
+
+// A small OSM XML reader: nodes with coordinates, and `highway` ways as
+// lists of node references with their tags.
+function parseOsmRoads(xml) {
+  const coordinates = new Map();
+  for (const match of xml.matchAll(/<node\b([^>]*)>/g)) {
+    const attributes = parseXmlAttributes(match[1]);
+    const lat = Number(attributes.lat);
+    const lng = Number(attributes.lon);
+    if (attributes.id && Number.isFinite(lat) && Number.isFinite(lng)) {
+      coordinates.set(attributes.id, { lat, lng, key: `osm:${attributes.id}` });
+    }
+  }
+
+  const roads = [];
+  for (const match of xml.matchAll(/<way\b[^>]*>([\s\S]*?)<\/way>/g)) {
+    const body = match[1];
+    const tags = {};
+    for (const tag of body.matchAll(/<tag\b([^>]*)>/g)) {
+      const attributes = parseXmlAttributes(tag[1]);
+      if (attributes.k) {
+        tags[attributes.k] = attributes.v;
+      }
+    }
+    if (!tags.highway || NON_DRIVABLE_HIGHWAYS.has(tags.highway)) {
+      continue;
+    }
+    const points = [];
+    for (const nd of body.matchAll(/<nd\b([^>]*)>/g)) {
+      const point = coordinates.get(parseXmlAttributes(nd[1]).ref);
+      if (point) {
+        points.push(point);
+      }
+    }
+    if (points.length < 2) {
+      continue;
+    }
+    const direction = parseOneway(tags.oneway, tags.junction);
+    roads.push({
+      points: direction < 0 ? points.reverse() : points,
+      speedKmh: resolveSpeedKmh(tags.maxspeed, tags.highway),
+      oneway: direction !== 0
+    });
+  }
+  return roads;
+}
+
+function parseXmlAttributes(source) {
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted] of source.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[name] = decodeXmlEntities(doubleQuoted ?? singleQuoted);
+  }
+  return attributes;
+}
+
+function decodeXmlEntities(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// 1 for a one-way road in drawing order, -1 for one against it, 0 for both
+// directions. Roundabouts are one-way unless tagged otherwise.
+function parseOneway(value, junction) {
+  const normalized = String(value ?? '').trim().toLowerCase();
+  if (['yes', 'true', '1'].includes(normalized) || value === true || value === 1) {
+    return 1;
+  }
+  if (normalized === '-1' || value === -1) {
+    return -1;
+  }
+  if (normalized === '' && junction === 'roundabout') {
+    return 1;
+  }
+  return 0;
+}
+
+// Accepts numbers and OSM `maxspeed` values such as "50" or "30 mph".
+function resolveSpeedKmh(maxspeed, highway) {
+  if (typeof maxspeed === 'number') {
+    return maxspeed > 0 ? maxspeed : HIGHWAY_SPEEDS_KMH[highway] ?? DEFAULT_SPEED_KMH;
+  }
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(mph)?/i.exec(String(maxspeed ?? ''));
+  if (match) {
+    const value = Number(match[1]);
+    if (value > 0) {
+      return match[2] ? value * 1.609344 : value;
+    }
+  }
+  return HIGHWAY_SPEEDS_KMH[highway] ?? DEFAULT_SPEED_KMH;
+}
+
+function largestComponent(nodes) {
+  const seen = new Set();
+  let largest = [];
+  for (const start of nodes.values()) {
+    if (seen.has(start)) {
+      continue;
+    }
+    const component = [];
+    const stack = [start];
+    seen.add(start);
+    while (stack.length > 0) {
+      const node = stack.pop();
+      component.push(node);
+      for (const neighbour of node.neighbours) {
+        if (!seen.has(neighbour)) {
+          seen.add(neighbour);
+          stack.push(neighbour);
+        }
+      }
+    }
+    if (component.length > largest.length) {
+      largest = component;
+    }
+  }
+  return largest;
+}
+
+module.exports = {
+  loadRoadNetwork,
+  createRoadNetwork,
+  createRoutePlanner,
+  findRoute,
+  parseGeoJsonRoads,
+  parseOsmRoads,
+  resolveSpeedKmh
+};
@@ -0,0 +1,433 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const YAML = require('yaml');
+const { advanceVehicle, bearingBetween, haversine } = require('./movement-engine');
+const { createVehicleFactory } = require('./vehicle-factory');
+const { resolveRegion } = require('../presets/regions');
+const { createSimulatedClock } = require('./clock');
+
+const EVENT_TYPES = ['depotStop', 'breakdown', 'fuelOut', 'gpsDropout', 'connectivityLoss'];
+// Fuel-outs are instant: the vehicle then refuels or recharges as usual.
+const TIMED_EVENT_TYPES = new Set(['depotStop', 'breakdown', 'gpsDropout', 'connectivityLoss']);
+const DEFAULT_BUFFER_SIZE = 1000;
+// Free-driving vehicles count as arrived within this distance of a depot.
+const DEPOT_ARRIVAL_KM = 0.1;
+
+const DURATION_UNITS_MS = { ms: 1, s: 1000, m: 60_000, h: 3_600_000 };
+
+// Reads a scenario from JSON, or YAML for `.yaml`/`.yml` files.
+function loadScenario(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+  const raw = extension === '.yaml' || extension === '.yml' ? YAML.parse(text) : JSON.parse(text);
+  return parseScenario(raw);
+}
+
+// Validates a scenario and normalises its durations to milliseconds. Group
+// settings left out fall back to the scenario's, then to the CLI config.
+function parseScenario(raw) {
+  if (!isPlainObject(raw)) {
+    throw new Error('scenario must be an object');
+  }
+
+  const depots = new Map();
+  for (const [index, depot] of asList(raw.depots, 'depots').entries()) {
+    const field = `depots[${index}]`;
+    const name = requireString(depot?.name, `${field}.name`);
+    if (depots.has(name)) {
+      throw new Error(`${field}.name "${name}" is used more than once`);
+    }
+    depots.set(name, { name, ...parseCoordinates(depot, field) });
+  }
+
+  const groups = asList(raw.groups, 'groups').map((group, index) => parseGroup(group, `groups[${index}]`));
+  if (groups.length === 0) {
+    throw new Error('groups must list at least one vehicle group');
+  }
+  const groupNames = new Set();
+  for (const [index, group] of groups.entries()) {
+    if (groupNames.has(group.name)) {
+      throw new Error(`groups[${index}].name "${group.name}" is used more than once`);
+    }
+    groupNames.add(group.name);
+  }
+
+  const events = asList(raw.events, 'events')
+    .map((event, index) => parseEvent(event, `events[${index}]`, { groupNames, depots }))
+    .sort((a, b) => a.atMs - b.atMs);
+
+  return {
+    name: optionalString(raw.name, 'name') ?? null,
+    region: optionalString(raw.region, 'region'),
+    vehicleType: optionalString(raw.vehicleType, 'vehicleType'),
+    rateMs: optionalDuration(raw.rate, 'rate'),
+    durationMs: optionalDuration(raw.duration, 'duration'),
+    groups,
+    events
+  };
+}
+
+function parseGroup(group, field) {
+  if (!isPlainObject(group)) {
+    throw new Error(`${field} must be an object`);
+  }
+  const count = group.count;
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`${field}.count must be a positive integer`);
+  }
+  return {
+    name: requireString(group.name, `${field}.name`),
+    count,
+    region: optionalString(group.region, `${field}.region`),
+    vehicleType: optionalString(group.vehicleType, `${field}.vehicleType`),
+    rateMs: optionalDuration(group.rate, `${field}.rate`),
+    startAfterMs: optionalDuration(group.startAfter, `${field}.startAfter`) ?? 0,
+    rampUpMs: optionalDuration(group.rampUp, `${field}.rampUp`) ?? 0
+  };
+}
+
+function parseEvent(event, field, { groupNames, depots }) {
+  if (!isPlainObject(event)) {
+    throw new Error(`${field} must be an object`);
+  }
+  if (!EVENT_TYPES.includes(event.type)) {
+    throw new Error(`${field}.type must be one of ${EVENT_TYPES.join(', ')}`);
+  }
+  const result = {
+    type: event.type,
+    atMs: parseDuration(event.at, `${field}.at`),
+    durationMs: null,
+    group: optionalString(event.group, `${field}.group`) ?? null,
+    vehicles: null
+  };
+  if (result.group !== null && !groupNames.has(result.group)) {
+    throw new Error(`${field}.group "${result.group}" is not a scenario group`);
+  }
+  if (event.vehicles !== undefined) {
+    if (!Number.isInteger(event.vehicles) || event.vehicles < 1) {
+      throw new Error(`${field}.vehicles must be a positive integer`);
+    }
+    result.vehicles = event.vehicles;
+  }
+  if (TIMED_EVENT_TYPES.has(event.type)) {
+    result.durationMs = parseDuration(event.duration, `${field}.duration`);
+  }
+  if (event.type === 'depotStop') {
+    if (typeof event.depot === 'string') {
+      result.depot = depots.get(event.depot);
+      if (!result.depot) {
+        throw new Error(`${field}.depot "${event.depot}" is not a scenario depot`);
+      }
+    } else {
+      result.depot = { name: null, ...parseCoordinates(event.depot, `${field}.depot`) };
+    }
+  }
+  if (event.type === 'connectivityLoss') {
+    const bufferSize = event.bufferSize ?? DEFAULT_BUFFER_SIZE;
+    if (!Number.isInteger(bufferSize) || bufferSize < 0) {
+      throw new Error(`${field}.bufferSize must be a non-negative integer`);
+    }
+    result.bufferSize = bufferSize;
+  }
+  return result;
+}
+
+// Builds every group's vehicles. A group's vehicles start one after another,
+// spread evenly over its ramp-up window after `startAfter`.
+function createScenarioVehicles({ scenario, config, rng, routePlanner = null, logger }) {
+  const vehicles = [];
+  for (const group of scenario.groups) {
+    const factory = createVehicleFactory({
+      region: resolveRegion(group.region ?? scenario.region ?? config.region, logger),
+      rng,
+      vehicleType: group.vehicleType ?? scenario.vehicleType ?? config.vehicleType,
+      routePlanner,
+      logger
+    });
+    for (let i = 0; i < group.count; i += 1) {
+      const vehicle = factory.createVehicle();
+      vehicle.group = group.name;
+      vehicle.rateMs = group.rateMs ?? scenario.rateMs ?? config.rate;
+      vehicle.startDelayMs = group.startAfterMs + Math.round((group.rampUpMs * i) / group.count);
+      vehicles.push(vehicle);
+    }
+  }
+  return vehicles;
+}
+
+// Plays a scenario's events against the running vehicles. The runtime moves
+// vehicles through `advance` and asks the runner which position to report
+// and whether a vehicle is offline. Event times follow `clock`, so they
+// speed up with the simulated clock.
+function createScenarioRunner({ scenario, vehicles, rand = Math.random, logger, clock = createSimulatedClock() }) {
+  const cancels = new Set();
+  const states = new Map();
+  for (const vehicle of vehicles) {
+    states.set(vehicle.vehicleId, {
+      brokenDownUntil: 0,
+      gpsDropoutUntil: 0,
+      lastFix: null,
+      offlineUntil: 0,
+      bufferSize: DEFAULT_BUFFER_SIZE,
+      buffer: [],
+      dropped: 0,
+      depot: null
+    });
+  }
+
+  function start(onComplete) {
+    for (const event of scenario.events) {
+      schedule(event.atMs, () => trigger(event));
+    }
+    if (scenario.durationMs) {
+      schedule(scenario.durationMs, onComplete);
+    }
+  }
+
+  function schedule(delayMs, callback) {
+    const cancel = clock.schedule(delayMs, () => {
+      cancels.delete(cancel);
+      callback();
+    });
+    cancels.add(cancel);
+  }
+
+  function stop() {
+    for (const cancel of cancels) {
+      cancel();
+    }
+    cancels.clear();
+  }
+
+  // Events apply to the first `vehicles` vehicles of their group, or to all
+  // of them.
+  function targetsOf(event) {
+    const members = event.group ? vehicles.filter(vehicle => vehicle.group === event.group) : vehicles;
+    return event.vehicles ? members.slice(0, event.vehicles) : members;
+  }
+
+  function trigger(event) {
+    const now = clock.now();
+    const until = now + (event.durationMs ?? 0);
+    const targets = targetsOf(event);
+    for (const vehicle of targets) {
+      const state = states.get(vehicle.vehicleId);
+      switch (event.type) {
+        case 'breakdown':
+          state.brokenDownUntil = until;
+          stopVehicle(vehicle);
+          break;
+        case 'fuelOut':
+          runOutOfEnergy(vehicle);
+          break;
+        case 'gpsDropout':
+          if (now >= state.gpsDropoutUntil) {
+            state.lastFix = { lat: vehicle.lat, lng: vehicle.lng, heading: vehicle.heading };
+          }
+          state.gpsDropoutUntil = until;
+          break;
+        case 'connectivityLoss':
+          state.offlineUntil = until;
+          state.bufferSize = event.bufferSize;
+          break;
+        case 'depotStop':
+          sendToDepot(vehicle, state, event);
+          break;
+        default:
+          break;
+      }
+    }
+    logger.info({
+      event: event.type,
+      group: event.group ?? 'all',
+      vehicles: targets.map(vehicle => vehicle.vehicleId),
+      durationMs: event.durationMs ?? undefined,
+      depot: event.depot?.name ?? undefined
+    }, 'scenario event');
+  }
+
+  function sendToDepot(vehicle, state, event) {
+    const { depot } = event;
+    if (vehicle.routing && !vehicle.routing.planner.routeTo(vehicle, depot.lat, depot.lng)) {
+      logger.warn({ vehicleId: vehicle.vehicleId, depot: depot.name }, 'depot cannot be reached on the road network');
+      return;
+    }
+    state.depot = { lat: depot.lat, lng: depot.lng, dwellMs: event.durationMs, arrivedAt: null };
+  }
+
+  function advance(vehicle, elapsedMs, now) {
+    const state = states.get(vehicle.vehicleId);
+    if (state.brokenDownUntil > 0) {
+      if (now < state.brokenDownUntil) {
+        stopVehicle(vehicle);
+        return;
+      }
+      // Repaired: the vehicle idles before setting off again.
+      state.brokenDownUntil = 0;
+      vehicle.engineStatus = 'idle';
+    }
+
+    const { depot } = state;
+    if (depot && depot.arrivedAt !== null) {
+      if (now - depot.arrivedAt < depot.dwellMs) {
+        vehicle.engineStatus = 'idle';
+        vehicle.speedKmh = 0;
+        vehicle.doorState = 'open';
+        return;
+      }
+      state.depot = null;
+      vehicle.engineStatus = 'running';
+      vehicle.doorState = 'closed';
+      vehicle.routing?.planner.release(vehicle);
+    } else if (depot && vehicle.engineStatus === 'idle') {
+      // No idle stops on the way to a depot.
+      vehicle.engineStatus = 'running';
+    }
+
+    advanceVehicle(vehicle, elapsedMs, null, rand);
+
+    if (state.depot) {
+      approachDepot(vehicle, state.depot, elapsedMs, now);
+    }
+  }
+
+  function approachDepot(vehicle, depot, elapsedMs, now) {
+    let arrived;
+    if (vehicle.routing) {
+      arrived = vehicle.routing.planner.hasArrived(vehicle);
+    } else {
+      const stepKm = (vehicle.speedKmh * elapsedMs) / 3_600_000;
+      arrived = haversine(vehicle.lat, vehicle.lng, depot.lat, depot.lng) <= Math.max(DEPOT_ARRIVAL_KM, stepKm);
+      if (arrived) {
+        vehicle.lat = depot.lat;
+        vehicle.lng = depot.lng;
+      } else {
+        vehicle.heading = bearingBetween(vehicle.lat, vehicle.lng, depot.lat, depot.lng);
+      }
+    }
+    if (arrived) {
+      depot.arrivedAt = now;
+      vehicle.engineStatus = 'idle';
+      vehicle.speedKmh = 0;
+      vehicle.doorState = 'open';
+    }
+  }
+
+  // During a GPS dropout the device keeps reporting its last fix.
+  function reportedPosition(vehicle, now) {
+    const state = states.get(vehicle.vehicleId);
+    return now < state.gpsDropoutUntil && state.lastFix ? state.lastFix : vehicle;
+  }
+
+  function isOffline(vehicle, now) {
+    return now < states.get(vehicle.vehicleId).offlineUntil;
+  }
+
+  // Offline devices keep their newest payloads, up to the event's buffer
+  // size.
+  function bufferMessage(vehicle, payload) {
+    const state = states.get(vehicle.vehicleId);
+    state.buffer.push(payload);
+    if (state.buffer.length > state.bufferSize) {
+      state.buffer.shift();
+      state.dropped += 1;
+    }
+  }
+
+  function drainBuffer(vehicle) {
+    const state = states.get(vehicle.vehicleId);
+    const messages = state.buffer;
+    if (messages.length > 0 || state.dropped > 0) {
+      logger.info({ vehicleId: vehicle.vehicleId, messages: messages.length, dropped: state.dropped }, 'replaying buffered telemetry');
+    }
+    state.buffer = [];
+    state.dropped = 0;
+    return messages;
+  }
+
+  return {
+    start,
+    stop,
+    advance,
+    reportedPosition,
+    isOffline,
+    bufferMessage,
+    drainBuffer
+  };
+}
+
+function stopVehicle(vehicle) {
+  vehicle.engineStatus = 'off';
+  vehicle.speedKmh = 0;
+  if (Number.isFinite(vehicle.batteryLevel)) {
+    vehicle.chargingStatus = 'idle';
+  }
+}
+
+function runOutOfEnergy(vehicle) {
+  if (Number.isFinite(vehicle.batteryLevel)) {
+    vehicle.batteryLevel = 0;
+  } else {
+    vehicle.fuelLevel = 0;
+  }
+  stopVehicle(vehicle);
+}
+
+// Accepts milliseconds or strings such as "500ms", "30s", "5m" and "1.5h".
+function parseDuration(value, field) {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+    return value;
+  }
+  const match = typeof value === 'string' ? /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h)?\s*$/i.exec(value) : null;
+  if (!match) {
+    throw new Error(`${field} must be a duration such as 500ms, 30s, 5m or 1h`);
+  }
+  return Math.round(Number(match[1]) * DURATION_UNITS_MS[(match[2] ?? 'ms').toLowerCase()]);
+}
+
+function optionalDuration(value, field) {
+  return value === undefined || value === null ? undefined : parseDuration(value, field);
+}
+
+function parseCoordinates(value, field) {
+  const lat = value?.lat;
+  const lng = value?.lng;
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw new Error(`${field} must have numeric lat and lng`);
+  }
+  return { lat, lng };
+}
+
+function requireString(value, field) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new Error(`${field} must be a non-empty string`);
+  }
+  return value.trim();
+}
+
+function optionalString(value, field) {
+  return value === undefined || value === null ? undefined : requireString(value, field);
+}
+
+function asList(value, field) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    throw new Error(`${field} must be a list`);
+  }
+  return value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  loadScenario,
+  parseScenario,
+  createScenarioVehicles,
+  createScenarioRunner,
+  parseDuration
+};
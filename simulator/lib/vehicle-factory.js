@@ -1,7 +1,7 @@
 const { movePoint } = require('./movement-engine');
 const { resolveVehicleType } = require('../presets/vehicle-types');
 
-function createVehicleFactory({ region, rng, vehicleType, logger }) {
+function createVehicleFactory({ region, rng, vehicleType, routePlanner = null, logger }) {
   if (!region) {
     throw new Error('vehicle factory requires a region');
   }
@@ -18,9 +18,13 @@ function createVehicleFactory({ region, rng, vehicleType, logger }) {
 
   function createVehicle() {
     const vehicleId = generateVehicleId(region.slug, rand);
-    const home = pickStartingPoint(region, rand);
+    // Routed vehicles start on a node of the road network.
+    const routing = routePlanner ? routePlanner.createRouting() : null;
+    const home = routing ? { lat: routing.node.lat, lng: routing.node.lng } : pickStartingPoint(region, rand);
     const heading = rand() * 360;
     const cruiseSpeedKmh = randomBetween(type.cruiseSpeedKmh, rand);
+    const cargoSetpointC = type.cargoTemperatureC ? randomBetween(type.cargoTemperatureC, rand) : null;
+    const electric = type.powertrain === 'electric';
 
     return {
       vehicleId,
@@ -30,11 +34,27 @@ function createVehicleFactory({ region, rng, vehicleType, logger }) {
       speedKmh: cruiseSpeedKmh,
       cruiseSpeedKmh,
       maxSpeedKmh: randomBetween(type.maxSpeedKmh, rand),
-      fuelLevel: randomBetween(type.fuelLevel, rand),
+      fuelLevel: electric ? null : randomBetween(type.fuelLevel, rand),
+      batteryLevel: electric ? randomBetween(type.batteryLevel, rand) : null,
+      chargingStatus: electric ? 'discharging' : null,
+      energy: electric
+        ? {
+          consumptionPctPerKm: randomBetween(type.consumptionPctPerKm, rand),
+          regenPctPerKmh: type.regenPctPerKmh,
+          chargeRatePctPerHour: type.chargeRatePctPerHour,
+          chargeTargetPct: type.chargeTargetPct
+        }
+        : null,
       engineStatus: 'running',
+      altitudeM: (region.altitudeM ?? 0) + rand() * 40,
+      odometerKm: 5_000 + rand() * 145_000,
+      doorState: 'closed',
+      cargoSetpointC,
+      cargoTemperatureC: cargoSetpointC,
       maxRadiusKm: region.radiusKm * randomBetween(type.radiusMultiplier, rand),
       home,
-      lastUpdateMs: Date.now(),
+      routing,
+      lastUpdateMs: null,
       reported: false
     };
   }
@@ -1,10 +1,10 @@
 const REGION_PRESETS = {
-  paris: { name: 'Paris', lat: 48.8566, lng: 2.3522, radiusKm: 20 },
-  london: { name: 'London', lat: 51.5072, lng: -0.1276, radiusKm: 22 },
-  newyork: { name: 'New York', lat: 40.7128, lng: -74.006, radiusKm: 28 },
-  singapore: { name: 'Singapore', lat: 1.3521, lng: 103.8198, radiusKm: 18 },
-  tokyo: { name: 'Tokyo', lat: 35.6762, lng: 139.6503, radiusKm: 24 },
-  sydney: { name: 'Sydney', lat: -33.8688, lng: 151.2093, radiusKm: 26 }
+  paris: { name: 'Paris', lat: 48.8566, lng: 2.3522, radiusKm: 20, altitudeM: 35 },
+  london: { name: 'London', lat: 51.5072, lng: -0.1276, radiusKm: 22, altitudeM: 11 },
+  newyork: { name: 'New York', lat: 40.7128, lng: -74.006, radiusKm: 28, altitudeM: 10 },
+  singapore: { name: 'Singapore', lat: 1.3521, lng: 103.8198, radiusKm: 18, altitudeM: 15 },
+  tokyo: { name: 'Tokyo', lat: 35.6762, lng: 139.6503, radiusKm: 24, altitudeM: 40 },
+  sydney: { name: 'Sydney', lat: -33.8688, lng: 151.2093, radiusKm: 26, altitudeM: 20 }
 };
 
 function resolveRegion(input, logger) {
@@ -18,7 +18,25 @@ const VEHICLE_TYPES = {
     cruiseSpeedKmh: [25, 55],
     maxSpeedKmh: [70, 110],
     fuelLevel: [75, 100],
-    radiusMultiplier: [1.5, 2.3]
+    radiusMultiplier: [1.5, 2.3],
+    // Refrigerated trailers report their cargo temperature (°C).
+    cargoTemperatureC: [2, 6]
+  },
+  electric: {
+    name: 'Electric Van',
+    powertrain: 'electric',
+    cruiseSpeedKmh: [25, 60],
+    maxSpeedKmh: [80, 120],
+    // Electric vehicles report a battery level instead of fuel.
+    batteryLevel: [60, 100],
+    radiusMultiplier: [0.9, 1.4],
+    // Battery percentage points used per km, regained per km/h shed by
+    // regenerative braking, and added per hour on a charger.
+    consumptionPctPerKm: [0.3, 0.45],
+    regenPctPerKmh: 0.002,
+    chargeRatePctPerHour: 90,
+    // Depleted vans charge up to this level before setting off again.
+    chargeTargetPct: 80
   }
 };
 
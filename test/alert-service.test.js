@@ -0,0 +1,128 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { createDatabase } = require('../backend/db');
+const { createAlertService, ALERT_RULES } = require('../backend/services/alert-service');
+
+function createLoggerStub() {
+  return {
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+    debug: () => {}
+  };
+}
+
+const ALERT_CONFIG = {
+  lowFuel: { threshold: 15, clearAbove: 20 },
+  overspeed: { thresholdKmh: 130, clearBelowKmh: 120 },
+  idle: { maxMs: 5 * 60_000 },
+  stale: { afterMs: 30_000 }
+};
+
+function createContext(alertConfig = ALERT_CONFIG) {
+  const logger = createLoggerStub();
+  const { db, close } = createDatabase({ config: { telemetryDb: { path: ':memory:' } }, logger });
+  const service = createAlertService({ db, logger, config: alertConfig });
+  return { db, close, service, logger };
+}
+
+function sample(overrides) {
+  return {
+    vehicleId: 'veh-1',
+    lat: 48.85,
+    lng: 2.35,
+    ts: '2024-01-01T00:00:00.000Z',
+    speed: 50,
+    fuelLevel: 60,
+    engineStatus: 'running',
+    lastSeen: '2024-01-01T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+function describe(events) {
+  return events.map(({ eventType, alert }) => `${eventType}:${alert.rule}`);
+}
+
+test('low fuel alerts use hysteresis and are raised once', t => {
+  const ctx = createContext();
+  t.after(() => ctx.close());
+
+  const [raised] = ctx.service.evaluateTelemetry({ current: sample({ fuelLevel: 14 }) });
+  assert.equal(raised.eventType, 'raised');
+  assert.equal(raised.alert.rule, ALERT_RULES.LOW_FUEL);
+  assert.equal(raised.alert.severity, 'warning');
+  assert.equal(raised.alert.value, 14);
+  assert.ok(Number.isInteger(raised.alert.id));
+
+  assert.deepEqual(ctx.service.evaluateTelemetry({ current: sample({ fuelLevel: 12 }) }), []);
+  assert.deepEqual(ctx.service.evaluateTelemetry({ current: sample({ fuelLevel: 18 }) }), [], 'inside the hysteresis band');
+
+  const cleared = ctx.service.evaluateTelemetry({ current: sample({ fuelLevel: 25, ts: '2024-01-01T00:10:00.000Z' }) });
+  assert.deepEqual(describe(cleared), ['cleared:low_fuel']);
+  assert.equal(cleared[0].alert.id, raised.alert.id);
+  assert.equal(cleared[0].alert.clearedAt, '2024-01-01T00:10:00.000Z');
+
+  assert.deepEqual(ctx.service.listAlerts(), []);
+  assert.equal(ctx.service.listAlerts({ status: 'cleared' }).length, 1);
+});
+
+test('overspeed and idle rules raise and clear on telemetry', t => {
+  const ctx = createContext();
+  t.after(() => ctx.close());
+
+  assert.deepEqual(describe(ctx.service.evaluateTelemetry({ current: sample({ speed: 140 }) })), ['raised:overspeed']);
+  assert.deepEqual(ctx.service.evaluateTelemetry({ current: sample({ speed: 125 }) }), []);
+  assert.deepEqual(describe(ctx.service.evaluateTelemetry({ current: sample({ speed: 110 }) })), ['cleared:overspeed']);
+
+  const idle = ts => sample({ engineStatus: 'idle', speed: 0, ts });
+  assert.deepEqual(ctx.service.evaluateTelemetry({ current: idle('2024-01-01T01:00:00.000Z') }), []);
+  assert.deepEqual(ctx.service.evaluateTelemetry({ current: idle('2024-01-01T01:04:00.000Z') }), []);
+  const [idleAlert] = ctx.service.evaluateTelemetry({ current: idle('2024-01-01T01:05:00.000Z') });
+  assert.equal(idleAlert.alert.rule, ALERT_RULES.IDLE_TOO_LONG);
+  assert.equal(idleAlert.alert.value, 300);
+
+  const moving = ctx.service.evaluateTelemetry({ current: sample({ ts: '2024-01-01T01:06:00.000Z' }) });
+  assert.deepEqual(describe(moving), ['cleared:idle_too_long']);
+});
+
+test('stale vehicles raise on sweep and clear on the next message', t => {
+  const ctx = createContext();
+  t.after(() => ctx.close());
+
+  const now = Date.parse('2024-01-01T00:01:00.000Z');
+  const vehicles = [
+    sample({ vehicleId: 'quiet', lastSeen: '2024-01-01T00:00:00.000Z' }),
+    sample({ vehicleId: 'chatty', lastSeen: '2024-01-01T00:00:50.000Z' })
+  ];
+
+  const events = ctx.service.evaluateSilence(vehicles, now);
+  assert.deepEqual(events.map(event => event.alert.vehicleId), ['quiet']);
+  assert.equal(events[0].alert.value, 60);
+  assert.deepEqual(ctx.service.evaluateSilence(vehicles, now + 15_000).length, 0);
+
+  const cleared = ctx.service.evaluateTelemetry({ current: sample({ vehicleId: 'quiet', ts: '2024-01-01T00:02:00.000Z' }) });
+  assert.deepEqual(describe(cleared), ['cleared:stale_vehicle']);
+});
+
+test('acknowledgement persists and open alerts survive a reload', t => {
+  const ctx = createContext();
+  t.after(() => ctx.close());
+
+  const [{ alert }] = ctx.service.evaluateTelemetry({ current: sample({ fuelLevel: 5 }) });
+  const acknowledged = ctx.service.acknowledge(alert.id, { acknowledgedBy: 'dispatch' });
+  assert.equal(acknowledged.acknowledgedBy, 'dispatch');
+  assert.ok(acknowledged.acknowledgedAt);
+  assert.equal(ctx.service.acknowledge(alert.id, { acknowledgedBy: 'someone-else' }).acknowledgedBy, 'dispatch');
+  assert.equal(ctx.service.acknowledge(9999), null);
+
+  assert.equal(ctx.service.listAlerts({ acknowledged: false }).length, 0);
+  assert.equal(ctx.service.listAlerts({ acknowledged: true, rules: ['low_fuel'] }).length, 1);
+
+  const reloaded = createAlertService({ db: ctx.db, logger: ctx.logger, config: ALERT_CONFIG });
+  assert.deepEqual(reloaded.evaluateTelemetry({ current: sample({ fuelLevel: 4 }) }), [], 'open alert is not raised twice');
+  const [cleared] = reloaded.evaluateTelemetry({ current: sample({ fuelLevel: 50 }) });
+  assert.equal(cleared.alert.id, alert.id);
+  assert.equal(cleared.alert.acknowledgedBy, 'dispatch');
+});
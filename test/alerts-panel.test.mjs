@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { createAlertsPanel } from '../frontend/src/components/sidebar/alerts-panel.mjs';
+
+function createList() {
+  const listeners = new Map();
+  return {
+    innerHTML: '',
+    addEventListener(type, handler) {
+      listeners.set(type, handler);
+    },
+    click(target) {
+      listeners.get('click')?.({ target });
+    }
+  };
+}
+
+// Mimics `closest()` on an element inside an alert item, optionally the
+// acknowledge button.
+function createTarget(alertId, { acknowledge = false } = {}) {
+  return {
+    closest(selector) {
+      if (selector === '[data-alert-id]') {
+        return { dataset: { alertId: String(alertId) } };
+      }
+      if (selector === '[data-action="acknowledge"]') {
+        return acknowledge ? {} : null;
+      }
+      return null;
+    }
+  };
+}
+
+function alert(overrides) {
+  return {
+    id: 1,
+    vehicleId: 'veh-1',
+    rule: 'low_fuel',
+    severity: 'warning',
+    message: 'Fuel level 5% is at or below 15%',
+    raisedAt: '2024-01-01T00:00:00.000Z',
+    clearedAt: null,
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    ...overrides
+  };
+}
+
+test('alerts panel orders open alerts and tracks stream events', () => {
+  const list = createList();
+  const count = { textContent: '' };
+  const panel = createAlertsPanel({ listElement: list, countElement: count, formatTime: value => value });
+
+  assert.match(list.innerHTML, /No open alerts/);
+
+  panel.setAlerts([
+    alert({ id: 1 }),
+    alert({ id: 2, rule: 'overspeed', severity: 'critical', vehicleId: 'veh-<2>' }),
+    alert({ id: 3, clearedAt: '2024-01-01T00:01:00.000Z' })
+  ]);
+  assert.deepEqual(panel.getAlerts().map(entry => entry.id), [2, 1]);
+  assert.equal(count.textContent, '2');
+  assert.match(list.innerHTML, /veh-&lt;2&gt;/);
+
+  panel.applyEvent({ type: 'alert_raised', alert: alert({ id: 4, raisedAt: '2024-01-01T00:05:00.000Z' }) });
+  assert.deepEqual(panel.getAlerts().map(entry => entry.id), [2, 4, 1]);
+
+  panel.applyEvent({ type: 'alert_cleared', alert: alert({ id: 2, clearedAt: '2024-01-01T00:06:00.000Z' }) });
+  panel.markAcknowledged(alert({ id: 4, acknowledgedAt: '2024-01-01T00:07:00.000Z', acknowledgedBy: 'dispatch' }));
+  assert.deepEqual(panel.getAlerts().map(entry => entry.id), [1, 4], 'acknowledged alerts sink to the bottom');
+  assert.equal(count.textContent, '1');
+  assert.match(list.innerHTML, /Acknowledged by dispatch/);
+});
+
+test('alerts panel routes clicks to select and acknowledge handlers', async () => {
+  const list = createList();
+  const selected = [];
+  let resolveAcknowledge;
+  const acknowledged = [];
+  const panel = createAlertsPanel({
+    listElement: list,
+    onSelect: entry => selected.push(entry.vehicleId),
+    onAcknowledge: entry => {
+      acknowledged.push(entry.id);
+      return new Promise(resolve => {
+        resolveAcknowledge = resolve;
+      });
+    }
+  });
+  panel.setAlerts([alert({ id: 7, vehicleId: 'veh-7' })]);
+
+  list.click(createTarget(7));
+  assert.deepEqual(selected, ['veh-7']);
+
+  list.click(createTarget(7, { acknowledge: true }));
+  assert.match(list.innerHTML, /data-action="acknowledge" disabled/);
+  list.click(createTarget(7, { acknowledge: true }));
+  assert.deepEqual(acknowledged, [7], 'a pending acknowledgement is not sent twice');
+  assert.deepEqual(selected, ['veh-7'], 'acknowledge clicks do not select the vehicle');
+
+  resolveAcknowledge();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.doesNotMatch(list.innerHTML, /disabled/);
+
+  list.click(createTarget(99));
+  assert.deepEqual(selected, ['veh-7']);
+});
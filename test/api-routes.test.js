@@ -0,0 +1,431 @@
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const { test } = require('node:test');
+
+const { createApiServer } = require('../backend/routes/api');
+const { createMetricsService } = require('../backend/services/metrics-service');
+const { createRouter } = require('../backend/routes/router');
+const { createAuthService, signToken } = require('../backend/services/auth-service');
+
+function createLoggerStub() {
+  return {
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+    debug: () => {}
+  };
+}
+
+async function startApi(t, overrides = {}) {
+  const geofences = new Map();
+  const geofenceService = {
+    listGeofences: () => Array.from(geofences.values()),
+    getGeofence: id => geofences.get(id) ?? null,
+    createGeofence: (input, { fleetId }) => {
+      const geofence = { id: `geo-${geofences.size + 1}`, fleetId, ...input };
+      geofences.set(geofence.id, geofence);
+      return geofence;
+    },
+    updateGeofence: (id, input) => (geofences.has(id) ? { id, ...input } : null),
+    deleteGeofence: id => geofences.delete(id),
+    queryEvents: () => []
+  };
+
+  const server = createApiServer({
+    config: { messageWindowMs: 60_000, http: { maxBodyBytes: 256 }, telemetryDb: { rollupWindowSeconds: 300 } },
+    logger: createLoggerStub(),
+    state: { mqttConnected: true, totalMessages: 0, invalidMessages: 0, messageTimestamps: [] },
+    vehicleStore: { size: () => 0 },
+    telemetryRepository: null,
+    geofenceService,
+    getClientCount: () => 0,
+    ...overrides
+  });
+
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('router matches path parameters and reports allowed methods', () => {
+  const router = createRouter()
+    .get('/things', () => 'list')
+    .get('/things/:id', () => 'get')
+    .delete('/things/:id', () => 'delete');
+
+  const match = router.match('DELETE', '/things/a%20b');
+  assert.equal(match.handler(), 'delete');
+  assert.deepEqual(match.params, { id: 'a b' });
+  assert.deepEqual(match.allowedMethods, ['GET', 'DELETE']);
+
+  const notAllowed = router.match('POST', '/things/abc');
+  assert.equal(notAllowed.handler, null);
+  assert.deepEqual(notAllowed.allowedMethods, ['GET', 'DELETE']);
+
+  assert.equal(router.match('GET', '/things/abc/extra'), null);
+  assert.equal(router.match('GET', '/things/').handler(), 'list');
+});
+
+test('API server keeps GET routes and answers unknown methods with 405', async t => {
+  const baseUrl = await startApi(t);
+
+  const health = await fetch(`${baseUrl}/healthz`);
+  assert.equal(health.status, 200);
+  assert.deepEqual(await health.json(), { status: 'ok' });
+
+  const notAllowed = await fetch(`${baseUrl}/stats`, { method: 'DELETE' });
+  assert.equal(notAllowed.status, 405);
+  assert.equal(notAllowed.headers.get('allow'), 'GET,OPTIONS');
+
+  const missing = await fetch(`${baseUrl}/nope`);
+  assert.equal(missing.status, 404);
+});
+
+test('API server reports write buffer metrics in stats', async t => {
+  const baseUrl = await startApi(t, {
+    telemetryWriteBuffer: { getMetrics: () => ({ queued: 3, dropped: 0 }) }
+  });
+
+  const stats = await (await fetch(`${baseUrl}/stats`)).json();
+  assert.deepEqual(stats.writeBuffer, { queued: 3, dropped: 0 });
+});
+
+test('API server answers CORS preflight with the route methods', async t => {
+  const baseUrl = await startApi(t);
+
+  const preflight = await fetch(`${baseUrl}/geofences/geo-1`, { method: 'OPTIONS' });
+  assert.equal(preflight.status, 204);
+  assert.equal(preflight.headers.get('access-control-allow-methods'), 'GET,PUT,DELETE,OPTIONS');
+
+  const statsPreflight = await fetch(`${baseUrl}/stats`, { method: 'OPTIONS' });
+  assert.equal(statsPreflight.headers.get('access-control-allow-methods'), 'GET,OPTIONS');
+});
+
+test('API server enforces route scopes and allowed CORS origins when auth is enabled', async t => {
+  const authService = createAuthService({
+    config: {
+      apiKeys: [{ name: 'viewer', key: 'viewer-key', scopes: ['read:live'] }],
+      jwt: { secret: 'api-secret' }
+    }
+  });
+  const baseUrl = await startApi(t, {
+    authService,
+    config: {
+      messageWindowMs: 60_000,
+      http: { maxBodyBytes: 256, corsAllowedOrigins: ['https://ops.example.com'] },
+      telemetryDb: { rollupWindowSeconds: 300 }
+    }
+  });
+
+  assert.equal((await fetch(`${baseUrl}/healthz`)).status, 200, 'probes stay public');
+
+  const anonymous = await fetch(`${baseUrl}/stats`);
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.headers.get('www-authenticate'), 'Bearer');
+  assert.deepEqual(await anonymous.json(), { error: 'missing credentials' });
+
+  assert.equal((await fetch(`${baseUrl}/stats`, { headers: { 'X-API-Key': 'viewer-key' } })).status, 200);
+  assert.equal((await fetch(`${baseUrl}/stats`, { headers: { 'X-API-Key': 'wrong' } })).status, 401);
+
+  const history = await fetch(`${baseUrl}/geofence-events`, { headers: { 'X-API-Key': 'viewer-key' } });
+  assert.equal(history.status, 403);
+  assert.deepEqual(await history.json(), { error: 'scope "read:history" required' });
+
+  const create = token => fetch(`${baseUrl}/geofences`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ name: 'Depot', shape: 'circle', center: { lat: 1, lng: 2 }, radiusMeters: 100 })
+  });
+  const exp = Math.floor(Date.now() / 1000) + 60;
+  assert.equal((await create(signToken({ sub: 'analyst', scope: 'read:live read:history', exp }, 'api-secret'))).status, 403);
+  assert.equal((await create(signToken({ sub: 'ops', scope: 'admin', exp }, 'api-secret'))).status, 201);
+
+  const allowed = await fetch(`${baseUrl}/stats`, { method: 'OPTIONS', headers: { Origin: 'https://ops.example.com' } });
+  assert.equal(allowed.status, 204, 'preflight needs no credentials');
+  assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://ops.example.com');
+  assert.match(allowed.headers.get('access-control-allow-headers'), /Authorization/);
+  assert.equal(allowed.headers.get('vary'), 'Origin');
+
+  const denied = await fetch(`${baseUrl}/healthz`, { headers: { Origin: 'https://evil.example.com' } });
+  assert.equal(denied.headers.get('access-control-allow-origin'), null);
+});
+
+test('API server limits fleet-scoped credentials to their fleets', async t => {
+  const authService = createAuthService({
+    config: {
+      apiKeys: [
+        { name: 'acme', key: 'acme-key', scopes: ['read:live', 'read:history', 'admin'], fleets: ['acme'] },
+        { name: 'ops', key: 'ops-key', scopes: ['admin'] }
+      ]
+    }
+  });
+  const owners = new Map([['veh-acme', 'acme'], ['veh-globex', 'globex']]);
+  const saved = [];
+  const vehicleRegistry = {
+    getFleetId: id => owners.get(id) ?? null,
+    getMetadata: () => null,
+    getVehicle: id => (owners.has(id) ? { vehicleId: id, fleetId: owners.get(id) } : null),
+    saveMetadata: (vehicleId, metadata, { fleetId }) => {
+      saved.push({ vehicleId, fleetId });
+      return { vehicleId, fleetId, ...metadata };
+    }
+  };
+  const alertCalls = [];
+  const alertService = {
+    listAlerts: options => {
+      alertCalls.push(options);
+      return [];
+    }
+  };
+  const baseUrl = await startApi(t, { authService, vehicleRegistry, alertService });
+  const get = (path, key = 'acme-key') => fetch(`${baseUrl}${path}`, { headers: { 'X-API-Key': key } });
+  const post = (body, key = 'acme-key') => fetch(`${baseUrl}/vehicles`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': key },
+    body: JSON.stringify(body)
+  });
+
+  assert.deepEqual((await (await get('/alerts')).json()).fleetIds, ['acme']);
+  assert.deepEqual(alertCalls[0].fleetIds, ['acme']);
+
+  const otherFleet = await get('/alerts?fleetId=globex');
+  assert.equal(otherFleet.status, 403);
+  assert.deepEqual(await otherFleet.json(), { error: 'fleet "globex" not allowed' });
+
+  assert.equal((await get('/alerts?fleetId=globex', 'ops-key')).status, 200);
+  assert.deepEqual(alertCalls[1].fleetIds, ['globex']);
+
+  const limitedStats = await (await get('/stats')).json();
+  assert.equal(limitedStats.vehiclesTracked, 0);
+  assert.equal('totalMessages' in limitedStats, false, 'message counters cover every fleet');
+  assert.equal('invalidMessages' in limitedStats, false);
+  assert.equal((await (await get('/stats', 'ops-key')).json()).totalMessages, 0);
+
+  assert.equal((await get('/vehicles/veh-acme')).status, 200);
+  assert.equal((await get('/vehicles/veh-globex')).status, 404);
+
+  assert.equal((await post({ vehicleId: 'veh-new' })).status, 201);
+  assert.equal((await post({ vehicleId: 'veh-other', fleetId: 'globex' })).status, 403);
+  assert.equal((await post({ vehicleId: 'veh-globex', fleetId: 'acme' }, 'ops-key')).status, 409, 'vehicles stay with the fleet that owns them');
+  assert.deepEqual(saved, [{ vehicleId: 'veh-new', fleetId: 'acme' }]);
+
+  const geofence = { name: 'Depot', shape: 'circle', center: { lat: 1, lng: 1 }, radiusMeters: 100 };
+  const postGeofence = body => fetch(`${baseUrl}/geofences`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': 'acme-key' },
+    body: JSON.stringify(body)
+  });
+  const created = await postGeofence(geofence);
+  assert.equal(created.status, 201);
+  assert.equal((await created.json()).fleetId, 'acme');
+  assert.equal((await postGeofence({ ...geofence, fleetId: 'globex' })).status, 403);
+});
+
+test('API server parses JSON bodies and enforces size and type limits', async t => {
+  const baseUrl = await startApi(t);
+  const geofence = { name: 'Depot', shape: 'circle', center: { lat: 1, lng: 2 }, radiusMeters: 100 };
+
+  const created = await fetch(`${baseUrl}/geofences`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(geofence)
+  });
+  assert.equal(created.status, 201);
+  assert.equal((await created.json()).id, 'geo-1');
+
+  const malformed = await fetch(`${baseUrl}/geofences`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"name":'
+  });
+  assert.equal(malformed.status, 400);
+  assert.deepEqual(await malformed.json(), { error: 'Request body must be valid JSON' });
+
+  const tooLarge = await fetch(`${baseUrl}/geofences`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...geofence, name: 'x'.repeat(512) })
+  });
+  assert.equal(tooLarge.status, 413);
+
+  const wrongType = await fetch(`${baseUrl}/geofences`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain' },
+    body: 'hello'
+  });
+  assert.equal(wrongType.status, 415);
+
+  const removed = await fetch(`${baseUrl}/geofences/geo-1`, { method: 'DELETE' });
+  assert.equal(removed.status, 204);
+});
+
+test('API server lists and acknowledges alerts', async t => {
+  const alert = { id: 7, vehicleId: 'veh-1', rule: 'low_fuel', status: 'active', acknowledgedAt: null, acknowledgedBy: null };
+  const listCalls = [];
+  const alertService = {
+    listAlerts: options => {
+      listCalls.push(options);
+      return [alert];
+    },
+    getAlert: id => (id === 7 ? alert : null),
+    acknowledge: (id, { acknowledgedBy }) => (id === 7
+      ? { ...alert, acknowledgedAt: '2024-01-01T00:00:00.000Z', acknowledgedBy }
+      : null)
+  };
+  const baseUrl = await startApi(t, { alertService });
+
+  const list = await fetch(`${baseUrl}/alerts?vehicleId=veh-1&rule=low_fuel,overspeed&acknowledged=false`);
+  assert.equal(list.status, 200);
+  assert.deepEqual((await list.json()).alerts, [alert]);
+  assert.deepEqual(listCalls[0], {
+    status: 'active',
+    vehicleIds: ['veh-1'],
+    fleetIds: null,
+    rules: ['low_fuel', 'overspeed'],
+    acknowledged: false,
+    limit: 100
+  });
+
+  const badStatus = await fetch(`${baseUrl}/alerts?status=open`);
+  assert.equal(badStatus.status, 400);
+
+  const acknowledged = await fetch(`${baseUrl}/alerts/7/acknowledge`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ acknowledgedBy: 'dispatch' })
+  });
+  assert.equal(acknowledged.status, 200);
+  assert.equal((await acknowledged.json()).acknowledgedBy, 'dispatch');
+
+  const withoutBody = await fetch(`${baseUrl}/alerts/7/acknowledge`, { method: 'POST' });
+  assert.equal(withoutBody.status, 200);
+
+  const missing = await fetch(`${baseUrl}/alerts/abc/acknowledge`, { method: 'POST' });
+  assert.equal(missing.status, 404);
+});
+
+test('API server lists trips and validates the status filter', async t => {
+  const trip = { id: 3, vehicleId: 'veh-1', status: 'completed' };
+  const queries = [];
+  const telemetryRepository = {
+    queryTrips: options => {
+      queries.push(options);
+      return { trips: [trip], nextPageToken: null };
+    },
+    getTrip: id => (id === 3 ? trip : null)
+  };
+  const baseUrl = await startApi(t, { telemetryRepository });
+
+  const list = await fetch(`${baseUrl}/trips?vehicleId=veh-1&status=completed&start=2024-01-01T00:00:00.000Z&end=2024-01-02T00:00:00.000Z`);
+  assert.equal(list.status, 200);
+  const payload = await list.json();
+  assert.deepEqual(payload.trips, [trip]);
+  assert.deepEqual(payload.range, { start: '2024-01-01T00:00:00.000Z', end: '2024-01-02T00:00:00.000Z' });
+  assert.equal(queries[0].status, 'completed');
+  assert.deepEqual(queries[0].vehicleIds, ['veh-1']);
+
+  assert.equal((await fetch(`${baseUrl}/trips?status=parked`)).status, 400);
+  const badEnd = await fetch(`${baseUrl}/trips?end=foo`);
+  assert.equal(badEnd.status, 400);
+  assert.deepEqual(await badEnd.json(), { error: 'end must be an ISO 8601 timestamp' });
+  assert.equal((await fetch(`${baseUrl}/trips?start=yesterday&end=2024-01-02T00:00:00.000Z`)).status, 400);
+  assert.equal(queries.length, 1);
+  assert.deepEqual(await (await fetch(`${baseUrl}/trips/3`)).json(), trip);
+  assert.equal((await fetch(`${baseUrl}/trips/4`)).status, 404);
+});
+
+test('API server lists geofence events and validates the range', async t => {
+  const queries = [];
+  const geofenceService = {
+    queryEvents: options => {
+      queries.push(options);
+      return [];
+    }
+  };
+  const baseUrl = await startApi(t, { geofenceService });
+
+  const badEnd = await fetch(`${baseUrl}/geofence-events?end=foo`);
+  assert.equal(badEnd.status, 400);
+  assert.deepEqual(await badEnd.json(), { error: 'end must be an ISO 8601 timestamp' });
+  assert.equal((await fetch(`${baseUrl}/geofence-events?start=foo`)).status, 400);
+
+  const list = await fetch(`${baseUrl}/geofence-events?end=2024-01-01T01:00:00.000Z&durationSeconds=600`);
+  assert.equal(list.status, 200);
+  assert.deepEqual((await list.json()).range, { start: '2024-01-01T00:50:00.000Z', end: '2024-01-01T01:00:00.000Z' });
+  assert.equal(queries.length, 1);
+  assert.equal(queries[0].start, '2024-01-01T00:50:00.000Z');
+});
+
+test('API server pages telemetry history in ascending order for replay', async t => {
+  const queries = [];
+  const events = [
+    { vehicleId: 'veh-1', recordedAt: '2024-01-01T00:00:00.000Z', latitude: 1, longitude: 2 },
+    { vehicleId: 'veh-1', recordedAt: '2024-01-01T00:00:05.000Z', latitude: 1.1, longitude: 2.1 }
+  ];
+  const telemetryRepository = {
+    queryTelemetryHistory: options => {
+      queries.push(options);
+      return { events, nextPageToken: '42' };
+    }
+  };
+  const baseUrl = await startApi(t, { telemetryRepository });
+
+  const response = await fetch(`${baseUrl}/telemetry/history?vehicleId=veh-1&order=asc&limit=2&pageToken=7&start=2024-01-01T00:00:00.000Z&end=2024-01-01T01:00:00.000Z`);
+  assert.equal(response.status, 200);
+  const payload = await response.json();
+  assert.equal(payload.order, 'asc');
+  assert.equal(payload.nextPageToken, '42');
+  assert.deepEqual(payload.events.map(event => event.recordedAt), events.map(event => event.recordedAt));
+  assert.equal(queries[0].pageToken, '7');
+  assert.equal(queries[0].limit, 2);
+
+  assert.equal((await fetch(`${baseUrl}/telemetry/history?order=sideways`)).status, 400);
+});
+
+test('API server lists rejected telemetry filtered by reason', async t => {
+  const rejection = { id: 3, topic: 'fleet/veh-1/telemetry', reason: 'invalid_json', payload: 'not-json' };
+  const listCalls = [];
+  const deadLetterService = {
+    listRejected: options => {
+      listCalls.push(options);
+      return { rejected: [rejection], nextPageToken: null };
+    }
+  };
+  const baseUrl = await startApi(t, { deadLetterService });
+
+  const list = await fetch(`${baseUrl}/telemetry/rejected?reason=invalid_json,validation_failed&limit=20&pageToken=9`);
+  assert.equal(list.status, 200);
+  const body = await list.json();
+  assert.deepEqual(body.rejected, [rejection]);
+  assert.deepEqual(body.reasons, ['invalid_json', 'validation_failed']);
+  assert.deepEqual(listCalls[0], {
+    reasons: ['invalid_json', 'validation_failed'],
+    topic: undefined,
+    fleetIds: null,
+    start: undefined,
+    end: undefined,
+    limit: 20,
+    pageToken: '9'
+  });
+
+  const badReason = await fetch(`${baseUrl}/telemetry/rejected?reason=bogus`);
+  assert.equal(badReason.status, 400);
+});
+
+test('API server exposes Prometheus metrics', async t => {
+  const metrics = createMetricsService({ state: { grpcStreams: 1 }, getClientCount: () => 2 });
+  metrics.mqttMessagesInvalid.inc({ reason: 'invalid_cbor' });
+  const baseUrl = await startApi(t, { metrics });
+
+  const text = await fetch(`${baseUrl}/metrics`);
+  assert.equal(text.status, 200);
+  assert.match(text.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+  const body = await text.text();
+  assert.match(body, /^fleet_mqtt_messages_invalid_total\{reason="invalid_cbor"\} 1$/m);
+  assert.match(body, /^fleet_websocket_clients 2$/m);
+
+  const openMetrics = await fetch(`${baseUrl}/metrics`, { headers: { Accept: 'application/openmetrics-text' } });
+  assert.match(openMetrics.headers.get('content-type'), /^application\/openmetrics-text/);
+  assert.ok((await openMetrics.text()).endsWith('# EOF\n'));
+});
@@ -0,0 +1,109 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { SCOPES, createAuthService, signToken } = require('../backend/services/auth-service');
+
+const SECRET = 'test-secret';
+const NOW = Date.parse('2024-01-01T00:00:00.000Z');
+const nowSeconds = NOW / 1000;
+
+function createService(overrides = {}) {
+  return createAuthService({
+    config: {
+      apiKeys: [
+        { name: 'dashboard', key: 'dash-key', scopes: ['read:live'] },
+        { name: 'ops', key: 'ops-key', scopes: ['admin'] }
+      ],
+      jwt: { secret: SECRET, algorithms: ['HS256'], issuer: 'fleet', audience: 'fleet-api', clockToleranceSeconds: 30 },
+      ...overrides
+    },
+    now: () => NOW
+  });
+}
+
+const claims = extra => ({
+  sub: 'analyst',
+  scope: 'read:live read:history',
+  iss: 'fleet',
+  aud: 'fleet-api',
+  exp: nowSeconds + 60,
+  ...extra
+});
+
+test('auth service accepts API keys and applies their scopes', () => {
+  const auth = createService();
+
+  const dashboard = auth.authenticate({ apiKey: 'dash-key' });
+  assert.equal(dashboard.ok, true);
+  assert.equal(dashboard.value.subject, 'dashboard');
+  assert.equal(auth.authorize(dashboard.value, SCOPES.READ_LIVE), true);
+  assert.equal(auth.authorize(dashboard.value, SCOPES.READ_HISTORY), false);
+
+  const ops = auth.authenticate({ authorization: 'ApiKey ops-key' });
+  assert.equal(auth.authorize(ops.value, SCOPES.READ_HISTORY), true, 'admin implies every scope');
+
+  assert.equal(auth.authenticate({ authorization: 'Bearer dash-key' }).ok, true, 'bearer API keys are accepted');
+  assert.deepEqual(auth.authenticate({ apiKey: 'nope' }), { ok: false, error: 'invalid API key' });
+  assert.deepEqual(auth.authenticate({}), { ok: false, error: 'missing credentials' });
+  assert.equal(auth.authenticate({ authorization: 'Basic Zm9vOmJhcg==' }).ok, false);
+});
+
+test('auth service verifies HMAC-signed JWTs locally', () => {
+  const auth = createService();
+
+  const valid = auth.authenticate({ authorization: `Bearer ${signToken(claims(), SECRET)}` });
+  assert.equal(valid.ok, true);
+  assert.equal(valid.value.subject, 'analyst');
+  assert.equal(valid.value.method, 'jwt');
+  assert.deepEqual([...valid.value.scopes], ['read:live', 'read:history']);
+
+  const fromQuery = auth.authenticate({ accessToken: signToken(claims({ scope: undefined, scopes: ['admin', 'bogus'] }), SECRET) });
+  assert.deepEqual([...fromQuery.value.scopes], ['admin']);
+
+  const rejected = token => auth.authenticate({ authorization: `Bearer ${token}` }).error;
+  assert.equal(rejected(signToken(claims(), 'other-secret')), 'invalid token signature');
+  assert.equal(rejected(signToken(claims({ exp: nowSeconds - 31 }), SECRET)), 'token expired');
+  assert.equal(auth.authenticate({ accessToken: signToken(claims({ exp: nowSeconds - 10 }), SECRET) }).ok, true, 'clock tolerance applies');
+  assert.equal(rejected(signToken(claims({ nbf: nowSeconds + 120 }), SECRET)), 'token not yet valid');
+  assert.equal(rejected(signToken(claims({ exp: undefined }), SECRET)), 'token has no exp claim');
+  assert.equal(rejected(signToken(claims({ iss: 'someone-else' }), SECRET)), 'unexpected token issuer');
+  assert.equal(rejected(signToken(claims({ aud: ['other'] }), SECRET)), 'unexpected token audience');
+  assert.equal(rejected(signToken(claims(), SECRET, 'HS512')), 'unsupported token algorithm "HS512"');
+
+  const [header, body] = signToken(claims(), SECRET).split('.');
+  const unsigned = `${Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url')}.${body}.`;
+  assert.equal(rejected(unsigned), 'unsupported token algorithm "none"');
+  assert.equal(rejected(`${header}.not-json.sig`), 'malformed token');
+});
+
+test('auth service limits principals to the fleets of their key or token', () => {
+  const auth = createService({
+    apiKeys: [{ name: 'acme', key: 'acme-key', scopes: ['read:live'], fleets: ['acme'] }]
+  });
+
+  assert.deepEqual([...auth.authenticate({ apiKey: 'acme-key' }).value.fleets], ['acme']);
+
+  const fleetsOf = extra => auth.authenticate({ accessToken: signToken(claims(extra), SECRET) }).value.fleets;
+  assert.equal(fleetsOf({}), null, 'tokens without a fleet claim see every fleet');
+  assert.deepEqual([...fleetsOf({ fleet: 'globex' })], ['globex']);
+  assert.deepEqual([...fleetsOf({ fleets: ['acme', 'bad fleet'] })], ['acme']);
+  assert.deepEqual([...fleetsOf({ fleets: ['bad fleet'] })], [], 'a claim with no valid fleet grants none');
+  for (const unusable of [{ fleets: 'acme' }, { fleets: {} }, { fleets: null }, { fleet: ['acme'] }, { fleet: 7 }]) {
+    assert.deepEqual([...fleetsOf(unusable)], [], `${JSON.stringify(unusable)} grants no fleet`);
+  }
+
+  assert.throws(
+    () => createAuthService({ config: { apiKeys: [{ name: 'k', key: 'x', scopes: ['admin'], fleets: ['a/b'] }] } }),
+    /invalid fleet id "a\/b"/
+  );
+});
+
+test('auth service rejects incomplete configuration', () => {
+  assert.throws(() => createAuthService({ config: {} }), /neither API keys nor a JWT secret/);
+  assert.throws(
+    () => createAuthService({ config: { apiKeys: [{ name: 'k', key: 'x', scopes: ['write:all'] }] } }),
+    /unknown scope "write:all"/
+  );
+  assert.throws(() => createAuthService({ config: { apiKeys: [{ name: 'k', key: 'x', scopes: [] }] } }), /has no scopes/);
+  assert.throws(() => createAuthService({ config: { jwt: { secret: 's', algorithms: ['RS256'] } } }), /Unsupported JWT algorithm/);
+});
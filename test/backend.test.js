@@ -61,6 +61,44 @@ test('backend HTTP endpoints and stats respond correctly', async t => {
     assert.equal(stats.messageRatePerSecond >= 0, true);
   });
 
+  await t.test('vehicles registered without a fleet join the fleet of their first message', async () => {
+    const port = await getFreePort();
+    await startBackend(t, { port, env: { TELEMETRY_DB_PATH: ':memory:' } });
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    const registered = await fetch(`${baseUrl}/vehicles`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ vehicleId: 'preregistered', depot: 'north' })
+    });
+    assert.equal(registered.status, 201);
+    assert.equal((await registered.json()).fleetId, null);
+
+    const publisher = mqtt.connect();
+    await once(publisher, 'connect');
+    publisher.publish('fleet/demo/telemetry', JSON.stringify({
+      vehicleId: 'preregistered',
+      lat: 48.8566,
+      lng: 2.3522,
+      ts: new Date().toISOString(),
+      fuelLevel: 70,
+      engineStatus: 'running'
+    }));
+    publisher.end();
+    await once(publisher, 'close');
+
+    const stats = await waitForStats(port, data => data.totalMessages === 1);
+    assert.equal(stats.invalidMessages, 0);
+    // Telemetry reaches the database through the write buffer.
+    let vehicle = null;
+    for (let attempt = 0; attempt < 50 && vehicle?.fleetId !== 'demo'; attempt += 1) {
+      await delay(50);
+      vehicle = await (await fetch(`${baseUrl}/vehicles/preregistered`)).json();
+    }
+    assert.equal(vehicle.fleetId, 'demo');
+    assert.equal(vehicle.metadata.depot, 'north');
+  });
+
   await t.test('WebSocket broadcast includes computed speed', async () => {
     const port = await getFreePort();
     await startBackend(t, { port });
@@ -144,8 +182,9 @@ test('backend HTTP endpoints and stats respond correctly', async t => {
         ws.close();
       }
     });
+    const firstMessage = once(ws, 'message');
     await once(ws, 'open');
-    const [frame] = await once(ws, 'message');
+    const [frame] = await firstMessage;
     const payload = JSON.parse(frame.toString());
     assert.equal(payload.type, 'vehicle_update');
     assert.equal(payload.version, 1);
@@ -154,6 +193,126 @@ test('backend HTTP endpoints and stats respond correctly', async t => {
     assert.equal(payload.position.lng, telemetry.lng);
     assert.equal(payload.telemetry.engineStatus, 'idle');
   });
+
+  await t.test('geofence CRUD routes and crossing events over WebSocket', async () => {
+    const port = await getFreePort();
+    await startBackend(t, { port, env: { TELEMETRY_DB_PATH: ':memory:' } });
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    const invalid = await fetch(`${baseUrl}/geofences`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'Broken', shape: 'circle' })
+    });
+    assert.equal(invalid.status, 400);
+
+    const created = await fetch(`${baseUrl}/geofences`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'Depot', shape: 'circle', center: { lat: 10, lng: 10 }, radiusMeters: 500 })
+    });
+    assert.equal(created.status, 201);
+    const geofence = await created.json();
+    assert.equal(geofence.name, 'Depot');
+    assert.equal(geofence.fleetId, null, 'geofences created without a fleet apply to every fleet');
+
+    const listed = await (await fetch(`${baseUrl}/geofences`)).json();
+    assert.deepEqual(listed.geofences.map(entry => entry.id), [geofence.id]);
+
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/stream`);
+    t.after(() => {
+      if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
+        ws.close();
+      }
+    });
+    await once(ws, 'open');
+
+    const geofenceFrame = new Promise(resolve => {
+      ws.on('message', frame => {
+        const payload = JSON.parse(frame.toString());
+        if (payload.type === 'geofence_event') {
+          resolve(payload);
+        }
+      });
+    });
+
+    const publisher = mqtt.connect();
+    await once(publisher, 'connect');
+    const base = { vehicleId: 'fence-veh', fuelLevel: 60, engineStatus: 'running' };
+    publisher.publish('fleet/demo/telemetry', JSON.stringify({ ...base, lat: 10.1, lng: 10, ts: '2024-01-01T00:00:00.000Z' }));
+    await delay(25);
+    publisher.publish('fleet/demo/telemetry', JSON.stringify({ ...base, lat: 10.001, lng: 10, ts: '2024-01-01T00:10:00.000Z' }));
+
+    const event = await geofenceFrame;
+    assert.equal(event.geofenceId, geofence.id);
+    assert.equal(event.vehicleId, 'fence-veh');
+    assert.equal(event.eventType, 'enter');
+
+    const history = await (await fetch(`${baseUrl}/geofence-events?start=2024-01-01T00:00:00.000Z`)).json();
+    assert.equal(history.events.length, 1);
+    assert.equal(history.events[0].eventType, 'enter');
+
+    const removed = await fetch(`${baseUrl}/geofences/${geofence.id}`, { method: 'DELETE' });
+    assert.equal(removed.status, 204);
+    const missing = await fetch(`${baseUrl}/geofences/${geofence.id}`);
+    assert.equal(missing.status, 404);
+
+    publisher.end();
+    await once(publisher, 'close');
+  });
+
+  await t.test('alert rules broadcast raised alerts and accept acknowledgement', async () => {
+    const port = await getFreePort();
+    await startBackend(t, { port, env: { TELEMETRY_DB_PATH: ':memory:' } });
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/stream`);
+    t.after(() => {
+      if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
+        ws.close();
+      }
+    });
+    await once(ws, 'open');
+
+    const alertFrame = new Promise(resolve => {
+      ws.on('message', frame => {
+        const payload = JSON.parse(frame.toString());
+        if (payload.type === 'alert_raised') {
+          resolve(payload);
+        }
+      });
+    });
+
+    const publisher = mqtt.connect();
+    await once(publisher, 'connect');
+    publisher.publish('fleet/demo/telemetry', JSON.stringify({
+      vehicleId: 'thirsty-veh',
+      lat: 10,
+      lng: 10,
+      ts: '2024-01-01T00:00:00.000Z',
+      fuelLevel: 5,
+      engineStatus: 'running'
+    }));
+
+    const { alert } = await alertFrame;
+    assert.equal(alert.vehicleId, 'thirsty-veh');
+    assert.equal(alert.rule, 'low_fuel');
+    assert.equal(alert.status, 'active');
+
+    const open = await (await fetch(`${baseUrl}/alerts`)).json();
+    assert.deepEqual(open.alerts.map(entry => entry.id), [alert.id]);
+
+    const acknowledged = await fetch(`${baseUrl}/alerts/${alert.id}/acknowledge`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ acknowledgedBy: 'dispatch' })
+    });
+    assert.equal(acknowledged.status, 200);
+    assert.equal((await acknowledged.json()).acknowledgedBy, 'dispatch');
+
+    publisher.end();
+    await once(publisher, 'close');
+  });
 });
 
 function haversineKm(lat1, lng1, lat2, lng2) {
@@ -0,0 +1,239 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { once } = require('node:events');
+const { test } = require('node:test');
+const Database = require('better-sqlite3');
+const { createSimulatedClock } = require('../simulator/lib/clock');
+const { createSqliteSink, runBackfill } = require('../simulator/lib/backfill');
+const { createRng, DEFAULTS } = require('../simulator/lib/config');
+const { createVehicleFactory } = require('../simulator/lib/vehicle-factory');
+const { createScenarioVehicles, parseScenario } = require('../simulator/lib/scenario');
+const { resolveRegion } = require('../simulator/presets/regions');
+const { runSimulator } = require('./helpers/run-simulator');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+const START = '2026-01-05T06:00:00.000Z';
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function memorySink() {
+  const payloads = [];
+  let pending = 0;
+  return {
+    payloads,
+    write(payload) {
+      payloads.push(payload);
+      pending += 1;
+    },
+    pending: () => pending,
+    async flush() {
+      pending = 0;
+    }
+  };
+}
+
+async function backfillFleet({ seed, overrides = {} }) {
+  const config = { ...DEFAULTS, seed, start: Date.parse(START), backfill: 3_600_000, rate: 30_000, ...overrides };
+  const rng = createRng(seed);
+  const region = resolveRegion(config.region, silentLogger);
+  const vehicles = createVehicleFactory({ region, rng, vehicleType: 'electric', logger: silentLogger }).createVehicles(3);
+  const sink = memorySink();
+  const summary = await runBackfill({ config, vehicles, region, rng, logger: silentLogger, sink });
+  return { summary, payloads: sink.payloads };
+}
+
+test('the simulated clock runs from its start at the given speed', () => {
+  let realMs = 1_000;
+  const clock = createSimulatedClock({ startMs: Date.parse(START), speed: 60, realNow: () => realMs });
+  assert.equal(clock.now(), Date.parse(START));
+  realMs += 1_000;
+  assert.equal(clock.now(), Date.parse(START) + 60_000);
+
+  const realtime = createSimulatedClock({ realNow: () => realMs });
+  assert.equal(realtime.startMs, realMs);
+  assert.equal(realtime.speed, 1);
+});
+
+test('seeded backfills generate identical history on simulated time', async () => {
+  const first = await backfillFleet({ seed: 'history' });
+  const second = await backfillFleet({ seed: 'history' });
+  assert.deepEqual(first.payloads, second.payloads);
+  assert.equal(first.summary.reason, 'backfill_complete');
+  assert.equal(first.summary.messages, 3 * 120);
+
+  const timestamps = first.payloads.map(payload => Date.parse(payload.ts));
+  assert.equal(Math.min(...timestamps), Date.parse(START) + 30_000);
+  assert.equal(Math.max(...timestamps), Date.parse(START) + 3_600_000);
+  assert.deepEqual(timestamps, [...timestamps].sort((a, b) => a - b), 'history is written in time order');
+
+  const other = await backfillFleet({ seed: 'other' });
+  assert.notDeepEqual(other.payloads, first.payloads);
+
+  const capped = await backfillFleet({ seed: 'history', overrides: { maxMessages: 10 } });
+  assert.equal(capped.summary.reason, 'max_messages');
+  assert.deepEqual(capped.payloads, first.payloads.slice(0, 10));
+});
+
+test('scenario events and buffering follow simulated time during a backfill', async () => {
+  const scenario = parseScenario({
+    name: 'night-shift',
+    rate: '1m',
+    duration: '2h',
+    groups: [{ name: 'vans', count: 2 }],
+    events: [{ at: '30m', type: 'connectivityLoss', group: 'vans', vehicles: 1, duration: '10m', bufferSize: 5 }]
+  });
+  const config = { ...DEFAULTS, seed: 'scenario', start: Date.parse(START), backfill: 86_400_000 };
+  const rng = createRng(config.seed);
+  const vehicles = createScenarioVehicles({ scenario, config, rng, logger: silentLogger });
+  const region = resolveRegion(config.region, silentLogger);
+  const sink = memorySink();
+
+  const summary = await runBackfill({ config, vehicles, region, rng, logger: silentLogger, scenario, sink });
+  assert.equal(summary.reason, 'scenario_complete');
+  assert.equal(summary.simulatedTo, '2026-01-05T08:00:00.000Z');
+
+  const [offline, online] = vehicles.map(vehicle => sink.payloads.filter(payload => payload.vehicleId === vehicle.vehicleId));
+  // The scenario ends before the publish due at the two-hour mark.
+  assert.equal(online.length, 119);
+  // Ten minutes offline at one message a minute; only the newest five survive.
+  assert.equal(offline.length, 114);
+  const offlineTs = offline.map(payload => payload.ts);
+  assert.ok(!offlineTs.includes('2026-01-05T06:31:00.000Z'), 'the oldest buffered messages are dropped');
+  assert.ok(offlineTs.includes('2026-01-05T06:39:00.000Z'), 'the newest buffered messages are replayed');
+});
+
+test('simulator publishes on an accelerated clock from --start', async t => {
+  const mqtt = require('mqtt');
+  const subscriber = mqtt.connect();
+  t.after(() => subscriber.end());
+  await once(subscriber, 'connect');
+  subscriber.subscribe('fleet/demo/telemetry');
+  const received = [];
+  subscriber.on('message', (topic, payload) => received.push(JSON.parse(payload.toString())));
+
+  const startedAt = Date.now();
+  const { code, jsonLogs } = await runSimulator([
+    '--host', 'fake-host',
+    '--seed', 'clock',
+    '--start', '2020-01-01T00:00:00Z',
+    '--speed', '600',
+    '--rate', '60s',
+    '--max-messages', '3'
+  ]);
+  assert.equal(code, 0);
+  assert.ok(Date.now() - startedAt < 5_000, 'a simulated minute takes 100ms');
+
+  const started = jsonLogs.find(line => line.msg === 'starting simulation');
+  assert.equal(started.simulatedStart, '2020-01-01T00:00:00.000Z');
+  assert.equal(started.speed, 600);
+
+  assert.equal(received.length, 3);
+  const timestamps = received.map(message => Date.parse(message.ts));
+  assert.ok(timestamps[0] >= Date.parse('2020-01-01T00:01:00Z') && timestamps[0] < Date.parse('2020-01-01T00:02:00Z'));
+  const gapMs = timestamps[1] - timestamps[0];
+  assert.ok(gapMs >= 60_000 && gapMs < 90_000, `publishes are a simulated minute apart (got ${gapMs}ms)`);
+});
+
+test('simulator backfills history over MQTT as fast as possible', async t => {
+  const mqtt = require('mqtt');
+  const subscriber = mqtt.connect();
+  t.after(() => subscriber.end());
+  await once(subscriber, 'connect');
+  subscriber.subscribe('fleet/demo/telemetry');
+  const received = [];
+  subscriber.on('message', (topic, payload) => received.push(JSON.parse(payload.toString())));
+
+  const { code, stderr, jsonLogs } = await runSimulator([
+    '--host', 'fake-host',
+    '--seed', 'mqtt-backfill',
+    '--start', START,
+    '--backfill', '2h',
+    '--rate', '1m',
+    '--vehicles', '2'
+  ]);
+  assert.equal(code, 0);
+  assert.equal(stderr, '');
+  const complete = jsonLogs.find(line => line.msg === 'backfill complete');
+  assert.equal(complete.messages, 240);
+  assert.equal(complete.end, '2026-01-05T08:00:00.000Z');
+
+  assert.equal(received.length, 240);
+  assert.equal(received.at(-1).ts <= '2026-01-05T08:00:00.000Z', true);
+  assert.equal(new Set(received.map(message => message.vehicleId)).size, 2);
+});
+
+test('simulator backfills straight into a SQLite database with trips and rollups', async t => {
+  const dbPath = path.join(tempDir(t), 'history.db');
+  const { code, stderr, jsonLogs } = await runSimulator([
+    '--seed', 'sqlite-backfill',
+    '--start', START,
+    '--backfill', '1d',
+    '--rate', '1m',
+    '--vehicles', '2',
+    '--vehicle-type', 'delivery',
+    '--backfill-db', dbPath
+  ]);
+  assert.equal(code, 0);
+  assert.equal(stderr, '');
+  assert.ok(jsonLogs.some(line => line.msg === 'backfill rollups complete'));
+
+  const db = new Database(dbPath, { readonly: true });
+  t.after(() => db.close());
+  const events = db.prepare(`
+    SELECT COUNT(*) AS count, MIN(recorded_at) AS first, MAX(recorded_at) AS last, COUNT(DISTINCT fleet_id) AS fleets
+    FROM telemetry_events
+  `).get();
+  assert.equal(events.count, 2 * 1440);
+  assert.equal(events.first, '2026-01-05T06:01:00.000Z');
+  assert.equal(events.last, '2026-01-06T06:00:00.000Z');
+  assert.equal(events.fleets, 1);
+  assert.equal(db.prepare('SELECT fleet_id FROM vehicles LIMIT 1').get().fleet_id, 'demo');
+  assert.ok(db.prepare('SELECT COUNT(*) AS count FROM trips').get().count > 0, 'trips are detected');
+  const rollups = db.prepare('SELECT MAX(bucket_end) AS last, SUM(sample_count) AS samples FROM telemetry_rollups').get();
+  assert.ok(rollups.samples > 2 * 1400, 'closed buckets are rolled up');
+  assert.ok(Date.parse(rollups.last) <= Date.parse('2026-01-06T06:00:00.000Z'));
+});
+
+test('the SQLite sink runs stale fixes through the GPS max-speed check', async t => {
+  const dbPath = path.join(tempDir(t), 'stale.db');
+  const sink = createSqliteSink({
+    config: { backfillDb: dbPath, topic: 'fleet/demo/telemetry' },
+    logger: silentLogger,
+    endMs: Date.parse('2024-01-01T01:00:00.000Z')
+  });
+  await sink.open();
+  const base = { vehicleId: 'replayed', lng: 2.35, fuelLevel: 50, engineStatus: 'running' };
+  sink.write({ ...base, lat: 48.85, ts: '2024-01-01T00:00:00.000Z' });
+  sink.write({ ...base, lat: 48.87, ts: '2024-01-01T00:02:00.000Z' });
+  sink.write({ ...base, lat: 49.86, ts: '2024-01-01T00:01:00.000Z' });
+  await sink.flush();
+  await sink.close();
+
+  const db = new Database(dbPath, { readonly: true });
+  t.after(() => db.close());
+  const stale = db.prepare("SELECT distance_km, gps_flags, gps_outlier FROM telemetry_events WHERE recorded_at = '2024-01-01T00:01:00.000Z'").get();
+  assert.deepEqual(stale, { distance_km: 0, gps_flags: 'speed', gps_outlier: 1 });
+  const total = db.prepare('SELECT cumulative_km FROM telemetry_distance_cache').get().cumulative_km;
+  assert.ok(total < 3, `the stale fix adds no distance (got ${total} km)`);
+});
+
+test('simulator rejects invalid clock and backfill options', async () => {
+  const cases = [
+    [['--start', 'yesterday'], /invalid start value: "yesterday" \(expected an ISO 8601 timestamp\)/],
+    [['--speed', '-2'], /invalid speed value: "-2"/],
+    [['--backfill', '0'], /backfill must be > 0/],
+    [['--backfill-db', 'history.db'], /--backfill-db requires --backfill/],
+    [['--backfill', '1d', '--capture', 'out.ndjson'], /--backfill and --capture cannot be combined/]
+  ];
+  for (const [args, message] of cases) {
+    const { code, stderr } = await runSimulator(args);
+    assert.equal(code, 1);
+    assert.match(stderr, message);
+  }
+});
@@ -0,0 +1,104 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { createDatabase } = require('../backend/db');
+const { createDeadLetterService, REJECTION_REASONS } = require('../backend/services/dead-letter-service');
+
+function createLoggerStub() {
+  return {
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+    debug: () => {}
+  };
+}
+
+function createContext(config = {}) {
+  const logger = createLoggerStub();
+  const { db, close } = createDatabase({ config: { telemetryDb: { path: ':memory:' } }, logger });
+  const service = createDeadLetterService({ db, logger, config });
+  return { db, close, service };
+}
+
+test('dead-letter service keeps only the newest rejections', t => {
+  const { db, close, service } = createContext({ maxRows: 3 });
+  t.after(close);
+
+  for (let i = 0; i < 5; i += 1) {
+    service.record({
+      topic: `fleet/veh-${i}/telemetry`,
+      payload: `bad-${i}`,
+      payloadFormat: 'json',
+      reason: REJECTION_REASONS.INVALID_JSON
+    });
+  }
+
+  assert.equal(db.prepare('SELECT COUNT(*) AS count FROM rejected_telemetry').get().count, 3);
+  const { rejected } = service.listRejected();
+  assert.deepEqual(rejected.map(entry => entry.payload), ['bad-4', 'bad-3', 'bad-2']);
+  assert.equal(rejected[0].payloadEncoding, 'utf8');
+});
+
+test('dead-letter service truncates large payloads and base64-encodes binary ones', t => {
+  const { close, service } = createContext({ maxPayloadBytes: 4 });
+  t.after(close);
+
+  const stored = service.record({
+    topic: 'fleet/veh-1/telemetry',
+    payload: Buffer.from([0xde, 0xad, 0xbe, 0xef, 0x00, 0x01]),
+    payloadFormat: 'protobuf',
+    reason: REJECTION_REASONS.INVALID_PROTOBUF
+  });
+
+  assert.equal(stored.payloadSize, 6);
+  assert.equal(stored.payloadTruncated, true);
+  assert.equal(stored.payloadEncoding, 'base64');
+  assert.equal(stored.payload, Buffer.from([0xde, 0xad, 0xbe, 0xef]).toString('base64'));
+});
+
+test('dead-letter service filters by reason, topic, and time and pages results', t => {
+  const { close, service } = createContext();
+  t.after(close);
+
+  service.record({
+    topic: 'fleet/veh-1/telemetry',
+    payload: '{',
+    payloadFormat: 'json',
+    reason: REJECTION_REASONS.INVALID_JSON,
+    receivedAt: '2024-01-01T00:00:00.000Z'
+  });
+  service.record({
+    topic: 'fleet/veh-2/telemetry',
+    payload: '{"vehicleId":"veh-2"}',
+    payloadFormat: 'json',
+    reason: REJECTION_REASONS.VALIDATION_FAILED,
+    error: 'lat must be a number',
+    receivedAt: '2024-01-01T00:01:00.000Z'
+  });
+  service.record({
+    topic: 'fleet/veh-2/telemetry',
+    payload: '{"vehicleId":"veh-2","lat":"x"}',
+    payloadFormat: 'json',
+    reason: REJECTION_REASONS.VALIDATION_FAILED,
+    error: 'lat must be a number',
+    receivedAt: '2024-01-01T00:02:00.000Z'
+  });
+
+  const validation = service.listRejected({ reasons: [REJECTION_REASONS.VALIDATION_FAILED] });
+  assert.equal(validation.rejected.length, 2);
+  assert.equal(validation.rejected[0].error, 'lat must be a number');
+
+  const byTopic = service.listRejected({ topic: 'fleet/veh-1/telemetry' });
+  assert.deepEqual(byTopic.rejected.map(entry => entry.reason), [REJECTION_REASONS.INVALID_JSON]);
+
+  const byTime = service.listRejected({ start: '2024-01-01T00:00:30.000Z', end: '2024-01-01T00:01:30.000Z' });
+  assert.equal(byTime.rejected.length, 1);
+  assert.equal(byTime.rejected[0].receivedAt, '2024-01-01T00:01:00.000Z');
+
+  const firstPage = service.listRejected({ limit: 2 });
+  assert.equal(firstPage.rejected.length, 2);
+  assert.ok(firstPage.nextPageToken);
+  const secondPage = service.listRejected({ limit: 2, pageToken: firstPage.nextPageToken });
+  assert.deepEqual(secondPage.rejected.map(entry => entry.reason), [REJECTION_REASONS.INVALID_JSON]);
+  assert.equal(secondPage.nextPageToken, null);
+});
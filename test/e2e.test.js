@@ -35,10 +35,12 @@ test('simulator to backend end-to-end flow updates stats and WebSocket clients',
     }
   });
 
+  // The snapshot can arrive in the same tick as 'open', so listen before awaiting it.
+  const firstMessage = once(ws, 'message');
   await once(ws, 'open');
 
   const [message] = await Promise.race([
-    once(ws, 'message'),
+    firstMessage,
     delay(2000).then(() => { throw new Error('Timed out waiting for WebSocket message'); })
   ]);
 
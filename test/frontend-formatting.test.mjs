@@ -3,6 +3,7 @@ import { test } from 'node:test';
 
 import {
   createMemoizedFormatter,
+  describeTelemetryReadings,
   escapeHtml,
   formatEngineStatus,
   formatFuelLevel,
@@ -57,3 +58,23 @@ test('normalise helpers coerce primitives safely', () => {
 test('escapeHtml encodes reserved characters', () => {
   assert.equal(escapeHtml('<span>"&</span>'), '&lt;span&gt;&quot;&amp;&lt;/span&gt;');
 });
+
+test('describeTelemetryReadings lists reported readings in display order', () => {
+  assert.deepEqual(describeTelemetryReadings({
+    speed: 40,
+    sensors: { '<probe>': true },
+    doorState: 'open',
+    chargingStatus: 'regenerating',
+    odometerKm: 1520.6,
+    heading: 359.7,
+    cargoTemperature: -18.25
+  }), [
+    { label: 'Heading', text: '0°' },
+    { label: 'Odometer', text: '1521 km' },
+    { label: 'Cargo', text: '-18.3 °C' },
+    { label: 'Doors', text: 'Open' },
+    { label: 'Charging', text: 'Regenerating' },
+    { label: '&lt;probe&gt;', text: 'true' }
+  ]);
+  assert.deepEqual(describeTelemetryReadings(null), []);
+});
@@ -0,0 +1,170 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { createDatabase } = require('../backend/db');
+const { createGeofenceService } = require('../backend/services/geofence-service');
+const { validateGeofence } = require('../backend/utils/validation');
+
+function createLoggerStub() {
+  return {
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+    debug: () => {}
+  };
+}
+
+function createContext() {
+  const logger = createLoggerStub();
+  const { db, close } = createDatabase({ config: { telemetryDb: { path: ':memory:' } }, logger });
+  const service = createGeofenceService({ db, logger });
+  return { db, close, service, logger };
+}
+
+function fix(vehicleId, lat, lng, ts) {
+  return { vehicleId, lat, lng, ts };
+}
+
+test('validateGeofence normalises circles and rejects bad polygons', () => {
+  const circle = validateGeofence({
+    name: ' Depot ',
+    shape: 'CIRCLE',
+    center: { lat: 48.85, lng: 2.35 },
+    radiusMeters: 250
+  });
+  assert.equal(circle.ok, true);
+  assert.deepEqual(circle.value, {
+    name: 'Depot',
+    category: null,
+    shape: 'circle',
+    geometry: { center: { lat: 48.85, lng: 2.35 }, radiusMeters: 250 }
+  });
+
+  const polygon = validateGeofence({ name: 'Zone', shape: 'polygon', points: [{ lat: 1, lng: 1 }, { lat: 2, lng: 2 }] });
+  assert.equal(polygon.ok, false);
+  assert.match(polygon.error, /points must contain between 3/);
+
+  const radius = validateGeofence({ name: 'Zone', shape: 'circle', center: { lat: 1, lng: 1 }, radiusMeters: -5 });
+  assert.equal(radius.ok, false);
+});
+
+test('geofence service emits enter and exit events for circle crossings', t => {
+  const ctx = createContext();
+  t.after(() => ctx.close());
+
+  const depot = ctx.service.createGeofence({
+    name: 'Depot',
+    category: 'depot',
+    shape: 'circle',
+    geometry: { center: { lat: 48.8566, lng: 2.3522 }, radiusMeters: 500 }
+  });
+
+  const outside = fix('veh-1', 48.87, 2.3522, '2024-01-01T00:00:00.000Z');
+  const inside = fix('veh-1', 48.857, 2.3522, '2024-01-01T00:01:00.000Z');
+  const stillInside = fix('veh-1', 48.8568, 2.3524, '2024-01-01T00:02:00.000Z');
+  const leftAgain = fix('veh-1', 48.87, 2.36, '2024-01-01T00:03:00.000Z');
+
+  assert.deepEqual(ctx.service.evaluate({ previous: null, current: outside }), []);
+
+  const [enter] = ctx.service.evaluate({ previous: outside, current: inside });
+  assert.equal(enter.eventType, 'enter');
+  assert.equal(enter.geofenceId, depot.id);
+  assert.equal(enter.geofenceName, 'Depot');
+  assert.equal(enter.recordedAt, inside.ts);
+  assert.ok(Number.isInteger(enter.eventId));
+
+  assert.deepEqual(ctx.service.evaluate({ previous: inside, current: stillInside }), []);
+
+  const [exit] = ctx.service.evaluate({ previous: stillInside, current: leftAgain });
+  assert.equal(exit.eventType, 'exit');
+
+  const stored = ctx.service.queryEvents({ vehicleIds: ['veh-1'] });
+  assert.deepEqual(stored.map(event => event.eventType), ['exit', 'enter']);
+});
+
+test('geofence service evaluates polygons and keeps registry in sync with CRUD', t => {
+  const ctx = createContext();
+  t.after(() => ctx.close());
+
+  const zone = ctx.service.createGeofence({
+    name: 'Customer zone',
+    shape: 'polygon',
+    geometry: {
+      points: [
+        { lat: 0, lng: 0 },
+        { lat: 0, lng: 1 },
+        { lat: 1, lng: 1 },
+        { lat: 1, lng: 0 }
+      ]
+    }
+  });
+
+  const before = fix('veh-2', -0.5, 0.5, '2024-01-01T00:00:00.000Z');
+  const after = fix('veh-2', 0.5, 0.5, '2024-01-01T00:01:00.000Z');
+  assert.equal(ctx.service.evaluate({ previous: before, current: after }).length, 1);
+
+  const updated = ctx.service.updateGeofence(zone.id, {
+    name: 'Moved zone',
+    shape: 'polygon',
+    geometry: {
+      points: [
+        { lat: 10, lng: 10 },
+        { lat: 10, lng: 11 },
+        { lat: 11, lng: 11 }
+      ]
+    }
+  });
+  assert.equal(updated.name, 'Moved zone');
+  assert.equal(updated.createdAt, zone.createdAt);
+  assert.equal(ctx.service.evaluate({ previous: before, current: after }).length, 0);
+
+  const reloaded = createGeofenceService({ db: ctx.db, logger: ctx.logger });
+  assert.equal(reloaded.getGeofence(zone.id).name, 'Moved zone');
+
+  assert.equal(ctx.service.deleteGeofence(zone.id), true);
+  assert.equal(ctx.service.deleteGeofence(zone.id), false);
+  assert.equal(ctx.service.getGeofence(zone.id), null);
+  assert.deepEqual(ctx.service.queryEvents(), []);
+});
+
+test('geofences apply to their own fleet, or to every fleet without one', t => {
+  const ctx = createContext();
+  t.after(() => ctx.close());
+  const addVehicle = ctx.db.prepare(`
+    INSERT INTO vehicles (vehicle_id, fleet_id, first_seen_at, last_seen_at) VALUES (?, ?, ?, ?)
+  `);
+  addVehicle.run('veh-acme', 'acme', '2024-01-01T00:00:00.000Z', '2024-01-01T00:00:00.000Z');
+  addVehicle.run('veh-globex', 'globex', '2024-01-01T00:00:00.000Z', '2024-01-01T00:00:00.000Z');
+
+  const circle = { shape: 'circle', geometry: { center: { lat: 48.8566, lng: 2.3522 }, radiusMeters: 500 } };
+  const acmeDepot = ctx.service.createGeofence({ name: 'Acme depot', ...circle }, { fleetId: 'acme' });
+  const globexDepot = ctx.service.createGeofence({ name: 'Globex depot', ...circle }, { fleetId: 'globex' });
+  assert.equal(acmeDepot.fleetId, 'acme');
+
+  const outside = { lat: 48.87, lng: 2.3522, ts: '2024-01-01T00:00:00.000Z' };
+  const inside = { lat: 48.8566, lng: 2.3522, ts: '2024-01-01T00:01:00.000Z' };
+  const shared = ctx.service.createGeofence({ name: 'City centre', ...circle });
+  assert.equal(shared.fleetId, null);
+  const events = ctx.service.evaluate({
+    previous: { vehicleId: 'veh-acme', fleetId: 'acme', ...outside },
+    current: { vehicleId: 'veh-acme', fleetId: 'acme', ...inside }
+  });
+  assert.deepEqual(events.map(event => event.geofenceId), [acmeDepot.id, shared.id]);
+
+  const acme = { fleetIds: ['acme'] };
+  assert.deepEqual(ctx.service.listGeofences(acme).map(geofence => geofence.id), [acmeDepot.id, shared.id]);
+  assert.equal(ctx.service.listGeofences().length, 3);
+  assert.equal(ctx.service.updateGeofence(shared.id, { name: 'Taken', ...circle }, acme), null, 'only unlimited callers change shared geofences');
+  assert.equal(ctx.service.deleteGeofence(shared.id, acme), false);
+  assert.equal(ctx.service.getGeofence(globexDepot.id, acme), null);
+  assert.equal(ctx.service.updateGeofence(globexDepot.id, { name: 'Taken', ...circle }, acme), null);
+  assert.equal(ctx.service.deleteGeofence(globexDepot.id, acme), false);
+  assert.equal(ctx.service.getGeofence(globexDepot.id).name, 'Globex depot');
+
+  assert.equal(ctx.service.queryEvents(acme).length, 2);
+  assert.deepEqual(ctx.service.queryEvents({ fleetIds: ['globex'] }), []);
+
+  const reloaded = createGeofenceService({ db: ctx.db, logger: ctx.logger });
+  assert.equal(reloaded.getGeofence(globexDepot.id).fleetId, 'globex');
+  assert.equal(reloaded.getGeofence(shared.id).fleetId, null);
+});
@@ -0,0 +1,119 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { createGpsFilter } = require('../backend/utils/gps-filter');
+const { createDatabase } = require('../backend/db');
+const { createTelemetryRepository } = require('../backend/services/telemetry-repository');
+const { haversine } = require('../backend/utils/geo');
+
+const START = Date.parse('2024-01-01T00:00:00.000Z');
+
+// Feeds fixes through the filter the way the MQTT service does: the filtered
+// result becomes the live record the next fix is compared with.
+function createTrack(options) {
+  const filter = createGpsFilter(options);
+  let live = null;
+  return (seconds, lat, lng = 2.35) => {
+    const message = { vehicleId: 'veh-1', lat, lng, ts: new Date(START + seconds * 1000).toISOString() };
+    const result = filter.apply(live, message);
+    live = { vehicleId: 'veh-1', ts: message.ts, lat: result.lat, lng: result.lng, speed: result.speed };
+    return result;
+  };
+}
+
+test('GPS filter flags teleports, holds the vehicle and accepts a relocation', () => {
+  const fix = createTrack({ maxConsecutiveOutliers: 3 });
+
+  assert.deepEqual(fix(0, 48.85), { lat: 48.85, lng: 2.35, speed: 0, flags: [] });
+  const moving = fix(10, 48.851);
+  assert.deepEqual(moving.flags, []);
+  assert.ok(Math.abs(moving.speed - 40) < 0.5, `expected ~40 km/h, got ${moving.speed}`);
+
+  const teleport = fix(20, 49.85);
+  assert.deepEqual(teleport.flags, ['speed', 'acceleration']);
+  assert.equal(teleport.lat, 48.851, 'outliers keep the last plausible position');
+  assert.equal(teleport.speed, moving.speed);
+
+  const back = fix(30, 48.852);
+  assert.deepEqual(back.flags, [], 'the next fix is measured from the last accepted one');
+  assert.ok(Math.abs(back.speed - 20) < 0.5);
+
+  assert.deepEqual(fix(40, 49.85).flags, ['speed', 'acceleration']);
+  assert.deepEqual(fix(50, 49.85).flags, ['speed', 'acceleration']);
+  assert.deepEqual(fix(60, 49.85).flags, ['speed', 'acceleration']);
+  assert.deepEqual(fix(70, 49.85), { lat: 49.85, lng: 2.35, speed: 0, flags: ['relocated'] });
+  assert.deepEqual(fix(80, 49.85).flags, []);
+});
+
+test('GPS filter snaps stationary jitter but lets slow movement add up', () => {
+  const fix = createTrack({ jitterRadiusMeters: 5 });
+
+  fix(0, 48.85);
+  assert.deepEqual(fix(1, 48.85002), { lat: 48.85, lng: 2.35, speed: 0, flags: ['jitter'] });
+  assert.deepEqual(fix(2, 48.85).flags, [], 'an unchanged position is not jitter');
+
+  assert.deepEqual(fix(3, 48.85003).flags, ['jitter']);
+  const crawl = fix(4, 48.85006);
+  assert.deepEqual(crawl.flags, []);
+  assert.equal(crawl.lat, 48.85006);
+  const expectedKmh = haversine(48.85, 2.35, 48.85006, 2.35) / (2 / 3600);
+  assert.ok(Math.abs(crawl.speed - expectedKmh) < 1e-6, 'speed covers the time since the last accepted fix');
+});
+
+test('GPS filter can be disabled and smooths accepted fixes with a Kalman filter', () => {
+  const raw = createTrack({ enabled: false });
+  raw(0, 48.85);
+  assert.deepEqual(raw(1, 49.85).flags, []);
+
+  const smoothed = createTrack({ kalman: { enabled: true, accuracyMeters: 10, processNoiseMps: 3 } });
+  smoothed(0, 48.85);
+  const next = smoothed(10, 48.8505);
+  assert.deepEqual(next.flags, []);
+  assert.ok(next.lat > 48.85 && next.lat < 48.8505, `expected a smoothed latitude, got ${next.lat}`);
+  const expectedKmh = haversine(48.85, 2.35, next.lat, 2.35) / (10 / 3600);
+  assert.ok(Math.abs(next.speed - expectedKmh) < 1e-6);
+});
+
+test('flagged fixes are stored with their reported position but add no distance', t => {
+  const logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+  const config = { telemetryDb: { path: ':memory:', rollupWindowSeconds: 60, rollupWindows: [60], rollupIntervalMs: 0 } };
+  const { db, close } = createDatabase({ config, logger });
+  t.after(() => close());
+  const repository = createTelemetryRepository({ db, logger, config });
+
+  const fix = createTrack();
+  let live = null;
+  const ingest = (seconds, lat) => {
+    const message = { vehicleId: 'veh-1', lat, lng: 2.35, ts: new Date(START + seconds * 1000).toISOString(), fuelLevel: 50, engineStatus: 'running' };
+    if (live && message.ts < live.ts) {
+      // Late messages skip the filter, as in the MQTT service.
+      repository.recordTelemetry({ message, previous: null, enriched: { ...message, speed: null, lastSeen: message.ts } });
+      return;
+    }
+    const result = fix(seconds, lat);
+    const enriched = { ...message, lat: result.lat, lng: result.lng, speed: result.speed, gpsFlags: result.flags.length > 0 ? result.flags : null, lastSeen: message.ts };
+    repository.recordTelemetry({ message, previous: live, enriched });
+    live = enriched;
+  };
+
+  ingest(0, 48.85);
+  ingest(10, 48.851);
+  ingest(20, 49.85);
+  ingest(30, 48.852);
+  // Fits in before the teleport and measures the next plausible fix from itself.
+  ingest(15, 48.8515);
+
+  const { events } = repository.queryTelemetryHistory({ vehicleIds: ['veh-1'] });
+  assert.deepEqual(events.map(event => [event.latitude, event.gpsFlags, event.distanceKm > 0]), [
+    [48.85, null, false],
+    [48.851, null, true],
+    [48.8515, null, true],
+    [49.85, ['speed', 'acceleration'], false],
+    [48.852, null, true]
+  ]);
+
+  const expectedKm = haversine(48.85, 2.35, 48.852, 2.35);
+  const { cumulative_km: cumulativeKm } = db.prepare('SELECT cumulative_km FROM telemetry_distance_cache').get();
+  assert.ok(Math.abs(cumulativeKm - expectedKm) < 1e-9, 'the teleport does not count as distance');
+  assert.equal(db.prepare('SELECT last_latitude FROM vehicles').get().last_latitude, 48.852);
+});
@@ -10,6 +10,7 @@ const { createDatabase } = require('../backend/db');
 const { createTelemetryRepository } = require('../backend/services/telemetry-repository');
 const { VehicleStore } = require('../backend/services/vehicle-store');
 const { createGrpcService } = require('../backend/services/grpc-service');
+const { createAuthService } = require('../backend/services/auth-service');
 const { haversine } = require('../backend/utils/geo');
 
 const PROTO_PATH = path.join(__dirname, '..', 'protos', 'telemetry.proto');
@@ -129,7 +130,13 @@ test('gRPC TelemetryService integration', async t => {
 
     const vehicleId = 'veh-hist-1';
     const messages = [
-      buildTelemetry(vehicleId, '2024-01-01T00:00:00.000Z', 52.52, 13.405, 82, 'running'),
+      {
+        ...buildTelemetry(vehicleId, '2024-01-01T00:00:00.000Z', 52.52, 13.405, 82, 'running'),
+        heading: 0,
+        odometerKm: 1520.5,
+        doorState: 'closed',
+        sensors: { reefer: true, tyrePressureFl: 2.4, firmware: 'v1.2' }
+      },
       buildTelemetry(vehicleId, '2024-01-01T00:05:00.000Z', 52.53, 13.415, 79, 'running'),
       buildTelemetry(vehicleId, '2024-01-01T00:10:00.000Z', 52.54, 13.425, 76, 'idle')
     ];
@@ -152,6 +159,16 @@ test('gRPC TelemetryService integration', async t => {
     assert.equal(received[0].engineStatus, 'running');
     assert.equal(received[1].engineStatus, 'running');
     assert.ok(metadata.get('next-page-token')[0]);
+
+    assert.equal(received[0].heading, 0, 'a reported zero stays set');
+    assert.equal(received[0].odometerKm, 1520.5);
+    assert.equal(received[0].doorState, 'closed');
+    assert.deepEqual(
+      Object.fromEntries(Object.entries(received[0].sensors).map(([name, reading]) => [name, reading[reading.value]])),
+      { reefer: true, tyrePressureFl: 2.4, firmware: 'v1.2' }
+    );
+    assert.equal(received[1].heading, undefined, 'unreported readings stay unset');
+    assert.equal(received[1].doorState, '');
   });
 
   await t.test('GetHistoricalAggregates returns aggregated metrics from rollups', async t => {
@@ -193,9 +210,121 @@ test('gRPC TelemetryService integration', async t => {
     assert.ok(bucket.metrics.TOTAL_DISTANCE_KM >= 0);
     assert.ok(bucket.metrics.MIN_FUEL_LEVEL <= 90);
   });
+
+  await t.test('ListTrips returns trips detected from engine transitions', async t => {
+    const ctx = await createIntegrationContext();
+    t.after(() => ctx.close());
+
+    const vehicleId = 'veh-trip-1';
+    const messages = [
+      buildTelemetryWithSpeed(vehicleId, '2024-01-01T00:00:00.000Z', 40.7128, -74.006, 90, 'running', 40),
+      buildTelemetryWithSpeed(vehicleId, '2024-01-01T00:05:00.000Z', 40.7228, -74.001, 88, 'running', 60),
+      buildTelemetryWithSpeed(vehicleId, '2024-01-01T00:10:00.000Z', 40.7328, -73.996, 86, 'off', 0),
+      buildTelemetryWithSpeed(vehicleId, '2024-01-01T01:00:00.000Z', 40.7328, -73.996, 86, 'running', 0)
+    ];
+    let previous;
+    for (const message of messages) {
+      previous = await ingestTelemetry(ctx, message, previous);
+    }
+
+    const listTrips = promisify(ctx.client.listTrips.bind(ctx.client));
+    const response = await listTrips({
+      vehicleIds: [vehicleId],
+      status: 'TRIP_STATUS_COMPLETED',
+      range: {
+        start: toTimestamp('2024-01-01T00:00:00.000Z'),
+        end: toTimestamp('2024-01-01T02:00:00.000Z')
+      }
+    });
+
+    assert.equal(response.trips.length, 1);
+    const [trip] = response.trips;
+    assert.equal(trip.vehicleId, vehicleId);
+    assert.equal(trip.status, 'TRIP_STATUS_COMPLETED');
+    assert.equal(trip.endReason, 'engine_off');
+    assert.equal(trip.durationSeconds, 600);
+    assert.equal(trip.maxSpeedKmh, 60);
+    assert.equal(trip.fuelUsed, 4);
+    assert.equal(trip.endPosition.latitude, 40.7328);
+    assert.ok(trip.distanceKm > 1);
+    assert.equal(response.nextPageToken, '');
+
+    const all = await listTrips({ vehicleIds: [vehicleId] });
+    assert.deepEqual(all.trips.map(entry => entry.status), ['TRIP_STATUS_ACTIVE', 'TRIP_STATUS_COMPLETED']);
+  });
+
+  await t.test('auth interceptor checks metadata credentials and method scopes', async t => {
+    const authService = createAuthService({
+      config: { apiKeys: [{ name: 'viewer', key: 'viewer-key', scopes: ['read:live'] }] }
+    });
+    const ctx = await createIntegrationContext({ authService });
+    t.after(() => ctx.close());
+
+    const call = (method, request, metadata = new grpc.Metadata()) => new Promise(resolve => {
+      ctx.client[method](request, metadata, (err, response) => resolve({ err, response }));
+    });
+    const withKey = key => {
+      const metadata = new grpc.Metadata();
+      metadata.set('x-api-key', key);
+      return metadata;
+    };
+
+    const anonymous = await call('getFleetSnapshot', {});
+    assert.equal(anonymous.err?.code, grpc.status.UNAUTHENTICATED);
+    assert.equal(anonymous.err?.details, 'missing credentials');
+
+    const allowed = await call('getFleetSnapshot', {}, withKey('viewer-key'));
+    assert.equal(allowed.err, null);
+    assert.deepEqual(allowed.response.snapshots, []);
+
+    const bearer = new grpc.Metadata();
+    bearer.set('authorization', 'ApiKey viewer-key');
+    assert.equal((await call('getFleetSnapshot', {}, bearer)).err, null);
+
+    const history = await call('listTrips', {}, withKey('viewer-key'));
+    assert.equal(history.err?.code, grpc.status.PERMISSION_DENIED);
+    assert.equal(history.err?.details, 'scope "read:history" required');
+  });
+
+  await t.test('fleet-limited credentials only see their own fleets', async t => {
+    const authService = createAuthService({
+      config: {
+        apiKeys: [
+          { name: 'acme', key: 'acme-key', scopes: ['read:live', 'read:history'], fleets: ['acme'] },
+          { name: 'ops', key: 'ops-key', scopes: ['read:live'] }
+        ]
+      }
+    });
+    const ctx = await createIntegrationContext({ authService });
+    t.after(() => ctx.close());
+
+    const ts = '2024-01-01T00:00:00.000Z';
+    ctx.vehicleStore.set('veh-acme', { vehicleId: 'veh-acme', fleetId: 'acme', lat: 1, lng: 2, ts, speed: 10, fuelLevel: 50, engineStatus: 'running', lastSeen: ts });
+    ctx.vehicleStore.set('veh-globex', { vehicleId: 'veh-globex', fleetId: 'globex', lat: 3, lng: 4, ts, speed: 0, fuelLevel: 80, engineStatus: 'idle', lastSeen: ts });
+
+    const call = (request, key) => new Promise(resolve => {
+      const metadata = new grpc.Metadata();
+      metadata.set('x-api-key', key);
+      ctx.client.getFleetSnapshot(request, metadata, (err, response) => resolve({ err, response }));
+    });
+
+    const limited = await call({ includeMetrics: true }, 'acme-key');
+    assert.equal(limited.err, null);
+    assert.deepEqual(limited.response.snapshots.map(snapshot => [snapshot.vehicleId, snapshot.fleetId]), [['veh-acme', 'acme']]);
+    assert.equal(limited.response.metrics, null, 'message counters cover every fleet');
+    assert.ok((await call({ includeMetrics: true }, 'ops-key')).response.metrics);
+
+    const denied = await call({ fleetIds: ['globex'] }, 'acme-key');
+    assert.equal(denied.err?.code, grpc.status.PERMISSION_DENIED);
+    assert.equal(denied.err?.details, 'fleet "globex" not allowed');
+
+    const narrowed = await call({ fleetIds: ['globex'] }, 'ops-key');
+    assert.equal(narrowed.err, null);
+    assert.deepEqual(narrowed.response.snapshots.map(snapshot => snapshot.vehicleId), ['veh-globex']);
+  });
 });
 
-async function createIntegrationContext({ streamIntervalMs } = {}) {
+async function createIntegrationContext({ streamIntervalMs, authService } = {}) {
   const logger = createLoggerStub();
   const config = {
     cacheLimit: 200,
@@ -229,7 +358,8 @@ async function createIntegrationContext({ streamIntervalMs } = {}) {
     vehicleStore,
     telemetryRepository,
     state,
-    getClientCount: () => clientCount
+    getClientCount: () => clientCount,
+    authService
   });
 
   await grpcService.waitForReady();
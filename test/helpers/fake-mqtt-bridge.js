@@ -21,12 +21,13 @@ class RemoteMqttBridge {
 
   attachMessageRelay() {
     this.client.removeAllListeners('message');
-    this.client.on('message', (topic, payload) => {
+    this.client.on('message', (topic, payload, packet) => {
       this.send({
         type: 'mqtt_message',
         topic,
         payload: Buffer.from(payload).toString('base64'),
-        encoding: 'base64'
+        encoding: 'base64',
+        properties: packet?.properties
       });
     });
   }
@@ -49,7 +50,7 @@ class RemoteMqttBridge {
         break;
       case 'mqtt_publish': {
         const payload = Buffer.from(message.payload || '', message.encoding || 'utf8');
-        mqtt.__broker.publish(this.client, message.topic, payload);
+        mqtt.__broker.publish(this.client, message.topic, payload, message.opts);
         break;
       }
       case 'mqtt_end':
@@ -6,6 +6,8 @@ if (typeof process.send !== 'function') {
   return;
 }
 
+const { normalizeSubscriptions } = require('./fake-mqtt');
+
 class RemoteMqttClient extends EventEmitter {
   constructor() {
     super();
@@ -39,7 +41,12 @@ class RemoteMqttClient extends EventEmitter {
         const payload = typeof message.payload === 'string'
           ? Buffer.from(message.payload, message.encoding || 'utf8')
           : Buffer.from([]);
-        this.emit('message', message.topic, payload);
+        this.emit('message', message.topic, payload, {
+          cmd: 'publish',
+          topic: message.topic,
+          payload,
+          properties: message.properties
+        });
         break;
       }
       case 'mqtt_subscribed': {
@@ -70,20 +77,13 @@ class RemoteMqttClient extends EventEmitter {
   }
 
   subscribe(topic, callback) {
-    const topics = Array.isArray(topic) ? topic : [topic];
-    const granted = [];
-    for (const entry of topics) {
-      if (entry && typeof entry.topic === 'string') {
-        this.subscriptions.add(entry.topic);
-        granted.push(entry.topic);
-      } else if (typeof entry === 'string') {
-        this.subscriptions.add(entry);
-        granted.push(entry);
-      }
+    const granted = normalizeSubscriptions(topic);
+    for (const entry of granted) {
+      this.subscriptions.add(entry.topic);
     }
-    process.send({ type: 'mqtt_subscribe', topics: granted });
+    process.send({ type: 'mqtt_subscribe', topics: granted.map(entry => entry.topic) });
     if (typeof callback === 'function') {
-      process.nextTick(() => callback(null, granted.map(topic => ({ topic, qos: 0 }))));
+      process.nextTick(() => callback(null, granted));
     }
   }
 
@@ -96,8 +96,9 @@ class RemoteMqttClient extends EventEmitter {
     }
 
     this.ending = true;
-    process.send({ type: 'mqtt_end' });
-    process.nextTick(() => {
+    // Like a real client, finish sending earlier publishes before calling
+    // back: IPC messages are delivered in order.
+    process.send({ type: 'mqtt_end' }, () => {
       this._handleDisconnect();
       if (typeof callback === 'function') {
         callback();
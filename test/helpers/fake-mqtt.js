@@ -3,6 +3,7 @@ const { EventEmitter } = require('node:events');
 class FakeBroker {
   constructor() {
     this.clients = new Set();
+    this.sharedCounters = new Map();
   }
 
   register(client) {
@@ -13,15 +14,31 @@ class FakeBroker {
     this.clients.delete(client);
   }
 
-  publish(fromClient, topic, message) {
+  publish(fromClient, topic, message, opts = {}) {
     const buffer = Buffer.isBuffer(message) ? message : Buffer.from(String(message));
+    const packet = { cmd: 'publish', topic, payload: buffer, qos: opts.qos ?? 0, properties: opts.properties };
+    // Shared subscriptions ($share/<group>/<filter>) deliver each message to
+    // one member of the group, round-robin.
+    const sharedGroups = new Map();
     for (const client of this.clients) {
       for (const pattern of client.subscriptions) {
-        if (topicMatches(pattern, topic)) {
-          client.emit('message', topic, buffer);
+        const shared = parseSharedSubscription(pattern);
+        if (shared) {
+          if (topicMatches(shared.filter, topic)) {
+            const members = sharedGroups.get(pattern) || [];
+            members.push(client);
+            sharedGroups.set(pattern, members);
+          }
+        } else if (topicMatches(pattern, topic)) {
+          client.emit('message', topic, buffer, packet);
         }
       }
     }
+    for (const [pattern, members] of sharedGroups) {
+      const counter = this.sharedCounters.get(pattern) || 0;
+      this.sharedCounters.set(pattern, counter + 1);
+      members[counter % members.length].emit('message', topic, buffer, packet);
+    }
   }
 
   reset() {
@@ -29,6 +46,7 @@ class FakeBroker {
       client.removeAllListeners();
     }
     this.clients.clear();
+    this.sharedCounters.clear();
   }
 }
 
@@ -51,7 +69,7 @@ class FakeMqttClient extends EventEmitter {
 
   publish(topic, message, opts = {}, callback) {
     process.nextTick(() => {
-      this.broker.publish(this, topic, message);
+      this.broker.publish(this, topic, message, opts);
       if (typeof callback === 'function') {
         callback(null);
       }
@@ -59,20 +77,13 @@ class FakeMqttClient extends EventEmitter {
   }
 
   subscribe(topic, callback) {
-    const topics = Array.isArray(topic) ? topic : [topic];
+    const topics = normalizeSubscriptions(topic);
     for (const entry of topics) {
-      if (entry && typeof entry.topic === 'string') {
-        this.subscriptions.add(entry.topic);
-      } else if (typeof entry === 'string') {
-        this.subscriptions.add(entry);
-      }
+      this.subscriptions.add(entry.topic);
     }
     process.nextTick(() => {
       if (typeof callback === 'function') {
-        callback(null, topics.map(t => ({
-          topic: typeof t === 'string' ? t : t.topic,
-          qos: 0
-        })));
+        callback(null, topics);
       }
     });
   }
@@ -90,6 +101,24 @@ class FakeMqttClient extends EventEmitter {
   }
 }
 
+// Accepts the subscribe() shapes mqtt.js supports: a string, an array, or a
+// `{ [topic]: { qos } }` map.
+function normalizeSubscriptions(topic) {
+  if (topic && typeof topic === 'object' && !Array.isArray(topic) && typeof topic.topic !== 'string') {
+    return Object.entries(topic).map(([name, options]) => ({ topic: name, qos: options?.qos ?? 0 }));
+  }
+  const topics = Array.isArray(topic) ? topic : [topic];
+  return topics
+    .map(entry => (typeof entry === 'string' ? { topic: entry, qos: 0 } : entry))
+    .filter(entry => entry && typeof entry.topic === 'string')
+    .map(entry => ({ topic: entry.topic, qos: entry.qos ?? 0 }));
+}
+
+function parseSharedSubscription(pattern) {
+  const match = /^\$share\/([^/]+)\/(.+)$/.exec(pattern);
+  return match ? { group: match[1], filter: match[2] } : null;
+}
+
 function topicMatches(pattern, topic) {
   if (pattern === '#') {
     return true;
@@ -130,5 +159,6 @@ module.exports = {
   __reset() {
     broker.reset();
   },
-  __broker: broker
+  __broker: broker,
+  normalizeSubscriptions
 };
@@ -7,6 +7,7 @@ const mqtt = require('mqtt');
 
 const { VehicleStore } = require('../backend/services/vehicle-store');
 const { createMqttService } = require('../backend/services/mqtt-service');
+const { createMetricsService } = require('../backend/services/metrics-service');
 
 function createLoggerStub() {
   return {
@@ -28,7 +29,7 @@ function createBaseConfig() {
       rejectUnauthorized: true,
       clientId: null
     },
-    subscriptionTopic: 'fleet/+/telemetry',
+    subscriptions: [{ topic: 'fleet/+/telemetry', qos: 0 }],
     messageWindowMs: 60_000
   };
 }
@@ -38,6 +39,8 @@ function createState() {
     mqttConnected: false,
     totalMessages: 0,
     invalidMessages: 0,
+    staleMessages: 0,
+    gpsFlagged: {},
     messageTimestamps: []
   };
 }
@@ -127,3 +130,384 @@ test('MQTT service enriches telemetry and broadcasts updates', async t => {
   await once(publisher, 'close');
   vehicleStore.stop();
 });
+
+test('MQTT service decodes CBOR and Protobuf payloads by content-type and topic', async t => {
+  const { encodeTelemetry } = require('../simulator/lib/payload-encoder');
+  const state = createState();
+  const vehicleStore = new VehicleStore({ limit: 5, ttlMs: 0, logger: createLoggerStub() });
+  const updateEmitter = new EventEmitter();
+  const websocketService = { broadcastUpdate: vehicle => updateEmitter.emit('update', vehicle) };
+  const config = {
+    ...createBaseConfig(),
+    subscriptions: [{ topic: 'fleet/#', qos: 0 }],
+    ingest: { defaultFormat: 'json', topicFormats: [{ filter: 'fleet/+/telemetry/pb', format: 'protobuf' }] }
+  };
+  const mqttService = createMqttService({ config, logger: createLoggerStub(), vehicleStore, websocketService, state });
+  t.after(() => new Promise(resolve => mqttService.disconnect(resolve)));
+  t.after(() => mqtt.__reset());
+
+  await once(mqttService.client, 'connect');
+  const publisher = mqtt.connect();
+  await once(publisher, 'connect');
+
+  const message = {
+    vehicleId: 'unit-7',
+    lat: 48.85,
+    lng: 2.35,
+    ts: '2024-01-01T00:00:00.000Z',
+    fuelLevel: 64.5,
+    engineStatus: 'idle'
+  };
+
+  publisher.publish('fleet/demo/telemetry', encodeTelemetry(message, 'cbor'), {
+    properties: { contentType: 'application/cbor' }
+  });
+  const [fromCbor] = await once(updateEmitter, 'update');
+  assert.equal(fromCbor.fuelLevel, 64.5);
+  assert.equal(fromCbor.engineStatus, 'idle');
+
+  publisher.publish('fleet/demo/telemetry/pb', encodeTelemetry({ ...message, ts: '2024-01-01T00:00:05.000Z' }, 'protobuf'));
+  const [fromProtobuf] = await once(updateEmitter, 'update');
+  assert.equal(fromProtobuf.ts, '2024-01-01T00:00:05.000Z');
+  assert.equal(fromProtobuf.lat, 48.85);
+
+  publisher.publish('fleet/demo/telemetry/pb', JSON.stringify(message));
+  await delay(10);
+  assert.equal(state.totalMessages, 2);
+  assert.equal(state.invalidMessages, 1, 'JSON on a Protobuf topic is rejected');
+
+  publisher.end();
+  await once(publisher, 'close');
+  vehicleStore.stop();
+});
+
+test('MQTT service spreads shared subscriptions across instances with per-filter QoS', async t => {
+  const config = {
+    ...createBaseConfig(),
+    subscriptions: [
+      { topic: 'fleet/+/telemetry', qos: 1 },
+      { topic: 'devices/#', qos: 0 }
+    ],
+    subscriptionShareGroup: 'ingest'
+  };
+  const instances = [];
+  for (let i = 0; i < 2; i += 1) {
+    const state = createState();
+    const vehicleStore = new VehicleStore({ limit: 5, ttlMs: 0, logger: createLoggerStub() });
+    const service = createMqttService({
+      config,
+      logger: createLoggerStub(),
+      vehicleStore,
+      websocketService: { broadcastUpdate: () => {} },
+      state
+    });
+    const subscribeCalls = [];
+    const subscribe = service.client.subscribe.bind(service.client);
+    service.client.subscribe = (topics, callback) => {
+      subscribeCalls.push(topics);
+      return subscribe(topics, callback);
+    };
+    instances.push({ service, state, vehicleStore, subscribeCalls });
+    t.after(() => new Promise(resolve => service.disconnect(resolve)));
+    t.after(() => vehicleStore.stop());
+  }
+  t.after(() => mqtt.__reset());
+
+  await Promise.all(instances.map(({ service }) => once(service.client, 'connect')));
+  await delay(5);
+  assert.deepEqual(instances[0].subscribeCalls[0], {
+    '$share/ingest/fleet/+/telemetry': { qos: 1 },
+    '$share/ingest/devices/#': { qos: 0 }
+  });
+
+  const publisher = mqtt.connect();
+  await once(publisher, 'connect');
+  for (let i = 0; i < 4; i += 1) {
+    publisher.publish(i % 2 === 0 ? 'fleet/demo/telemetry' : 'devices/unit-1', JSON.stringify({
+      vehicleId: `unit-${i}`,
+      lat: 48.85,
+      lng: 2.35,
+      ts: `2024-01-01T00:00:0${i}.000Z`,
+      fuelLevel: 50,
+      engineStatus: 'running'
+    }));
+  }
+  await delay(20);
+
+  const counts = instances.map(({ state }) => state.totalMessages);
+  assert.equal(counts[0] + counts[1], 4, 'each message is processed once across the group');
+  assert.ok(counts[0] > 0 && counts[1] > 0, 'both group members receive messages');
+
+  publisher.end();
+  await once(publisher, 'close');
+});
+
+test('MQTT service carries user properties and message expiry into the enriched record', async t => {
+  const state = createState();
+  const vehicleStore = new VehicleStore({ limit: 5, ttlMs: 0, logger: createLoggerStub() });
+  const updateEmitter = new EventEmitter();
+  const websocketService = { broadcastUpdate: vehicle => updateEmitter.emit('update', vehicle) };
+  const mqttService = createMqttService({ config: createBaseConfig(), logger: createLoggerStub(), vehicleStore, websocketService, state });
+  t.after(() => new Promise(resolve => mqttService.disconnect(resolve)));
+  t.after(() => mqtt.__reset());
+  t.after(() => vehicleStore.stop());
+
+  await once(mqttService.client, 'connect');
+  const publisher = mqtt.connect();
+  await once(publisher, 'connect');
+
+  const before = Date.now();
+  publisher.publish('fleet/demo/telemetry', JSON.stringify({
+    vehicleId: 'unit-5',
+    lat: 48.85,
+    lng: 2.35,
+    ts: '2024-01-01T00:00:00.000Z',
+    fuelLevel: 50,
+    engineStatus: 'running'
+  }), {
+    properties: {
+      userProperties: { firmware: '2.4.1', traceId: ['a', 'b'], ignored: 42 },
+      messageExpiryInterval: 30
+    }
+  });
+
+  const [enriched] = await once(updateEmitter, 'update');
+  assert.deepEqual(enriched.userProperties, { firmware: '2.4.1', traceId: ['a', 'b'] });
+  const expiresAt = Date.parse(enriched.messageExpiresAt);
+  assert.ok(expiresAt >= before + 30_000 && expiresAt <= Date.now() + 30_000);
+  assert.deepEqual(vehicleStore.get('unit-5').userProperties, enriched.userProperties);
+
+  publisher.end();
+  await once(publisher, 'close');
+});
+
+test('MQTT service rejects invalid subscription settings', () => {
+  const create = overrides => createMqttService({
+    config: { ...createBaseConfig(), ...overrides },
+    logger: createLoggerStub(),
+    vehicleStore: null,
+    websocketService: null,
+    state: createState()
+  });
+  assert.throws(() => create({ subscriptions: [{ topic: 'fleet/#/x', qos: 0 }] }), /"#" must be the last level/);
+  assert.throws(() => create({ subscriptions: [{ topic: 'fleet/+', qos: 3 }] }), /expected 0, 1, or 2/);
+  assert.throws(() => create({ subscriptionShareGroup: 'a/b' }), /Invalid shared subscription group/);
+  assert.throws(() => create({ deadLetter: { topic: 'fleet/+/dead' } }), /must not contain wildcards/);
+});
+
+test('MQTT service records rejected messages and republishes them to the dead-letter topic', async t => {
+  const state = createState();
+  const vehicleStore = new VehicleStore({ limit: 5, ttlMs: 0, logger: createLoggerStub() });
+  t.after(() => vehicleStore.stop());
+  const recorded = [];
+  const deadLetterService = { record: rejection => recorded.push(rejection) };
+  const metrics = createMetricsService();
+  const config = {
+    ...createBaseConfig(),
+    // Matches the ingest filter on purpose: dead letters must not loop back in.
+    deadLetter: { topic: 'fleet/dead-letter/telemetry', qos: 1 }
+  };
+  const mqttService = createMqttService({
+    config,
+    logger: createLoggerStub(),
+    vehicleStore,
+    websocketService: { broadcastUpdate: () => {} },
+    state,
+    deadLetterService,
+    metrics
+  });
+  t.after(() => new Promise(resolve => mqttService.disconnect(resolve)));
+  t.after(() => mqtt.__reset());
+
+  await once(mqttService.client, 'connect');
+
+  const watcher = mqtt.connect();
+  await once(watcher, 'connect');
+  const deadLetters = [];
+  watcher.subscribe('fleet/dead-letter/telemetry');
+  watcher.on('message', (topic, payload) => deadLetters.push(JSON.parse(payload.toString())));
+
+  const publisher = mqtt.connect();
+  await once(publisher, 'connect');
+  publisher.publish('fleet/veh-1/telemetry', 'not-json');
+  publisher.publish('fleet/veh-2/telemetry', JSON.stringify({ vehicleId: 'veh-2', lat: 'north' }));
+
+  await delay(20);
+  assert.equal(state.invalidMessages, 2);
+  assert.deepEqual(recorded.map(({ topic, reason, payloadFormat }) => ({ topic, reason, payloadFormat })), [
+    { topic: 'fleet/veh-1/telemetry', reason: 'invalid_json', payloadFormat: 'json' },
+    { topic: 'fleet/veh-2/telemetry', reason: 'validation_failed', payloadFormat: 'json' }
+  ]);
+  assert.equal(typeof recorded[1].error, 'string');
+  assert.equal(metrics.mqttMessagesReceived.get(), 2);
+  assert.equal(metrics.mqttMessagesInvalid.get({ reason: 'invalid_json' }), 1);
+  assert.equal(metrics.mqttMessagesInvalid.get({ reason: 'validation_failed' }), 1);
+
+  assert.equal(deadLetters.length, 2);
+  assert.equal(deadLetters[0].topic, 'fleet/veh-1/telemetry');
+  assert.equal(deadLetters[0].reason, 'invalid_json');
+  assert.equal(Buffer.from(deadLetters[0].payload, 'base64').toString(), 'not-json');
+
+  publisher.end();
+  watcher.end();
+  await Promise.all([once(publisher, 'close'), once(watcher, 'close')]);
+});
+
+test('MQTT service assigns vehicles to the fleet in their topic and keeps other fleets out', async t => {
+  const state = createState();
+  const vehicleStore = new VehicleStore({ limit: 5, ttlMs: 0, logger: createLoggerStub() });
+  t.after(() => vehicleStore.stop());
+  const recorded = [];
+  const updates = [];
+  const config = {
+    ...createBaseConfig(),
+    subscriptions: [{ topic: 'fleet/#', qos: 0 }]
+  };
+  const mqttService = createMqttService({
+    config,
+    logger: createLoggerStub(),
+    vehicleStore,
+    // `archived-1` reported from `globex` before this process started.
+    vehicleRegistry: { getFleetId: vehicleId => (vehicleId === 'archived-1' ? 'globex' : null) },
+    websocketService: { broadcastUpdate: vehicle => updates.push(vehicle) },
+    state,
+    deadLetterService: { record: rejection => recorded.push(rejection) }
+  });
+  t.after(() => new Promise(resolve => mqttService.disconnect(resolve)));
+  t.after(() => mqtt.__reset());
+
+  await once(mqttService.client, 'connect');
+  const publisher = mqtt.connect();
+  await once(publisher, 'connect');
+
+  const telemetry = vehicleId => JSON.stringify({
+    vehicleId,
+    lat: 52.52,
+    lng: 13.405,
+    ts: '2024-01-01T00:00:00.000Z',
+    fuelLevel: 80,
+    engineStatus: 'running'
+  });
+  publisher.publish('fleet/acme/telemetry', telemetry('truck-1'));
+  publisher.publish('fleet/globex/telemetry', telemetry('truck-1'));
+  publisher.publish('fleet/acme/telemetry', telemetry('archived-1'));
+  publisher.publish('fleet/ac me/telemetry', telemetry('truck-2'));
+  publisher.publish('fleet', telemetry('truck-3'));
+
+  await delay(20);
+  assert.deepEqual(updates.map(({ vehicleId, fleetId }) => [vehicleId, fleetId]), [['truck-1', 'acme'], ['truck-3', 'default']]);
+  assert.equal(vehicleStore.get('truck-1').fleetId, 'acme');
+  assert.deepEqual(recorded.map(({ topic, fleetId, reason }) => [topic, fleetId, reason]), [
+    ['fleet/globex/telemetry', 'globex', 'fleet_mismatch'],
+    ['fleet/acme/telemetry', 'acme', 'fleet_mismatch'],
+    ['fleet/ac me/telemetry', null, 'invalid_fleet']
+  ]);
+  assert.equal(recorded[0].error, 'vehicle "truck-1" belongs to another fleet');
+  assert.equal(state.invalidMessages, 3);
+
+  publisher.end();
+  await once(publisher, 'close');
+});
+
+test('MQTT service keeps stale and replayed messages out of live state but stores them', async t => {
+  const state = createState();
+  const vehicleStore = new VehicleStore({ limit: 5, ttlMs: 0, logger: createLoggerStub() });
+  const updates = [];
+  const websocketService = { broadcastUpdate: vehicle => updates.push(vehicle) };
+  const recorded = [];
+  const telemetryRepository = { recordTelemetry: record => recorded.push(record) };
+  const metrics = createMetricsService({ state });
+  const mqttService = createMqttService({
+    config: createBaseConfig(),
+    logger: createLoggerStub(),
+    vehicleStore,
+    websocketService,
+    telemetryRepository,
+    metrics,
+    state
+  });
+  t.after(() => new Promise(resolve => mqttService.disconnect(resolve)));
+  t.after(() => mqtt.__reset());
+
+  await once(mqttService.client, 'connect');
+  const publisher = mqtt.connect();
+  await once(publisher, 'connect');
+
+  const send = (ts, lat) => publisher.publish('fleet/demo/telemetry', JSON.stringify({
+    vehicleId: 'unit-5', lat, lng: 2.35, ts, fuelLevel: 60, engineStatus: 'running'
+  }));
+  send('2024-01-01T00:02:00.000Z', 48.87);
+  send('2024-01-01T00:01:00.000Z', 48.86);
+  send('2024-01-01T00:02:00.000Z', 48.87);
+  await delay(10);
+
+  assert.equal(vehicleStore.get('unit-5').lat, 48.87, 'older messages do not overwrite live state');
+  assert.equal(updates.length, 1);
+  assert.equal(state.totalMessages, 1);
+  assert.equal(state.staleMessages, 2);
+  assert.match(metrics.render(), /fleet_mqtt_messages_stale_total 2/);
+
+  assert.deepEqual(recorded.map(record => [record.message.ts, record.previous ?? null, record.stale ?? false]), [
+    ['2024-01-01T00:02:00.000Z', null, false],
+    ['2024-01-01T00:01:00.000Z', null, true],
+    ['2024-01-01T00:02:00.000Z', null, true]
+  ]);
+  assert.equal(recorded[1].enriched.fleetId, 'demo');
+
+  publisher.end();
+  await once(publisher, 'close');
+  vehicleStore.stop();
+});
+
+test('MQTT service flags implausible GPS fixes and keeps the vehicle on its filtered track', async t => {
+  const state = createState();
+  const vehicleStore = new VehicleStore({ limit: 5, ttlMs: 0, logger: createLoggerStub() });
+  const recorded = [];
+  const telemetryRepository = { recordTelemetry: record => recorded.push(record) };
+  const metrics = createMetricsService({ state });
+  const mqttService = createMqttService({
+    config: { ...createBaseConfig(), gpsFilter: { maxSpeedKmh: 300, maxConsecutiveOutliers: 2 } },
+    logger: createLoggerStub(),
+    vehicleStore,
+    websocketService: { broadcastUpdate: () => {} },
+    telemetryRepository,
+    metrics,
+    state
+  });
+  t.after(() => new Promise(resolve => mqttService.disconnect(resolve)));
+  t.after(() => mqtt.__reset());
+
+  await once(mqttService.client, 'connect');
+  const publisher = mqtt.connect();
+  await once(publisher, 'connect');
+
+  const send = (ts, lat) => publisher.publish('fleet/demo/telemetry', JSON.stringify({
+    vehicleId: 'unit-7', lat, lng: 2.35, ts, fuelLevel: 60, engineStatus: 'running'
+  }));
+  send('2024-01-01T00:00:00.000Z', 48.85);
+  send('2024-01-01T00:00:10.000Z', 48.851);
+  send('2024-01-01T00:00:20.000Z', 51.5);
+  await delay(10);
+
+  const live = vehicleStore.get('unit-7');
+  assert.equal(live.lat, 48.851, 'the outlier does not move the vehicle');
+  assert.equal(live.ts, '2024-01-01T00:00:20.000Z');
+  assert.deepEqual(live.gpsFlags, ['speed', 'acceleration']);
+  assert.equal(recorded[2].message.lat, 51.5, 'the reported fix is still stored');
+  assert.deepEqual(recorded[1].enriched.gpsFlags, null);
+
+  send('2024-01-01T00:00:30.000Z', 51.5);
+  send('2024-01-01T00:00:40.000Z', 51.5);
+  await delay(10);
+  assert.equal(vehicleStore.get('unit-7').lat, 51.5);
+  assert.deepEqual(vehicleStore.get('unit-7').gpsFlags, ['relocated']);
+
+  assert.deepEqual(state.gpsFlagged, { speed: 2, acceleration: 2, relocated: 1 });
+  const rendered = metrics.render();
+  assert.match(rendered, /fleet_gps_fixes_flagged_total\{flag="speed"\} 2/);
+  assert.match(rendered, /fleet_gps_fixes_flagged_total\{flag="relocated"\} 1/);
+
+  publisher.end();
+  await once(publisher, 'close');
+  vehicleStore.stop();
+});
@@ -0,0 +1,97 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { createPayloadDecoder, decodeCbor } = require('../backend/utils/payload-decoder');
+const { matchesTopicFilter } = require('../backend/utils/mqtt-topic');
+const { encodeCbor, encodeTelemetry } = require('../simulator/lib/payload-encoder');
+
+const message = {
+  vehicleId: 'veh-1',
+  lat: 48.856613,
+  lng: -2.352222,
+  ts: '2024-01-01T00:00:00.000Z',
+  fuelLevel: 42.25,
+  engineStatus: 'running'
+};
+
+test('CBOR and Protobuf payloads decode to the JSON message shape', () => {
+  const decoder = createPayloadDecoder({ defaultFormat: 'cbor' });
+  assert.deepEqual(decoder.decode('fleet/a/telemetry', encodeTelemetry(message, 'cbor')), {
+    ok: true,
+    format: 'cbor',
+    value: message
+  });
+
+  const protobufDecoder = createPayloadDecoder({ defaultFormat: 'protobuf' });
+  const decoded = protobufDecoder.decode('fleet/a/telemetry', encodeTelemetry(message, 'protobuf'));
+  assert.equal(decoded.ok, true);
+  assert.deepEqual(decoded.value, message);
+
+  assert.deepEqual(decodeCbor(encodeCbor({ n: -300, big: 70_000, list: [true, null, 'x'] })), {
+    n: -300,
+    big: 70_000,
+    list: [true, null, 'x']
+  });
+  // Half-precision float, indefinite-length map, and an epoch-seconds date tag.
+  assert.equal(decodeCbor(Buffer.from([0xf9, 0x3e, 0x00])), 1.5);
+  assert.deepEqual(decodeCbor(Buffer.from([0xbf, 0x61, 0x61, 0x01, 0xff])), { a: 1 });
+  assert.equal(decodeCbor(Buffer.from([0xc1, 0x1a, 0x65, 0x92, 0x00, 0x80])), '2024-01-01T00:00:00.000Z');
+});
+
+test('extended telemetry fields survive every payload format', () => {
+  const extended = {
+    ...message,
+    heading: 0,
+    altitude: 35.5,
+    odometerKm: 120_345.125,
+    batteryLevel: 81,
+    cargoTemperature: -18.5,
+    doorState: 'locked',
+    sensors: { tyrePressureFl: 2.4, reefer: true, firmware: 'v1.2' },
+    chargingStatus: 'regenerating',
+    schemaVersion: 3
+  };
+  for (const format of ['json', 'cbor', 'protobuf']) {
+    const decoder = createPayloadDecoder({ defaultFormat: format });
+    assert.deepEqual(decoder.decode('fleet/a/telemetry', encodeTelemetry(extended, format)).value, extended, format);
+  }
+
+  const { fuelLevel, ...electric } = extended;
+  const decoded = createPayloadDecoder({ defaultFormat: 'protobuf' }).decode('fleet/a/telemetry', encodeTelemetry(electric, 'protobuf'));
+  assert.equal('fuelLevel' in decoded.value, false, 'an unset fuel level is not read as an empty tank');
+});
+
+test('payload format follows content-type, then topic filters, then the default', () => {
+  const decoder = createPayloadDecoder({
+    defaultFormat: 'json',
+    topicFormats: [
+      { filter: 'fleet/+/telemetry/cbor', format: 'cbor' },
+      { filter: 'devices/#', format: 'protobuf' }
+    ]
+  });
+
+  assert.equal(decoder.resolveFormat('fleet/a/telemetry'), 'json');
+  assert.equal(decoder.resolveFormat('fleet/a/telemetry/cbor'), 'cbor');
+  assert.equal(decoder.resolveFormat('devices/x/y'), 'protobuf');
+  assert.equal(decoder.resolveFormat('devices/x/y', { contentType: 'application/json; charset=utf-8' }), 'json');
+  assert.equal(decoder.resolveFormat('fleet/a/telemetry', { contentType: 'text/plain' }), 'json');
+
+  assert.deepEqual(decoder.decode('fleet/a/telemetry/cbor', Buffer.from([0xa1, 0x61])), {
+    ok: false,
+    format: 'cbor',
+    error: 'invalid_cbor'
+  });
+  assert.equal(decoder.decode('fleet/a/telemetry', Buffer.from('nope')).error, 'invalid_json');
+  assert.equal(decoder.decode('devices/x', Buffer.from([0x0a, 0xff])).error, 'invalid_protobuf');
+
+  assert.throws(() => createPayloadDecoder({ defaultFormat: 'xml' }), /Unsupported payload format "xml"/);
+  assert.throws(() => createPayloadDecoder({ topicFormats: [{ filter: 'a/#', format: '' }] }), /Unsupported payload format/);
+});
+
+test('topic filters match single- and multi-level wildcards', () => {
+  assert.equal(matchesTopicFilter('fleet/+/telemetry', 'fleet/a/telemetry'), true);
+  assert.equal(matchesTopicFilter('fleet/+/telemetry', 'fleet/a/b/telemetry'), false);
+  assert.equal(matchesTopicFilter('fleet/#', 'fleet'), true);
+  assert.equal(matchesTopicFilter('fleet/#', 'fleet/a/b'), true);
+  assert.equal(matchesTopicFilter('fleet/a', 'fleet/a/b'), false);
+});
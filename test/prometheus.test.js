@@ -0,0 +1,74 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { createRegistry, prefersOpenMetrics } = require('../backend/utils/prometheus');
+const { createMetricsService } = require('../backend/services/metrics-service');
+
+test('registry renders counters, gauges, and histograms in the Prometheus text format', () => {
+  const registry = createRegistry();
+  const invalid = registry.counter({ name: 'demo_invalid', help: 'Invalid messages.', labelNames: ['reason'] });
+  registry.gauge({ name: 'demo_clients', help: 'Clients.', collect: () => 3 });
+  const latency = registry.histogram({ name: 'demo_latency_seconds', help: 'Latency.', buckets: [0.1, 0.5] });
+
+  invalid.inc({ reason: 'invalid_json' });
+  invalid.inc({ reason: 'invalid_json' });
+  invalid.inc({ reason: 'say "hi"\n' });
+  latency.observe({}, 0.05);
+  latency.observe({}, 0.3);
+  latency.observe({}, 2);
+
+  assert.equal(invalid.get({ reason: 'invalid_json' }), 2);
+  assert.equal(registry.render(), [
+    '# HELP demo_invalid_total Invalid messages.',
+    '# TYPE demo_invalid_total counter',
+    'demo_invalid_total{reason="invalid_json"} 2',
+    'demo_invalid_total{reason="say \\"hi\\"\\n"} 1',
+    '# HELP demo_clients Clients.',
+    '# TYPE demo_clients gauge',
+    'demo_clients 3',
+    '# HELP demo_latency_seconds Latency.',
+    '# TYPE demo_latency_seconds histogram',
+    'demo_latency_seconds_bucket{le="0.1"} 1',
+    'demo_latency_seconds_bucket{le="0.5"} 2',
+    'demo_latency_seconds_bucket{le="+Inf"} 3',
+    'demo_latency_seconds_sum 2.35',
+    'demo_latency_seconds_count 3',
+    ''
+  ].join('\n'));
+
+  const openMetrics = registry.render({ openMetrics: true });
+  assert.match(openMetrics, /^# TYPE demo_invalid counter$/m);
+  assert.ok(openMetrics.endsWith('# EOF\n'));
+  assert.equal(prefersOpenMetrics('application/openmetrics-text; version=1.0.0,text/plain;q=0.5'), true);
+  assert.equal(prefersOpenMetrics('text/plain'), false);
+});
+
+test('registry rejects invalid and duplicate metrics', () => {
+  const registry = createRegistry();
+  registry.counter({ name: 'demo_total_events', help: 'Events.' });
+  assert.throws(() => registry.counter({ name: 'demo_total_events', help: 'Again.' }), /already registered/);
+  assert.throws(() => registry.gauge({ name: 'demo-gauge', help: 'Bad.' }), /Invalid metric name/);
+  assert.throws(() => registry.histogram({ name: 'demo_h', help: 'Bad.', labelNames: ['le'] }), /Invalid label name/);
+  assert.throws(() => registry.counter({ name: 'demo_c', help: 'C.' }).inc({}, -1), /can only increase/);
+});
+
+test('metrics service reads live gauges at scrape time', () => {
+  const state = { grpcStreams: 2 };
+  let clients = 1;
+  const metrics = createMetricsService({
+    state,
+    getClientCount: () => clients,
+    getVehicleCount: () => 7,
+    getWriteBufferMetrics: () => ({ queueDepth: 12, dropped: 4 })
+  });
+
+  metrics.mqttMessagesReceived.inc();
+  clients = 5;
+  const text = metrics.render();
+  assert.match(text, /^fleet_mqtt_messages_received_total 1$/m);
+  assert.match(text, /^fleet_websocket_clients 5$/m);
+  assert.match(text, /^fleet_grpc_active_streams 2$/m);
+  assert.match(text, /^fleet_vehicles_tracked 7$/m);
+  assert.match(text, /^fleet_write_queue_depth 12$/m);
+  assert.match(text, /^fleet_write_dropped_records_total 4$/m);
+});
@@ -0,0 +1,175 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { once } = require('node:events');
+const { test } = require('node:test');
+const { formatRecord, readRecording, shiftTimestamp } = require('../simulator/lib/recording');
+const { encodeTelemetry } = require('../simulator/lib/payload-encoder');
+const { createPayloadDecoder } = require('../backend/utils/payload-decoder');
+const { runSimulator } = require('./helpers/run-simulator');
+
+const SAMPLE = {
+  vehicleId: 'truck-1',
+  lat: 48.85,
+  lng: 2.35,
+  ts: '2026-03-01T08:00:00.000Z',
+  fuelLevel: 50,
+  engineStatus: 'running'
+};
+
+function tempPath(t, name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, name);
+}
+
+function recordLine(topic, payload, receivedAt, contentType) {
+  return formatRecord({ topic, payload: Buffer.from(payload), contentType, receivedAt });
+}
+
+async function subscribe(t, topic) {
+  const mqtt = require('mqtt');
+  const subscriber = mqtt.connect();
+  t.after(() => subscriber.end());
+  await once(subscriber, 'connect');
+  subscriber.subscribe(topic);
+  const received = [];
+  subscriber.on('message', (messageTopic, payload, packet) => received.push({ topic: messageTopic, payload, packet }));
+  return { subscriber, received };
+}
+
+test('captured messages round-trip through NDJSON lines', t => {
+  const json = JSON.stringify(SAMPLE);
+  const protobuf = encodeTelemetry(SAMPLE, 'protobuf');
+  const file = tempPath(t, 'capture.ndjson');
+  fs.writeFileSync(file, [
+    recordLine('fleet/a/telemetry', json, Date.parse('2026-03-01T08:00:00.250Z')),
+    '',
+    recordLine('fleet/b/telemetry', protobuf, Date.parse('2026-03-01T08:00:01.000Z'), 'application/x-protobuf')
+  ].join('\n'));
+
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8').split('\n')[0]), {
+    receivedAt: '2026-03-01T08:00:00.250Z',
+    topic: 'fleet/a/telemetry',
+    payloadEncoding: 'utf8',
+    payload: json
+  });
+
+  const records = readRecording(file);
+  assert.equal(records.length, 2);
+  assert.equal(records[0].payload.toString(), json);
+  assert.equal(records[0].contentType, null);
+  assert.equal(records[1].topic, 'fleet/b/telemetry');
+  assert.ok(records[1].payload.equals(protobuf));
+  assert.equal(records[1].contentType, 'application/x-protobuf');
+  assert.equal(records[1].receivedAtMs, Date.parse('2026-03-01T08:00:01.000Z'));
+});
+
+test('malformed recordings are rejected with their line number', t => {
+  const file = tempPath(t, 'broken.ndjson');
+  fs.writeFileSync(file, `${recordLine('fleet/a/telemetry', '{}', 0)}\n{"topic":"x","receivedAt":"never"}\n`);
+  assert.throws(() => readRecording(file), /line 2: receivedAt must be an ISO timestamp/);
+
+  fs.writeFileSync(file, '\n');
+  assert.throws(() => readRecording(file), /no messages/);
+});
+
+test('replayed timestamps keep their original delivery delay', () => {
+  const receivedAtMs = Date.parse(SAMPLE.ts) + 2000;
+  const now = Date.parse('2026-10-19T12:00:00.000Z');
+
+  const json = shiftTimestamp({ payload: Buffer.from(JSON.stringify(SAMPLE)), receivedAtMs }, now);
+  assert.equal(json.shifted, true);
+  assert.equal(JSON.parse(json.payload).ts, '2026-10-19T11:59:58.000Z');
+
+  const numeric = shiftTimestamp({ payload: Buffer.from(JSON.stringify({ ...SAMPLE, ts: Date.parse(SAMPLE.ts) })), receivedAtMs }, now);
+  assert.equal(JSON.parse(numeric.payload).ts, now - 2000);
+
+  const protobuf = shiftTimestamp({ payload: encodeTelemetry(SAMPLE, 'protobuf'), receivedAtMs, contentType: null }, now);
+  assert.equal(protobuf.shifted, true);
+  const decoded = createPayloadDecoder().decode('fleet/a/telemetry', protobuf.payload, { contentType: 'application/x-protobuf' });
+  assert.equal(decoded.value.ts, '2026-10-19T11:59:58.000Z');
+  assert.equal(decoded.value.vehicleId, 'truck-1');
+
+  const cbor = encodeTelemetry(SAMPLE, 'cbor');
+  const unchanged = shiftTimestamp({ payload: cbor, receivedAtMs }, now);
+  assert.equal(unchanged.shifted, false);
+  assert.ok(unchanged.payload.equals(cbor));
+});
+
+test('simulator captures telemetry to an NDJSON file', async t => {
+  const file = tempPath(t, 'capture.ndjson');
+  const { subscriber } = await subscribe(t, 'unused/topic');
+
+  const run = runSimulator(['--host', 'fake-host', '--capture', file, '--topic', 'fleet/+/telemetry', '--max-messages', '2']);
+  let sent = 0;
+  const publisher = setInterval(() => {
+    sent += 1;
+    subscriber.publish(`fleet/f${sent}/telemetry`, JSON.stringify({ ...SAMPLE, vehicleId: `truck-${sent}` }));
+  }, 50);
+  t.after(() => clearInterval(publisher));
+
+  const { code, stderr, jsonLogs } = await run;
+  clearInterval(publisher);
+  assert.equal(code, 0);
+  assert.equal(stderr, '');
+  assert.ok(jsonLogs.some(line => line.msg === 'capturing telemetry'));
+
+  const records = readRecording(file);
+  assert.equal(records.length, 2);
+  assert.match(records[0].topic, /^fleet\/f\d+\/telemetry$/);
+  assert.equal(JSON.parse(records[0].payload).fuelLevel, 50);
+  assert.ok(records[0].receivedAtMs <= records[1].receivedAtMs);
+});
+
+test('simulator replays a recording faster, with fresh timestamps', async t => {
+  const file = tempPath(t, 'replay.ndjson');
+  const start = Date.parse('2026-03-01T08:00:00.000Z');
+  fs.writeFileSync(file, [0, 1000, 2000].map(offset => recordLine(
+    offset === 1000 ? 'fleet/b/telemetry' : 'fleet/a/telemetry',
+    JSON.stringify({ ...SAMPLE, ts: new Date(start + offset - 500).toISOString() }),
+    start + offset
+  )).join('\n'));
+  const { received } = await subscribe(t, 'fleet/+/telemetry');
+
+  const startedAt = Date.now();
+  const { code, jsonLogs } = await runSimulator(['--host', 'fake-host', '--replay', file, '--replay-speed', '10']);
+  assert.equal(code, 0);
+  assert.ok(jsonLogs.some(line => line.msg === 'replay complete'));
+
+  assert.deepEqual(received.map(message => message.topic), ['fleet/a/telemetry', 'fleet/b/telemetry', 'fleet/a/telemetry']);
+  const timestamps = received.map(message => Date.parse(JSON.parse(message.payload).ts));
+  for (const ts of timestamps) {
+    assert.ok(ts >= startedAt - 500 && ts <= Date.now(), 'timestamps are shifted to the replay time');
+  }
+  const gapMs = timestamps[2] - timestamps[0];
+  assert.ok(gapMs >= 190 && gapMs < 1000, `two seconds of traffic replays in about 200ms (took ${gapMs}ms)`);
+});
+
+test('looped replays keep the original timestamps when shifting is off', async t => {
+  const file = tempPath(t, 'loop.ndjson');
+  fs.writeFileSync(file, recordLine('fleet/a/telemetry', JSON.stringify(SAMPLE), Date.parse(SAMPLE.ts)));
+  const { received } = await subscribe(t, 'fleet/a/telemetry');
+
+  const { code, jsonLogs } = await runSimulator([
+    '--host', 'fake-host', '--replay', file, '--loop', '--shift-ts', 'false', '--max-messages', '3'
+  ]);
+  assert.equal(code, 0);
+  assert.equal(jsonLogs.filter(line => line.msg === 'replay restarting').length, 2);
+  assert.deepEqual(received.map(message => JSON.parse(message.payload).ts), [SAMPLE.ts, SAMPLE.ts, SAMPLE.ts]);
+});
+
+test('simulator rejects combined modes and unreadable recordings', async t => {
+  const combined = await runSimulator(['--replay', 'a.ndjson', '--capture', 'b.ndjson']);
+  assert.equal(combined.code, 1);
+  assert.match(combined.stderr, /--capture and --replay cannot be combined/);
+
+  const missing = await runSimulator(['--replay', tempPath(t, 'missing.ndjson')]);
+  assert.equal(missing.code, 1);
+  assert.match(missing.stderr, /failed to read recording/);
+
+  const speed = await runSimulator(['--replay', 'a.ndjson', '--replay-speed', '0']);
+  assert.equal(speed.code, 1);
+  assert.match(speed.stderr, /invalid replaySpeed value/);
+});
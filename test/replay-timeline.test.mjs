@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  buildReplayTracks,
+  createReplayClock,
+  pathUntil,
+  samplePositionAt
+} from '../frontend/src/utils/replay-timeline.mjs';
+
+const events = [
+  { vehicleId: 'veh-2', recordedAt: '2024-01-01T00:00:20.000Z', latitude: 5, longitude: 5 },
+  { vehicleId: 'veh-1', recordedAt: '2024-01-01T00:00:10.000Z', latitude: 2, longitude: 4, fuelLevel: 40 },
+  { vehicleId: 'veh-1', recordedAt: '2024-01-01T00:00:00.000Z', latitude: 0, longitude: 0, fuelLevel: 50 },
+  { vehicleId: 'veh-1', recordedAt: 'not-a-date', latitude: 9, longitude: 9 }
+];
+
+test('replay tracks are grouped per vehicle and interpolated between samples', () => {
+  const { tracks, startMs, endMs } = buildReplayTracks(events);
+  assert.equal(tracks.size, 2);
+  assert.equal(startMs, Date.parse('2024-01-01T00:00:00.000Z'));
+  assert.equal(endMs, Date.parse('2024-01-01T00:00:20.000Z'));
+
+  const track = tracks.get('veh-1');
+  assert.deepEqual(track.map(sample => sample.fuelLevel), [50, 40]);
+
+  assert.equal(samplePositionAt(track, startMs - 1), null);
+  const mid = samplePositionAt(track, startMs + 5_000);
+  assert.equal(mid.lat, 1);
+  assert.equal(mid.lng, 2);
+  assert.equal(mid.fuelLevel, 50, 'attributes come from the last reached sample');
+
+  assert.deepEqual(pathUntil(track, startMs + 5_000), [[0, 0], [1, 2]]);
+  assert.deepEqual(pathUntil(track, endMs), [[0, 0], [2, 4]]);
+  assert.deepEqual(pathUntil(tracks.get('veh-2'), startMs), []);
+});
+
+test('replay clock advances by the speed multiplier and stops at the end', () => {
+  let now = 0;
+  const frames = [];
+  const ticks = [];
+  const states = [];
+  const clock = createReplayClock({
+    startMs: 1_000,
+    endMs: 11_000,
+    speed: 2,
+    onTick: value => ticks.push(value),
+    onStateChange: state => states.push(state.playing),
+    requestFrame: callback => frames.push(callback),
+    cancelFrame: () => {},
+    nowFn: () => now
+  });
+
+  const step = ms => {
+    now += ms;
+    frames.shift()();
+  };
+
+  clock.play();
+  step(1_000);
+  assert.equal(clock.currentMs, 3_000);
+
+  clock.setSpeed(10);
+  step(500);
+  assert.equal(clock.currentMs, 8_000);
+
+  clock.seek(2_000);
+  assert.equal(ticks.at(-1), 2_000);
+  step(2_000);
+  assert.equal(clock.currentMs, 11_000, 'replay time is clamped to the range');
+  assert.equal(clock.playing, false);
+  assert.deepEqual(states, [true, true, false]);
+  assert.equal(frames.length, 0);
+
+  clock.play();
+  assert.equal(clock.currentMs, 1_000, 'playing at the end restarts from the beginning');
+  clock.destroy();
+  assert.throws(() => createReplayClock({ startMs: 5, endMs: 1 }), /valid time range/);
+});
@@ -0,0 +1,172 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { test } = require('node:test');
+const {
+  createRoadNetwork,
+  createRoutePlanner,
+  loadRoadNetwork,
+  parseGeoJsonRoads,
+  parseOsmRoads,
+  resolveSpeedKmh
+} = require('../simulator/lib/road-network');
+const { haversine } = require('../simulator/lib/movement-engine');
+const { runSimulator } = require('./helpers/run-simulator');
+
+// A square of four junctions: a slow residential street along the north and
+// east sides, a fast primary road along the south and west sides, and a
+// one-way diagonal from A to C.
+const A = [2.3500, 48.8500];
+const B = [2.3600, 48.8500];
+const C = [2.3600, 48.8600];
+const D = [2.3500, 48.8600];
+
+const SQUARE = {
+  type: 'FeatureCollection',
+  features: [
+    line([A, B], { highway: 'primary' }),
+    line([B, C], { highway: 'primary' }),
+    line([A, D], { highway: 'residential' }),
+    line([D, C], { highway: 'residential', maxspeed: '20 mph' }),
+    line([A, C], { highway: 'service', oneway: 'yes', maxspeed: 5 }),
+    line([B, D], { highway: 'footway' })
+  ]
+};
+
+function line(coordinates, properties) {
+  return { type: 'Feature', properties, geometry: { type: 'LineString', coordinates } };
+}
+
+function nodeAt(network, [lng, lat]) {
+  return network.nearestNode(lat, lng);
+}
+
+test('GeoJSON roads become a graph with one-way edges and speed limits', () => {
+  const roads = parseGeoJsonRoads(SQUARE);
+  assert.equal(roads.length, 5, 'footways are not drivable');
+  assert.deepEqual(roads.map(road => road.speedKmh), [70, 70, 30, 20 * 1.609344, 5]);
+  assert.deepEqual(roads.map(road => road.oneway), [false, false, false, false, true]);
+
+  const network = createRoadNetwork(roads);
+  assert.equal(network.nodeCount, 4);
+  assert.equal(network.edgeCount, 9);
+
+  const diagonal = network.findRoute(nodeAt(network, A), nodeAt(network, C));
+  assert.ok(diagonal);
+  const back = network.findRoute(nodeAt(network, C), nodeAt(network, A));
+  assert.equal(back.length, 2, 'the one-way diagonal cannot be driven backwards');
+});
+
+test('routes take the fastest path rather than the shortest', () => {
+  const network = createRoadNetwork(parseGeoJsonRoads(SQUARE));
+  const edges = network.findRoute(nodeAt(network, A), nodeAt(network, C));
+  assert.deepEqual(
+    edges.map(edge => [edge.to.lng, edge.to.lat]),
+    [B, C],
+    'the 70 km/h detour beats the 5 km/h diagonal'
+  );
+  assert.deepEqual(network.findRoute(nodeAt(network, A), nodeAt(network, A)), []);
+});
+
+test('OSM extracts are read from nodes and highway ways', () => {
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<osm version="0.6">
+  <node id="1" lat="48.85" lon="2.35"/>
+  <node id="2" lat="48.85" lon="2.36"/>
+  <node id='3' lat='48.86' lon='2.36'/>
+  <way id="10">
+    <nd ref="1"/><nd ref="2"/><nd ref="3"/>
+    <tag k="highway" v="secondary"/>
+    <tag k="maxspeed" v="45"/>
+  </way>
+  <way id="11">
+    <nd ref="3"/><nd ref="1"/>
+    <tag k="highway" v='tertiary'/>
+    <tag k="oneway" v="-1"/>
+  </way>
+  <way id="12">
+    <nd ref="1"/><nd ref="3"/>
+    <tag k="building" v="yes"/>
+  </way>
+</osm>`;
+  const roads = parseOsmRoads(xml);
+  assert.equal(roads.length, 2);
+  assert.equal(roads[0].speedKmh, 45);
+  assert.equal(roads[0].points.length, 3);
+  assert.equal(roads[1].speedKmh, 50);
+  assert.equal(roads[1].oneway, true);
+  assert.deepEqual(roads[1].points.map(point => point.key), ['osm:1', 'osm:3'], '-1 reverses the way');
+
+  const network = createRoadNetwork(roads);
+  assert.equal(network.nodeCount, 3);
+  assert.equal(network.edgeCount, 5);
+});
+
+test('speed limits fall back to the highway class', () => {
+  assert.equal(resolveSpeedKmh(undefined, 'motorway'), 110);
+  assert.equal(resolveSpeedKmh('none', 'residential'), 30);
+  assert.equal(resolveSpeedKmh(80, 'residential'), 80);
+  assert.equal(resolveSpeedKmh(undefined, 'unknown'), 50);
+});
+
+test('routed vehicles follow the edges between configured waypoints', () => {
+  const network = createRoadNetwork(parseGeoJsonRoads(SQUARE));
+  const planner = createRoutePlanner({
+    network,
+    waypoints: [{ lat: A[1], lng: A[0] }, { lat: D[1], lng: D[0] }],
+    rand: () => 0
+  });
+  const routing = planner.createRouting();
+  assert.equal(routing.node, nodeAt(network, A));
+  const vehicle = { lat: routing.node.lat, lng: routing.node.lng, heading: 0, routing };
+
+  assert.equal(planner.speedLimit(vehicle), 30, 'A to D is the residential street');
+  planner.advance(vehicle, 0.5);
+  assert.ok(Math.abs(vehicle.lng - A[0]) < 1e-9, 'the vehicle stays on the street');
+  assert.ok(vehicle.lat > A[1] && vehicle.lat < D[1]);
+  assert.ok(Math.abs(vehicle.heading) < 1e-6 || Math.abs(vehicle.heading - 360) < 1e-6, 'heading north');
+
+  // Past D the vehicle turns back towards A.
+  const sideKm = haversine(A[1], A[0], D[1], D[0]);
+  planner.advance(vehicle, sideKm);
+  assert.equal(routing.node, nodeAt(network, D));
+  assert.ok(Math.abs(vehicle.heading - 180) < 1e-6, 'heading south');
+  assert.ok(vehicle.lat < D[1]);
+});
+
+test('simulator drives vehicles along a road network file', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'road-network-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'roads.geojson');
+  fs.writeFileSync(file, JSON.stringify(SQUARE));
+
+  assert.equal(loadRoadNetwork(file).nodeCount, 4);
+
+  const { code, stderr, jsonLogs } = await runSimulator([
+    '--host', 'fake-host',
+    '--seed', 'unit',
+    '--max-messages', '1',
+    '--road-network', file
+  ]);
+  assert.equal(code, 0);
+  assert.equal(stderr, '');
+
+  const loaded = jsonLogs.find(line => line.msg === 'road network loaded');
+  assert.equal(loaded.nodes, 4);
+  assert.equal(loaded.edges, 9);
+
+  const { payload } = jsonLogs.find(line => line.msg === 'first publish');
+  assert.ok(payload.lat >= A[1] && payload.lat <= C[1]);
+  assert.ok(payload.lng >= A[0] && payload.lng <= C[0]);
+});
+
+test('simulator rejects malformed waypoints and missing road networks', async () => {
+  const badWaypoints = await runSimulator(['--waypoints', '48.85;2.35']);
+  assert.equal(badWaypoints.code, 1);
+  assert.match(badWaypoints.stderr, /invalid waypoints value/);
+
+  const missing = await runSimulator(['--road-network', path.join(os.tmpdir(), 'missing-roads.geojson')]);
+  assert.equal(missing.code, 1);
+  assert.match(missing.stderr, /failed to load road network/);
+});
@@ -0,0 +1,242 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { setTimeout: delay } = require('node:timers/promises');
+const { test } = require('node:test');
+const {
+  createScenarioRunner,
+  createScenarioVehicles,
+  loadScenario,
+  parseScenario
+} = require('../simulator/lib/scenario');
+const { createRng, DEFAULTS } = require('../simulator/lib/config');
+const { haversine } = require('../simulator/lib/movement-engine');
+const { runSimulator } = require('./helpers/run-simulator');
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+function writeTempFile(t, name, contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenario-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, contents);
+  return file;
+}
+
+function scenarioWith(events, groups = [{ name: 'vans', count: 3 }]) {
+  return parseScenario({
+    depots: [{ name: 'north', lat: 48.9, lng: 2.35 }],
+    groups,
+    events
+  });
+}
+
+test('YAML scenarios are normalised to milliseconds with events in time order', t => {
+  const file = writeTempFile(t, 'demo.yaml', `
+name: morning
+region: london
+rate: 2s
+duration: 1h
+depots:
+  - { name: north, lat: 51.55, lng: -0.12 }
+groups:
+  - name: vans
+    count: 4
+    vehicleType: delivery
+    rampUp: 2m
+  - name: trucks
+    count: 1
+    vehicleType: freight
+    rate: 500ms
+    startAfter: 30s
+events:
+  - { at: 10m, type: depotStop, group: vans, vehicles: 2, depot: north, duration: 5m }
+  - { at: 1.5m, type: breakdown, group: trucks, duration: 90s }
+  - { at: 20m, type: connectivityLoss, duration: 3m, bufferSize: 50 }
+  - { at: 25m, type: fuelOut, group: vans, vehicles: 1 }
+`);
+  const scenario = loadScenario(file);
+  assert.equal(scenario.name, 'morning');
+  assert.equal(scenario.rateMs, 2000);
+  assert.equal(scenario.durationMs, 3_600_000);
+  assert.deepEqual(scenario.groups[0], {
+    name: 'vans',
+    count: 4,
+    region: undefined,
+    vehicleType: 'delivery',
+    rateMs: undefined,
+    startAfterMs: 0,
+    rampUpMs: 120_000
+  });
+  assert.equal(scenario.groups[1].rateMs, 500);
+  assert.equal(scenario.groups[1].startAfterMs, 30_000);
+  assert.deepEqual(scenario.events.map(event => [event.type, event.atMs]), [
+    ['breakdown', 90_000],
+    ['depotStop', 600_000],
+    ['connectivityLoss', 1_200_000],
+    ['fuelOut', 1_500_000]
+  ]);
+  assert.deepEqual(scenario.events[1].depot, { name: 'north', lat: 51.55, lng: -0.12 });
+  assert.equal(scenario.events[2].bufferSize, 50);
+  assert.equal(scenario.events[3].durationMs, null);
+});
+
+test('invalid scenarios are rejected with the offending field', () => {
+  const cases = [
+    [{ groups: [] }, /groups must list at least one vehicle group/],
+    [{ groups: [{ name: 'vans', count: 0 }] }, /groups\[0\]\.count must be a positive integer/],
+    [{ groups: [{ name: 'vans', count: 1 }, { name: 'vans', count: 1 }] }, /groups\[1\]\.name "vans" is used more than once/],
+    [{ groups: [{ name: 'vans', count: 1 }], rate: 'soon' }, /rate must be a duration/],
+    [{ groups: [{ name: 'vans', count: 1 }], events: [{ type: 'meteor', at: 0 }] }, /events\[0\]\.type must be one of/],
+    [{ groups: [{ name: 'vans', count: 1 }], events: [{ type: 'fuelOut', at: 0, group: 'trucks' }] }, /"trucks" is not a scenario group/],
+    [{ groups: [{ name: 'vans', count: 1 }], events: [{ type: 'breakdown', at: 0 }] }, /events\[0\]\.duration must be a duration/],
+    [{ groups: [{ name: 'vans', count: 1 }], events: [{ type: 'depotStop', at: 0, duration: '1m', depot: 'south' }] }, /"south" is not a scenario depot/]
+  ];
+  for (const [raw, message] of cases) {
+    assert.throws(() => parseScenario(raw), message);
+  }
+});
+
+test('scenario groups build mixed vehicles that ramp up over time', () => {
+  const scenario = parseScenario({
+    groups: [
+      { name: 'vans', count: 4, vehicleType: 'electric', rampUp: '4s' },
+      { name: 'trucks', count: 1, vehicleType: 'freight', region: 'tokyo', rate: '5s', startAfter: '1m' }
+    ]
+  });
+  const vehicles = createScenarioVehicles({ scenario, config: DEFAULTS, rng: createRng('groups'), logger: silentLogger });
+  assert.equal(vehicles.length, 5);
+  assert.deepEqual(vehicles.map(vehicle => vehicle.group), ['vans', 'vans', 'vans', 'vans', 'trucks']);
+  assert.deepEqual(vehicles.map(vehicle => vehicle.startDelayMs), [0, 1000, 2000, 3000, 60_000]);
+  assert.deepEqual(vehicles.map(vehicle => vehicle.rateMs), [1000, 1000, 1000, 1000, 5000]);
+  assert.ok(vehicles.slice(0, 4).every(vehicle => Number.isFinite(vehicle.batteryLevel)));
+  assert.match(vehicles[4].vehicleId, /^tokyo-/);
+  assert.ok(Number.isFinite(vehicles[4].cargoTemperatureC));
+});
+
+test('breakdowns, fuel-outs and GPS dropouts change how vehicles move and report', async t => {
+  const scenario = scenarioWith([
+    { at: 0, type: 'breakdown', group: 'broken', duration: '1h' },
+    { at: 0, type: 'fuelOut', group: 'empty' },
+    { at: 0, type: 'gpsDropout', group: 'moving', duration: '1h' }
+  ], [{ name: 'broken', count: 1 }, { name: 'empty', count: 1 }, { name: 'moving', count: 1 }]);
+  const vehicles = createScenarioVehicles({ scenario, config: DEFAULTS, rng: createRng('events'), logger: silentLogger });
+  const runner = createScenarioRunner({ scenario, vehicles, rand: () => 0.5, logger: silentLogger });
+  t.after(() => runner.stop());
+  const [broken, empty, moving] = vehicles;
+  const start = { lat: moving.lat, lng: moving.lng };
+
+  runner.start(() => {});
+  await delay(10);
+
+  const now = Date.now();
+  runner.advance(broken, 60_000, now);
+  assert.equal(broken.engineStatus, 'off');
+  assert.equal(broken.speedKmh, 0);
+
+  assert.equal(empty.fuelLevel, 0);
+  assert.equal(empty.engineStatus, 'off');
+
+  runner.advance(moving, 60_000, now);
+  assert.ok(haversine(start.lat, start.lng, moving.lat, moving.lng) > 0.05, 'the vehicle keeps driving');
+  const reported = runner.reportedPosition(moving, now);
+  assert.deepEqual([reported.lat, reported.lng], [start.lat, start.lng], 'the device reports its last fix');
+
+  // Once repaired the vehicle idles before driving on.
+  runner.advance(broken, 60_000, now + 3_600_001);
+  assert.notEqual(broken.engineStatus, 'off');
+  assert.equal(runner.reportedPosition(moving, now + 3_600_001), moving);
+});
+
+test('offline vehicles buffer their newest messages for replay', async t => {
+  const scenario = scenarioWith([{ at: 0, type: 'connectivityLoss', duration: '1h', bufferSize: 2 }]);
+  const vehicles = createScenarioVehicles({ scenario, config: DEFAULTS, rng: createRng('offline'), logger: silentLogger });
+  const runner = createScenarioRunner({ scenario, vehicles, logger: silentLogger });
+  t.after(() => runner.stop());
+  const [vehicle] = vehicles;
+
+  assert.equal(runner.isOffline(vehicle, Date.now()), false);
+  runner.start(() => {});
+  await delay(10);
+  assert.equal(runner.isOffline(vehicle, Date.now()), true);
+  assert.equal(runner.isOffline(vehicle, Date.now() + 3_600_000), false);
+
+  for (const message of ['a', 'b', 'c']) {
+    runner.bufferMessage(vehicle, message);
+  }
+  assert.deepEqual(runner.drainBuffer(vehicle), ['b', 'c']);
+  assert.deepEqual(runner.drainBuffer(vehicle), []);
+});
+
+test('depot stops send vehicles to the depot and hold them there', async t => {
+  const scenario = scenarioWith([{ at: 0, type: 'depotStop', depot: 'north', vehicles: 1, duration: '10m' }]);
+  const vehicles = createScenarioVehicles({ scenario, config: DEFAULTS, rng: createRng('depot'), logger: silentLogger });
+  const runner = createScenarioRunner({ scenario, vehicles, rand: createRng('drive'), logger: silentLogger });
+  t.after(() => runner.stop());
+  const [vehicle] = vehicles;
+
+  runner.start(() => {});
+  await delay(10);
+
+  let now = Date.now();
+  for (let tick = 0; tick < 2000 && vehicle.doorState !== 'open'; tick += 1) {
+    now += 10_000;
+    runner.advance(vehicle, 10_000, now);
+  }
+  assert.equal(vehicle.lat, 48.9);
+  assert.equal(vehicle.lng, 2.35);
+  assert.equal(vehicle.engineStatus, 'idle');
+
+  runner.advance(vehicle, 60_000, now + 60_000);
+  assert.deepEqual([vehicle.lat, vehicle.lng, vehicle.doorState], [48.9, 2.35, 'open'], 'dwelling at the depot');
+
+  runner.advance(vehicle, 60_000, now + 600_001);
+  assert.equal(vehicle.doorState, 'closed');
+  assert.notEqual(vehicle.lat, 48.9, 'the vehicle leaves after its stop');
+});
+
+test('simulator runs a scenario file until its duration ends', async t => {
+  const mqtt = require('mqtt');
+  const { once } = require('node:events');
+
+  const subscriber = mqtt.connect();
+  t.after(() => subscriber.end());
+  await once(subscriber, 'connect');
+  subscriber.subscribe('fleet/demo/telemetry');
+  const received = [];
+  subscriber.on('message', (topic, payload) => received.push(JSON.parse(payload.toString())));
+
+  const file = writeTempFile(t, 'scenario.json', JSON.stringify({
+    name: 'smoke',
+    rate: '100ms',
+    duration: '1500ms',
+    groups: [
+      { name: 'vans', count: 2, vehicleType: 'delivery' },
+      { name: 'evs', count: 1, vehicleType: 'electric', startAfter: '300ms' }
+    ],
+    events: [{ at: 0, type: 'connectivityLoss', group: 'vans', vehicles: 1, duration: '500ms' }]
+  }));
+
+  const { code, stderr, jsonLogs } = await runSimulator(['--host', 'fake-host', '--seed', 'unit', '--scenario', file]);
+  assert.equal(code, 0);
+  assert.equal(stderr, '');
+
+  const loaded = jsonLogs.find(line => line.msg === 'scenario loaded');
+  assert.deepEqual(loaded.groups, [{ name: 'vans', count: 2 }, { name: 'evs', count: 1 }]);
+  assert.ok(jsonLogs.some(line => line.msg === 'scenario event' && line.event === 'connectivityLoss'));
+  const replay = jsonLogs.find(line => line.msg === 'replaying buffered telemetry');
+  assert.ok(replay.messages > 0);
+  assert.ok(jsonLogs.some(line => line.msg === 'shutting down' && line.reason === 'scenario_complete'));
+
+  const vehicleIds = new Set(received.map(message => message.vehicleId));
+  assert.equal(vehicleIds.size, 3);
+  assert.ok(received.some(message => Number.isFinite(message.batteryLevel)), 'the electric group publishes');
+});
+
+test('simulator exits with error on an invalid scenario', async t => {
+  const file = writeTempFile(t, 'broken.yaml', 'groups:\n  - name: vans\n    count: none\n');
+  const { code, stderr } = await runSimulator(['--scenario', file]);
+  assert.equal(code, 1);
+  assert.match(stderr, /failed to load scenario ".*broken\.yaml": groups\[0\]\.count must be a positive integer/);
+});
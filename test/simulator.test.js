@@ -47,3 +47,70 @@ test('simulator exits with error on invalid duration', async () => {
   assert.equal(code, 1);
   assert.match(stderr, /invalid rate value/);
 });
+
+test('simulator publishes Protobuf payloads with an MQTT 5 content-type', async t => {
+  const mqtt = require('mqtt');
+  const { once } = require('node:events');
+  const { createPayloadDecoder } = require('../backend/utils/payload-decoder');
+
+  const subscriber = mqtt.connect();
+  t.after(() => subscriber.end());
+  await once(subscriber, 'connect');
+  subscriber.subscribe('fleet/demo/telemetry');
+  const received = [];
+  subscriber.on('message', (topic, payload, packet) => received.push({ topic, payload, packet }));
+
+  const { code } = await runSimulator([
+    '--host', 'fake-host',
+    '--seed', 'unit',
+    '--max-messages', '1',
+    '--format', 'protobuf',
+    '--protocol-version', '5'
+  ]);
+
+  assert.equal(code, 0);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].packet.properties.contentType, 'application/x-protobuf');
+
+  const decoded = createPayloadDecoder().decode(received[0].topic, received[0].payload, received[0].packet.properties);
+  assert.equal(decoded.format, 'protobuf');
+  assert.match(decoded.value.vehicleId, /^paris-[0-9a-z]{6}$/);
+  assert.ok(['running', 'idle', 'off'].includes(decoded.value.engineStatus));
+});
+
+test('simulator rejects unknown payload formats', async () => {
+  const { code, stderr } = await runSimulator(['--format', 'xml']);
+  assert.equal(code, 1);
+  assert.match(stderr, /invalid format value: "xml"/);
+});
+
+test('electric vehicles drain, regenerate and charge their battery', () => {
+  const { createVehicleFactory } = require('../simulator/lib/vehicle-factory');
+  const { advanceVehicle } = require('../simulator/lib/movement-engine');
+  const { resolveRegion } = require('../simulator/presets/regions');
+
+  const region = resolveRegion('paris');
+  const factory = createVehicleFactory({ region, rng: () => 0.5, vehicleType: 'electric' });
+  const vehicle = factory.createVehicle();
+  assert.equal(vehicle.fuelLevel, null);
+  assert.equal(vehicle.batteryLevel, 80);
+
+  // rand() = 0.5 keeps the speed steady, so the battery only drains.
+  advanceVehicle(vehicle, 60_000, region, () => 0.5);
+  assert.ok(vehicle.batteryLevel < 80);
+  assert.equal(vehicle.chargingStatus, 'discharging');
+
+  // Braking hard from top speed regains more than the short hop uses.
+  vehicle.speedKmh = vehicle.maxSpeedKmh;
+  const before = vehicle.batteryLevel;
+  advanceVehicle(vehicle, 100, region, () => 0);
+  assert.ok(vehicle.batteryLevel > before);
+  assert.equal(vehicle.chargingStatus, 'regenerating');
+
+  vehicle.engineStatus = 'off';
+  vehicle.batteryLevel = 1;
+  advanceVehicle(vehicle, 600_000, region, () => 0.5);
+  assert.equal(vehicle.chargingStatus, 'charging');
+  assert.equal(vehicle.batteryLevel, 16);
+  assert.equal(vehicle.engineStatus, 'off');
+});
@@ -2,6 +2,7 @@ import assert from 'node:assert/strict';
 import { test } from 'node:test';
 
 import { createStatsClient } from '../frontend/src/services/stats-client.mjs';
+import { createAuthorizedFetch } from '../frontend/src/services/auth.mjs';
 
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
@@ -59,3 +60,22 @@ test('stats client forwards errors via callback', async t => {
 
   client.stop();
 });
+
+test('authorized fetch adds the configured credential to every request', async () => {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push(init.headers);
+    return { ok: true, json: async () => ({}) };
+  };
+
+  const withToken = createAuthorizedFetch({ accessToken: 'jwt-token', fetchImpl });
+  await withToken('/alerts/1/acknowledge', { method: 'POST', headers: { 'Content-Type': 'application/json' } });
+  const withKey = createAuthorizedFetch({ apiKey: 'dash-key', fetchImpl });
+  await withKey('/stats');
+
+  assert.deepEqual(calls, [
+    { 'Content-Type': 'application/json', Authorization: 'Bearer jwt-token' },
+    { 'X-API-Key': 'dash-key' }
+  ]);
+  assert.equal(createAuthorizedFetch({ fetchImpl }), fetchImpl, 'without credentials fetch is unchanged');
+});
@@ -0,0 +1,235 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { createDatabase } = require('../backend/db');
+const { createTelemetryRepository } = require('../backend/services/telemetry-repository');
+const { haversine } = require('../backend/utils/geo');
+
+function createLoggerStub() {
+  return {
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+    debug: () => {}
+  };
+}
+
+function createContext() {
+  const logger = createLoggerStub();
+  const config = {
+    telemetryDb: {
+      path: ':memory:',
+      rollupWindowSeconds: 60,
+      rollupWindows: [60],
+      rollupIntervalMs: 0,
+      rollupCatchUpWindows: 1
+    }
+  };
+  const { db, close } = createDatabase({ config, logger });
+  const repository = createTelemetryRepository({ db, logger, config });
+
+  let latest = null;
+  // Mirrors the MQTT service: only messages newer than the latest one carry
+  // a `previous`; replayed ones arrive without.
+  function ingest(ts, lat) {
+    const message = { vehicleId: 'veh-1', lat, lng: 2.35, ts, fuelLevel: 50, engineStatus: 'idle' };
+    const inOrder = !latest || ts > latest.ts;
+    const result = repository.recordTelemetry({
+      message,
+      previous: inOrder ? latest : null,
+      enriched: { ...message, speed: inOrder ? 30 : null, lastSeen: ts }
+    });
+    if (inOrder) {
+      latest = message;
+    }
+    return result;
+  }
+
+  const events = () => db
+    .prepare('SELECT recorded_at, distance_km FROM telemetry_events ORDER BY recorded_at')
+    .all();
+  const cumulativeKm = () => db.prepare('SELECT cumulative_km FROM telemetry_distance_cache').get().cumulative_km;
+
+  return { db, close, repository, ingest, events, cumulativeKm };
+}
+
+test('late events are stored between their neighbours and fix up distances', t => {
+  const ctx = createContext();
+  t.after(() => ctx.close());
+
+  ctx.ingest('2024-01-01T00:00:00.000Z', 48.85);
+  ctx.ingest('2024-01-01T00:02:00.000Z', 48.87);
+  const late = ctx.ingest('2024-01-01T00:01:00.000Z', 48.86);
+
+  const firstLeg = haversine(48.85, 2.35, 48.86, 2.35);
+  const secondLeg = haversine(48.86, 2.35, 48.87, 2.35);
+  assert.equal(late.late, true);
+  assert.ok(Math.abs(late.deltaKm - firstLeg) < 1e-9);
+  assert.ok(Math.abs(late.totalKm - (firstLeg + secondLeg)) < 1e-9);
+
+  const events = ctx.events();
+  assert.deepEqual(events.map(event => event.recorded_at), [
+    '2024-01-01T00:00:00.000Z',
+    '2024-01-01T00:01:00.000Z',
+    '2024-01-01T00:02:00.000Z'
+  ]);
+  assert.ok(Math.abs(events[2].distance_km - secondLeg) < 1e-9, 'the next event measures from the late one');
+  assert.ok(Math.abs(ctx.cumulativeKm() - (firstLeg + secondLeg)) < 1e-9);
+
+  const vehicle = ctx.db.prepare('SELECT last_latitude FROM vehicles').get();
+  assert.equal(vehicle.last_latitude, 48.87, 'late events leave the last position alone');
+});
+
+test('duplicate events are dropped and counted', t => {
+  const ctx = createContext();
+  t.after(() => ctx.close());
+
+  ctx.ingest('2024-01-01T00:00:00.000Z', 48.85);
+  ctx.ingest('2024-01-01T00:01:00.000Z', 48.86);
+  assert.equal(ctx.ingest('2024-01-01T00:00:00.000Z', 48.85).duplicate, true);
+
+  const batch = ctx.repository.recordTelemetryBatch([
+    { message: { vehicleId: 'veh-1', lat: 48.86, lng: 2.35, ts: '2024-01-01T00:01:00.000Z', fuelLevel: 50, engineStatus: 'idle' }, previous: null, enriched: { speed: 0 } }
+  ]);
+  assert.deepEqual(batch, { written: 0, duplicates: 1, failures: [] });
+
+  assert.equal(ctx.events().length, 2);
+  assert.deepEqual(ctx.repository.getOrderingStats(), { lateEvents: 0, duplicateEvents: 2, pendingRollupBuckets: 0 });
+  assert.throws(
+    () => ctx.db.prepare(`
+      INSERT INTO telemetry_events (vehicle_id, recorded_at, latitude, longitude, speed_kmh, fuel_level, engine_status)
+      VALUES ('veh-1', '2024-01-01T00:00:00.000Z', 0, 0, 0, 0, 'idle')
+    `).run(),
+    /UNIQUE constraint failed/
+  );
+});
+
+test('rollups for buckets that receive late events are recomputed', t => {
+  const ctx = createContext();
+  t.after(() => ctx.close());
+
+  ctx.ingest('2024-01-01T00:00:10.000Z', 48.85);
+  ctx.ingest('2024-01-01T00:01:10.000Z', 48.87);
+  ctx.repository.computePendingRollups(Date.parse('2024-01-01T00:05:00.000Z'));
+
+  const bucket = start => ctx.db
+    .prepare('SELECT sample_count, total_distance_km FROM telemetry_rollups WHERE bucket_start = ?')
+    .get(start);
+  assert.equal(bucket('2024-01-01 00:00:00').sample_count, 1);
+
+  ctx.ingest('2024-01-01T00:00:40.000Z', 48.86);
+  assert.equal(ctx.repository.getOrderingStats().pendingRollupBuckets, 2);
+  ctx.repository.computePendingRollups(Date.parse('2024-01-01T00:30:00.000Z'));
+
+  assert.equal(bucket('2024-01-01 00:00:00').sample_count, 2);
+  assert.ok(Math.abs(bucket('2024-01-01 00:01:00').total_distance_km - haversine(48.86, 2.35, 48.87, 2.35)) < 1e-9);
+  assert.equal(ctx.repository.getOrderingStats().pendingRollupBuckets, 0);
+});
+
+test('stale rollup buckets survive a restart until they are recomputed', t => {
+  const ctx = createContext();
+  t.after(() => ctx.close());
+
+  ctx.ingest('2024-01-01T00:00:10.000Z', 48.85);
+  ctx.ingest('2024-01-01T00:01:10.000Z', 48.87);
+  ctx.repository.computePendingRollups(Date.parse('2024-01-01T00:05:00.000Z'));
+  ctx.ingest('2024-01-01T00:00:40.000Z', 48.86);
+
+  // A new repository on the same database, as after a restart or in the
+  // rollup worker.
+  const restarted = createTelemetryRepository({
+    db: ctx.db,
+    logger: createLoggerStub(),
+    config: { telemetryDb: { rollupWindowSeconds: 60, rollupWindows: [60], rollupIntervalMs: 0 } }
+  });
+  assert.equal(restarted.getOrderingStats().pendingRollupBuckets, 2);
+  restarted.computePendingRollups(Date.parse('2024-01-01T00:30:00.000Z'));
+
+  const sampleCount = ctx.db
+    .prepare("SELECT sample_count FROM telemetry_rollups WHERE bucket_start = '2024-01-01 00:00:00'")
+    .get().sample_count;
+  assert.equal(sampleCount, 2);
+  assert.equal(ctx.db.prepare('SELECT COUNT(*) AS count FROM telemetry_rollup_dirty').get().count, 0);
+});
+
+test('history pages follow recorded time across late events', t => {
+  const ctx = createContext();
+  t.after(() => ctx.close());
+
+  ctx.ingest('2024-01-01T00:00:00.000Z', 48.85);
+  ctx.ingest('2024-01-01T00:30:00.000Z', 48.87);
+  ctx.ingest('2024-01-01T01:00:00.000Z', 48.88);
+  ctx.ingest('2024-01-01T00:10:00.000Z', 48.86);
+
+  const pages = [];
+  let pageToken;
+  do {
+    const page = ctx.repository.queryTelemetryHistory({ limit: 2, pageToken });
+    pages.push(page.events.map(event => event.recordedAt));
+    pageToken = page.nextPageToken;
+  } while (pageToken && pages.length < 5);
+
+  assert.deepEqual(pages.flat(), [
+    '2024-01-01T00:00:00.000Z',
+    '2024-01-01T00:10:00.000Z',
+    '2024-01-01T00:30:00.000Z',
+    '2024-01-01T01:00:00.000Z'
+  ]);
+  assert.deepEqual(ctx.repository.queryTelemetryHistory({ pageToken: 'not-a-token' }).events, []);
+});
+
+test('late fixes beyond the GPS max speed are flagged and add no distance', t => {
+  const ctx = createContext();
+  t.after(() => ctx.close());
+
+  ctx.ingest('2024-01-01T00:00:00.000Z', 48.85);
+  ctx.ingest('2024-01-01T00:02:00.000Z', 48.87);
+  const before = ctx.cumulativeKm();
+  // One degree of latitude in a minute is over 6000 km/h.
+  const late = ctx.ingest('2024-01-01T00:01:00.000Z', 49.86);
+
+  assert.equal(late.late, true);
+  assert.equal(late.deltaKm, 0);
+  assert.equal(ctx.cumulativeKm(), before);
+  const events = ctx.db
+    .prepare('SELECT recorded_at, distance_km, gps_flags, gps_outlier FROM telemetry_events ORDER BY recorded_at')
+    .all();
+  assert.deepEqual(events[1], { recorded_at: '2024-01-01T00:01:00.000Z', distance_km: 0, gps_flags: 'speed', gps_outlier: 1 });
+  assert.ok(Math.abs(events[2].distance_km - haversine(48.85, 2.35, 48.87, 2.35)) < 1e-9, 'the next event still measures from the one before');
+
+  // A plausible late fix after it measures past the outlier.
+  ctx.ingest('2024-01-01T00:01:30.000Z', 48.86);
+  assert.ok(Math.abs(ctx.cumulativeKm() - before) < 1e-9);
+});
+
+test('stale messages are stored as late events when the newer message was never stored', t => {
+  const ctx = createContext();
+  t.after(() => ctx.close());
+  const stale = (vehicleId, ts, lat) => {
+    const message = { vehicleId, lat, lng: 2.35, ts, fuelLevel: 40, engineStatus: 'idle' };
+    return ctx.repository.recordTelemetry({
+      message,
+      previous: null,
+      enriched: { ...message, speed: null, lastSeen: '2024-01-01T00:10:00.000Z' },
+      stale: true
+    });
+  };
+
+  ctx.ingest('2024-01-01T00:00:00.000Z', 48.85);
+  // The live state moved on to a message whose write failed.
+  const result = stale('veh-1', '2024-01-01T00:01:00.000Z', 48.86);
+  assert.equal(result.late, true);
+  assert.ok(Math.abs(result.deltaKm - haversine(48.85, 2.35, 48.86, 2.35)) < 1e-9);
+
+  const stored = ctx.db
+    .prepare("SELECT speed_kmh, gps_outlier FROM telemetry_events WHERE recorded_at = '2024-01-01T00:01:00.000Z'")
+    .get();
+  assert.ok(stored.speed_kmh > 0);
+  assert.equal(stored.gps_outlier, 0);
+  const vehicle = ctx.db.prepare("SELECT last_latitude, last_seen_at FROM vehicles WHERE vehicle_id = 'veh-1'").get();
+  assert.deepEqual(vehicle, { last_latitude: 48.85, last_seen_at: '2024-01-01T00:00:00.000Z' }, 'stale messages never move the last position');
+
+  // Nothing at all was stored for this vehicle.
+  assert.equal(stale('veh-2', '2024-01-01T00:05:00.000Z', 48.9).late, true);
+  assert.equal(ctx.db.prepare("SELECT last_latitude FROM vehicles WHERE vehicle_id = 'veh-2'").get().last_latitude, 48.9);
+});
@@ -0,0 +1,112 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { createDatabase } = require('../backend/db');
+const { createTelemetryRepository } = require('../backend/services/telemetry-repository');
+
+const DAY_MS = 86_400_000;
+const NOW = Date.parse('2024-03-01T00:00:00.000Z');
+
+function createLoggerStub() {
+  return {
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+    debug: () => {}
+  };
+}
+
+function createContext(retention) {
+  const logger = createLoggerStub();
+  const config = {
+    telemetryDb: {
+      path: ':memory:',
+      rollupWindowSeconds: 60,
+      rollupWindows: [60, 3600],
+      rollupIntervalMs: 0,
+      rollupCatchUpWindows: 1,
+      retention: { batchSize: 2, ...retention }
+    }
+  };
+  const { db, close } = createDatabase({ config, logger });
+  const repository = createTelemetryRepository({ db, logger, config });
+
+  const previousByVehicle = new Map();
+  function ingest(vehicleId, timeMs, lat) {
+    const ts = new Date(timeMs).toISOString();
+    const message = { vehicleId, lat, lng: 2.35, ts, fuelLevel: 50, engineStatus: 'running' };
+    repository.recordTelemetry({
+      message,
+      previous: previousByVehicle.get(vehicleId) ?? null,
+      enriched: { ...message, speed: 30, lastSeen: ts }
+    });
+    previousByVehicle.set(vehicleId, message);
+  }
+
+  const countEvents = () => db.prepare('SELECT COUNT(*) AS count FROM telemetry_events').get().count;
+  const countRollups = windowSeconds => db.prepare(`
+    SELECT COUNT(*) AS count FROM telemetry_rollups
+     WHERE (strftime('%s', bucket_end) - strftime('%s', bucket_start)) = ?
+  `).get(windowSeconds).count;
+  const distanceKm = vehicleId => db
+    .prepare('SELECT cumulative_km FROM telemetry_distance_cache WHERE vehicle_id = ?')
+    .get(vehicleId)?.cumulative_km;
+
+  return { close, repository, ingest, countEvents, countRollups, distanceKm };
+}
+
+test('retention prunes expired events in batches and keeps distance caches intact', async t => {
+  const ctx = createContext({ rawDays: 7, rollupDays: 0, rollupWindowDays: [{ windowSeconds: 60, days: 30 }] });
+  t.after(() => ctx.close());
+
+  // veh-1 reported 40 days ago and again today; veh-2 went silent 40 days ago.
+  for (let i = 0; i < 5; i += 1) {
+    ctx.ingest('veh-1', NOW - 40 * DAY_MS + i * 60_000, 48.85 + i * 0.01);
+    ctx.ingest('veh-2', NOW - 40 * DAY_MS + i * 60_000, 40 + i * 0.01);
+  }
+  ctx.repository.runRollupJob({ now: NOW - 39 * DAY_MS });
+  ctx.ingest('veh-1', NOW - 60_000, 49);
+  ctx.repository.runRollupJob({ now: NOW });
+
+  const veh1Distance = ctx.distanceKm('veh-1');
+  const veh2Distance = ctx.distanceKm('veh-2');
+  assert.ok(veh2Distance > 0);
+  assert.equal(ctx.countRollups(60), 11);
+  assert.equal(ctx.countRollups(3600), 3);
+
+  const pruned = await ctx.repository.pruneExpiredData({ now: NOW });
+
+  // veh-2's last event stays because its distance cache references it.
+  assert.equal(pruned.events, 9);
+  assert.equal(ctx.countEvents(), 2);
+  assert.equal(ctx.distanceKm('veh-1'), veh1Distance);
+  assert.equal(ctx.distanceKm('veh-2'), veh2Distance);
+
+  // 60 s rollups expire after 30 days; hourly rollups have no retention.
+  assert.deepEqual(pruned.rollups, { 60: 10 });
+  assert.equal(ctx.countRollups(60), 1);
+  assert.equal(ctx.countRollups(3600), 3);
+
+  // Recomputing rollups must not rebuild pruned buckets from leftover events.
+  ctx.repository.runRollupJob({ now: NOW });
+  assert.equal(ctx.countRollups(60), 1);
+
+  const stats = ctx.repository.getRetentionStats();
+  assert.equal(stats.enabled, true);
+  assert.equal(stats.runs, 1);
+  assert.deepEqual(stats.rollupDays, { 60: 30, 3600: 0 });
+  assert.deepEqual(stats.totalPruned, { events: 9, rollups: 10 });
+});
+
+test('retention is disabled without configured days', async t => {
+  const ctx = createContext({});
+  t.after(() => ctx.close());
+
+  ctx.ingest('veh-1', NOW - 400 * DAY_MS, 48.85);
+  ctx.ingest('veh-1', NOW - 399 * DAY_MS, 48.86);
+
+  assert.equal(ctx.repository.getRetentionStats().enabled, false);
+  const pruned = await ctx.repository.pruneExpiredData({ now: NOW });
+  assert.deepEqual(pruned, { events: 0, rollups: {} });
+  assert.equal(ctx.countEvents(), 2);
+});
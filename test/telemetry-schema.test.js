@@ -0,0 +1,151 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { validateTelemetry } = require('../backend/utils/validation');
+const { createDatabase } = require('../backend/db');
+const { createTelemetryRepository } = require('../backend/services/telemetry-repository');
+
+const core = {
+  vehicleId: ' veh-1 ',
+  lat: 48.85,
+  lng: 2.35,
+  ts: '2024-01-01T00:00:00Z',
+  fuelLevel: 50,
+  engineStatus: 'RUNNING'
+};
+
+test('telemetry schema validates the core fields as before', () => {
+  assert.deepEqual(validateTelemetry(core), {
+    ok: true,
+    value: { vehicleId: 'veh-1', lat: 48.85, lng: 2.35, ts: '2024-01-01T00:00:00.000Z', fuelLevel: 50, engineStatus: 'running' }
+  });
+
+  const errorFor = overrides => validateTelemetry({ ...core, ...overrides }).error;
+  assert.equal(validateTelemetry(null).error, 'payload must be an object');
+  assert.equal(errorFor({ vehicleId: '' }), 'vehicleId must be a non-empty string');
+  assert.equal(errorFor({ lat: 91 }), 'lat must be a finite number between -90 and 90');
+  assert.equal(errorFor({ lng: undefined }), 'lng must be a finite number between -180 and 180');
+  assert.equal(errorFor({ ts: null }), 'ts is required');
+  assert.equal(errorFor({ ts: 'yesterday' }), 'ts must be a valid date');
+  assert.equal(errorFor({ fuelLevel: '50' }), 'fuelLevel must be a finite number between 0 and 100');
+  assert.equal(errorFor({ engineStatus: 'parked' }), 'engineStatus must be one of running|idle|off');
+});
+
+test('telemetry schema validates optional extended fields and honours pinned versions', () => {
+  const extended = {
+    ...core,
+    heading: 359.5,
+    altitude: 35,
+    odometerKm: 1520.5,
+    batteryLevel: 80,
+    cargoTemperature: -18,
+    doorState: 'Open',
+    sensors: { tyrePressureFl: 2.4, reefer: true, firmware: 'v1.2' }
+  };
+  const result = validateTelemetry(extended);
+  assert.equal(result.ok, true);
+  assert.equal(result.value.heading, 359.5);
+  assert.equal(result.value.doorState, 'open');
+  assert.deepEqual(result.value.sensors, extended.sensors);
+  assert.equal('schemaVersion' in result.value, false);
+
+  assert.equal(Object.keys(validateTelemetry({ ...core, heading: null, sensors: {} }).value).length, 6);
+
+  const errorFor = overrides => validateTelemetry({ ...core, ...overrides }).error;
+  assert.equal(errorFor({ heading: 400 }), 'heading must be a finite number between 0 and 360');
+  assert.equal(errorFor({ batteryLevel: -1 }), 'batteryLevel must be a finite number between 0 and 100');
+  assert.equal(errorFor({ doorState: 'ajar' }), 'doorState must be one of open|closed|locked');
+  assert.match(errorFor({ sensors: { '1st': 1 } }), /^sensors must be an object/);
+  assert.match(errorFor({ sensors: { probe: { nested: 1 } } }), /^sensors must be an object/);
+  assert.match(errorFor({ sensors: [1, 2] }), /^sensors must be an object/);
+
+  const pinned = validateTelemetry({ ...extended, heading: 999, schemaVersion: 1 });
+  assert.equal(pinned.ok, true, 'fields newer than the pinned version are ignored');
+  assert.equal(pinned.value.heading, undefined);
+  assert.equal(errorFor({ schemaVersion: 4 }), 'schemaVersion must be one of 1|2|3');
+});
+
+test('extended fields are stored in their columns and returned with history', t => {
+  const logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+  const config = { telemetryDb: { path: ':memory:', rollupWindowSeconds: 60, rollupWindows: [60], rollupIntervalMs: 0 } };
+  const { db, close } = createDatabase({ config, logger });
+  t.after(() => close());
+  const repository = createTelemetryRepository({ db, logger, config });
+
+  const record = message => ({ message, previous: null, enriched: { ...message, speed: 0, lastSeen: message.ts } });
+  const first = validateTelemetry({ ...core, odometerKm: 1520.5, doorState: 'closed', sensors: { reefer: true } }).value;
+  const second = validateTelemetry({ ...core, ts: '2024-01-01T00:01:00Z' }).value;
+  repository.recordTelemetry(record(first));
+  repository.recordTelemetry(record(second));
+
+  const row = db.prepare('SELECT odometer_km, door_state, sensors_json, heading_deg FROM telemetry_events ORDER BY recorded_at LIMIT 1').get();
+  assert.deepEqual({ ...row }, { odometer_km: 1520.5, door_state: 'closed', sensors_json: '{"reefer":true}', heading_deg: null });
+
+  const { events } = repository.queryTelemetryHistory({ vehicleIds: ['veh-1'] });
+  assert.equal(events[0].odometerKm, 1520.5);
+  assert.deepEqual(events[0].sensors, { reefer: true });
+  assert.equal(events[1].doorState, null);
+  assert.equal(events[1].sensors, null);
+});
+
+test('electric vehicles may report a battery level instead of fuel from schema version 3', () => {
+  const { fuelLevel, ...electric } = core;
+  const result = validateTelemetry({ ...electric, batteryLevel: 64, chargingStatus: 'Regenerating' });
+  assert.equal(result.ok, true);
+  assert.equal(result.value.fuelLevel, undefined);
+  assert.equal(result.value.chargingStatus, 'regenerating');
+
+  assert.equal(validateTelemetry(electric).error, 'fuelLevel or batteryLevel is required');
+  assert.equal(
+    validateTelemetry({ ...electric, batteryLevel: 64, schemaVersion: 2 }).error,
+    'fuelLevel must be a finite number between 0 and 100'
+  );
+  assert.equal(
+    validateTelemetry({ ...core, chargingStatus: 'plugged' }).error,
+    'chargingStatus must be one of charging|discharging|regenerating|idle'
+  );
+});
+
+test('battery usage is stored per event and rolled up into battery aggregates', t => {
+  const logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+  const config = { telemetryDb: { path: ':memory:', rollupWindowSeconds: 60, rollupWindows: [60], rollupIntervalMs: 0 } };
+  const { db, close } = createDatabase({ config, logger });
+  t.after(() => close());
+  const repository = createTelemetryRepository({ db, logger, config });
+
+  let previous = null;
+  const ingest = (ts, batteryLevel, chargingStatus) => {
+    const { fuelLevel, ...electric } = core;
+    const message = validateTelemetry({ ...electric, ts, batteryLevel, chargingStatus }).value;
+    const enriched = { ...message, speed: 0, lastSeen: message.ts };
+    const inOrder = !previous || message.ts > previous.ts;
+    repository.recordTelemetry({ message, previous: inOrder ? previous : null, enriched });
+    previous = inOrder ? enriched : previous;
+  };
+  ingest('2024-01-01T00:00:00Z', 80, 'discharging');
+  ingest('2024-01-01T00:00:30Z', 79, 'discharging');
+  ingest('2024-01-01T00:00:50Z', 79.5, 'regenerating');
+  // A late reading splits the last interval in two.
+  ingest('2024-01-01T00:00:40Z', 78, 'discharging');
+  ingest('2024-01-01T00:01:10Z', 85, 'charging');
+
+  const rows = db.prepare('SELECT fuel_level, energy_used_pct FROM telemetry_events ORDER BY recorded_at').all();
+  assert.deepEqual(rows.map(row => row.energy_used_pct), [null, 1, 1, -1.5, 0]);
+  assert.equal(rows[0].fuel_level, null);
+
+  repository.runRollupJob({ now: Date.parse('2024-01-01T00:05:00Z') });
+  const buckets = repository.queryHistoricalAggregates({
+    start: '2024-01-01T00:00:00Z',
+    end: '2024-01-01T00:05:00Z',
+    aggregates: ['AGGREGATE_TYPE_MIN_BATTERY_LEVEL', 6],
+    windowSeconds: 60
+  });
+  assert.deepEqual(buckets.map(bucket => bucket.metrics), [
+    { MIN_BATTERY_LEVEL: 78, ENERGY_CONSUMED_PCT: 0.5 },
+    { MIN_BATTERY_LEVEL: 85, ENERGY_CONSUMED_PCT: 0 }
+  ]);
+
+  const { events } = repository.queryTelemetryHistory({ vehicleIds: ['veh-1'] });
+  assert.equal(events[0].fuelLevel, null);
+  assert.equal(events[4].chargingStatus, 'charging');
+});
@@ -0,0 +1,119 @@
+const assert = require('node:assert/strict');
+const { setImmediate: nextTick, setTimeout: delay } = require('node:timers/promises');
+const { test } = require('node:test');
+
+const { createDatabase } = require('../backend/db');
+const { createTelemetryRepository } = require('../backend/services/telemetry-repository');
+const { createTelemetryWriteBuffer } = require('../backend/services/telemetry-write-buffer');
+
+function createLoggerStub() {
+  return {
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+    debug: () => {}
+  };
+}
+
+function createRepositoryStub() {
+  const batches = [];
+  return {
+    batches,
+    recordTelemetryBatch: records => {
+      batches.push(records.map(record => record.id));
+      return { written: records.length, failures: [] };
+    }
+  };
+}
+
+function createBuffer(config, telemetryRepository = createRepositoryStub()) {
+  const buffer = createTelemetryWriteBuffer({ telemetryRepository, logger: createLoggerStub(), config });
+  return { buffer, telemetryRepository };
+}
+
+test('write buffer flushes full batches on the next tick and stragglers on the timer', async t => {
+  const { buffer, telemetryRepository } = createBuffer({ batchSize: 3, flushIntervalMs: 20, maxQueueSize: 10 });
+  t.after(() => buffer.close());
+
+  for (let id = 1; id <= 4; id += 1) {
+    buffer.enqueue({ id });
+  }
+  assert.deepEqual(telemetryRepository.batches, [], 'nothing is written inside the message handler');
+
+  await nextTick();
+  assert.deepEqual(telemetryRepository.batches, [[1, 2, 3]]);
+  assert.equal(buffer.getMetrics().queueDepth, 1);
+
+  await delay(40);
+  assert.deepEqual(telemetryRepository.batches, [[1, 2, 3], [4]]);
+
+  const metrics = buffer.getMetrics();
+  assert.equal(metrics.queueDepth, 0);
+  assert.equal(metrics.enqueued, 4);
+  assert.equal(metrics.written, 4);
+  assert.equal(metrics.flushes, 2);
+  assert.equal(metrics.lastBatchSize, 1);
+  assert.ok(metrics.avgFlushMs >= 0);
+});
+
+test('write buffer applies its drop policy when the queue is full', () => {
+  const oldest = createBuffer({ batchSize: 2, flushIntervalMs: 60_000, maxQueueSize: 3 });
+  const newest = createBuffer({ batchSize: 2, flushIntervalMs: 60_000, maxQueueSize: 3, dropPolicy: 'drop_newest' });
+  const block = createBuffer({ batchSize: 2, flushIntervalMs: 60_000, maxQueueSize: 3, dropPolicy: 'block' });
+
+  for (let id = 1; id <= 4; id += 1) {
+    oldest.buffer.enqueue({ id });
+    newest.buffer.enqueue({ id });
+    block.buffer.enqueue({ id });
+  }
+
+  assert.equal(oldest.buffer.getMetrics().dropped, 1);
+  assert.equal(newest.buffer.getMetrics().dropped, 1);
+  assert.equal(block.buffer.getMetrics().dropped, 0);
+  assert.deepEqual(block.telemetryRepository.batches, [[1, 2]], 'block flushes inline to make room');
+
+  oldest.buffer.close();
+  newest.buffer.close();
+  block.buffer.close();
+  assert.deepEqual(oldest.telemetryRepository.batches, [[2, 3], [4]]);
+  assert.deepEqual(newest.telemetryRepository.batches, [[1, 2], [3]]);
+  assert.deepEqual(block.telemetryRepository.batches, [[1, 2], [3, 4]]);
+
+  assert.throws(() => createBuffer({ dropPolicy: 'spill' }), /Unsupported write buffer drop policy/);
+});
+
+test('write buffer drains on close and stops accepting records', () => {
+  const { buffer, telemetryRepository } = createBuffer({ batchSize: 2, flushIntervalMs: 60_000, maxQueueSize: 10 });
+  buffer.enqueue({ id: 1 });
+  buffer.enqueue({ id: 2 });
+  buffer.enqueue({ id: 3 });
+
+  buffer.close();
+  assert.deepEqual(telemetryRepository.batches, [[1, 2], [3]]);
+  assert.equal(buffer.enqueue({ id: 4 }), false);
+  assert.equal(buffer.getMetrics().queueDepth, 0);
+});
+
+test('batched writes keep good records when one record fails', t => {
+  const logger = createLoggerStub();
+  const config = { telemetryDb: { path: ':memory:', rollupIntervalMs: 0 } };
+  const { db, close } = createDatabase({ config, logger });
+  t.after(close);
+  const repository = createTelemetryRepository({ db, logger, config });
+
+  const record = (vehicleId, ts, lat) => {
+    const message = { vehicleId, lat, lng: 2.35, ts, fuelLevel: 50, engineStatus: 'running' };
+    return { message, previous: null, enriched: { ...message, speed: 0, lastSeen: ts } };
+  };
+
+  const result = repository.recordTelemetryBatch([
+    record('veh-1', '2024-01-01T00:00:00.000Z', 48.85),
+    record('veh-2', '2024-01-01T00:00:00.000Z', null),
+    record('veh-3', '2024-01-01T00:00:00.000Z', 48.86)
+  ]);
+
+  assert.equal(result.written, 2);
+  assert.deepEqual(result.failures.map(failure => failure.vehicleId), ['veh-2']);
+  const stored = db.prepare('SELECT vehicle_id FROM telemetry_events ORDER BY vehicle_id').all();
+  assert.deepEqual(stored.map(row => row.vehicle_id), ['veh-1', 'veh-3']);
+});
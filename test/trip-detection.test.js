@@ -0,0 +1,106 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { createDatabase } = require('../backend/db');
+const { createTelemetryRepository } = require('../backend/services/telemetry-repository');
+
+function createLoggerStub() {
+  return {
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+    debug: () => {}
+  };
+}
+
+function createContext(trips = {}) {
+  const logger = createLoggerStub();
+  const config = {
+    telemetryDb: {
+      path: ':memory:',
+      rollupWindowSeconds: 60,
+      rollupWindows: [60],
+      rollupIntervalMs: 0,
+      rollupCatchUpWindows: 1
+    },
+    trips: { idleEndMs: 5 * 60_000, maxGapMs: 10 * 60_000, minDistanceKm: 0, ...trips }
+  };
+  const { db, close } = createDatabase({ config, logger });
+  const repository = createTelemetryRepository({ db, logger, config });
+
+  let previous = null;
+  function ingest(ts, { lat = 48.85, lng = 2.35, engineStatus = 'running', fuelLevel = 50, speed = 30 } = {}) {
+    const message = { vehicleId: 'veh-1', lat, lng, ts, fuelLevel, engineStatus };
+    const result = repository.recordTelemetry({ message, previous, enriched: { ...message, speed, lastSeen: ts } });
+    previous = message;
+    return result;
+  }
+
+  return { close, repository, ingest };
+}
+
+test('trips end after a long idle at the point the idle started', t => {
+  const ctx = createContext();
+  t.after(() => ctx.close());
+
+  assert.equal(ctx.ingest('2024-01-01T00:00:00.000Z', { engineStatus: 'idle' }).tripId, null, 'idle alone does not start a trip');
+  const { tripId } = ctx.ingest('2024-01-01T00:01:00.000Z', { lat: 48.86, fuelLevel: 50 });
+  assert.ok(Number.isInteger(tripId));
+  ctx.ingest('2024-01-01T00:02:00.000Z', { lat: 48.87, fuelLevel: 49, speed: 70 });
+  ctx.ingest('2024-01-01T00:03:00.000Z', { lat: 48.87, engineStatus: 'idle', fuelLevel: 49, speed: 0 });
+  ctx.ingest('2024-01-01T00:06:00.000Z', { lat: 48.87, engineStatus: 'running', fuelLevel: 48, speed: 0 });
+  ctx.ingest('2024-01-01T00:07:00.000Z', { lat: 48.87, engineStatus: 'idle', fuelLevel: 48, speed: 0 });
+
+  let trip = ctx.repository.getTrip(tripId);
+  assert.equal(trip.status, 'active', 'idle timer resets when the engine runs again');
+
+  ctx.ingest('2024-01-01T00:12:00.000Z', { lat: 48.87, engineStatus: 'idle', fuelLevel: 47, speed: 0 });
+  trip = ctx.repository.getTrip(tripId);
+  assert.equal(trip.status, 'completed');
+  assert.equal(trip.endReason, 'idle');
+  assert.equal(trip.endedAt, '2024-01-01T00:07:00.000Z');
+  assert.equal(trip.durationSeconds, 360);
+  assert.equal(trip.maxSpeedKmh, 70);
+  assert.equal(trip.fuelUsed, 3);
+  assert.deepEqual(trip.startPosition, { lat: 48.86, lng: 2.35 });
+  assert.ok(Math.abs(trip.distanceKm - 1.112) < 0.01);
+});
+
+test('a reporting gap closes the trip at the last sample and a new one starts', t => {
+  const ctx = createContext();
+  t.after(() => ctx.close());
+
+  const first = ctx.ingest('2024-01-01T00:00:00.000Z').tripId;
+  ctx.ingest('2024-01-01T00:01:00.000Z', { lat: 48.86, fuelLevel: 40 });
+  ctx.ingest('2024-01-01T00:02:00.000Z', { lat: 48.87, fuelLevel: 60 });
+  const second = ctx.ingest('2024-01-01T00:30:00.000Z', { lat: 48.9 }).tripId;
+  assert.notEqual(first, second);
+
+  const closed = ctx.repository.getTrip(first);
+  assert.equal(closed.endReason, 'gap');
+  assert.equal(closed.endedAt, '2024-01-01T00:02:00.000Z');
+  assert.equal(closed.fuelUsed, 10, 'refuelling does not reduce fuel used');
+
+  const { trips, nextPageToken } = ctx.repository.queryTrips({ status: 'active' });
+  assert.deepEqual(trips.map(trip => trip.id), [second]);
+  assert.equal(nextPageToken, null);
+
+  const page = ctx.repository.queryTrips({ limit: 1 });
+  assert.deepEqual(page.trips.map(trip => trip.id), [second]);
+  assert.deepEqual(ctx.repository.queryTrips({ pageToken: page.nextPageToken }).trips.map(trip => trip.id), [first]);
+
+  assert.deepEqual(ctx.repository.queryTrips({ end: '2024-01-01T00:10:00.000Z' }).trips.map(trip => trip.id), [first]);
+  assert.deepEqual(ctx.repository.queryTrips({ start: '2024-01-01T00:10:00.000Z' }).trips.map(trip => trip.id), [second]);
+});
+
+test('trips shorter than the minimum distance are discarded', t => {
+  const ctx = createContext({ minDistanceKm: 0.5 });
+  t.after(() => ctx.close());
+
+  const { tripId } = ctx.ingest('2024-01-01T00:00:00.000Z');
+  ctx.ingest('2024-01-01T00:01:00.000Z', { lat: 48.851 });
+  ctx.ingest('2024-01-01T00:02:00.000Z', { lat: 48.851, engineStatus: 'off' });
+
+  assert.equal(ctx.repository.getTrip(tripId), null);
+  assert.deepEqual(ctx.repository.queryTrips().trips, []);
+});
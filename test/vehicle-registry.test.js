@@ -0,0 +1,145 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { createDatabase } = require('../backend/db');
+const { createTelemetryRepository } = require('../backend/services/telemetry-repository');
+const { createVehicleRegistry } = require('../backend/services/vehicle-registry');
+const { validateVehicleMetadata } = require('../backend/utils/validation');
+
+function createLoggerStub() {
+  return {
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+    debug: () => {}
+  };
+}
+
+function createContext() {
+  const logger = createLoggerStub();
+  const config = {
+    telemetryDb: {
+      path: ':memory:',
+      rollupWindowSeconds: 60,
+      rollupWindows: [60],
+      rollupIntervalMs: 0,
+      rollupCatchUpWindows: 1
+    }
+  };
+  const { db, close } = createDatabase({ config, logger });
+  const registry = createVehicleRegistry({ db, logger });
+  const repository = createTelemetryRepository({ db, logger, config });
+  return { db, close, registry, repository, logger };
+}
+
+function recordFix(repository, vehicleId, ts, previous = null) {
+  const message = { vehicleId, lat: 48.85, lng: 2.35, ts, fuelLevel: 50, engineStatus: 'running' };
+  repository.recordTelemetry({ message, previous, enriched: { ...message, speed: 10, lastSeen: ts } });
+  return message;
+}
+
+test('validateVehicleMetadata trims fields and normalises tags', () => {
+  const result = validateVehicleMetadata({
+    plateNumber: ' AB-123-CD ',
+    driver: '',
+    tags: ['Cold-Chain', 'cold-chain', ' north ']
+  });
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.value, {
+    plateNumber: 'AB-123-CD',
+    driver: null,
+    vehicleType: null,
+    depot: null,
+    tags: ['cold-chain', 'north']
+  });
+
+  assert.equal(validateVehicleMetadata({ tags: 'north' }).ok, false);
+  assert.equal(validateVehicleMetadata({ depot: 42 }).ok, false);
+});
+
+test('vehicle registry saves metadata before and after telemetry arrives', t => {
+  const ctx = createContext();
+  t.after(() => ctx.close());
+
+  const registered = ctx.registry.saveMetadata('veh-1', {
+    plateNumber: 'AB-123',
+    driver: 'Sam',
+    vehicleType: 'van',
+    depot: 'north',
+    tags: ['cold-chain']
+  });
+  assert.equal(registered.metadata.plateNumber, 'AB-123');
+  assert.equal(registered.lastSeenAt, null);
+  assert.equal(registered.lastPosition, null);
+
+  recordFix(ctx.repository, 'veh-1', '2024-01-01T00:00:00.000Z');
+  const seen = ctx.registry.getVehicle('veh-1');
+  assert.equal(seen.firstSeenAt, '2024-01-01T00:00:00.000Z');
+  assert.deepEqual(seen.lastPosition, { lat: 48.85, lng: 2.35 });
+  assert.equal(seen.metadata.driver, 'Sam', 'telemetry upserts keep metadata');
+
+  const reloaded = createVehicleRegistry({ db: ctx.db, logger: ctx.logger });
+  assert.equal(reloaded.getMetadata('veh-1').depot, 'north');
+  assert.equal(reloaded.getMetadata('veh-unknown'), null);
+});
+
+test('vehicle registry and telemetry queries filter by tag', t => {
+  const ctx = createContext();
+  t.after(() => ctx.close());
+
+  const changes = [];
+  ctx.registry.setOnChange(vehicleId => changes.push(vehicleId));
+
+  ctx.registry.saveMetadata('veh-a', { plateNumber: null, driver: null, vehicleType: null, depot: 'north', tags: ['cold-chain'] });
+  ctx.registry.saveMetadata('veh-b', { plateNumber: null, driver: null, vehicleType: null, depot: 'south', tags: ['express'] });
+  recordFix(ctx.repository, 'veh-a', '2024-01-01T00:00:00.000Z');
+  recordFix(ctx.repository, 'veh-b', '2024-01-01T00:00:10.000Z');
+  recordFix(ctx.repository, 'veh-c', '2024-01-01T00:00:20.000Z');
+
+  assert.deepEqual(changes, ['veh-a', 'veh-b']);
+  assert.deepEqual(ctx.registry.listVehicles().map(vehicle => vehicle.vehicleId), ['veh-a', 'veh-b', 'veh-c']);
+  assert.deepEqual(ctx.registry.listVehicles({ tags: ['express'] }).map(vehicle => vehicle.vehicleId), ['veh-b']);
+  assert.deepEqual(ctx.registry.listVehicles({ depot: 'north' }).map(vehicle => vehicle.vehicleId), ['veh-a']);
+
+  const history = ctx.repository.queryTelemetryHistory({ tags: ['cold-chain', 'express'] });
+  assert.deepEqual(history.events.map(event => event.vehicleId), ['veh-a', 'veh-b']);
+
+  ctx.repository.runRollupJob({ now: Date.parse('2024-01-01T00:05:00.000Z') });
+  const buckets = ctx.repository.queryHistoricalAggregates({
+    tags: ['express'],
+    start: '2024-01-01T00:00:00.000Z',
+    end: '2024-01-01T00:05:00.000Z',
+    windowSeconds: 60
+  });
+  assert.equal(buckets.length, 1);
+  assert.equal(buckets[0].sampleCount, 1);
+});
+
+test('vehicles keep their first fleet and fleetless rows are claimed', t => {
+  const ctx = createContext();
+  t.after(() => ctx.close());
+
+  const recordFleetFix = (vehicleId, fleetId, ts) => {
+    const message = { vehicleId, lat: 48.85, lng: 2.35, ts, fuelLevel: 50, engineStatus: 'running' };
+    ctx.repository.recordTelemetry({ message, previous: null, enriched: { ...message, fleetId, speed: 10, lastSeen: ts } });
+  };
+
+  recordFleetFix('veh-a', 'acme', '2024-01-01T00:00:00.000Z');
+  recordFleetFix('veh-a', 'globex', '2024-01-01T00:00:10.000Z');
+  assert.equal(ctx.registry.getFleetId('veh-a'), 'acme');
+
+  // Vehicles registered without a fleet, like rows stored before fleets
+  // existed, have none until the vehicle reports.
+  ctx.registry.saveMetadata('veh-b', { plateNumber: null, driver: null, vehicleType: null, depot: null, tags: [] });
+  assert.equal(ctx.registry.getFleetId('veh-b'), null);
+  recordFleetFix('veh-b', 'globex', '2024-01-01T00:00:20.000Z');
+  assert.equal(ctx.registry.getFleetId('veh-b'), 'globex');
+
+  assert.deepEqual(ctx.registry.listVehicles({ fleetIds: ['globex'] }).map(vehicle => vehicle.vehicleId), ['veh-b']);
+  // History follows the vehicle's fleet, including events stored without one.
+  ctx.db.prepare('UPDATE telemetry_events SET fleet_id = NULL WHERE vehicle_id = ?').run('veh-b');
+  const history = fleetIds => ctx.repository.queryTelemetryHistory({ fleetIds }).events
+    .map(event => [event.vehicleId, event.fleetId]);
+  assert.deepEqual(history(['acme']), [['veh-a', 'acme'], ['veh-a', 'globex']]);
+  assert.deepEqual(history(['globex']), [['veh-b', null]]);
+});
@@ -81,3 +81,42 @@ test('VehicleStore setOnExpire replaces handler', () => {
   assert.equal(calls, 1);
   store.stop();
 });
+
+test('VehicleStore sweep handler sees vehicles before TTL removal', () => {
+  const store = new VehicleStore({ limit: 5, ttlMs: 25, logger: createLoggerStub() });
+  const swept = [];
+  store.setOnSweep((vehicles, now) => {
+    swept.push({ ids: Array.from(vehicles, vehicle => vehicle.vehicleId), now });
+  });
+
+  store.set('vehicle-1', {
+    vehicleId: 'vehicle-1',
+    lastSeen: new Date(Date.now() - 1000).toISOString()
+  });
+
+  const now = Date.now();
+  store.pruneExpired(now);
+  assert.deepEqual(swept, [{ ids: ['vehicle-1'], now }]);
+  assert.equal(store.size(), 0);
+  store.stop();
+});
+
+test('VehicleStore partitions vehicles by fleet', () => {
+  const store = new VehicleStore({ limit: 3, ttlMs: 0, logger: createLoggerStub() });
+  store.set('acme-1', { vehicleId: 'acme-1', fleetId: 'acme' });
+  store.set('acme-2', { vehicleId: 'acme-2', fleetId: 'acme' });
+  store.set('globex-1', { vehicleId: 'globex-1', fleetId: 'globex' });
+  store.set('legacy', { vehicleId: 'legacy' });
+
+  // `acme-1` was evicted by the cache limit and left its fleet too.
+  assert.equal(store.size(), 3);
+  assert.equal(store.size({ fleetIds: ['acme'] }), 1);
+  assert.equal(store.size({ fleetIds: new Set(['acme', 'globex']) }), 2);
+  assert.deepEqual(Array.from(store.values({ fleetIds: ['acme', 'default'] }), vehicle => vehicle.vehicleId), ['acme-2', 'legacy']);
+  assert.deepEqual(Array.from(store.values({ fleetIds: ['initech'] })), []);
+
+  store.delete('globex-1');
+  assert.deepEqual(store.fleetIds().sort(), ['acme', 'default']);
+
+  store.stop();
+});
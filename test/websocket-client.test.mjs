@@ -2,6 +2,7 @@ import assert from 'node:assert/strict';
 import { test } from 'node:test';
 
 import { createWebSocketClient, MESSAGE_TYPES } from '../frontend/src/services/websocket-client.mjs';
+import { toSubscriptionBbox } from '../frontend/src/utils/viewport.mjs';
 
 class FakeWebSocket {
   static instances = [];
@@ -15,6 +16,7 @@ class FakeWebSocket {
     this.readyState = FakeWebSocket.CONNECTING;
     this.listeners = new Map();
     this.closeCalls = [];
+    this.sent = [];
     FakeWebSocket.instances.push(this);
   }
 
@@ -42,6 +44,10 @@ class FakeWebSocket {
     }
   }
 
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
   close(code, reason) {
     this.closeCalls.push({ code, reason });
     this.readyState = FakeWebSocket.CLOSING;
@@ -127,3 +133,105 @@ test('websocket client schedules reconnect with backoff and manual reconnect', a
 
   client.destroy();
 });
+
+test('websocket client sends its subscription on connect and re-sends it after reconnecting', async t => {
+  withFakeWebSocket(t);
+  const acks = [];
+  const client = createWebSocketClient({
+    url: '/stream',
+    baseDelayMs: 10,
+    onSubscription: payload => acks.push(payload.type),
+    logger: { warn: () => {}, error: () => {} }
+  });
+
+  const bbox = { south: 48, west: 2, north: 49, east: 3 };
+  client.subscribe({ bbox });
+  client.connect();
+  const firstSocket = FakeWebSocket.instances[0];
+  assert.deepEqual(firstSocket.sent, [], 'nothing is sent before the socket opens');
+
+  firstSocket.emit('open');
+  assert.deepEqual(firstSocket.sent, [{ type: 'subscribe', bbox }]);
+
+  firstSocket.emit('message', { data: JSON.stringify({ version: 1, type: MESSAGE_TYPES.SUBSCRIPTION_ACK }) });
+  firstSocket.emit('message', { data: JSON.stringify({ version: 1, type: MESSAGE_TYPES.SUBSCRIPTION_ERROR, error: 'bad' }) });
+  assert.deepEqual(acks, ['subscription_ack', 'subscription_error']);
+
+  firstSocket.emit('close');
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const secondSocket = FakeWebSocket.instances[1];
+  secondSocket.emit('open');
+  assert.deepEqual(secondSocket.sent, [{ type: 'subscribe', bbox }]);
+
+  client.subscribe(null);
+  assert.deepEqual(secondSocket.sent.at(-1), { type: 'unsubscribe' });
+
+  client.destroy();
+});
+
+test('websocket client requests payload version 2 with its access token and expands batched deltas', async t => {
+  withFakeWebSocket(t);
+  const updates = [];
+  const removals = [];
+  const client = createWebSocketClient({
+    url: '/stream',
+    version: 2,
+    accessToken: 'jwt-token',
+    onUpdate: payload => updates.push(payload),
+    onRemove: payload => removals.push(payload)
+  });
+
+  client.connect();
+  const socket = FakeWebSocket.instances[0];
+  assert.equal(socket.url.searchParams.get('version'), '2');
+  assert.equal(socket.url.searchParams.get('access_token'), 'jwt-token');
+  socket.emit('open');
+
+  const full = {
+    vehicleId: 'veh-1',
+    fleetId: 'acme',
+    lat: 10,
+    lng: 20,
+    ts: '2024-01-01T00:00:00.000Z',
+    speed: 0,
+    fuelLevel: 70,
+    engineStatus: 'idle',
+    heading: 90,
+    doorState: 'open',
+    metadata: { plateNumber: 'AB-123' },
+    userProperties: null,
+    lastSeen: '2024-01-01T00:00:00.000Z'
+  };
+  const batch = fields => JSON.stringify({ type: MESSAGE_TYPES.BATCH, version: 2, snapshot: false, updates: [], removals: [], ...fields });
+  socket.emit('message', { data: batch({ snapshot: true, updates: [full] }) });
+  socket.emit('message', { data: batch({ updates: [{ vehicleId: 'veh-1', speed: 42, engineStatus: 'running', doorState: null }] }) });
+  socket.emit('message', { data: batch({ removals: [{ vehicleId: 'veh-1', reason: 'filtered' }] }) });
+
+  assert.equal(updates.length, 2);
+  assert.deepEqual(updates[1], {
+    type: MESSAGE_TYPES.UPDATE,
+    version: 2,
+    vehicleId: 'veh-1',
+    fleetId: 'acme',
+    position: { lat: 10, lng: 20 },
+    telemetry: { timestamp: '2024-01-01T00:00:00.000Z', speed: 42, fuelLevel: 70, engineStatus: 'running', heading: 90 },
+    metadata: { plateNumber: 'AB-123' },
+    userProperties: null,
+    lastSeen: '2024-01-01T00:00:00.000Z'
+  });
+  assert.deepEqual(removals, [{ type: MESSAGE_TYPES.REMOVE, version: 2, vehicleId: 'veh-1', reason: 'filtered' }]);
+
+  // Version 1 messages are ignored on a version 2 connection.
+  socket.emit('message', { data: JSON.stringify({ version: 1, type: MESSAGE_TYPES.UPDATE, vehicleId: 'veh-2' }) });
+  assert.equal(updates.length, 2);
+
+  assert.throws(() => createWebSocketClient({ url: '/stream', version: 3 }), /Unsupported WebSocket payload version/);
+  client.destroy();
+});
+
+test('toSubscriptionBbox clamps latitudes and folds wrapped longitudes', () => {
+  assert.deepEqual(toSubscriptionBbox({ south: -95, west: 2, north: 49, east: 3 }), { south: -90, north: 49, west: 2, east: 3 });
+  assert.deepEqual(toSubscriptionBbox({ south: 10, west: 170, north: 20, east: 190 }), { south: 10, north: 20, west: 170, east: -170 });
+  assert.deepEqual(toSubscriptionBbox({ south: 10, west: -200, north: 20, east: 200 }), { south: 10, north: 20, west: -180, east: 180 });
+  assert.equal(toSubscriptionBbox({ south: Number.NaN, west: 0, north: 1, east: 1 }), null);
+});
@@ -6,6 +6,8 @@ const { test } = require('node:test');
 const WebSocket = require('ws');
 
 const { createWebSocketService } = require('../backend/services/websocket-service');
+const { createAuthService } = require('../backend/services/auth-service');
+const { VehicleStore } = require('../backend/services/vehicle-store');
 
 function createLoggerStub() {
   return {
@@ -45,6 +47,9 @@ test('WebSocket service sends snapshot and enforces backpressure', async t => {
     path: '/stream',
     logger: createLoggerStub(),
     vehicleStore,
+    vehicleRegistry: {
+      getMetadata: vehicleId => (vehicleId === 'snap-1' ? { plateNumber: 'AB-123', tags: ['north'] } : null)
+    },
     payloadVersion: 1
   });
 
@@ -62,6 +67,7 @@ test('WebSocket service sends snapshot and enforces backpressure', async t => {
   assert.equal(snapshotPayload.type, 'vehicle_update');
   assert.equal(snapshotPayload.vehicleId, 'snap-1');
   assert.equal(snapshotPayload.telemetry.engineStatus, 'idle');
+  assert.deepEqual(snapshotPayload.metadata, { plateNumber: 'AB-123', tags: ['north'] });
 
   const [serverSocket] = await connectionPromise;
   Object.defineProperty(serverSocket, 'bufferedAmount', {
@@ -89,3 +95,309 @@ test('WebSocket service sends snapshot and enforces backpressure', async t => {
   await new Promise(resolve => service.close(resolve));
   await new Promise(resolve => server.close(resolve));
 });
+
+test('WebSocket service filters updates by client subscription and retracts vehicles that leave it', async t => {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, resolve));
+  const { port } = server.address();
+
+  const vehicle = (vehicleId, lat, lng, overrides = {}) => ({
+    vehicleId,
+    lat,
+    lng,
+    ts: '2024-01-01T00:00:00.000Z',
+    speed: 10,
+    fuelLevel: 50,
+    engineStatus: 'running',
+    lastSeen: '2024-01-01T00:00:00.000Z',
+    ...overrides
+  });
+  const vehicles = new Map([
+    ['paris', vehicle('paris', 48.85, 2.35)],
+    ['lyon', vehicle('lyon', 45.76, 4.84)],
+    ['tokyo', vehicle('tokyo', 35.68, 139.69, { fuelLevel: 5 })]
+  ]);
+
+  const service = createWebSocketService({
+    server,
+    path: '/stream',
+    logger: createLoggerStub(),
+    vehicleStore: { values: () => vehicles.values() },
+    vehicleRegistry: null,
+    payloadVersion: 1
+  });
+
+  const ws = new WebSocket(`ws://127.0.0.1:${port}/stream`);
+  const received = [];
+  ws.on('message', frame => received.push(JSON.parse(frame.toString())));
+  await once(ws, 'open');
+  await delay(20);
+  assert.deepEqual(received.map(message => message.vehicleId), ['paris', 'lyon', 'tokyo'], 'unsubscribed clients get everything');
+
+  // France only, with at least 10% fuel.
+  received.length = 0;
+  ws.send(JSON.stringify({ type: 'subscribe', bbox: { south: 41, west: -5, north: 51, east: 10 }, minFuel: 10 }));
+  await delay(20);
+  assert.equal(received[0].type, 'subscription_ack');
+  assert.deepEqual(received[0].subscription.bbox, { south: 41, west: -5, north: 51, east: 10 });
+  assert.deepEqual(received.slice(1), [{ type: 'vehicle_remove', version: 1, vehicleId: 'tokyo', reason: 'filtered' }]);
+
+  received.length = 0;
+  vehicles.set('lyon', vehicle('lyon', 40.4, -3.7));
+  service.broadcastUpdate(vehicles.get('lyon'));
+  service.broadcastUpdate(vehicles.get('tokyo'));
+  service.broadcastUpdate(vehicles.get('paris'));
+  service.broadcastRemoval('tokyo');
+  service.broadcastRemoval('paris');
+  await delay(20);
+  assert.deepEqual(
+    received.map(message => [message.type, message.vehicleId, message.reason]),
+    [
+      ['vehicle_remove', 'lyon', 'filtered'],
+      ['vehicle_update', 'paris', undefined],
+      ['vehicle_remove', 'paris', 'expired']
+    ]
+  );
+
+  received.length = 0;
+  ws.send(JSON.stringify({ type: 'subscribe', bbox: { south: 100, west: 0, north: 0, east: 0 } }));
+  ws.send(JSON.stringify({ type: 'watch' }));
+  await delay(20);
+  assert.deepEqual(received.map(message => message.type), ['subscription_error', 'subscription_error']);
+
+  // Dropping the subscription sends back what the client is missing.
+  received.length = 0;
+  ws.send(JSON.stringify({ type: 'unsubscribe' }));
+  await delay(20);
+  assert.equal(received[0].type, 'subscription_ack');
+  assert.equal(received[0].subscription, null);
+  assert.deepEqual(received.slice(1).map(message => message.vehicleId).sort(), ['lyon', 'paris', 'tokyo']);
+
+  ws.close();
+  await delay(10);
+  await new Promise(resolve => service.close(resolve));
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('WebSocket service batches version 2 updates per tick and sends only changed fields', async () => {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, resolve));
+  const { port } = server.address();
+
+  const base = {
+    lat: 10,
+    lng: 20,
+    ts: '2024-01-01T00:00:00.000Z',
+    speed: 0,
+    fuelLevel: 70,
+    engineStatus: 'idle',
+    lastSeen: '2024-01-01T00:00:00.000Z'
+  };
+  const vehicles = [{ vehicleId: 'v2-1', ...base }, { vehicleId: 'v2-2', ...base, lat: 12 }];
+
+  const service = createWebSocketService({
+    server,
+    path: '/stream',
+    logger: createLoggerStub(),
+    vehicleStore: { values: () => vehicles.values() },
+    vehicleRegistry: { getMetadata: vehicleId => (vehicleId === 'v2-1' ? { plateNumber: 'AB-123' } : null) },
+    payloadVersion: 1,
+    batchIntervalMs: 20
+  });
+
+  const ws = new WebSocket(`ws://127.0.0.1:${port}/stream?version=2`);
+  const received = [];
+  ws.on('message', frame => received.push(JSON.parse(frame.toString())));
+  await once(ws, 'open');
+  assert.match(ws.extensions, /permessage-deflate/);
+  await delay(20);
+
+  assert.equal(received.length, 1);
+  const [snapshot] = received;
+  assert.equal(snapshot.type, 'vehicle_batch');
+  assert.equal(snapshot.version, 2);
+  assert.equal(snapshot.snapshot, true);
+  assert.deepEqual(snapshot.removals, []);
+  assert.deepEqual(snapshot.updates[0], {
+    vehicleId: 'v2-1',
+    fleetId: null,
+    ...base,
+    metadata: { plateNumber: 'AB-123' },
+    userProperties: null
+  });
+  assert.equal(snapshot.updates[1].lat, 12);
+
+  // Two updates within one tick collapse into a single delta.
+  received.length = 0;
+  service.broadcastUpdate({ vehicleId: 'v2-1', ...base, speed: 30, engineStatus: 'running', ts: '2024-01-01T00:00:01.000Z' });
+  service.broadcastUpdate({ vehicleId: 'v2-1', ...base, speed: 42, engineStatus: 'running', ts: '2024-01-01T00:00:02.000Z' });
+  service.broadcastUpdate({ vehicleId: 'v2-2', ...base, lat: 12 });
+  service.broadcastRemoval('v2-2');
+  assert.equal(received.length, 0, 'updates wait for the next tick');
+  await delay(60);
+  assert.deepEqual(received, [
+    {
+      type: 'vehicle_batch',
+      version: 2,
+      snapshot: false,
+      updates: [{ vehicleId: 'v2-1', ts: '2024-01-01T00:00:02.000Z', speed: 42, engineStatus: 'running' }],
+      removals: [{ vehicleId: 'v2-2', reason: 'expired' }]
+    }
+  ]);
+
+  // A vehicle that comes back is sent in full again.
+  received.length = 0;
+  service.broadcastUpdate({ vehicleId: 'v2-2', ...base, lat: 13 });
+  await delay(60);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].updates[0].lat, 13);
+  assert.equal(received[0].updates[0].fuelLevel, 70);
+
+  // Unchanged vehicles do not produce an empty batch.
+  received.length = 0;
+  service.broadcastUpdate({ vehicleId: 'v2-2', ...base, lat: 13 });
+  await delay(60);
+  assert.equal(received.length, 0);
+
+  const rejected = new WebSocket(`ws://127.0.0.1:${port}/stream?version=9`);
+  const [code] = await once(rejected, 'close');
+  assert.equal(code, 1008);
+
+  ws.close();
+  await delay(10);
+  await new Promise(resolve => service.close(resolve));
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('WebSocket service requires read:live credentials and an allowed origin when configured', async () => {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, resolve));
+  const { port } = server.address();
+
+  const service = createWebSocketService({
+    server,
+    path: '/stream',
+    logger: createLoggerStub(),
+    vehicleStore: { values: () => [][Symbol.iterator]() },
+    vehicleRegistry: null,
+    authService: createAuthService({
+      config: {
+        apiKeys: [
+          { name: 'viewer', key: 'viewer-key', scopes: ['read:live'] },
+          { name: 'analyst', key: 'analyst-key', scopes: ['read:history'] }
+        ]
+      }
+    }),
+    allowedOrigins: ['https://ops.example.com']
+  });
+
+  const upgradeStatus = (query, headers = {}) => new Promise(resolve => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/stream${query}`, { headers });
+    ws.on('open', () => {
+      ws.close();
+      resolve(101);
+    });
+    ws.on('unexpected-response', (req, res) => {
+      resolve(res.statusCode);
+      req.destroy();
+    });
+    ws.on('error', () => {});
+  });
+
+  assert.equal(await upgradeStatus(''), 401);
+  assert.equal(await upgradeStatus('?access_token=wrong'), 401);
+  assert.equal(await upgradeStatus('?access_token=analyst-key'), 403);
+  assert.equal(await upgradeStatus('?access_token=viewer-key'), 101);
+  assert.equal(await upgradeStatus('', { 'X-API-Key': 'viewer-key', Origin: 'https://ops.example.com' }), 101);
+  assert.equal(await upgradeStatus('?access_token=viewer-key', { Origin: 'https://evil.example.com' }), 403);
+
+  await delay(10);
+  await new Promise(resolve => service.close(resolve));
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('WebSocket service only sends a fleet-limited client its own fleets', async t => {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, resolve));
+  const { port } = server.address();
+
+  const vehicleStore = new VehicleStore({ limit: 10, ttlMs: 0 });
+  t.after(() => vehicleStore.stop());
+  const vehicle = (vehicleId, fleetId, overrides = {}) => ({
+    vehicleId,
+    fleetId,
+    lat: 48.85,
+    lng: 2.35,
+    ts: '2024-01-01T00:00:00.000Z',
+    speed: 10,
+    fuelLevel: 50,
+    engineStatus: 'running',
+    lastSeen: '2024-01-01T00:00:00.000Z',
+    ...overrides
+  });
+  vehicleStore.set('acme-1', vehicle('acme-1', 'acme'));
+  vehicleStore.set('globex-1', vehicle('globex-1', 'globex'));
+
+  const service = createWebSocketService({
+    server,
+    path: '/stream',
+    logger: createLoggerStub(),
+    vehicleStore,
+    vehicleRegistry: null,
+    payloadVersion: 1,
+    authService: createAuthService({
+      config: {
+        apiKeys: [
+          { name: 'acme', key: 'acme-key', scopes: ['read:live'], fleets: ['acme'] },
+          { name: 'ops', key: 'ops-key', scopes: ['read:live'] }
+        ]
+      }
+    })
+  });
+
+  const connect = async key => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/stream?access_token=${key}`);
+    const received = [];
+    ws.on('message', frame => received.push(JSON.parse(frame.toString())));
+    await once(ws, 'open');
+    await delay(20);
+    return { ws, received };
+  };
+  const acme = await connect('acme-key');
+  const ops = await connect('ops-key');
+
+  assert.deepEqual(acme.received.map(message => [message.vehicleId, message.fleetId]), [['acme-1', 'acme']]);
+  assert.deepEqual(ops.received.map(message => message.vehicleId), ['acme-1', 'globex-1']);
+
+  acme.received.length = 0;
+  ops.received.length = 0;
+  vehicleStore.set('globex-1', vehicle('globex-1', 'globex', { speed: 20 }));
+  service.broadcastUpdate(vehicleStore.get('globex-1'));
+  service.broadcastAlert({ eventType: 'raised', alert: { id: 1, vehicleId: 'globex-1' } });
+  service.broadcastGeofenceEvent({ vehicleId: 'globex-1', geofenceId: 'geo-1' });
+  service.broadcastAlert({ eventType: 'raised', alert: { id: 2, vehicleId: 'acme-1' } });
+  await delay(20);
+  assert.deepEqual(acme.received.map(message => message.type), ['alert_raised']);
+  assert.equal(acme.received[0].alert.id, 2);
+  assert.deepEqual(ops.received.map(message => message.type), ['vehicle_update', 'alert_raised', 'geofence_event', 'alert_raised']);
+
+  // Subscriptions can narrow the fleets but not widen them.
+  acme.received.length = 0;
+  acme.ws.send(JSON.stringify({ type: 'subscribe', fleetIds: ['globex'] }));
+  await delay(20);
+  assert.deepEqual(acme.received, [{ type: 'subscription_error', version: 1, error: 'fleet "globex" not allowed' }]);
+
+  ops.received.length = 0;
+  ops.ws.send(JSON.stringify({ type: 'subscribe', fleetIds: ['globex'] }));
+  await delay(20);
+  assert.deepEqual(ops.received.map(message => [message.type, message.vehicleId]), [
+    ['subscription_ack', undefined],
+    ['vehicle_remove', 'acme-1']
+  ]);
+
+  acme.ws.close();
+  ops.ws.close();
+  await delay(10);
+  await new Promise(resolve => service.close(resolve));
+  await new Promise(resolve => server.close(resolve));
+});